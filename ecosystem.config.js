@@ -8,7 +8,7 @@ export default {
       NODE_ENV: 'production',
       PORT: 3000,
       HOST: '0.0.0.0',
-      OLLAMA_ENABLED: 'true'
+      LLM_ENABLED: 'true'
     },
     error_file: './logs/err.log',
     out_file: './logs/out.log',
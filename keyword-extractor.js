@@ -8,18 +8,13 @@
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import { createRequire } from "module";
-import mammoth from "mammoth";
 import { Command } from "commander";
+import { readDocumentText, SUPPORTED_EXTENSIONS } from "./src/services/documentService.js";
+import { complete } from "./src/services/llmClient.js";
+import { LLM_MODEL } from "./src/config/llmConfig.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const require = createRequire(import.meta.url);
-const pdf = require("pdf-parse");
-
-// Ollama Configuration
-const OLLAMA_URL = "http://ollama-sales.mobiusdtaas.ai/api";
-const OLLAMA_MODEL = "gpt-oss:120b";
 
 // Load category mapping
 const CATEGORY_FILE = path.join(__dirname, "catogery.json");
@@ -110,83 +105,6 @@ function findCategoriesForDepartment(department, categories) {
   return null;
 }
 
-// Document reading functions
-async function readDocxText(docxPath) {
-  const result = await mammoth.extractRawText({ path: docxPath });
-  return (result.value || "")
-    .split("\n")
-    .map((t) => t.trim())
-    .filter(Boolean)
-    .join("\n");
-}
-
-async function readPdfText(pdfPath) {
-  try {
-    const dataBuffer = fs.readFileSync(pdfPath);
-    const data = await pdf(dataBuffer);
-    const text = data.text || "";
-    
-    if (!text || text.trim().length === 0) {
-      throw new Error("PDF file appears to be empty or could not extract text.");
-    }
-    
-    return text
-      .split("\n")
-      .map((t) => t.trim())
-      .filter(Boolean)
-      .join("\n");
-  } catch (error) {
-    throw new Error(`Failed to read PDF file: ${error.message}`);
-  }
-}
-
-async function readDocumentText(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  
-  if (ext === ".pdf") {
-    return await readPdfText(filePath);
-  } else if (ext === ".docx" || ext === ".doc") {
-    return await readDocxText(filePath);
-  } else if (ext === ".txt") {
-    return fs.readFileSync(filePath, "utf-8");
-  } else {
-    throw new Error(`Unsupported file format: ${ext}. Supported: .pdf, .docx, .doc, .txt`);
-  }
-}
-
-// Ollama API call
-async function callOllama(prompt, maxRetries = 3) {
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      const response = await fetch(`${OLLAMA_URL}/generate`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          model: OLLAMA_MODEL,
-          prompt: prompt,
-          stream: false,
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`Ollama API error: ${response.status} ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      return data.response?.trim() || null;
-    } catch (error) {
-      if (attempt === maxRetries - 1) {
-        throw new Error(`Ollama API call failed after ${maxRetries} attempts: ${error.message}`);
-      }
-      // Wait before retry with exponential backoff
-      await new Promise(resolve => setTimeout(resolve, 2000 * (attempt + 1)));
-    }
-  }
-  return null;
-}
-
 // Build the recursive refinement prompt
 function buildKeywordExtractionPrompt(category, tenderText) {
   return `You are a senior procurement analyst, tender evaluation expert, and NLP specialist.
@@ -331,11 +249,11 @@ Return ONLY valid JSON in the same format:
     }
 
     try {
-      console.log(`Calling Ollama API (round ${round})...`);
-      const response = await callOllama(prompt);
+      console.log(`Calling LLM (round ${round})...`);
+      const response = (await complete(prompt)).trim();
       
       if (!response) {
-        throw new Error("Empty response from Ollama API");
+        throw new Error("Empty response from LLM");
       }
 
       // Extract JSON from response
@@ -394,7 +312,7 @@ async function main() {
   program
     .name("keyword-extractor")
     .description("Extract keywords from tender documents using AI")
-    .requiredOption("--input <file>", "Path to tender document (.pdf, .docx, .txt)")
+    .requiredOption("--input <file>", `Path to tender document (${SUPPORTED_EXTENSIONS.join(", ")})`)
     .option("--category <category>", "Tender category (CONSULTANCY, SERVICES, SUPPLIES, WORKS). Auto-detected if not provided.")
     .option("--department <department>", "Department name. Auto-detected from document if not provided.")
     .option("--output <file>", "Output JSON file path (default: keywords-<category>.json)")
@@ -511,7 +429,7 @@ async function main() {
         extraction_date: new Date().toISOString(),
         document_length: tenderText.length,
         refinement_rounds: refinementRounds,
-        model: OLLAMA_MODEL,
+        model: LLM_MODEL,
       }
     };
 
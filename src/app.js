@@ -7,5 +7,14 @@ app.use(express.json());
 
 registerRoutes(app);
 
+// Errors raised before a route handler runs (e.g. multer's file filter or size limit)
+app.use((err, req, res, next) => {
+  const status = err.statusCode || (err.name === "MulterError" ? 400 : 500);
+  res.status(status).json({
+    success: false,
+    error: err.message || "Request failed",
+  });
+});
+
 export default app;
 
@@ -0,0 +1,94 @@
+// Built-in analysis profiles for /analyze. A profile bundles the rules to run,
+// the sections a tender of its kind must contain, category weights for the
+// score and the wording of recommendations. ANALYSIS_PROFILES_FILE may add
+// profiles or replace these by id (see services/profileService.js).
+
+export const DEFAULT_PROFILE_ID = "general";
+
+// Tender categories of the keywords workbook, used to detect the tender type
+export const TENDER_TYPES = ["Works", "Services", "Supplies", "Consultancy"];
+
+// Recommendation per finding type. {rule} is the rule name, {terms} the
+// missing quality terms, {triggers} the ambiguous or outdated phrases found.
+export const RECOMMENDATION_TEMPLATES = Object.freeze({
+  missing: "Add a complete section for '{rule}' aligned to PSD/government tender norms.",
+  weak: "Strengthen '{rule}' by explicitly defining: {terms}.",
+  unclear: "Clarify '{rule}' by replacing ambiguous phrases with specific, testable requirements.",
+  outdated: "Update '{rule}' to remove legacy references and align to current government enterprise standards.",
+});
+
+// ICT rules that do not apply to construction or goods-only tenders
+const ICT_DELIVERY_RULES = [
+  "solution-architecture-system-landscape",
+  "data-migration-conversion-plan",
+  "testing-strategy-ut-uat-integration-stress-security",
+];
+
+export const BUILT_IN_PROFILES = [
+  {
+    id: "general",
+    name: "General",
+    description: "Every gap rule of the rulebook, equally weighted (the behaviour before profiles).",
+    tenderType: null,
+    department: null,
+    rules: {},
+    requiredSections: [],
+    categoryWeights: {},
+    recommendations: {},
+  },
+  {
+    id: "works",
+    name: "Works",
+    description: "Construction, installation and fit-out tenders: scope, award and termination terms, delay penalties and site risk weigh most.",
+    tenderType: "Works",
+    department: null,
+    rules: { categories: ["Administrative", "Technical", "Financial", "Compliance", "Governance", "Risk Management", "KPI & Performance"], exclude: ICT_DELIVERY_RULES },
+    requiredSections: ["Scope of Work", "Award of Contract", "Termination of Contract"],
+    categoryWeights: { Financial: 1.5, "Risk Management": 1.5, Technical: 1.25 },
+    recommendations: {
+      missing: "Add a complete section for '{rule}' covering drawings, bill of quantities, site conditions and completion milestones.",
+      weak: "Strengthen '{rule}' so contractors can price it: define {terms}.",
+    },
+  },
+  {
+    id: "services",
+    name: "Services",
+    description: "Operation, maintenance, outsourcing and support services: service levels and performance measurement weigh most.",
+    tenderType: "Services",
+    department: null,
+    rules: {},
+    requiredSections: ["Scope of Work"],
+    categoryWeights: { "Support/SLA": 1.5, "KPI & Performance": 1.5 },
+    recommendations: {
+      missing: "Add a complete section for '{rule}' with service levels, reporting cadence and service credits.",
+      weak: "Strengthen '{rule}' with measurable service levels: {terms}.",
+    },
+  },
+  {
+    id: "supplies",
+    name: "Supplies",
+    description: "Goods, equipment and licences: specifications, pricing and delivery terms weigh most.",
+    tenderType: "Supplies",
+    department: null,
+    rules: { categories: ["Administrative", "Technical", "Financial", "Support/SLA", "Compliance"], exclude: ICT_DELIVERY_RULES },
+    requiredSections: ["Scope of Work", "Award of Contract"],
+    categoryWeights: { Financial: 1.5, Technical: 1.25 },
+    recommendations: {
+      missing: "Add a complete section for '{rule}' stating quantities, specifications, delivery schedule and warranty.",
+    },
+  },
+  {
+    id: "consultancy",
+    name: "Consultancy",
+    description: "Advisory and study assignments: governance, deliverables and their acceptance weigh most.",
+    tenderType: "Consultancy",
+    department: null,
+    rules: { exclude: ["data-migration-conversion-plan"] },
+    requiredSections: ["Scope of Work", "Selection Process"],
+    categoryWeights: { Governance: 1.5, "KPI & Performance": 1.25 },
+    recommendations: {
+      missing: "Add a complete section for '{rule}' naming the deliverables, their acceptance criteria and the expected expertise.",
+      weak: "Strengthen '{rule}' by defining the expected deliverables: {terms}.",
+    },
+  },
+];
@@ -0,0 +1,96 @@
+// Arabic labels of the facts read with patterns, for Arabic-only and
+// bilingual tenders. Entries are regular expression sources written in one
+// spelling; they are compiled with arabicPattern() (utils/textUtils.js), which
+// also matches the other alef, teh marbuta and yeh spellings ("الاصدار" for
+// "الإصدار"). The value is read after the label, past a colon or dash.
+
+export const ARABIC_LABELS = {
+  referenceNumber: [
+    String.raw`رقم (?:ال)?مناقصة`,
+    String.raw`رقم (?:ال)?ممارسة`,
+    String.raw`رقم (?:ال)?مرجع`,
+    String.raw`(?:ال)?رقم (?:ال)?مرجعي`,
+    String.raw`رقم (?:ال)?طلب`,
+    String.raw`رقم (?:ال)?عطاء`,
+  ],
+  title: [
+    String.raw`عنوان (?:ال)?مناقصة`,
+    String.raw`اسم (?:ال)?مناقصة`,
+    String.raw`موضوع (?:ال)?مناقصة`,
+    String.raw`اسم (?:ال)?مشروع`,
+    String.raw`عنوان (?:ال)?مشروع`,
+  ],
+  issueDate: [
+    String.raw`تاريخ (?:ال)?إصدار`,
+    String.raw`تاريخ (?:ال)?طرح`,
+    String.raw`تاريخ (?:ال)?إعلان`,
+    String.raw`تاريخ (?:ال)?نشر`,
+  ],
+  issuer: [
+    String.raw`(?:ال)?جهة (?:ال)?مصدرة`,
+    String.raw`(?:ال)?جهة (?:ال)?طالبة`,
+    String.raw`(?:ال)?جهة (?:ال)?مالكة`,
+    String.raw`اسم (?:ال)?جهة`,
+    String.raw`صادرة? (?:عن|من)`,
+  ],
+  submissionDeadline: [
+    String.raw`آخر موعد (?:ل|إلى )?(?:تقديم|استلام) (?:ال)?(?:عروض|عطاءات)`,
+    String.raw`(?:ال)?موعد (?:ال)?نهائي (?:ل|إلى )?(?:تقديم|استلام) (?:ال)?(?:عروض|عطاءات)`,
+    String.raw`آخر موعد (?:لل)?تقديم`,
+    String.raw`تاريخ (?:ال)?إغلاق`,
+    String.raw`موعد (?:ال)?إغلاق`,
+  ],
+  technicalWeight: [
+    String.raw`(?:ال)?تقييم (?:ال)?فني`,
+    String.raw`(?:ال)?عرض (?:ال)?فني`,
+    String.raw`(?:ال)?وزن (?:ال)?فني`,
+  ],
+  financialWeight: [
+    String.raw`(?:ال)?تقييم (?:ال)?مالي`,
+    String.raw`(?:ال)?عرض (?:ال)?مالي`,
+    String.raw`(?:ال)?وزن (?:ال)?مالي`,
+  ],
+  evaluationCriteria: [
+    String.raw`معايير (?:ال)?تقييم`,
+    String.raw`آلية (?:ال)?تقييم`,
+    String.raw`أسس (?:ال)?تقييم`,
+  ],
+};
+
+// "Percent" after a number: "في المائة", "في المئة", "بالمئة"
+export const ARABIC_PERCENT = String.raw`(?:في\s*ال|بال)م[اأ]?ئ[ةه]`;
+
+// Document types by their Arabic names, most specific first
+export const ARABIC_DOCUMENT_TYPES = [
+  { type: "RFQ", labels: [String.raw`طلب عروض (?:ال)?أسعار`, String.raw`طلب تسعير`] },
+  { type: "RFP", labels: [String.raw`طلب تقديم (?:ال)?عروض`, String.raw`طلب (?:ال)?عروض`] },
+  { type: "ITT", labels: [String.raw`دعوة (?:ل|إلى )(?:ال)?تقديم (?:ال)?عطاءات`] },
+  { type: "Tender", labels: [String.raw`مناقصة`, String.raw`ممارسة`] },
+];
+
+// Countries by their Arabic names and main cities
+export const ARABIC_COUNTRIES = [
+  { country: "UAE", labels: [String.raw`(?:ال)?إمارات`, String.raw`دبي`, String.raw`أبو ?ظبي`, String.raw`الشارقة`] },
+  { country: "Saudi Arabia", labels: [String.raw`(?:ال)?سعودية`, String.raw`الرياض`, String.raw`جدة`] },
+  { country: "Qatar", labels: [String.raw`قطر`, String.raw`الدوحة`] },
+  { country: "Kuwait", labels: [String.raw`الكويت`] },
+  { country: "Bahrain", labels: [String.raw`البحرين`, String.raw`المنامة`] },
+  { country: "Oman", labels: [String.raw`سلطنة عمان`, String.raw`مسقط`] },
+];
+
+// Gregorian month names, January first: the Gulf (Egyptian) names, then the
+// Levantine ones
+export const ARABIC_MONTHS = [
+  ["يناير", "كانون الثاني"],
+  ["فبراير", "شباط"],
+  ["مارس", "آذار"],
+  ["أبريل", "إبريل", "نيسان"],
+  ["مايو", "أيار"],
+  ["يونيو", "يونيه", "حزيران"],
+  ["يوليو", "يوليه", "تموز"],
+  ["أغسطس", "آب"],
+  ["سبتمبر", "أيلول"],
+  ["أكتوبر", "تشرين الأول"],
+  ["نوفمبر", "تشرين الثاني"],
+  ["ديسمبر", "كانون الأول"],
+];
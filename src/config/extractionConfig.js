@@ -0,0 +1,113 @@
+// Process-wide defaults. Environment variables only seed these values;
+// per-request overrides are passed explicitly through the `options` argument
+// of each extractor and never written back to process.env.
+export const EXTRACTION_DEFAULTS = Object.freeze({
+  mode: process.env.EXTRACTION_MODE || "standard",
+  chunkMaxChars: parseInt(process.env.CHUNK_MAX_CHARS || "20000", 10),
+  chunkOverlap: parseInt(process.env.CHUNK_OVERLAP || "1000", 10),
+  maxConcurrentChunks: parseInt(process.env.MAX_CONCURRENT_CHUNKS || "5", 10),
+  targetedFill: process.env.SKIP_TARGETED_FILL !== "true",
+  finalNormalize: process.env.SKIP_FINAL_NORMALIZE !== "true",
+  aiEnhancement: true,
+  citations: process.env.CITATIONS === "true",
+  nullDefaults: process.env.NULL_DEFAULTS === "true",
+});
+
+export const EXTRACTION_MODES = ["quick", "standard", "thorough"];
+
+// Settings implied by each mode; explicit options still win over these.
+const MODE_PRESETS = {
+  quick: { targetedFill: false, finalNormalize: false, maxConcurrentChunks: 10, aiEnhancement: false },
+  standard: {},
+  thorough: { targetedFill: true, finalNormalize: true, aiEnhancement: true },
+};
+
+function toBool(v) {
+  if (typeof v === "boolean") return v;
+  if (v === undefined || v === null || v === "") return undefined;
+  const s = String(v).trim().toLowerCase();
+  if (["true", "1", "yes", "on"].includes(s)) return true;
+  if (["false", "0", "no", "off"].includes(s)) return false;
+  return undefined;
+}
+
+function toPositiveInt(v) {
+  if (v === undefined || v === null || v === "") return undefined;
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : undefined;
+}
+
+function toNonNegativeInt(v) {
+  if (v === undefined || v === null || v === "") return undefined;
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n >= 0 ? n : undefined;
+}
+
+/**
+ * Merge service defaults, the mode preset and explicit overrides into one
+ * frozen options object. Unknown keys are ignored.
+ *
+ * @param {Object} [overrides] - Per-request options (already typed)
+ * @param {Object} [serviceDefaults] - Service-specific defaults (e.g. a smaller chunk size)
+ */
+export function resolveExtractionOptions(overrides = {}, serviceDefaults = {}) {
+  const explicit = Object.fromEntries(
+    Object.entries(overrides || {}).filter(([k, v]) => v !== undefined && k in EXTRACTION_DEFAULTS)
+  );
+  const mode = EXTRACTION_MODES.includes(explicit.mode)
+    ? explicit.mode
+    : EXTRACTION_MODES.includes(serviceDefaults.mode)
+      ? serviceDefaults.mode
+      : EXTRACTION_MODES.includes(EXTRACTION_DEFAULTS.mode)
+        ? EXTRACTION_DEFAULTS.mode
+        : "standard";
+
+  const resolved = {
+    ...EXTRACTION_DEFAULTS,
+    ...serviceDefaults,
+    ...MODE_PRESETS[mode],
+    ...explicit,
+    mode,
+  };
+
+  if (resolved.chunkOverlap >= resolved.chunkMaxChars) {
+    resolved.chunkOverlap = Math.floor(resolved.chunkMaxChars / 10);
+  }
+
+  return Object.freeze(resolved);
+}
+
+/**
+ * Read extraction options from loosely-typed request fields (query string or
+ * multipart form). Returns only the options that were actually supplied.
+ *
+ * Accepted fields: mode, quickMode, chunkSize/chunkMaxChars, chunkOverlap,
+ * concurrency/maxConcurrentChunks, targetedFill, finalNormalize, aiEnhancement,
+ * citations, nullDefaults.
+ */
+export function parseExtractionOptions(params = {}) {
+  const out = {};
+
+  const mode = params.mode ? String(params.mode).trim().toLowerCase() : undefined;
+  if (mode) {
+    if (!EXTRACTION_MODES.includes(mode)) {
+      const error = new Error(`Invalid mode: ${params.mode}. Valid modes: ${EXTRACTION_MODES.join(", ")}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    out.mode = mode;
+  } else if (toBool(params.quickMode) === true) {
+    out.mode = "quick";
+  }
+
+  out.chunkMaxChars = toPositiveInt(params.chunkMaxChars ?? params.chunkSize);
+  out.chunkOverlap = toNonNegativeInt(params.chunkOverlap);
+  out.maxConcurrentChunks = toPositiveInt(params.maxConcurrentChunks ?? params.concurrency);
+  out.targetedFill = toBool(params.targetedFill);
+  out.finalNormalize = toBool(params.finalNormalize);
+  out.aiEnhancement = toBool(params.aiEnhancement);
+  out.citations = toBool(params.citations);
+  out.nullDefaults = toBool(params.nullDefaults);
+
+  return Object.fromEntries(Object.entries(out).filter(([, v]) => v !== undefined));
+}
@@ -0,0 +1,124 @@
+// Key facts a tender states in several places and that must agree wherever
+// they appear (see services/consistencyService.js). `labels` are
+// case-insensitive regular expressions naming the fact; `kind` is the value
+// read next to a label: `date`, `duration` or `percent`. In `addendum`,
+// {value} is replaced with the values found, for the issuer to pick one.
+
+export const KEY_FACTS = [
+  {
+    id: "submission-deadline",
+    name: "proposal submission deadline",
+    category: "Administrative",
+    kind: "date",
+    labels: [
+      String.raw`(?:proposal|bid|tender|offer) submission deadline`,
+      String.raw`submission deadline`,
+      String.raw`deadline for (?:the )?submission of (?:the )?(?:proposals?|bids?|tenders?|offers?)`,
+      String.raw`submission of (?:the )?(?:technical and (?:commercial|financial) )?(?:proposals?|bids?|tenders?|offers?)`,
+      String.raw`last date (?:for|of) (?:the )?submission(?: of (?:proposals?|bids?|tenders?|offers?))?`,
+      String.raw`(?:bid|tender) closing date`,
+      String.raw`closing date (?:for|of) (?:proposals?|bids?|tenders?|offers?)`,
+    ],
+    recommendation:
+      "Resolve conflicting submission deadlines by issuing an addendum that states one authoritative deadline (date + time + timezone).",
+    addendum: "The deadline for submission of proposals is {value} at [time] ([timezone]).",
+  },
+  {
+    id: "clarification-deadline",
+    name: "clarification deadline",
+    category: "Administrative",
+    kind: "date",
+    labels: [
+      String.raw`(?:submission|receipt) of (?:queries|questions|clarifications?|clarification requests)(?: and (?:queries|clarifications?))?`,
+      String.raw`(?:clarification|query|queries|questions) (?:request )?deadline`,
+      String.raw`deadline for (?:the )?(?:submission of )?(?:queries|questions|clarifications?|clarification requests)`,
+      String.raw`last date for (?:the )?(?:submission of )?(?:queries|questions|clarifications?)`,
+    ],
+    recommendation:
+      "Resolve conflicting clarification deadlines by issuing an addendum that states one last date (and time) for vendor queries.",
+    addendum: "Requests for clarification must be received no later than {value} at [time] ([timezone]).",
+  },
+  {
+    id: "proposal-validity",
+    name: "proposal validity period",
+    category: "Administrative",
+    kind: "duration",
+    labels: [
+      String.raw`(?:proposals?|bids?|tenders?|offers?) (?:shall|must|should|will) remain valid(?: for(?: a period of)?)?`,
+      String.raw`(?:proposal|bid|tender|offer) validity(?: period)?`,
+      String.raw`period of validity(?: of (?:the )?(?:proposals?|bids?|tenders?|offers?))?`,
+      String.raw`validity period`,
+    ],
+    recommendation:
+      "Resolve conflicting proposal validity periods by issuing an addendum that states one validity period and the date it is counted from.",
+    addendum: "Proposals shall remain valid for {value} after the deadline for submission of proposals.",
+  },
+  {
+    id: "project-duration",
+    name: "project duration",
+    category: "Administrative",
+    kind: "duration",
+    labels: [
+      String.raw`(?:project|contract|implementation|assignment) (?:duration|period|timeline|timeframe)`,
+      String.raw`duration of (?:the )?(?:project|contract|implementation|assignment|works?|services)`,
+      String.raw`(?:completion|performance) period`,
+      String.raw`period of (?:performance|completion)`,
+      String.raw`(?:completed|implemented|delivered) within`,
+    ],
+    recommendation:
+      "Resolve conflicting project durations by issuing an addendum that states one duration and the milestone it is counted from.",
+    addendum: "The project shall be completed within {value} from the contract start date.",
+  },
+  {
+    id: "bid-bond",
+    name: "bid bond percentage",
+    category: "Financial",
+    kind: "percent",
+    labels: [
+      String.raw`bid (?:bond|security|guarantee)`,
+      String.raw`tender (?:bond|security|guarantee)`,
+      String.raw`earnest money(?: deposit)?`,
+    ],
+    recommendation:
+      "Resolve conflicting bid bond amounts by issuing an addendum that states one percentage, the base it applies to and its validity.",
+    addendum: "The bid bond shall be {value} of the total proposal value.",
+  },
+  {
+    id: "warranty-period",
+    name: "warranty period",
+    category: "Support/SLA",
+    kind: "duration",
+    labels: [String.raw`warranty(?: period)?`, String.raw`defects? liability period`],
+    recommendation:
+      "Resolve conflicting warranty periods by issuing an addendum that states one warranty period and when it starts (go-live, acceptance or end of hypercare).",
+    addendum: "The warranty period is {value} from [go-live / final acceptance / end of hypercare].",
+  },
+  {
+    id: "technical-weight",
+    name: "technical evaluation weight",
+    category: "Administrative",
+    kind: "percent",
+    labels: [
+      String.raw`technical (?:evaluation |proposal )?(?:weight(?:age|ing)?|score)`,
+      String.raw`technical evaluation`,
+      String.raw`weight(?:age|ing)? (?:of|for) (?:the )?technical (?:evaluation|proposal|score)`,
+    ],
+    recommendation:
+      "Resolve conflicting evaluation weights by issuing an addendum that states the technical and financial weights once, adding up to 100%.",
+    addendum: "The technical evaluation carries a weight of {value} of the total score.",
+  },
+  {
+    id: "financial-weight",
+    name: "financial evaluation weight",
+    category: "Administrative",
+    kind: "percent",
+    labels: [
+      String.raw`(?:financial|commercial) (?:evaluation |proposal )?(?:weight(?:age|ing)?|score)`,
+      String.raw`(?:financial|commercial) evaluation`,
+      String.raw`weight(?:age|ing)? (?:of|for) (?:the )?(?:financial|commercial) (?:evaluation|proposal|score)`,
+    ],
+    recommendation:
+      "Resolve conflicting evaluation weights by issuing an addendum that states the technical and financial weights once, adding up to 100%.",
+    addendum: "The financial evaluation carries a weight of {value} of the total score.",
+  },
+];
@@ -0,0 +1,44 @@
+// Single configuration surface for every LLM call (see services/llmClient.js).
+// The LLM_* variables take precedence; the older OLLAMA_* variables are still
+// read as fallbacks so existing deployments keep working.
+
+function stripApiSuffix(url) {
+  return url.replace(/\/+$/, "").replace(/\/api$/, "");
+}
+
+// "ollama" | "openai" (any OpenAI-compatible server: llama.cpp, vLLM, ...) | "mock"
+export const LLM_PROVIDER = (process.env.LLM_PROVIDER || "ollama").trim().toLowerCase();
+
+export const LLM_ENABLED =
+  (process.env.LLM_ENABLED ?? process.env.OLLAMA_ENABLED) !== "false";
+
+// Ollama: server root (no /api). OpenAI-compatible: the /v1 root.
+export const LLM_BASE_URL = (
+  process.env.LLM_BASE_URL ||
+  (LLM_PROVIDER === "openai"
+    ? "http://localhost:8080/v1"
+    : stripApiSuffix(
+        process.env.OLLAMA_BASE_URL ||
+          process.env.OLLAMA_HOST ||
+          process.env.OLLAMA_URL ||
+          "http://ollama-sales.mobiusdtaas.ai"
+      ))
+).replace(/\/+$/, "");
+
+export const LLM_MODEL = process.env.LLM_MODEL || process.env.OLLAMA_MODEL || "gpt-oss:120b";
+
+// Embeddings model (defaults to the chat model, as before)
+export const LLM_EMBED_MODEL = process.env.LLM_EMBED_MODEL || LLM_MODEL;
+
+export const LLM_API_KEY = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || "";
+
+// Per-attempt timeout, retries after the first attempt, and base backoff delay
+export const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || "300000", 10);
+export const LLM_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES || "2", 10);
+export const LLM_RETRY_DELAY_MS = parseInt(process.env.LLM_RETRY_DELAY_MS || "1000", 10);
+
+// Record/replay of LLM calls (see services/llmCassette.js):
+// "off" | "record" (call the model and save every response) | "replay" (serve
+// saved responses only, never contact the server)
+export const LLM_CASSETTE_MODE = (process.env.LLM_CASSETTE_MODE || "off").trim().toLowerCase();
+export const LLM_CASSETTE_DIR = process.env.LLM_CASSETTE_DIR || "cassettes";
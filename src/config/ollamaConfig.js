@@ -1,9 +0,0 @@
-export const OLLAMA_URL =
-  process.env.OLLAMA_URL || "http://ollama-sales.mobiusdtaas.ai/api";
-
-export const OLLAMA_MODEL =
-  process.env.OLLAMA_MODEL || "gpt-oss:120b";
-
-export const OLLAMA_ENABLED =
-  process.env.OLLAMA_ENABLED !== "false";
-
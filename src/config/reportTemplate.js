@@ -0,0 +1,15 @@
+// Look of the gap-analysis reports (services/reportService.js).
+// REPORT_TEMPLATE_FILE may override any of these with a JSON object: `logo`
+// is a PNG or JPEG file shown in the report header, `stylesheet` a CSS file
+// added after the built-in PDF styles, colours are "#RRGGBB".
+
+export const REPORT_TEMPLATE = {
+  title: "Tender Gap Analysis Report",
+  organisation: "",
+  logo: null,
+  primaryColor: "#1F4E79",
+  accentColor: "#C55A11",
+  font: "Arial",
+  footer: "Generated by the Tender Gap Analyzer",
+  stylesheet: null,
+};
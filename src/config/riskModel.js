@@ -0,0 +1,121 @@
+// Risk model behind the analysis risk register: which gaps raise which risk,
+// with its likelihood and impact (1-5), owner and mitigation. A risk is raised
+// by the gaps matching all of its `when` conditions: gap `types`, gap
+// `categories`, `rules` (rule names or ids) and `match` (a case-insensitive
+// regular expression tested on the rule name and the gap message).
+// RISK_MODEL_FILE may add risks or replace these by id (see
+// services/riskService.js).
+
+export const LIKELIHOOD_LEVELS = ["Rare", "Unlikely", "Possible", "Likely", "Almost certain"];
+export const IMPACT_LEVELS = ["Negligible", "Minor", "Moderate", "Major", "Severe"];
+
+// Rating of likelihood × impact: the first band whose minimum is reached
+export const RISK_RATINGS = [
+  { rating: "critical", min: 20 },
+  { rating: "high", min: 12 },
+  { rating: "medium", min: 6 },
+  { rating: "low", min: 1 },
+];
+
+export const RISK_OWNERS = [
+  "Procurement",
+  "Technical",
+  "Finance",
+  "Legal",
+  "Project Management",
+  "Information Security",
+  "Operations",
+];
+
+export const RISK_MODEL = [
+  {
+    id: "integration-failure",
+    risk: "Unclear integration requirements could lead to project failure and vendor misalignment.",
+    when: { types: ["missing", "unclear"], match: "integration|interface" },
+    likelihood: 4,
+    impact: 4,
+    owner: "Technical",
+    mitigation: "Publish an interface catalogue (systems, direction, protocol, volumes, owners) and make integration testing an acceptance criterion.",
+  },
+  {
+    id: "weak-service-levels",
+    risk: "Weak SLA/support definition may cause low performance and uncontrolled operational costs.",
+    when: { types: ["missing", "weak"], match: "SLA|support" },
+    likelihood: 3,
+    impact: 5,
+    owner: "Operations",
+    mitigation: "Define severity levels, response and resolution times, availability targets and service credits, and attach them to the contract.",
+  },
+  {
+    id: "security-compliance",
+    risk: "Insufficient security requirements increase cybersecurity and compliance risk.",
+    when: { types: ["missing", "weak"], match: "security" },
+    likelihood: 3,
+    impact: 5,
+    owner: "Information Security",
+    mitigation: "Reference the applicable security framework and require penetration testing, access control, encryption and audit logging before go-live.",
+  },
+  {
+    id: "commercial-disputes",
+    risk: "Incomplete commercial terms may lead to pricing disputes, variations and claims.",
+    when: { types: ["missing", "weak"], categories: ["Financial"] },
+    likelihood: 3,
+    impact: 4,
+    owner: "Finance",
+    mitigation: "State the payment milestones, guarantees, penalties and pricing basis explicitly and ask for a priced bill of quantities.",
+  },
+  {
+    id: "regulatory-non-compliance",
+    risk: "Gaps in compliance clauses expose the authority to regulatory and legal challenge.",
+    when: { types: ["missing", "weak"], categories: ["Compliance"] },
+    likelihood: 2,
+    impact: 5,
+    owner: "Legal",
+    mitigation: "Have legal review the compliance, data protection and governing law clauses against current regulations before issue.",
+  },
+  {
+    id: "procurement-disputes",
+    risk: "Contradictory dates, durations or percentages (e.g. deadlines, validity, bonds) may cause procurement disputes or unfairness claims.",
+    when: { types: ["unclear"], match: "contradictory" },
+    likelihood: 3,
+    impact: 3,
+    owner: "Procurement",
+    mitigation: "Issue an addendum that states each conflicting fact once and supersedes every other reference.",
+  },
+  {
+    id: "weak-risk-governance",
+    risk: "Weak risk governance can reduce delivery predictability and oversight quality.",
+    when: { types: ["missing", "weak"], match: "risk (?:management|register|scoring)" },
+    likelihood: 3,
+    impact: 3,
+    owner: "Project Management",
+    mitigation: "Require a risk register with probability/impact scoring, owners and a review cadence as a project deliverable.",
+  },
+  {
+    id: "unmeasured-performance",
+    risk: "Without performance metrics the vendor cannot be held accountable after go-live.",
+    when: { types: ["missing", "weak"], categories: ["KPI & Performance"] },
+    likelihood: 3,
+    impact: 3,
+    owner: "Project Management",
+    mitigation: "Add KPIs with baselines, targets, measurement cadence and the consequences of missing them.",
+  },
+  {
+    id: "inconsistent-proposals",
+    risk: "Missing standard tender modules can lead to inconsistent vendor proposals and evaluation difficulty.",
+    when: { types: ["missing"] },
+    likelihood: 3,
+    impact: 2,
+    owner: "Procurement",
+    mitigation: "Complete the missing sections from the standard tender template before issue.",
+  },
+  {
+    id: "legacy-technology",
+    risk: "Legacy technology references may misalign solution assumptions with current enterprise baselines.",
+    when: { types: ["outdated"] },
+    likelihood: 2,
+    impact: 2,
+    owner: "Technical",
+    mitigation: "Replace legacy references with the current enterprise standards and supported versions.",
+  },
+];
@@ -0,0 +1,109 @@
+// Canonical section names (the names rules use in `where`) and the headings
+// that mean the same section. Matching ignores case, numbering, punctuation
+// and possessives ("Instructions to Vendor's" = "instructions to vendors"),
+// and Arabic spelling variants ("الأعمال" = "الاعمال"). Arabic headings
+// follow the English ones.
+// SECTION_SYNONYMS_FILE may add synonyms or new sections (see
+// services/outlineService.js).
+export const SECTION_SYNONYMS = {
+  Introduction: [
+    "introduction",
+    "background",
+    "overview",
+    "general information",
+    "about this rfp",
+    "purpose of this rfp",
+    "مقدمة",
+    "المقدمة",
+    "نبذة عامة",
+    "معلومات عامة",
+  ],
+  "Instructions to Vendor": [
+    "instructions to vendor",
+    "instructions to vendors",
+    "instructions to bidders",
+    "instructions to tenderers",
+    "instructions to suppliers",
+    "instructions to consultants",
+    "bidder instructions",
+    "تعليمات لمقدمي العطاءات",
+    "تعليمات لمقدمي العروض",
+    "تعليمات للمتقدمين",
+    "تعليمات للموردين",
+  ],
+  "Proposal Guidelines": [
+    "proposal guidelines",
+    "proposal submission",
+    "submission of proposals",
+    "submission guidelines",
+    "bid submission",
+    "preparation of proposals",
+    "proposal format",
+    "proposal requirements",
+    "تقديم العروض",
+    "تقديم العطاءات",
+    "إعداد العروض",
+    "متطلبات العرض",
+  ],
+  "Selection Process": [
+    "selection process",
+    "evaluation criteria",
+    "evaluation methodology",
+    "evaluation process",
+    "evaluation of proposals",
+    "bid evaluation",
+    "evaluation and selection",
+    "معايير التقييم",
+    "آلية التقييم",
+    "تقييم العروض",
+    "تقييم العطاءات",
+  ],
+  "Award of Contract": ["award of contract", "contract award", "award criteria", "notification of award", "ترسية العقد", "الترسية"],
+  "Termination of Contract": ["termination of contract", "contract termination", "termination", "إنهاء العقد", "فسخ العقد"],
+  "Scope of Work": [
+    "scope of work",
+    "scope of works",
+    "scope of services",
+    "scope of supply",
+    "statement of work",
+    "terms of reference",
+    "project scope",
+    "sow",
+    "tor",
+    "نطاق العمل",
+    "نطاق الأعمال",
+    "نطاق الخدمات",
+    "الشروط المرجعية",
+  ],
+  "Rules, Assumptions": [
+    "rules assumptions",
+    "rules and assumptions",
+    "assumptions",
+    "assumptions and constraints",
+    "general rules",
+    "الافتراضات",
+    "القواعد العامة",
+  ],
+  "System Landscape": [
+    "system landscape",
+    "current system landscape",
+    "existing systems",
+    "current environment",
+    "as is landscape",
+    "it landscape",
+    "technical environment",
+    "البيئة التقنية الحالية",
+    "الأنظمة الحالية",
+  ],
+  Integration: ["integration", "integrations", "integration requirements", "interfaces", "system interfaces", "التكامل", "متطلبات التكامل"],
+  "Go-Live and Post-Implementation Support": [
+    "go live and post implementation support",
+    "post implementation support",
+    "go live support",
+    "hypercare",
+    "warranty and support",
+    "support and maintenance",
+    "الدعم والصيانة",
+    "الدعم بعد التشغيل",
+  ],
+};
@@ -0,0 +1,110 @@
+import { KEY_FACTS } from "./keyFacts.js";
+
+// Procurement milestones of a tender timeline (see services/timelineService.js),
+// in the order they happen. `labels` are case-insensitive regular expressions
+// naming the milestone; the date (and time) is read from the rest of the
+// label's sentence or from the table cells after it; `timeLabels` name a
+// separate statement of the time ("Last Time for Receipt of Proposals: 5:00
+// PM"), read when the date is stated without one. `type` sets the calendar
+// event: a `deadline` is an instant with a reminder the day before, a
+// `meeting` lasts an hour, a `milestone` is informational.
+
+const factLabels = (id) => KEY_FACTS.find((fact) => fact.id === id).labels;
+
+export const TIMELINE_MILESTONES = [
+  {
+    id: "issue-date",
+    name: "Tender issue date",
+    type: "milestone",
+    labels: [
+      String.raw`(?:rfp|rfq|rfi|rft|tender|bid|document) (?:issue|issuance|release|publication) date`,
+      String.raw`date of (?:issue|issuance|release|publication)`,
+      String.raw`issue date`,
+      String.raw`(?:issued|released|published) on`,
+    ],
+  },
+  {
+    id: "clarification-deadline",
+    name: "Clarification deadline",
+    type: "deadline",
+    labels: factLabels("clarification-deadline"),
+  },
+  {
+    id: "pre-bid-meeting",
+    name: "Pre-bid meeting",
+    type: "meeting",
+    labels: [
+      String.raw`pre-?bid (?:meeting|conference)`,
+      String.raw`pre-?proposal (?:meeting|conference)`,
+      String.raw`bidders'? (?:meeting|conference)`,
+    ],
+  },
+  {
+    id: "site-visit",
+    name: "Site visit",
+    type: "meeting",
+    labels: [String.raw`site (?:visit|inspection|survey)`],
+  },
+  {
+    id: "submission-deadline",
+    name: "Submission deadline",
+    type: "deadline",
+    labels: factLabels("submission-deadline"),
+    timeLabels: [
+      String.raw`(?:last|closing|final) time (?:for|of) (?:the )?(?:receipt|submission)(?: of (?:proposals?|bids?|tenders?|offers?))?`,
+      String.raw`(?:submission|closing) time`,
+    ],
+  },
+  {
+    id: "bid-opening",
+    name: "Bid opening",
+    type: "meeting",
+    labels: [
+      String.raw`(?:bid|tender|proposal|offer|envelope) opening(?: date| session| ceremony)?`,
+      String.raw`opening of (?:the )?(?:bids|tenders|proposals|offers|envelopes)`,
+      String.raw`(?:bids|tenders|proposals|offers) (?:will|shall) be opened`,
+    ],
+  },
+  {
+    id: "expected-award",
+    name: "Expected contract award",
+    type: "milestone",
+    labels: [
+      String.raw`(?:expected|anticipated|tentative|planned|estimated) (?:contract )?award(?: date)?`,
+      String.raw`(?:contract )?award date`,
+      String.raw`(?:notification|notice|letter) of award`,
+      String.raw`award of (?:the )?contract`,
+    ],
+  },
+  {
+    id: "contract-start",
+    name: "Contract start",
+    type: "milestone",
+    labels: [
+      String.raw`(?:expected |anticipated |planned |tentative )?(?:contract|project|service) (?:start|commencement)(?: date)?`,
+      String.raw`commencement date`,
+      String.raw`(?:start|commencement) of (?:the )?(?:contract|project|works|services)`,
+    ],
+  },
+];
+
+// Timezones a tender may state its times in. `names` are case-insensitive
+// regular expressions; `abbreviations` match case-sensitively ("GST", not
+// "gst"). Explicit offsets ("GMT+4", "UTC+03:00") are read as they are.
+export const TIMEZONES = [
+  {
+    timezone: "Asia/Dubai",
+    abbreviations: ["GST"],
+    names: [String.raw`gulf standard time`, String.raw`(?:uae|dubai|abu dhabi|sharjah) (?:local )?time`],
+  },
+  {
+    timezone: "Asia/Riyadh",
+    abbreviations: ["AST"],
+    names: [String.raw`arabia(?:n)? standard time`, String.raw`(?:ksa|saudi(?: arabia)?|riyadh|jeddah) (?:local )?time`],
+  },
+  { timezone: "Asia/Qatar", abbreviations: [], names: [String.raw`(?:qatar|doha) (?:local )?time`] },
+  { timezone: "Asia/Kuwait", abbreviations: [], names: [String.raw`kuwait (?:local )?time`] },
+  { timezone: "Asia/Bahrain", abbreviations: [], names: [String.raw`(?:bahrain|manama) (?:local )?time`] },
+  { timezone: "Asia/Muscat", abbreviations: [], names: [String.raw`(?:oman|muscat) (?:local )?time`] },
+  { timezone: "UTC", abbreviations: ["UTC", "GMT"], names: [String.raw`coordinated universal time`] },
+];
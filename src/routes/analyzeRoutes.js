@@ -1,13 +1,17 @@
 import { Router } from "express";
-import multer from "multer";
-import path from "path";
 import fs from "fs";
 import { analyze } from "../services/analysisService.js";
-import { loadKeywordsFromExcel } from "../services/keywordRulesService.js";
+import { getRulebook } from "../services/rulebookService.js";
+import { selectProfile } from "../services/profileService.js";
+import { renderReport } from "../services/reportService.js";
 import { extractArtifactsFromPdf } from "../services/artifactExtractionService.js";
 import { extractRfpEvaluation } from "../services/rfpEvaluationService.js";
 import { extractTenderMatrix } from "../services/tenderMatrixExtractionService.js";
 import { extractTenderOverview } from "../services/tenderOverviewExtractionService.js";
+import { parseExtractionOptions } from "../config/extractionConfig.js";
+import { wantsAsync, respondWithJob } from "./jobRoutes.js";
+import { upload } from "./upload.js";
+import { contract } from "./validation.js";
 
 // Optional import for tender extraction service - will be loaded dynamically
 let extractTender = null;
@@ -28,44 +32,8 @@ async function loadTenderService() {
 
 const router = Router();
 
-// Configure multer for file uploads
-const uploadsDir = path.resolve(process.cwd(), "uploads");
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    if (!fs.existsSync(uploadsDir)) {
-      fs.mkdirSync(uploadsDir, { recursive: true });
-    }
-    cb(null, uploadsDir);
-  },
-  filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname);
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    cb(null, `file-${uniqueSuffix}${ext}`);
-  },
-});
-
-const upload = multer({
-  storage,
-  limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB
-  },
-  fileFilter: (req, file, cb) => {
-    const ext = path.extname(file.originalname).toLowerCase();
-    if ([".pdf", ".docx", ".doc", ".txt", ".html", ".htm"].includes(ext)) {
-      cb(null, true);
-    } else {
-      cb(
-        new Error(
-          `Unsupported file format: ${ext}. Supported formats: .pdf, .docx, .doc, .txt, .html, .htm`
-        )
-      );
-    }
-  },
-});
-
 // POST /extract
-router.post("/extract", upload.single("document"), async (req, res) => {
+router.post("/extract", upload.single("document"), contract("extractTender"), async (req, res) => {
   // Try to load the service if not already loaded
   if (!extractTender) {
     await loadTenderService();
@@ -88,33 +56,38 @@ router.post("/extract", upload.single("document"), async (req, res) => {
 
     const tenderId = req.body.tenderId || null;
     const departmentName = req.body.departmentName || null;
-    const quickMode = req.body.quickMode === "true" || req.query.quickMode === "true";
+    const options = parseExtractionOptions({ ...req.query, ...req.body });
 
     console.log(`\n📄 Extracting tender data from: ${req.file.originalname}`);
     console.log(`📋 Tender ID: ${tenderId || "Not provided"}`);
     console.log(`🏢 Department: ${departmentName || "Not provided"}`);
-    console.log(`⚡ Quick Mode: ${quickMode ? "ENABLED (faster, less thorough)" : "DISABLED (slower, more thorough)"}`);
-
-    // Temporarily set environment variables for quick mode
-    if (quickMode) {
-      process.env.SKIP_TARGETED_FILL = "true";
-      process.env.SKIP_FINAL_NORMALIZE = "true";
-      process.env.MAX_CONCURRENT_CHUNKS = "10";
+    console.log(`⚙️  Options: ${JSON.stringify(options)}`);
+
+    if (wantsAsync(req)) {
+      return respondWithJob(req, res, {
+        type: "extract",
+        meta: { tenderId, departmentName, options },
+        task: ({ onProgress, signal }) =>
+          extractTender({
+            filePath: req.file.path,
+            tenderId,
+            departmentName,
+            originalFileName: req.file.originalname,
+            options,
+            onProgress,
+            signal,
+          }),
+      });
     }
 
     const result = await extractTender({
       filePath: req.file.path,
       tenderId,
       departmentName,
+      originalFileName: req.file.originalname,
+      options,
     });
 
-    // Clean up environment variables
-    if (quickMode) {
-      delete process.env.SKIP_TARGETED_FILL;
-      delete process.env.SKIP_FINAL_NORMALIZE;
-      delete process.env.MAX_CONCURRENT_CHUNKS;
-    }
-
     console.log(`✓ Extraction complete. Tender: ${result.metadata.tender_reference_number}`);
 
     // Clean up uploaded file
@@ -129,7 +102,7 @@ router.post("/extract", upload.single("document"), async (req, res) => {
     }
 
     console.error("Extraction error:", error);
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || "An error occurred during tender extraction",
     });
@@ -137,7 +110,7 @@ router.post("/extract", upload.single("document"), async (req, res) => {
 });
 
 // POST /analyze
-router.post("/analyze", upload.single("document"), async (req, res) => {
+router.post("/analyze", upload.single("document"), contract("analyzeDocument"), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -146,20 +119,52 @@ router.post("/analyze", upload.single("document"), async (req, res) => {
       });
     }
 
-    const { department, category } = req.body;
+    const { department, category, profile } = req.body;
+    const format = req.body.format || req.query.format || "json";
+    const options = parseExtractionOptions({ ...req.query, ...req.body });
+    // Reject an unknown profile before any work is queued
+    if (profile) selectProfile({ profileId: profile });
 
     console.log(`\n📄 Processing file: ${req.file.originalname}`);
     console.log(`📋 Department: ${department || "auto-detect"}`);
     console.log(`🏷️  Gap Category filter: ${category || "all (no filter)"}`);
+    console.log(`🧭 Profile: ${profile || "auto (from tender type)"}`);
     console.log(
-      `   Note: Category should be a gap category (Administrative, Technical, Financial, etc.), not a tender category (Works, Services, etc.)`
+      `   Note: Category should be a gap category (Administrative, Technical, Financial, etc.); tender types (Works, Services, etc.) are chosen with 'profile'`
     );
 
+    if (wantsAsync(req)) {
+      if (format !== "json") {
+        fs.unlinkSync(req.file.path);
+        return res.status(400).json({
+          success: false,
+          error: `Background jobs return JSON; download the ${format} report from /reports/{jobId} once the job has completed.`,
+        });
+      }
+      return respondWithJob(req, res, {
+        type: "analyze",
+        meta: { department: department || null, category: category || null, profile: profile || null },
+        // The section texts stay with the job so that POST /compare can diff them
+        task: async ({ onProgress, signal, artifacts }) => ({
+          success: true,
+          filename: req.file.originalname,
+          result: await analyze(
+            req.file.path,
+            department || null,
+            category || null,
+            req.file.originalname,
+            { onProgress, onSections: (sections) => (artifacts.sections = sections), options, profile: profile || null, signal }
+          ),
+        }),
+      });
+    }
+
     const result = await analyze(
       req.file.path,
       department || null,
       category || null,
-      req.file.originalname
+      req.file.originalname,
+      { options, profile: profile || null }
     );
 
     console.log(
@@ -171,6 +176,14 @@ router.post("/analyze", upload.single("document"), async (req, res) => {
       fs.unlinkSync(req.file.path);
     }
 
+    if (format !== "json") {
+      const report = await renderReport(result, format, { filename: req.file.originalname });
+      console.log(`📑 ${format.toUpperCase()} report: ${report.filename}`);
+      res.setHeader("Content-Type", report.contentType);
+      res.setHeader("Content-Disposition", `attachment; filename="${report.filename}"`);
+      return res.send(report.body);
+    }
+
     return res.json({
       success: true,
       filename: req.file.originalname,
@@ -182,7 +195,7 @@ router.post("/analyze", upload.single("document"), async (req, res) => {
     }
 
     console.error("Analysis error:", error);
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || "An error occurred during analysis",
     });
@@ -190,14 +203,15 @@ router.post("/analyze", upload.single("document"), async (req, res) => {
 });
 
 // GET /categories
-router.get("/categories", (req, res) => {
+router.get("/categories", contract("listCategories"), (req, res) => {
   try {
-    const keywords = loadKeywordsFromExcel();
-    const categories = [...new Set(keywords.map((k) => k.category))].sort();
+    const { version, rules } = getRulebook();
+    const categories = [...new Set(rules.map((k) => k.category))].sort();
     return res.json({
       success: true,
       categories,
-      totalRules: keywords.length,
+      totalRules: rules.length,
+      rulebookVersion: version,
     });
   } catch (error) {
     return res.status(500).json({
@@ -208,11 +222,11 @@ router.get("/categories", (req, res) => {
 });
 
 // GET /keywords/:category
-router.get("/keywords/:category", (req, res) => {
+router.get("/keywords/:category", contract("listKeywords"), (req, res) => {
   try {
     const { category } = req.params;
-    const keywords = loadKeywordsFromExcel();
-    const filtered = keywords.filter(
+    const { version, rules } = getRulebook();
+    const filtered = rules.filter(
       (k) => (k.category || "").toLowerCase() === category.toLowerCase()
     );
     return res.json({
@@ -220,6 +234,7 @@ router.get("/keywords/:category", (req, res) => {
       category,
       keywords: filtered,
       count: filtered.length,
+      rulebookVersion: version,
     });
   } catch (error) {
     return res.status(500).json({
@@ -230,7 +245,7 @@ router.get("/keywords/:category", (req, res) => {
 });
 
 // POST /extract-artifacts
-router.post("/extract-artifacts", upload.single("document"), async (req, res) => {
+router.post("/extract-artifacts", upload.single("document"), contract("extractArtifacts"), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -239,24 +254,22 @@ router.post("/extract-artifacts", upload.single("document"), async (req, res) =>
       });
     }
 
-    // Support both PDF and DOCX
-    const ext = path.extname(req.file.originalname).toLowerCase();
-    if (![".pdf", ".docx", ".doc"].includes(ext)) {
-      if (fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
-      }
-      return res.status(400).json({
-        success: false,
-        error: "Only PDF and DOCX files are supported for artifact extraction.",
-      });
-    }
-
-    const departmentName = req.body.departmentName || req.body.department || null;
+    const departmentName = req.body.departmentName || null;
+    const options = parseExtractionOptions({ ...req.query, ...req.body });
 
-    console.log(`\n📄 Extracting artifacts from: ${req.file.originalname} (${ext})`);
+    console.log(`\n📄 Extracting artifacts from: ${req.file.originalname}`);
     console.log(`🏢 Department: ${departmentName || "Not provided"}`);
 
-    const result = await extractArtifactsFromPdf(req.file.path, departmentName, req.file.originalname);
+    if (wantsAsync(req)) {
+      return respondWithJob(req, res, {
+        type: "extract-artifacts",
+        meta: { departmentName },
+        task: ({ onProgress, signal }) =>
+          extractArtifactsFromPdf(req.file.path, departmentName, req.file.originalname, { onProgress, options, signal }),
+      });
+    }
+
+    const result = await extractArtifactsFromPdf(req.file.path, departmentName, req.file.originalname, { options });
 
     console.log(`✓ Artifact extraction complete`);
 
@@ -272,7 +285,7 @@ router.post("/extract-artifacts", upload.single("document"), async (req, res) =>
     }
 
     console.error("Artifact extraction error:", error);
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || "An error occurred during artifact extraction",
     });
@@ -280,7 +293,7 @@ router.post("/extract-artifacts", upload.single("document"), async (req, res) =>
 });
 
 // POST /evaluate-rfp
-router.post("/evaluate-rfp", upload.single("document"), async (req, res) => {
+router.post("/evaluate-rfp", upload.single("document"), contract("evaluateRfp"), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -289,26 +302,37 @@ router.post("/evaluate-rfp", upload.single("document"), async (req, res) => {
       });
     }
 
-    const department = req.body.department || req.body.Department || req.body.dept || req.body.departmentName || "Unknown";
-    const ext = path.extname(req.file.originalname).toLowerCase();
-    
-    if (![".pdf", ".docx", ".doc", ".txt"].includes(ext)) {
-      if (fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
-      }
-      return res.status(400).json({
-        success: false,
-        error: "Unsupported file format. Supported formats: .pdf, .docx, .doc, .txt",
-      });
-    }
+    const department = req.body.department || "Unknown";
+    const options = parseExtractionOptions({ ...req.query, ...req.body });
 
     console.log(`\n📄 Extracting RFP evaluation data from: ${req.file.originalname}`);
     console.log(`🏢 Department: ${department}`);
 
+    if (wantsAsync(req)) {
+      return respondWithJob(req, res, {
+        type: "evaluate-rfp",
+        meta: { department },
+        task: async ({ onProgress, signal }) => ({
+          success: true,
+          filename: req.file.originalname,
+          department,
+          evaluation: await extractRfpEvaluation({
+            filePath: req.file.path,
+            department,
+            originalFileName: req.file.originalname,
+            options,
+            onProgress,
+            signal,
+          }),
+        }),
+      });
+    }
+
     const result = await extractRfpEvaluation({
       filePath: req.file.path,
       department,
       originalFileName: req.file.originalname,
+      options,
     });
 
     console.log(`✓ RFP evaluation extraction complete`);
@@ -330,7 +354,7 @@ router.post("/evaluate-rfp", upload.single("document"), async (req, res) => {
     }
 
     console.error("RFP evaluation error:", error);
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || "An error occurred during RFP evaluation extraction",
     });
@@ -338,7 +362,7 @@ router.post("/evaluate-rfp", upload.single("document"), async (req, res) => {
 });
 
 // POST /extract-matrix
-router.post("/extract-matrix", upload.single("document"), async (req, res) => {
+router.post("/extract-matrix", upload.single("document"), contract("extractMatrix"), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -347,26 +371,26 @@ router.post("/extract-matrix", upload.single("document"), async (req, res) => {
       });
     }
 
-    const tenderId = req.body.tenderId || req.body.tender_id || null;
-    const ext = path.extname(req.file.originalname).toLowerCase();
-    
-    if (![".pdf", ".docx", ".doc", ".txt"].includes(ext)) {
-      if (fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
-      }
-      return res.status(400).json({
-        success: false,
-        error: "Unsupported file format. Supported formats: .pdf, .docx, .doc, .txt",
-      });
-    }
+    const tenderId = req.body.tenderId || null;
+    const options = parseExtractionOptions({ ...req.query, ...req.body });
 
     console.log(`\n📄 Extracting tender matrix from: ${req.file.originalname}`);
     console.log(`📋 Tender ID: ${tenderId || "Not provided"}`);
 
+    if (wantsAsync(req)) {
+      return respondWithJob(req, res, {
+        type: "extract-matrix",
+        meta: { tenderId },
+        task: ({ onProgress, signal }) =>
+          extractTenderMatrix(req.file.path, tenderId, req.file.originalname, { onProgress, options, signal }),
+      });
+    }
+
     const result = await extractTenderMatrix(
       req.file.path,
       tenderId,
-      req.file.originalname
+      req.file.originalname,
+      { options }
     );
 
     console.log(`✓ Matrix extraction complete. Found ${result.length} companies.`);
@@ -383,7 +407,7 @@ router.post("/extract-matrix", upload.single("document"), async (req, res) => {
     }
 
     console.error("Matrix extraction error:", error);
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || "An error occurred during matrix extraction",
     });
@@ -391,7 +415,7 @@ router.post("/extract-matrix", upload.single("document"), async (req, res) => {
 });
 
 // POST /extract-tender-overview
-router.post("/extract-tender-overview", upload.single("document"), async (req, res) => {
+router.post("/extract-tender-overview", upload.single("document"), contract("extractTenderOverview"), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -400,29 +424,37 @@ router.post("/extract-tender-overview", upload.single("document"), async (req, r
       });
     }
 
-    const departmentName = req.body.departmentName || req.body.department || req.body.dept || null;
-    const rfpTitle = req.body.rfpTitle || req.body.title || req.body.rfp_title || null;
-    const ext = path.extname(req.file.originalname).toLowerCase();
-    
-    if (![".pdf", ".docx", ".doc", ".txt"].includes(ext)) {
-      if (fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
-      }
-      return res.status(400).json({
-        success: false,
-        error: "Unsupported file format. Supported formats: .pdf, .docx, .doc, .txt",
-      });
-    }
+    const departmentName = req.body.departmentName || null;
+    const rfpTitle = req.body.rfpTitle || null;
+    const options = parseExtractionOptions({ ...req.query, ...req.body });
 
     console.log(`\n📄 Extracting tender overview from: ${req.file.originalname}`);
     console.log(`🏢 Department: ${departmentName || "Not provided"}`);
     console.log(`📋 RFP Title: ${rfpTitle || "Not provided"}`);
 
+    if (wantsAsync(req)) {
+      return respondWithJob(req, res, {
+        type: "extract-tender-overview",
+        meta: { departmentName, rfpTitle },
+        task: ({ onProgress, signal }) =>
+          extractTenderOverview({
+            filePath: req.file.path,
+            departmentName,
+            rfpTitle,
+            originalFileName: req.file.originalname,
+            options,
+            onProgress,
+            signal,
+          }),
+      });
+    }
+
     const result = await extractTenderOverview({
       filePath: req.file.path,
       departmentName,
       rfpTitle,
       originalFileName: req.file.originalname,
+      options,
     });
 
     console.log(`✓ Tender overview extraction complete`);
@@ -439,7 +471,7 @@ router.post("/extract-tender-overview", upload.single("document"), async (req, r
     }
 
     console.error("Tender overview extraction error:", error);
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || "An error occurred during tender overview extraction",
     });
@@ -0,0 +1,103 @@
+import { Router } from "express";
+import fs from "fs";
+import { analyze } from "../services/analysisService.js";
+import { selectProfile } from "../services/profileService.js";
+import { compareAnalyses } from "../services/compareService.js";
+import { getCompletedAnalysis } from "./jobRoutes.js";
+import { upload } from "./upload.js";
+import { contract } from "./validation.js";
+
+const router = Router();
+
+const VERSIONS = ["base", "revised"];
+
+function sendError(res, error) {
+  if (!error.statusCode) console.error("Comparison error:", error);
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message || "Comparison failed",
+  });
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * One version to compare: a stored analysis (`<version>JobId`, a completed
+ * analyze job) or an uploaded document, analyzed now.
+ */
+async function loadVersion(version, req, { profile }) {
+  const file = req.files?.[version]?.[0];
+  const jobId = req.body[`${version}JobId`];
+  if (file && jobId) throw badRequest(`Send either a '${version}' document or '${version}JobId', not both.`);
+  if (!file && !jobId) throw badRequest(`Provide a '${version}' document or '${version}JobId'.`);
+
+  if (jobId) {
+    const job = getCompletedAnalysis(jobId);
+    console.log(`🗂️  ${version}: analysis job ${job.id} (${job.result.filename})`);
+    return {
+      source: { jobId: job.id, filename: job.result.filename },
+      result: job.result.result,
+      sections: job.artifacts.sections,
+    };
+  }
+
+  console.log(`📄 ${version}: analyzing ${file.originalname}`);
+  let sections = null;
+  // Recommendations are not compared, so they are not AI-enhanced
+  const result = await analyze(file.path, req.body.department || null, req.body.category || null, file.originalname, {
+    options: { aiEnhancement: false },
+    profile,
+    onSections: (found) => (sections = found),
+  });
+  return { source: { jobId: null, filename: file.originalname }, result, sections };
+}
+
+const describe = ({ source, result }) => ({
+  ...source,
+  overallScore: result.completenessAssessment.overallScore,
+  profile: result.profile,
+  rulebookVersion: result.rulebookVersion,
+});
+
+// POST /compare - what changed between two versions of a tender
+router.post(
+  "/",
+  upload.fields(VERSIONS.map((name) => ({ name, maxCount: 1 }))),
+  contract("compareVersions"),
+  async (req, res) => {
+    try {
+      const { profile } = req.body;
+      if (profile) selectProfile({ profileId: profile });
+
+      console.log("\n🔀 Comparing tender versions");
+      const base = await loadVersion("base", req, { profile: profile || null });
+      // Both versions are scored with the same profile unless one was analyzed earlier
+      const revised = await loadVersion("revised", req, { profile: profile || base.result.profile.id });
+
+      const comparison = compareAnalyses(base, revised);
+      const { summary, scores } = comparison;
+      console.log(
+        `✓ Comparison complete: score ${scores.overall.base} → ${scores.overall.revised}; ${summary.resolvedGaps} gaps resolved, ${summary.newGaps} new, ${summary.changedGaps} changed`
+      );
+
+      return res.json({
+        success: true,
+        base: describe(base),
+        revised: describe(revised),
+        ...comparison,
+      });
+    } catch (error) {
+      return sendError(res, error);
+    } finally {
+      for (const file of Object.values(req.files || {}).flat()) {
+        if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+      }
+    }
+  }
+);
+
+export default router;
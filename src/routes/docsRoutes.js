@@ -0,0 +1,15 @@
+import { Router } from "express";
+import swaggerUi from "swagger-ui-express";
+import { getOpenApiSpec } from "../services/openApiService.js";
+
+const router = Router();
+
+// GET /openapi.json
+router.get("/openapi.json", (req, res) => {
+  res.json(getOpenApiSpec());
+});
+
+// GET /docs - interactive viewer for /openapi.json
+router.use("/docs", swaggerUi.serve, swaggerUi.setup(null, { swaggerOptions: { url: "/openapi.json" } }));
+
+export default router;
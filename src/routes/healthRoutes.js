@@ -1,8 +1,9 @@
 import { Router } from "express";
+import { contract } from "./validation.js";
 
 const router = Router();
 
-router.get("/", (req, res) => {
+router.get("/", contract("getHealth"), (req, res) => {
   res.json({
     status: "ok",
     message: "Tender Gap Analyzer API is running",
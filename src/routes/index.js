@@ -1,10 +1,26 @@
 import healthRoutes from "./healthRoutes.js";
 import analyzeRoutes from "./analyzeRoutes.js";
 import preBidQueryRoutes from "./preBidQueryRoutes.js";
+import jobRoutes from "./jobRoutes.js";
+import docsRoutes from "./docsRoutes.js";
+import rulesRoutes from "./rulesRoutes.js";
+import profilesRoutes from "./profilesRoutes.js";
+import riskRoutes from "./riskRoutes.js";
+import reportRoutes from "./reportRoutes.js";
+import compareRoutes from "./compareRoutes.js";
+import timelineRoutes from "./timelineRoutes.js";
 
 export function registerRoutes(app) {
+  app.use("/", docsRoutes);
   app.use("/health", healthRoutes);
   app.use("/", analyzeRoutes);
   app.use("/pre-bid-queries", preBidQueryRoutes);
+  app.use("/jobs", jobRoutes);
+  app.use("/rules", rulesRoutes);
+  app.use("/profiles", profilesRoutes);
+  app.use("/risk-register", riskRoutes);
+  app.use("/reports", reportRoutes);
+  app.use("/compare", compareRoutes);
+  app.use("/timeline", timelineRoutes);
 }
 
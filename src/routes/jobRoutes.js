@@ -0,0 +1,180 @@
+import { Router } from "express";
+import fs from "fs";
+import {
+  createJob,
+  getJob,
+  cancelJob,
+  serializeJob,
+  subscribeToJob,
+  isJobFinished,
+} from "../services/jobService.js";
+import { contract } from "./validation.js";
+
+const router = Router();
+
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * True when the caller asked for a Server-Sent Events progress stream
+ * (`Accept: text/event-stream` or `?stream=true`).
+ */
+export function wantsStream(req) {
+  return (req.get("accept") || "").includes("text/event-stream") || req.query.stream === "true";
+}
+
+/**
+ * True when the request should run as a background job instead of a blocking
+ * response: `?async=true`, an `async=true` form field, or an SSE stream.
+ */
+export function wantsAsync(req) {
+  return req.query.async === "true" || req.body?.async === "true" || wantsStream(req);
+}
+
+function finalEventData(job) {
+  if (job.status === "completed") return { result: job.result };
+  if (job.status === "failed") return { error: job.error };
+  return {};
+}
+
+/**
+ * Stream a job's events to the client as Server-Sent Events.
+ *
+ * The first event (`job`) is the current job state; then `progress`,
+ * `partial` and one of `completed` / `failed` / `cancelled`, after which the
+ * stream ends. Disconnecting does not cancel the job: it can be followed again
+ * at /jobs/:id/events or cancelled with DELETE /jobs/:id.
+ */
+export function streamJob(req, res, job) {
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send("job", { ...serializeJob(job), statusUrl: `/jobs/${job.id}`, eventsUrl: `/jobs/${job.id}/events` });
+
+  if (isJobFinished(job)) {
+    send(job.status, finalEventData(job));
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), SSE_HEARTBEAT_MS);
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  const unsubscribe = subscribeToJob(job, (event, data) => {
+    send(event, data);
+    if (["completed", "failed", "cancelled"].includes(event)) {
+      close();
+      res.end();
+    }
+  });
+  res.on("close", close);
+}
+
+/**
+ * Start `task` as a background job and reply 202 with the job id, or stream
+ * its progress when the caller asked for SSE (see wantsStream).
+ * The uploaded file is removed once the job settles.
+ */
+export function respondWithJob(req, res, { type, meta = {}, task }) {
+  const uploadedPath = req.file?.path;
+  const job = createJob({
+    type,
+    meta: { filename: req.file?.originalname || null, ...meta },
+    task,
+    cleanup: () => {
+      if (uploadedPath && fs.existsSync(uploadedPath)) {
+        fs.unlinkSync(uploadedPath);
+      }
+    },
+  });
+
+  console.log(`🧵 Queued ${type} job ${job.id}`);
+
+  if (wantsStream(req)) {
+    return streamJob(req, res, job);
+  }
+
+  return res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/jobs/${job.id}`,
+  });
+}
+
+function jobError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * The completed analyze job `id`, for requests that reuse a background
+ * analysis. Throws a 404 (unknown job), 400 (not an analyze job) or 409 (not
+ * completed yet) error otherwise.
+ */
+export function getCompletedAnalysis(id) {
+  const job = getJob(id);
+  if (!job) throw jobError(404, `Job not found: ${id}`);
+  if (job.type !== "analyze") {
+    throw jobError(400, `Job ${job.id} is a ${job.type} job; only analyze jobs can be used here`);
+  }
+  if (job.status !== "completed") {
+    throw jobError(409, `Job ${job.id} is ${job.status}; it can be used once it has completed`);
+  }
+  return job;
+}
+
+// GET /jobs/:id
+router.get("/:id", contract("getJob"), (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Job not found: ${req.params.id}`,
+    });
+  }
+  return res.json({ success: true, ...serializeJob(job) });
+});
+
+// GET /jobs/:id/events
+router.get("/:id/events", contract("streamJobEvents"), (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Job not found: ${req.params.id}`,
+    });
+  }
+  return streamJob(req, res, job);
+});
+
+// DELETE /jobs/:id
+router.delete("/:id", contract("cancelJob"), (req, res) => {
+  const job = cancelJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Job not found: ${req.params.id}`,
+    });
+  }
+  if (job.status !== "cancelled") {
+    return res.status(409).json({
+      ...serializeJob(job),
+      success: false,
+      error: `Job ${job.id} already ${job.status} and cannot be cancelled`,
+    });
+  }
+  return res.json({ success: true, ...serializeJob(job) });
+});
+
+export default router;
@@ -1,49 +1,15 @@
 import { Router } from "express";
-import multer from "multer";
-import path from "path";
 import fs from "fs";
 import { analyzePreBidQueries } from "../services/preBidQueryService.js";
+import { parseExtractionOptions } from "../config/extractionConfig.js";
+import { wantsAsync, respondWithJob } from "./jobRoutes.js";
+import { upload } from "./upload.js";
+import { contract } from "./validation.js";
 
 const router = Router();
 
-// Configure multer for file uploads
-const uploadsDir = path.resolve(process.cwd(), "uploads");
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    if (!fs.existsSync(uploadsDir)) {
-      fs.mkdirSync(uploadsDir, { recursive: true });
-    }
-    cb(null, uploadsDir);
-  },
-  filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname);
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    cb(null, `file-${uniqueSuffix}${ext}`);
-  },
-});
-
-const upload = multer({
-  storage,
-  limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB
-  },
-  fileFilter: (req, file, cb) => {
-    const ext = path.extname(file.originalname).toLowerCase();
-    if ([".pdf", ".docx", ".doc", ".txt", ".html", ".htm", ".md"].includes(ext)) {
-      cb(null, true);
-    } else {
-      cb(
-        new Error(
-          `Unsupported file format: ${ext}. Supported formats: .pdf, .docx, .doc, .txt, .html, .htm, .md`
-        )
-      );
-    }
-  },
-});
-
 // POST /pre-bid-queries/analyze
-router.post("/analyze", upload.single("file"), async (req, res) => {
+router.post("/analyze", upload.single("file"), contract("analyzePreBidQueries"), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -52,9 +18,9 @@ router.post("/analyze", upload.single("file"), async (req, res) => {
       });
     }
 
-    const vendorCompanyName = req.body.vendorCompanyName || req.body.vendor || null;
-    const authorityName = req.body.authorityName || req.body.authority || null;
-    const projectName = req.body.projectName || req.body.project || null;
+    const vendorCompanyName = req.body.vendorCompanyName || null;
+    const authorityName = req.body.authorityName || null;
+    const projectName = req.body.projectName || null;
 
     console.log(`\n📄 Processing pre-bid queries from: ${req.file.originalname}`);
     console.log(`🏢 Vendor: ${vendorCompanyName || "Not provided"}`);
@@ -64,13 +30,24 @@ router.post("/analyze", upload.single("file"), async (req, res) => {
     // Read file buffer
     const buffer = fs.readFileSync(req.file.path);
 
-    const result = await analyzePreBidQueries({
+    const params = {
       buffer,
       filename: req.file.originalname,
       vendorCompanyName: vendorCompanyName ? String(vendorCompanyName).trim() : null,
       authorityName: authorityName ? String(authorityName).trim() : null,
       projectName: projectName ? String(projectName).trim() : null,
-    });
+      options: parseExtractionOptions({ ...req.query, ...req.body }),
+    };
+
+    if (wantsAsync(req)) {
+      return respondWithJob(req, res, {
+        type: "pre-bid-queries",
+        meta: { vendorCompanyName: params.vendorCompanyName, authorityName: params.authorityName, projectName: params.projectName },
+        task: ({ onProgress, signal }) => analyzePreBidQueries({ ...params, onProgress, signal }),
+      });
+    }
+
+    const result = await analyzePreBidQueries(params);
 
     console.log(`✓ Pre-bid query analysis complete. Found ${result.sections.length} sections.`);
 
@@ -88,7 +65,7 @@ router.post("/analyze", upload.single("file"), async (req, res) => {
     }
 
     console.error("Pre-bid query analysis error:", error);
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || "An error occurred during pre-bid query analysis",
     });
@@ -0,0 +1,34 @@
+import { Router } from "express";
+import { listProfiles, getProfile } from "../services/profileService.js";
+import { contract } from "./validation.js";
+
+const router = Router();
+
+function sendError(res, error) {
+  if (!error.statusCode) console.error("Profile error:", error);
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message || "Profile request failed",
+  });
+}
+
+// GET /profiles
+router.get("/", contract("listProfiles"), (req, res) => {
+  try {
+    const profiles = listProfiles();
+    return res.json({ success: true, count: profiles.length, profiles });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// GET /profiles/:id
+router.get("/:id", contract("getProfile"), (req, res) => {
+  try {
+    return res.json({ success: true, profile: getProfile(req.params.id) });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,38 @@
+import { Router } from "express";
+import { REPORT_FORMATS, renderReport } from "../services/reportService.js";
+import { getCompletedAnalysis } from "./jobRoutes.js";
+import { contract } from "./validation.js";
+
+const router = Router();
+
+function sendError(res, error) {
+  if (!error.statusCode) console.error("Report error:", error);
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message || "Report rendering failed",
+  });
+}
+
+// GET /reports/:id - report of a completed background analysis (?async=true)
+router.get("/:id", contract("getReport"), async (req, res) => {
+  try {
+    const { format = "pdf" } = req.query;
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown report format: ${format}. Use one of: ${REPORT_FORMATS.join(", ")}`,
+      });
+    }
+    const job = getCompletedAnalysis(req.params.id);
+
+    const report = await renderReport(job.result.result, format, { filename: job.result.filename });
+    console.log(`📑 ${format.toUpperCase()} report for job ${job.id}: ${report.filename}`);
+    res.setHeader("Content-Type", report.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${report.filename}"`);
+    return res.send(report.body);
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+export default router;
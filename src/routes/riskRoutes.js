@@ -0,0 +1,79 @@
+import { Router } from "express";
+import fs from "fs";
+import { analyze } from "../services/analysisService.js";
+import { selectProfile } from "../services/profileService.js";
+import { listRiskModel, exportRiskRegister } from "../services/riskService.js";
+import { LIKELIHOOD_LEVELS, IMPACT_LEVELS, RISK_RATINGS } from "../config/riskModel.js";
+import { upload } from "./upload.js";
+import { contract } from "./validation.js";
+
+const router = Router();
+
+const EXPORT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+function sendError(res, error) {
+  if (!error.statusCode) console.error("Risk register error:", error);
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message || "Risk register request failed",
+  });
+}
+
+// GET /risk-register/model
+router.get("/model", contract("getRiskModel"), (req, res) => {
+  try {
+    const risks = listRiskModel();
+    return res.json({
+      success: true,
+      likelihoodLevels: LIKELIHOOD_LEVELS,
+      impactLevels: IMPACT_LEVELS,
+      ratings: RISK_RATINGS,
+      count: risks.length,
+      risks,
+    });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// POST /risk-register - analyze a document and return only its risk register
+router.post("/", upload.single("document"), contract("exportRiskRegister"), async (req, res) => {
+  try {
+    const { department, category, profile, format = "json" } = req.body;
+    if (profile) selectProfile({ profileId: profile });
+
+    console.log(`\n📄 Building risk register for: ${req.file.originalname}`);
+    // Recommendations are not part of the register, so they are not AI-enhanced
+    const result = await analyze(req.file.path, department || null, category || null, req.file.originalname, {
+      options: { aiEnhancement: false },
+      profile: profile || null,
+    });
+    const { riskRegister } = result;
+    console.log(`✓ Risk register complete: ${riskRegister.length} risks`);
+
+    if (format === "json") {
+      return res.json({
+        success: true,
+        filename: req.file.originalname,
+        profile: result.profile,
+        count: riskRegister.length,
+        riskRegister,
+      });
+    }
+    const base = req.file.originalname.replace(/\.[^.]+$/, "");
+    res.setHeader("Content-Type", EXPORT_TYPES[format]);
+    res.setHeader("Content-Disposition", `attachment; filename="${base}-risk-register.${format}"`);
+    return res.send(exportRiskRegister(riskRegister, format));
+  } catch (error) {
+    return sendError(res, error);
+  } finally {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+  }
+});
+
+export default router;
@@ -0,0 +1,187 @@
+import { Router } from "express";
+import fs from "fs";
+import { testRule } from "../services/analysisService.js";
+import {
+  getRulebook,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  listVersions,
+  getVersion,
+  restoreVersion,
+  importWorkbook,
+  exportWorkbook,
+  parseDraftRule,
+} from "../services/rulebookService.js";
+import { upload, workbookUpload } from "./upload.js";
+import { contract } from "./validation.js";
+
+const router = Router();
+
+function sendError(res, error) {
+  if (!error.statusCode) console.error("Rulebook error:", error);
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message || "Rulebook request failed",
+  });
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function parseVersion(value) {
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) {
+    throw badRequest(`Invalid rulebook version: ${value}`);
+  }
+  return version;
+}
+
+// The rule under test: a stored rule (ruleId) or a definition, as an object or a JSON string
+function ruleUnderTest({ rule, ruleId }) {
+  if (ruleId) return getRule(ruleId);
+  if (!rule) throw badRequest("Provide a 'rule' definition or a 'ruleId'.");
+  if (typeof rule !== "string") return parseDraftRule(rule);
+  try {
+    return parseDraftRule(JSON.parse(rule));
+  } catch (error) {
+    if (error.statusCode) throw error;
+    throw badRequest(`'rule' is not valid JSON: ${error.message}`);
+  }
+}
+
+// GET /rules
+router.get("/", contract("listRules"), (req, res) => {
+  try {
+    const { version, rules } = getRulebook();
+    const { category } = req.query;
+    const filtered = category
+      ? rules.filter((r) => r.category.toLowerCase() === String(category).toLowerCase())
+      : rules;
+    return res.json({ success: true, version, count: filtered.length, rules: filtered });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// POST /rules
+router.post("/", contract("createRule"), (req, res) => {
+  try {
+    const { version, rule } = createRule(req.body);
+    return res.status(201).json({ success: true, version, rule });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// GET /rules/versions
+router.get("/versions", contract("listRulebookVersions"), (req, res) => {
+  try {
+    const { version } = getRulebook();
+    return res.json({ success: true, current: version, versions: listVersions() });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// GET /rules/versions/:version
+router.get("/versions/:version", contract("getRulebookVersion"), (req, res) => {
+  try {
+    return res.json({ success: true, ...getVersion(parseVersion(req.params.version)) });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// POST /rules/versions/:version/restore
+router.post("/versions/:version/restore", contract("restoreRulebookVersion"), (req, res) => {
+  try {
+    const { rules, ...change } = restoreVersion(parseVersion(req.params.version));
+    return res.json({ success: true, ...change });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// POST /rules/import
+router.post("/import", workbookUpload.single("file"), contract("importRules"), (req, res) => {
+  try {
+    const summary = importWorkbook(req.file.buffer, req.body.mode || "merge");
+    return res.json({ success: true, ...summary });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// POST /rules/test - dry-run a rule, nothing is stored
+router.post("/test", upload.single("document"), contract("testRule"), async (req, res) => {
+  try {
+    const rule = ruleUnderTest(req.body);
+    if (!req.file && typeof req.body.text !== "string") {
+      throw badRequest("Provide a 'document' file or a 'text' field.");
+    }
+    const input = req.file
+      ? { filePath: req.file.path, filename: req.file.originalname }
+      : { text: req.body.text };
+    const result = await testRule(rule, input);
+    return res.json({ success: true, rule, ...result });
+  } catch (error) {
+    return sendError(res, error);
+  } finally {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+  }
+});
+
+// GET /rules/export
+router.get("/export", contract("exportRules"), (req, res) => {
+  try {
+    const version = req.query.version ? parseVersion(req.query.version) : getRulebook().version;
+    const workbook = exportWorkbook(version);
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader("Content-Disposition", `attachment; filename="rulebook-v${version}.xlsx"`);
+    return res.send(workbook);
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// GET /rules/:id
+router.get("/:id", contract("getRule"), (req, res) => {
+  try {
+    const { version } = getRulebook();
+    return res.json({ success: true, version, rule: getRule(req.params.id) });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// PUT /rules/:id
+router.put("/:id", contract("updateRule"), (req, res) => {
+  try {
+    const { version, rule } = updateRule(req.params.id, req.body);
+    return res.json({ success: true, version, rule });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// DELETE /rules/:id
+router.delete("/:id", contract("deleteRule"), (req, res) => {
+  try {
+    const { version, rule } = deleteRule(req.params.id);
+    return res.json({ success: true, version, rule });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+export default router;
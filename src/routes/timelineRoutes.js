@@ -0,0 +1,123 @@
+import { Router } from "express";
+import fs from "fs";
+import { readDocumentText } from "../services/documentService.js";
+import {
+  extractTimeline,
+  saveTimeline,
+  listTimelines,
+  getTimeline,
+  deleteTimeline,
+  summarizeTimeline,
+  timelineCalendar,
+  utcOffset,
+} from "../services/timelineService.js";
+import { upload } from "./upload.js";
+import { contract } from "./validation.js";
+
+const router = Router();
+
+const FORMATS = ["json", "ics"];
+const CALENDAR_TYPE = "text/calendar; charset=utf-8";
+
+function sendError(res, error) {
+  if (!error.statusCode) console.error("Timeline error:", error);
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message || "Timeline request failed",
+  });
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function checkFormat(format) {
+  if (!FORMATS.includes(format)) {
+    throw badRequest(`Unknown timeline format: ${format}. Use one of: ${FORMATS.join(", ")}`);
+  }
+}
+
+const withLinks = (record) => ({
+  success: true,
+  ...record,
+  calendarUrl: `/timeline/${record.id}?format=ics`,
+  feedUrl: "/timeline/calendar.ics",
+});
+
+function sendCalendar(res, records, { name, filename }) {
+  res.setHeader("Content-Type", CALENDAR_TYPE);
+  res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+  return res.send(timelineCalendar(records, { name }));
+}
+
+// POST /timeline - extract a document's procurement timeline and add it to the calendar feed
+router.post("/", upload.single("document"), contract("extractTimeline"), async (req, res) => {
+  try {
+    const { tenderId, timezone, format = "json" } = req.body;
+    if (timezone && !utcOffset(timezone)) {
+      throw badRequest(`Unknown timezone: ${timezone}. Use an IANA name (e.g. Asia/Dubai) or an offset (e.g. +04:00)`);
+    }
+    const title = req.body.title || req.file.originalname.replace(/\.[^.]+$/, "");
+
+    console.log(`\n🗓️  Extracting procurement timeline from: ${req.file.originalname}`);
+    const text = await readDocumentText(req.file.path, req.file.originalname);
+    const timeline = extractTimeline(text, { timezone: timezone || null });
+    const found = timeline.milestones.filter((m) => m.date).length;
+    console.log(`✓ Timeline: ${found}/${timeline.milestones.length} milestones dated (${timeline.timezone}, ${timeline.timezoneSource})`);
+
+    const record = saveTimeline({ tenderId: tenderId || null, title, filename: req.file.originalname, text, timeline });
+    if (format === "ics") return sendCalendar(res, [record], { name: record.title, filename: `${record.id}.ics` });
+    return res.json(withLinks(record));
+  } catch (error) {
+    return sendError(res, error);
+  } finally {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+  }
+});
+
+// GET /timeline - saved timelines
+router.get("/", contract("listTimelines"), (req, res) => {
+  try {
+    const timelines = listTimelines().map((record) => summarizeTimeline(record));
+    return res.json({ success: true, count: timelines.length, timelines });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// GET /timeline/calendar.ics - every saved timeline, for calendar subscriptions
+router.get("/calendar.ics", contract("getTimelineFeed"), (req, res) => {
+  try {
+    return sendCalendar(res, listTimelines(), { name: "Tender timelines", filename: "tender-timelines.ics" });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// GET /timeline/:id
+router.get("/:id", contract("getTimeline"), (req, res) => {
+  try {
+    const { format = "json" } = req.query;
+    checkFormat(format);
+    const record = getTimeline(req.params.id);
+    if (format === "ics") return sendCalendar(res, [record], { name: record.title, filename: `${record.id}.ics` });
+    return res.json(withLinks(record));
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+// DELETE /timeline/:id - remove a tender from the calendar feed
+router.delete("/:id", contract("deleteTimeline"), (req, res) => {
+  try {
+    return res.json({ success: true, timeline: summarizeTimeline(deleteTimeline(req.params.id)) });
+  } catch (error) {
+    return sendError(res, error);
+  }
+});
+
+export default router;
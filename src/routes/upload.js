@@ -0,0 +1,63 @@
+import multer from "multer";
+import path from "path";
+import fs from "fs";
+import { SUPPORTED_EXTENSIONS } from "../services/documentService.js";
+
+// Configure multer for file uploads
+const uploadsDir = path.resolve(process.cwd(), "uploads");
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    if (!fs.existsSync(uploadsDir)) {
+      fs.mkdirSync(uploadsDir, { recursive: true });
+    }
+    cb(null, uploadsDir);
+  },
+  filename: (req, file, cb) => {
+    const ext = path.extname(file.originalname);
+    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+    cb(null, `file-${uniqueSuffix}${ext}`);
+  },
+});
+
+// Every document endpoint accepts the formats the ingestion layer can read
+export const upload = multer({
+  storage,
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (SUPPORTED_EXTENSIONS.includes(ext)) {
+      cb(null, true);
+    } else {
+      const error = new Error(
+        `Unsupported file format: ${ext}. Supported formats: ${SUPPORTED_EXTENSIONS.join(", ")}`
+      );
+      error.statusCode = 400;
+      cb(error);
+    }
+  },
+});
+
+// Rulebook workbooks are parsed in memory and never written to uploads/
+const WORKBOOK_EXTENSIONS = [".xlsx", ".xls"];
+
+export const workbookUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (WORKBOOK_EXTENSIONS.includes(ext)) {
+      cb(null, true);
+    } else {
+      const error = new Error(
+        `Unsupported file format: ${ext}. Supported formats: ${WORKBOOK_EXTENSIONS.join(", ")}`
+      );
+      error.statusCode = 400;
+      cb(error);
+    }
+  },
+});
@@ -0,0 +1,124 @@
+import fs from "fs";
+import Ajv from "ajv";
+import {
+  getOpenApiSpec,
+  getOperation,
+  requestFieldsSchema,
+  fieldAliases,
+} from "../services/openApiService.js";
+
+// "warn" logs responses that break the OpenAPI contract, "strict" replaces
+// them with a 500, "off" skips response validation.
+const RESPONSE_VALIDATION = (process.env.RESPONSE_VALIDATION || "warn").trim().toLowerCase();
+
+// Form fields arrive as strings, so request validation coerces types (on a copy)
+const requestAjv = new Ajv({ allErrors: true, strict: false, coerceTypes: true });
+// JSON bodies and responses are checked as they are, against the spec's components
+const specAjv = new Ajv({ allErrors: true, strict: false });
+specAjv.addSchema(getOpenApiSpec(), "openapi");
+
+function formatError(error) {
+  const path = error.instancePath.slice(1).replace(/\//g, ".");
+  const property = error.params.missingProperty ?? error.params.additionalProperty;
+  const field = property !== undefined ? [path, property].filter(Boolean).join(".") : path || "(root)";
+  let message = error.message;
+  if (error.keyword === "required") message = "is required";
+  if (error.keyword === "additionalProperties") message = "is not a known field";
+  if (error.keyword === "enum") message = `must be one of: ${error.params.allowedValues.join(", ")}`;
+  return { field, message };
+}
+
+function renameAliases(fields, aliases) {
+  if (!fields) return;
+  for (const [alias, name] of Object.entries(aliases)) {
+    if (fields[alias] === undefined) continue;
+    if (fields[name] === undefined) fields[name] = fields[alias];
+    delete fields[alias];
+  }
+}
+
+function compileResponseValidators(operation) {
+  const operationSpec = getOpenApiSpec().paths[operation.path][operation.method];
+  const validators = {};
+  for (const [status, response] of Object.entries(operationSpec.responses)) {
+    const schema = response.content?.["application/json"]?.schema;
+    if (!schema) continue;
+    // Error bodies share the generic { success: false, error } shape
+    const target = status === "default" || Number(status) >= 400 ? "#/components/schemas/Error" : schema.$ref;
+    validators[status] = specAjv.compile({ $ref: `openapi${target}` });
+  }
+  return validators;
+}
+
+function checkResponses(operation, validators, res) {
+  const send = res.json.bind(res);
+  res.json = (body) => {
+    const status = res.statusCode;
+    const validate = validators[status] || (status >= 400 ? validators.default : null);
+    if (validate && !validate(body)) {
+      const errors = validate.errors.slice(0, 10).map(formatError);
+      console.warn(
+        `⚠️  ${operation.operationId} response ${status} does not match the OpenAPI schema: ${errors
+          .map((e) => `${e.field} ${e.message}`)
+          .join("; ")}`
+      );
+      if (RESPONSE_VALIDATION === "strict") {
+        res.status(500);
+        return send({ success: false, error: "Response failed schema validation", errors });
+      }
+    }
+    return send(body);
+  };
+}
+
+/**
+ * Middleware enforcing the OpenAPI contract of one operation (see
+ * services/openApiService.js). Place it after multer.
+ *
+ * - Renames deprecated field aliases to their canonical names, in place, so
+ *   handlers only read canonical fields.
+ * - Rejects a missing upload, invalid fields or an invalid JSON body with a
+ *   400 listing each field.
+ * - Checks JSON responses against the documented schema (RESPONSE_VALIDATION).
+ */
+export function contract(operationId) {
+  const operation = getOperation(operationId);
+  const validateFields = operation.fileField ? requestAjv.compile(requestFieldsSchema(operation)) : null;
+  const validateBody = operation.body ? specAjv.compile({ $ref: `openapi${operation.body.$ref}` }) : null;
+  const responseValidators = RESPONSE_VALIDATION === "off" ? null : compileResponseValidators(operation);
+
+  return (req, res, next) => {
+    if (responseValidators) checkResponses(operation, responseValidators, res);
+
+    const errors = [];
+    if (validateBody && !validateBody(req.body)) {
+      errors.push(...validateBody.errors.map(formatError));
+    }
+    if (validateFields) {
+      const aliases = fieldAliases(operation);
+      renameAliases(req.body, aliases);
+      renameAliases(req.query, aliases);
+
+      if (!operation.fileOptional) {
+        for (const field of [operation.fileField].flat()) {
+          if (req.file?.fieldname !== field && !req.files?.[field]?.length) {
+            errors.push({ field, message: "is required (multipart file upload)" });
+          }
+        }
+      }
+      if (!validateFields({ ...req.query, ...req.body })) {
+        errors.push(...validateFields.errors.map(formatError));
+      }
+    }
+    if (errors.length === 0) return next();
+
+    for (const file of [req.file, ...Object.values(req.files || {}).flat()]) {
+      if (file?.path && fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    }
+    return res.status(400).json({
+      success: false,
+      error: `Invalid request: ${errors.map((e) => `${e.field} ${e.message}`).join("; ")}`,
+      errors,
+    });
+  };
+}
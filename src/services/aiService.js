@@ -1,47 +1,22 @@
-import { OLLAMA_URL, OLLAMA_MODEL, OLLAMA_ENABLED } from "../config/ollamaConfig.js";
+import { complete, isLlmEnabled } from "./llmClient.js";
 import { rxFind } from "../utils/textUtils.js";
 
-export async function callOllama(prompt, maxRetries = 2) {
-  if (!OLLAMA_ENABLED) {
+export async function callLlm(prompt, maxRetries = 2, { signal } = {}) {
+  if (!isLlmEnabled()) {
     return null;
   }
 
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      const response = await fetch(`${OLLAMA_URL}/generate`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          model: OLLAMA_MODEL,
-          prompt,
-          stream: false,
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`Ollama API error: ${response.status} ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      return data.response?.trim() || null;
-    } catch (error) {
-      if (attempt === maxRetries - 1) {
-        console.error(
-          `Warning: Ollama API call failed after ${maxRetries} attempts: ${error.message}`
-        );
-        return null;
-      }
-      await new Promise((resolve) => setTimeout(resolve, 1000 * (attempt + 1)));
-    }
+  try {
+    const response = await complete(prompt, { retries: maxRetries - 1, signal });
+    return response.trim() || null;
+  } catch (error) {
+    console.error(`Warning: LLM call failed: ${error.message}`);
+    return null;
   }
-
-  return null;
 }
 
-export async function extractDocumentInfoWithAI(text) {
-  if (!OLLAMA_ENABLED) return null;
+export async function extractDocumentInfoWithAI(text, { signal } = {}) {
+  if (!isLlmEnabled()) return null;
 
   const prompt = `Extract the following information from this RFP/tender document. Return ONLY a JSON object with these exact keys: title, department, documentType, year, referenceId, version. If any field cannot be found, use null.
 
@@ -59,7 +34,7 @@ Return only valid JSON, no explanations:
 }`;
 
   try {
-    const response = await callOllama(prompt);
+    const response = await callLlm(prompt, 2, { signal });
     if (!response) return null;
 
     const jsonMatch = response.match(/\{[\s\S]*\}/);
@@ -84,9 +59,10 @@ Return only valid JSON, no explanations:
 export async function enhanceRecommendationsWithAI(
   recommendations,
   gapCategories,
-  documentInfo
+  documentInfo,
+  { signal } = {}
 ) {
-  if (!OLLAMA_ENABLED) return recommendations;
+  if (!isLlmEnabled()) return recommendations;
 
   const categoriesWithRecs = Object.entries(recommendations).filter(
     ([_, recs]) => recs.length > 0
@@ -122,7 +98,7 @@ Return ONLY a JSON array with the same number of improved recommendations, no ex
 ["improved recommendation 1", "improved recommendation 2", ...]`;
 
     try {
-      const response = await callOllama(prompt);
+      const response = await callLlm(prompt, 2, { signal });
       if (response) {
         const jsonMatch = response.match(/\[[\s\S]*\]/);
         if (jsonMatch) {
@@ -1,21 +1,218 @@
 import { NI, GAP_CATEGORIES } from "../utils/constants.js";
-import { norm, rxFind, splitIntoSections, inText, missingTerms } from "../utils/textUtils.js";
-import { readDocumentText } from "./documentService.js";
+import { norm, rxFind, inText, missingTerms, contextAround, ruleRegex } from "../utils/textUtils.js";
+import { ingestDocument, compactText } from "./documentService.js";
+import { createCitationIndex, locateText } from "./citationService.js";
+import { buildOutline, sectionsFromOutline, canonicalSection } from "./outlineService.js";
+import { checkConsistency } from "./consistencyService.js";
+import { languageProfile, bilingualFields, arabicLabelPatterns, findArabicTerm } from "./languageService.js";
+import { ARABIC_LABELS, ARABIC_DOCUMENT_TYPES } from "../config/arabicLabels.js";
+import { buildRiskRegister, summarizeRisks } from "./riskService.js";
+import { resolveExtractionOptions } from "../config/extractionConfig.js";
+import { getRulebook } from "./rulebookService.js";
+import { computeScore, normalizeSeverity } from "./scoringService.js";
 import {
-  loadKeywordsFromExcel,
-  buildRulesFromKeywords,
-} from "./keywordRulesService.js";
+  detectTenderType,
+  selectProfile,
+  applyProfile,
+  weighted,
+  coversCategory,
+} from "./profileService.js";
+import { RECOMMENDATION_TEMPLATES } from "../config/analysisProfiles.js";
 import {
   extractDocumentInfoWithAI,
   enhanceRecommendationsWithAI,
 } from "./aiService.js";
 
+// Document-wide checks that are not workbook rules, in rule form for scoring
+// Named "Consistent <fact name>" for each key fact (config/keyFacts.js)
+const CONSISTENCY_CHECK = {
+  severity: "medium",
+  required: false,
+};
+const KPI_CHECK = {
+  name: "Specific metrics for evaluating vendor performance post-implementation",
+  category: "KPI & Performance",
+  severity: "medium",
+  required: true,
+};
+const RISK_CHECK = {
+  name: "Formal risk scoring model and risk register",
+  category: "Risk Management",
+  severity: "low",
+  required: false,
+};
+// Named "Required section: <header>" for each section the analysis profile requires
+const REQUIRED_SECTION_CHECK = {
+  category: "Administrative",
+  severity: "high",
+  required: true,
+};
+
+// Recommendation text from a profile template ({rule}, {terms}, {triggers})
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) => values[key] ?? placeholder);
+}
+
 function initCategories() {
   return Object.fromEntries(GAP_CATEGORIES.map((k) => [k, []]));
 }
 
+// The line of `scope` containing the first match of any pattern (citation evidence)
+function matchedLine(scope, patterns) {
+  for (const p of patterns) {
+    const m = ruleRegex(p).exec(scope);
+    if (m) {
+      const start = scope.lastIndexOf("\n", m.index) + 1;
+      const end = scope.indexOf("\n", m.index + m[0].length);
+      return scope.slice(start, end === -1 ? scope.length : end).trim();
+    }
+  }
+  return null;
+}
+
+// First hit of any pattern in the searched sections (gap evidence)
+function findEvidence(scopes, patterns) {
+  for (const [section, body] of scopes) {
+    for (const pattern of patterns) {
+      const m = ruleRegex(pattern).exec(body);
+      if (m) {
+        return {
+          pattern,
+          match: m[0],
+          section,
+          context: contextAround(body, m.index, m.index + m[0].length),
+        };
+      }
+    }
+  }
+  return null;
+}
+
+// Structured gap (the `gaps` entries of the analysis result)
+function buildGap(rule, type, message, { sections = ["FULL"], presence = null, missingTerms = [], triggers = [] } = {}) {
+  return {
+    rule: rule.name,
+    ruleId: rule.id ?? null,
+    category: rule.category,
+    type,
+    severity: normalizeSeverity(rule.severity, rule.required),
+    message,
+    sections,
+    presence,
+    missingTerms,
+    triggers,
+  };
+}
+
+/**
+ * Sections a rule is checked against, as [section name, section text] pairs:
+ * the rule's `where` sections found in the document (by canonical name or
+ * synonym), otherwise the whole document.
+ */
+function ruleScopes(rule, sections, text) {
+  const scopes = [];
+  for (const sec of rule.where || []) {
+    const name = sections[sec] ? sec : canonicalSection(sec);
+    if (name && sections[name] && !scopes.some(([n]) => n === name)) scopes.push([name, sections[name]]);
+  }
+  return scopes.length ? scopes : [["FULL", sections.FULL || text]];
+}
+
+/**
+ * Run one rule against the document.
+ *
+ * Each finding carries its scoring `type`/`detail`, the gapCategories
+ * `message`, the completenessAssessment `summary`, the `recommendation`, the
+ * structured `gap` and the document `line` it is based on (null for missing
+ * sections), which is used for citations. Recommendations are worded by the
+ * analysis profile's `templates`.
+ *
+ * @returns {{scopes: Array, present: boolean, findings: Array<Object>}}
+ */
+function evaluateRule(r, sections, text, templates = RECOMMENDATION_TEMPLATES) {
+  const scopes = ruleScopes(r, sections, text);
+  const scope = scopes.map(([, body]) => body).join("\n");
+  const searched = scopes.map(([name]) => name);
+  const present = inText(scope, r.presence || []);
+  const findings = [];
+
+  if (r.required && !present) {
+    const message = `Missing: ${r.name}`;
+    findings.push({
+      type: "missing",
+      detail: "required section not found",
+      message,
+      summary: r.name,
+      recommendation: fillTemplate(templates.missing, { rule: r.name }),
+      gap: buildGap(r, "missing", message, { sections: searched }),
+      line: null,
+    });
+    return { scopes, present, findings };
+  }
+
+  if (!present) return { scopes, present, findings };
+
+  const presence = findEvidence(scopes, r.presence || []);
+
+  if (r.quality_requires?.length) {
+    const miss = missingTerms(scope, r.quality_requires);
+    if (miss.length) {
+      const message = `Weak: ${r.name} lacks measurable detail (${miss.join(", ")}).`;
+      findings.push({
+        type: "weak",
+        detail: `lacks ${miss.join(", ")}`,
+        message,
+        summary: `${r.name} lacks detail: ${miss.join(", ")}`,
+        recommendation: fillTemplate(templates.weak, { rule: r.name, terms: miss.join(", ") }),
+        gap: buildGap(r, "weak", message, { sections: searched, presence, missingTerms: miss }),
+        line: matchedLine(scope, r.presence || []),
+      });
+    }
+  }
+
+  if (r.unclear_triggers?.length && inText(scope, r.unclear_triggers)) {
+    const hits = r.unclear_triggers.filter((p) => ruleRegex(p).test(scope));
+    const message = `Unclear: ${r.name} contains ambiguous phrasing (${hits.join(", ")}).`;
+    findings.push({
+      type: "unclear",
+      detail: hits.join(", "),
+      message,
+      summary: `${r.name} contains ambiguous phrasing (${hits.join(", ")})`,
+      recommendation: fillTemplate(templates.unclear, { rule: r.name, triggers: hits.join(", ") }),
+      gap: buildGap(r, "unclear", message, {
+        sections: searched,
+        presence,
+        triggers: hits.map((p) => findEvidence(scopes, [p])).filter(Boolean),
+      }),
+      line: matchedLine(scope, hits),
+    });
+  }
+
+  for (const p of r.outdated_triggers || []) {
+    if (ruleRegex(p).test(scope)) {
+      const summary = `Outdated reference in '${r.name}': ${p}`;
+      const message = `Outdated: ${summary}`;
+      findings.push({
+        type: "outdated",
+        detail: p,
+        message,
+        summary,
+        recommendation: fillTemplate(templates.outdated, { rule: r.name, triggers: p }),
+        gap: buildGap(r, "outdated", message, {
+          sections: searched,
+          presence,
+          triggers: [findEvidence(scopes, [p])].filter(Boolean),
+        }),
+        line: matchedLine(scope, [p]),
+      });
+    }
+  }
+
+  return { scopes, present, findings };
+}
+
 function bestTitleCandidate(lines) {
-  const titleSignals = /(rfp|request for proposal|sap|s4|s\/4|implementation|tender)/i;
+  const titleSignals = /(rfp|request for proposal|sap|s4|s\/4|implementation|tender|مناقص|ممارس|طلب عروض)/i;
   const clean = lines.map((x) => norm(x)).filter(Boolean);
 
   const strong = clean.find((x) => titleSignals.test(x) && x.length >= 15);
@@ -53,6 +250,8 @@ function extractYear(text) {
     String.raw`(?:RFP|Request|Proposal)\s*(20\d{2})`,
     String.raw`(?:issue|issued|issue\s+date|date\s+of\s+issue)[^\n]{0,100}?(20\d{2})`,
     String.raw`(20\d{2})[^\n]{0,50}?(?:issue|issued|date)`,
+    ...arabicLabelPatterns(ARABIC_LABELS.issueDate, String.raw`[^\n]{0,50}?(20\d{2})`),
+    ...arabicLabelPatterns(ARABIC_LABELS.referenceNumber, String.raw`[^\n]{0,150}?[/\-](20\d{2})`),
   ];
 
   for (const pattern of patterns) {
@@ -68,9 +267,9 @@ function extractYear(text) {
   return null;
 }
 
-async function extractDocumentInfo(text, providedDepartment = null) {
+async function extractDocumentInfo(text, providedDepartment = null, { signal } = {}) {
   let aiInfo = null;
-  aiInfo = await extractDocumentInfoWithAI(text);
+  aiInfo = await extractDocumentInfoWithAI(text, { signal });
 
   let title = null;
   const titlePatterns = [
@@ -79,6 +278,7 @@ async function extractDocumentInfo(text, providedDepartment = null) {
     String.raw`Request\s+for\s+Proposal[:\s]*[\r\n]+([^\r\n]{10,200})`,
     String.raw`RFP[:\s]*[\r\n]+([^\r\n]{10,200})`,
     String.raw`^([A-Z][^\r\n]{20,150}(?:SAP|S4|S\/4|Implementation|RFP|Tender)[^\r\n]{0,100})`,
+    ...arabicLabelPatterns(ARABIC_LABELS.title, String.raw`([^\r\n]{10,200})`),
   ];
 
   for (const pattern of titlePatterns) {
@@ -108,6 +308,7 @@ async function extractDocumentInfo(text, providedDepartment = null) {
       String.raw`Organization[:\s]*[\r\n]+([^\r\n]{5,150})`,
       String.raw`Issuing\s+Organization[:\s]*[\r\n]+([^\r\n]{5,150})`,
       String.raw`Department[:\s]*[\r\n]+([^\r\n]{5,150})`,
+      ...arabicLabelPatterns(ARABIC_LABELS.issuer, String.raw`([^\r\n]{5,150})`),
     ];
 
     for (const pattern of deptPatterns) {
@@ -128,7 +329,9 @@ async function extractDocumentInfo(text, providedDepartment = null) {
     }
   }
 
-  let docType = /\bRFP\b|Request\s+for\s+Proposal/i.test(text) ? "RFP" : NI;
+  let docType = /\bRFP\b|Request\s+for\s+Proposal/i.test(text)
+    ? "RFP"
+    : findArabicTerm(ARABIC_DOCUMENT_TYPES, text)?.type || NI;
 
   let refId = null;
   const refIdPatterns = [
@@ -137,6 +340,7 @@ async function extractDocumentInfo(text, providedDepartment = null) {
     String.raw`RFP[.\s]+No[.\s]*[:\s]*[\r\n]+?\s*([A-Za-z0-9\-/]+)`,
     String.raw`Reference\s+Number[:\s]*[\r\n]+?\s*([A-Za-z0-9\-/]+)`,
     String.raw`Document\s+Reference[:\s]*[\r\n]+?\s*([A-Za-z0-9\-/]+)`,
+    ...arabicLabelPatterns(ARABIC_LABELS.referenceNumber, String.raw`([A-Za-z0-9][A-Za-z0-9\-/.]*)`),
   ];
 
   for (const pattern of refIdPatterns) {
@@ -222,12 +426,39 @@ export async function analyze(
   filePath,
   providedDepartment = null,
   providedCategory = null,
-  originalFileName = null
+  originalFileName = null,
+  { onProgress, onSections, options = {}, profile: profileId = null, signal } = {}
 ) {
-  const text = await readDocumentText(filePath, originalFileName);
-  const sections = splitIntoSections(text);
+  const progress = typeof onProgress === "function" ? onProgress : () => {};
+  const opts = resolveExtractionOptions(options);
+  const rulebook = getRulebook();
+  // An unknown profile fails before the document is read
+  const requested = profileId ? selectProfile({ profileId }) : null;
+
+  progress("reading_document", { progress: 5 });
+  const doc = await ingestDocument({ filePath, filename: originalFileName, signal });
+  const text = compactText(doc);
+  const outline = buildOutline(text, doc.headings);
+  const sections = sectionsFromOutline(text, outline);
+  // Section texts are not part of the result; version comparison asks for them
+  if (typeof onSections === "function") onSections(sections);
+  const found = Object.keys(sections).filter((name) => name !== "FULL");
+  console.log(
+    `🧩 Outline: ${outline.headings.length} headings${outline.tableOfContents ? " (with table of contents)" : ""}; sections: ${found.join(", ") || "none (rules search the whole document)"}`
+  );
+  const language = languageProfile(text, sections);
+  console.log(`🌐 Language: ${language.document || "unknown"}`);
+
+  const tenderType = detectTenderType(text, rulebook.rules);
+  const { profile, selectedBy } =
+    requested || selectProfile({ tenderType, department: providedDepartment });
+  console.log(
+    `🔎 Tender type: ${tenderType.type || "not detected"}${tenderType.department ? ` (${tenderType.department})` : ""}`
+  );
+  console.log(`🧭 Analysis profile: ${profile.id} (${selectedBy})`);
 
-  const documentInfo = await extractDocumentInfo(text, providedDepartment);
+  progress("extracting_document_info", { progress: 15 });
+  const documentInfo = await extractDocumentInfo(text, providedDepartment, { signal });
   if (providedDepartment) {
     documentInfo.department = providedDepartment;
   }
@@ -239,9 +470,25 @@ export async function analyze(
   const weakSections = [];
   const unclearSections = [];
   const outdatedContent = [];
+  // Finding message -> document line it was based on (for citations)
+  const evidence = new Map();
+  // Per-rule findings for the weighted score (see scoringService.js)
+  const outcomes = [];
+  // Structured version of every gapCategories entry, with its evidence
+  const gaps = [];
+
+  function addGap(rule, type, message, gapEvidence) {
+    gapCategories[rule.category].push(message);
+    gaps.push(buildGap(rule, type, message, gapEvidence));
+  }
 
-  const keywords = loadKeywordsFromExcel();
-  const rules = buildRulesFromKeywords(keywords);
+  // Rules filed under tender categories (Works, Services, ...) are keyword
+  // lists, not gap checks
+  const gapRules = rulebook.rules.filter((r) => GAP_CATEGORIES.includes(r.category));
+  const rules = applyProfile(profile, gapRules);
+  console.log(
+    `📚 Rulebook v${rulebook.version}: ${rules.length} gap rules in profile "${profile.id}" (${gapRules.length - rules.length} left out by the profile, ${rulebook.rules.length - gapRules.length} keyword-only rules skipped)`
+  );
 
   let filteredRules = rules;
   if (providedCategory) {
@@ -268,7 +515,7 @@ export async function analyze(
       console.warn(
         `Provided category "${providedCategory}" is not a valid gap category. Valid gap categories are: ${GAP_CATEGORIES.join(
           ", "
-        )}. Using all rules.`
+        )}. Using all rules. (Tender types such as Works or Services are selected with the 'profile' parameter.)`
       );
       filteredRules = rules;
     }
@@ -278,124 +525,123 @@ export async function analyze(
     `Using ${filteredRules.length} rules for analysis (total available: ${rules.length})`
   );
 
-  function getScopeText(rule) {
-    const chunks = [];
-    for (const sec of rule.where || []) {
-      if (sections[sec]) chunks.push(sections[sec]);
-    }
-    return chunks.length ? chunks.join("\n") : sections.FULL || text;
-  }
+  progress("evaluating_rules", { progress: 30, partial: { documentInfo } });
 
-  for (const r of filteredRules) {
-    const scope = getScopeText(r);
-    const present = inText(scope, r.presence || []);
-
-    if (r.required && !present) {
-      missingSections.push(r.name);
-      gapCategories[r.category].push(`Missing: ${r.name}`);
-      recommendations[r.category].push(
-        `Add a complete section for '${r.name}' aligned to PSD/government tender norms.`
-      );
-      continue;
-    }
+  const summaries = {
+    missing: missingSections,
+    weak: weakSections,
+    unclear: unclearSections,
+    outdated: outdatedContent,
+  };
 
-    if (present) {
-      if (r.quality_requires?.length) {
-        const miss = missingTerms(scope, r.quality_requires);
-        if (miss.length) {
-          weakSections.push(`${r.name} lacks detail: ${miss.join(", ")}`);
-          gapCategories[r.category].push(
-            `Weak: ${r.name} lacks measurable detail (${miss.join(", ")}).`
-          );
-          recommendations[r.category].push(
-            `Strengthen '${r.name}' by explicitly defining: ${miss.join(", ")}.`
-          );
-        }
-      }
+  for (const r of filteredRules) {
+    const { present, findings } = evaluateRule(r, sections, text, profile.recommendations);
+    outcomes.push({ rule: r, present, findings });
 
-      if (r.unclear_triggers?.length && inText(scope, r.unclear_triggers)) {
-        const hits = r.unclear_triggers.filter((p) =>
-          new RegExp(p, "i").test(scope)
-        );
-        unclearSections.push(
-          `${r.name} contains ambiguous phrasing (${hits.join(", ")})`
-        );
-        gapCategories[r.category].push(
-          `Unclear: ${r.name} contains ambiguous phrasing (${hits.join(", ")}).`
-        );
-        recommendations[r.category].push(
-          `Clarify '${r.name}' by replacing ambiguous phrases with specific, testable requirements.`
-        );
+    for (const f of findings) {
+      if (f.type !== "outdated" || !outdatedContent.includes(f.summary)) {
+        summaries[f.type].push(f.summary);
       }
-
-      if (r.outdated_triggers?.length) {
-        for (const p of r.outdated_triggers) {
-          if (new RegExp(p, "i").test(scope)) {
-            const msg = `Outdated reference in '${r.name}': ${p}`;
-            if (!outdatedContent.includes(msg)) outdatedContent.push(msg);
-            gapCategories[r.category].push(`Outdated: ${msg}`);
-            recommendations[r.category].push(
-              `Update '${r.name}' to remove legacy references and align to current government enterprise standards.`
-            );
-          }
-        }
+      gapCategories[r.category].push(f.message);
+      gaps.push(f.gap);
+      if (f.line !== null) {
+        evidence.set(f.summary, f.line);
+        evidence.set(f.message, f.line);
       }
+      recommendations[r.category].push(f.recommendation);
     }
   }
 
-  const headerDeadline = rxFind(
-    text,
-    String.raw`Proposal Submission Deadline\s*[\r\n]+?\s*([0-9]{1,2}/[0-9]{1,2}/[0-9]{4})`
-  );
-  const tableDeadline = rxFind(
-    text,
-    String.raw`Submission of Technical and Commercial Proposal\s*[\r\n]+?\s*([0-9]{1,2}/[0-9]{1,2}/[0-9]{4})`
-  );
-  if (headerDeadline && tableDeadline && headerDeadline !== tableDeadline) {
-    unclearSections.push(
-      `Contradictory proposal submission deadlines: ${headerDeadline} vs ${tableDeadline}`
-    );
-    gapCategories["Administrative"].push(
-      `Unclear: Contradictory proposal submission deadlines (${headerDeadline} vs ${tableDeadline}).`
-    );
-    recommendations["Administrative"].push(
-      "Resolve conflicting submission deadlines by issuing an addendum that states one authoritative deadline (date + time + timezone)."
-    );
+  // Sections the profile requires; each is scored as a required Administrative check
+  for (const section of profile.requiredSections) {
+    const rule = weighted(profile, { ...REQUIRED_SECTION_CHECK, name: `Required section: ${section}` });
+    const outcome = { rule, present: Boolean(sections[section]), findings: [] };
+    outcomes.push(outcome);
+    if (outcome.present) continue;
+    outcome.findings.push({ type: "missing", detail: "section header not found" });
+    missingSections.push(`${section} section`);
+    addGap(rule, "missing", `Missing: ${section} section (required by the ${profile.name} profile).`, {
+      sections: [section],
+    });
+    recommendations[rule.category].push(fillTemplate(profile.recommendations.missing, { rule: section }));
   }
 
-  if (!/\bKPI\b|Key Performance|scorecard|OKR/i.test(text)) {
-    missingSections.push(
-      "Specific metrics for evaluating vendor performance post-implementation"
-    );
-    gapCategories["KPI & Performance"].push(
-      "Missing: Specific metrics for evaluating vendor performance post-implementation."
-    );
-    recommendations["KPI & Performance"].push(
-      "Add a KPI/benefits-realization section covering baseline, targets, measurement cadence, and vendor accountability post go-live."
-    );
+  // Document-wide checks are scored like rules of their gap category
+  // Key facts stated with different values in different places; a fact is
+  // scored once it is stated more than once
+  const contradictions = [];
+  for (const { fact, mentions, conflict } of checkConsistency(text, outline.headings)) {
+    if (!coversCategory(profile, fact.category)) continue;
+    const rule = weighted(profile, { ...CONSISTENCY_CHECK, name: `Consistent ${fact.name}`, category: fact.category });
+    const outcome = { rule, present: mentions.length > 1, findings: [] };
+    outcomes.push(outcome);
+    if (!conflict) continue;
+    contradictions.push(conflict);
+
+    const stated = conflict.values.map((v) => v.value).join(" vs ");
+    outcome.findings.push({ type: "unclear", detail: stated });
+    const unclear = `Contradictory ${fact.name}s: ${stated}`;
+    const gap = `Unclear: Contradictory ${fact.name}s (${stated}).`;
+    unclearSections.push(unclear);
+    const [first, ...others] = conflict.values.map(({ mentions: [mention] }) => ({
+      pattern: mention.label,
+      match: mention.value,
+      section: mention.section || "FULL",
+      context: mention.context,
+    }));
+    addGap(rule, "unclear", gap, { presence: first, triggers: others });
+    const line = text.split("\n")[conflict.values[0].mentions[0].line - 1];
+    evidence.set(unclear, line);
+    evidence.set(gap, line);
+    recommendations[fact.category].push(fact.recommendation);
+  }
+  if (contradictions.length) {
+    console.log(`⚖️  ${contradictions.length} contradictory key facts: ${contradictions.map((c) => c.name).join(", ")}`);
   }
 
-  if (/risk/i.test(text) && !/risk scoring|risk register|probability|impact/i.test(text)) {
-    weakSections.push(
-      "Risk management is mentioned but lacks formal scoring/register (probability × impact)."
-    );
-    gapCategories["Risk Management"].push(
-      "Weak: Risk management is mentioned but lacks a formal risk scoring model and risk register."
-    );
-    recommendations["Risk Management"].push(
-      "Add a formal risk register with probability/impact scoring, mitigation owners, review cadence, and escalation thresholds."
-    );
+  if (coversCategory(profile, KPI_CHECK.category)) {
+    const rule = weighted(profile, KPI_CHECK);
+    const kpiCheck = { rule, present: /\bKPI\b|Key Performance|scorecard|OKR/i.test(text), findings: [] };
+    outcomes.push(kpiCheck);
+    if (!kpiCheck.present) {
+      kpiCheck.findings.push({ type: "missing", detail: "no KPI, scorecard or OKR found" });
+      missingSections.push(
+        "Specific metrics for evaluating vendor performance post-implementation"
+      );
+      addGap(
+        rule,
+        "missing",
+        "Missing: Specific metrics for evaluating vendor performance post-implementation."
+      );
+      recommendations["KPI & Performance"].push(
+        "Add a KPI/benefits-realization section covering baseline, targets, measurement cadence, and vendor accountability post go-live."
+      );
+    }
   }
 
-  function computeScore() {
-    if (missingSections.length) return 32;
-    if (outdatedContent.length) return 52;
-    if (unclearSections.length) return 62;
-    if (weakSections.length) return 72;
-    return 90;
+  if (coversCategory(profile, RISK_CHECK.category)) {
+    const rule = weighted(profile, RISK_CHECK);
+    const riskCheck = { rule, present: /risk/i.test(text), findings: [] };
+    outcomes.push(riskCheck);
+    if (riskCheck.present && !/risk scoring|risk register|probability|impact/i.test(text)) {
+      riskCheck.findings.push({ type: "weak", detail: "no risk scoring model or risk register" });
+      const weak = "Risk management is mentioned but lacks formal scoring/register (probability × impact).";
+      const gap = "Weak: Risk management is mentioned but lacks a formal risk scoring model and risk register.";
+      weakSections.push(weak);
+      addGap(rule, "weak", gap, {
+        presence: findEvidence([["FULL", text]], ["risk"]),
+        missingTerms: ["risk scoring", "risk register", "probability", "impact"],
+      });
+      const line = matchedLine(text, ["risk"]);
+      evidence.set(weak, line);
+      evidence.set(gap, line);
+      recommendations["Risk Management"].push(
+        "Add a formal risk register with probability/impact scoring, mitigation owners, review cadence, and escalation thresholds."
+      );
+    }
   }
 
-  const overallScore = computeScore();
+  const { overallScore, scoreBreakdown } = computeScore(outcomes);
   const summary =
     missingSections.length ||
     weakSections.length ||
@@ -404,49 +650,7 @@ export async function analyze(
       ? "The document contains gaps and/or weaknesses against typical government ICT transformation tender standards, notably around KPI/performance accountability, clarity of administrative dates, and modernization of legacy references."
       : "The document appears broadly complete against common government ICT tender best practices.";
 
-  const high = [];
-  const med = [];
-  const low = [];
-
-  if ([...unclearSections, ...missingSections].some((x) => /integration/i.test(x))) {
-    high.push(
-      "Unclear integration requirements could lead to project failure and vendor misalignment."
-    );
-  }
-  if ([...weakSections, ...missingSections].some((x) => /SLA|Support/i.test(x))) {
-    high.push(
-      "Weak SLA/support definition may cause low performance and uncontrolled operational costs."
-    );
-  }
-  if ([...weakSections, ...missingSections].some((x) => /security/i.test(x))) {
-    high.push(
-      "Insufficient security requirements increase cybersecurity and compliance risk."
-    );
-  }
-
-  if (unclearSections.some((x) => /Contradictory/i.test(x))) {
-    med.push(
-      "Administrative contradictions (submission deadlines) may cause procurement disputes or unfairness claims."
-    );
-  }
-  if ([...weakSections, ...missingSections].some((x) => /Risk management/i.test(x))) {
-    med.push(
-      "Weak risk governance can reduce delivery predictability and oversight quality."
-    );
-  }
-  if (missingSections.length) {
-    med.push(
-      "Missing standard tender modules can lead to inconsistent vendor proposals and evaluation difficulty."
-    );
-  }
-
-  if (outdatedContent.length) {
-    low.push(
-      "Legacy technology references may misalign solution assumptions with current enterprise baselines."
-    );
-  }
-
-  const finalize = (arr) => (arr.length ? arr : [NI]);
+  const riskRegister = buildRiskRegister(gaps);
 
   let enhancedRecommendations = recommendations;
   const totalRecsBefore = Object.values(recommendations).reduce(
@@ -454,7 +658,12 @@ export async function analyze(
     0
   );
 
-  if (totalRecsBefore > 0) {
+  progress("enhancing_recommendations", {
+    progress: 70,
+    partial: { gapCategories, overallScore },
+  });
+
+  if (totalRecsBefore > 0 && opts.aiEnhancement) {
     console.log(
       `🤖 Enhancing ${totalRecsBefore} recommendations with AI validation...`
     );
@@ -462,7 +671,8 @@ export async function analyze(
       enhancedRecommendations = await enhanceRecommendationsWithAI(
         recommendations,
         gapCategories,
-        documentInfo
+        documentInfo,
+        { signal }
       );
       const totalRecsAfter = Object.values(enhancedRecommendations).reduce(
         (sum, recs) => sum + recs.length,
@@ -491,12 +701,22 @@ export async function analyze(
   console.log(`   Missing Sections: ${missingSections.length}`);
   console.log(`   Weak Sections: ${weakSections.length}`);
   console.log(`   Unclear Sections: ${unclearSections.length}`);
-  console.log(`   Outdated Content: ${outdatedContent.length}\n`);
-
-  return {
+  console.log(`   Outdated Content: ${outdatedContent.length}`);
+  console.log(`   Risks: ${riskRegister.length} (${riskRegister.filter((r) => ["critical", "high"].includes(r.rating)).length} high or critical)\n`);
+
+  const outlineHeadings = outline.headings.map(({ title, number, level, section, source }) => ({ title, number, level, section, source }));
+  const result = {
+    rulebookVersion: rulebook.version,
+    profile: { id: profile.id, name: profile.name, selectedBy },
+    tenderType,
+    language,
+    outline: outlineHeadings,
     documentInfo,
+    // Arabic document facts and headings as written, with their English rendering
+    bilingual: await bilingualFields({ documentInfo, outline: outlineHeadings }, { signal }),
     completenessAssessment: {
       overallScore,
+      scoreBreakdown,
       summary,
       missingSections: missingSections.length ? missingSections : [NI],
       weakSections: weakSections.length ? weakSections : [NI],
@@ -504,12 +724,109 @@ export async function analyze(
       outdatedContent: outdatedContent.length ? outdatedContent : [NI],
     },
     gapCategories,
-    criticalRisks: {
-      highImpactRisks: finalize(high),
-      mediumImpactRisks: finalize(med),
-      lowImpactRisks: finalize(low),
-    },
+    gaps,
+    contradictions,
+    criticalRisks: summarizeRisks(riskRegister),
+    riskRegister,
     recommendations: enhancedRecommendations,
   };
+
+  if (opts.citations) {
+    // Missing sections have nothing to point at, so they never get a source
+    const index = createCitationIndex(doc);
+    const sources = {};
+    const cite = (path, value) => {
+      const source = locateText(index, value);
+      if (source) sources[path] = source;
+    };
+    for (const [key, value] of Object.entries(documentInfo)) {
+      cite(`documentInfo.${key}`, value);
+    }
+    for (const key of ["weakSections", "unclearSections", "outdatedContent"]) {
+      result.completenessAssessment[key].forEach((msg, i) => {
+        cite(`completenessAssessment.${key}[${i}]`, evidence.get(msg));
+      });
+    }
+    for (const [category, messages] of Object.entries(gapCategories)) {
+      messages.forEach((msg, i) => cite(`gapCategories.${category}[${i}]`, evidence.get(msg)));
+    }
+    result.sources = sources;
+    // Gaps carry their own source, like the items of /extract lists
+    for (const gap of gaps) {
+      gap.source = locateText(index, evidence.get(gap.message));
+    }
+  }
+
+  return result;
+}
+
+
+const MAX_TEST_MATCHES = 20;
+
+// Every match of `pattern` in the rule's scopes, with offsets into the analyzed text
+function patternMatches(pattern, scopes, offsets) {
+  const matches = [];
+  for (const [section, body] of scopes) {
+    for (const m of body.matchAll(ruleRegex(pattern, "gi"))) {
+      if (matches.length === MAX_TEST_MATCHES) break;
+      const start = offsets[section] + m.index;
+      matches.push({
+        section,
+        start,
+        end: start + m[0].length,
+        match: m[0],
+        context: contextAround(body, m.index, m.index + m[0].length),
+      });
+    }
+  }
+  return { pattern, matched: matches.length > 0, matches };
 }
 
+/**
+ * Dry-run one rule against a document or a text, exactly as analyze() runs
+ * it, and report what it saw: the sections it searched, every match of every
+ * pattern, and the gaps, recommendations and score it would produce.
+ *
+ * @param {Object} rule - Rule definition (see rulebookService.js RuleSchema)
+ * @param {Object} input - `{ filePath, filename }` for an upload or `{ text }`
+ * @returns {Promise<Object>} Offsets refer to the analyzed text: the document
+ *   text with blank lines and surrounding whitespace removed
+ */
+export async function testRule(rule, { filePath, filename, text: rawText }) {
+  const doc = filePath ? await ingestDocument({ filePath, filename }) : { text: rawText || "", headings: [] };
+  const text = compactText(doc);
+  const sections = sectionsFromOutline(text, buildOutline(text, doc.headings));
+
+  // Sections are trimmed slices of the text, so their first occurrence is their position
+  const offsets = { FULL: 0 };
+  for (const [name, body] of Object.entries(sections)) {
+    if (name !== "FULL") offsets[name] = Math.max(0, text.indexOf(body));
+  }
+
+  const { scopes, present, findings } = evaluateRule(rule, sections, text);
+  const inWhere = (rule.where || []).some((sec) => sections[sec] || sections[canonicalSection(sec)]);
+  const patterns = (key) => (rule[key] || []).map((p) => patternMatches(p, scopes, offsets));
+
+  return {
+    characters: text.length,
+    sectionsFound: Object.keys(sections).filter((name) => name !== "FULL"),
+    scopes: scopes.map(([section, body]) => ({
+      section,
+      start: offsets[section],
+      end: offsets[section] + body.length,
+    })),
+    usedFallback: !inWhere,
+    present,
+    patterns: {
+      presence: patterns("presence"),
+      quality_requires: patterns("quality_requires"),
+      unclear_triggers: patterns("unclear_triggers"),
+      outdated_triggers: patterns("outdated_triggers"),
+    },
+    gaps: findings.map((f) => f.gap),
+    recommendations: findings.map((f) => f.recommendation),
+    score: GAP_CATEGORIES.includes(rule.category)
+      ? computeScore([{ rule, present, findings }]).scoreBreakdown[rule.category].rules[0]
+      : null,
+  };
+}
@@ -2,16 +2,16 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { createRequire } from "module";
-import { OLLAMA_URL, OLLAMA_MODEL, OLLAMA_ENABLED } from "../config/ollamaConfig.js";
-import { readDocumentText } from "./documentService.js";
+import { ingestDocument, compactText } from "./documentService.js";
+import { createCitationIndex, attachCitations } from "./citationService.js";
+import { chat, embed } from "./llmClient.js";
+import { resolveExtractionOptions } from "../config/extractionConfig.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const require = createRequire(import.meta.url);
 
 // -------------------- CONFIG --------------------
-const OLLAMA_BASE_URL = (process.env.OLLAMA_BASE_URL || OLLAMA_URL.replace(/\/api$/, "")).replace(/\/$/, "");
-const MODEL = process.env.OLLAMA_MODEL || OLLAMA_MODEL;
 const CHUNK_MAX_CHARS = 3000; // Larger chunks, fewer total
 const CHUNK_OVERLAP = 300;
 const MAX_CHUNKS_TO_EMBED = 30; // Much fewer chunks for speed
@@ -197,91 +197,8 @@ function extractRelevantSections(text) {
   return relevantTexts;
 }
 
-// -------------------- OLLAMA API --------------------
-async function ollamaEmbeddings({ model, input, maxRetries = 2 }) {
-  if (!OLLAMA_ENABLED) {
-    throw new Error("Ollama is not enabled");
-  }
-
-  const url = `${OLLAMA_BASE_URL}/api/embeddings`;
-  
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      const res = await fetch(url, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ model, input }),
-      });
-
-      if (!res.ok) {
-        const txt = await res.text().catch(() => "");
-        throw new Error(`Ollama embeddings error ${res.status}: ${txt}`);
-      }
-
-      const data = await res.json();
-      const emb =
-        data?.embedding ||
-        (Array.isArray(data?.data) && data.data[0]?.embedding) ||
-        null;
-
-      if (!Array.isArray(emb)) {
-        throw new Error("Embeddings response missing embedding vector.");
-      }
-
-      return emb;
-    } catch (error) {
-      if (attempt === maxRetries - 1) {
-        throw error;
-      }
-      await new Promise((resolve) => setTimeout(resolve, 500 * (attempt + 1)));
-    }
-  }
-}
-
-async function ollamaChat({ model, messages, temperature = 0, maxRetries = 2 }) {
-  if (!OLLAMA_ENABLED) {
-    throw new Error("Ollama is not enabled");
-  }
-
-  const url = `${OLLAMA_BASE_URL}/api/chat`;
-
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      const res = await fetch(url, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          model,
-          messages,
-          stream: false,
-          options: { temperature },
-        }),
-      });
-
-      if (!res.ok) {
-        const txt = await res.text().catch(() => "");
-        throw new Error(`Ollama chat error ${res.status}: ${txt}`);
-      }
-
-      const data = await res.json();
-      const content = data?.message?.content;
-
-      if (typeof content !== "string") {
-        throw new Error("Chat response missing message.content");
-      }
-
-      return content;
-    } catch (error) {
-      if (attempt === maxRetries - 1) {
-        throw error;
-      }
-      await new Promise((resolve) => setTimeout(resolve, 500 * (attempt + 1)));
-    }
-  }
-}
-
 // -------------------- FAST SEMANTIC REFINEMENT (OPTIONAL) --------------------
-async function quickSemanticRefinement(sections, departmentName) {
+async function quickSemanticRefinement(sections, departmentName, { chunkMaxChars, chunkOverlap, signal }) {
   // Only if we have small sections, do quick semantic search
   const allSectionText = Object.values(sections)
     .filter(s => s && s.length > 0)
@@ -292,7 +209,7 @@ async function quickSemanticRefinement(sections, departmentName) {
     return sections;
   }
 
-  const chunks = chunkText(allSectionText, { maxChars: CHUNK_MAX_CHARS, overlap: CHUNK_OVERLAP });
+  const chunks = chunkText(allSectionText, { maxChars: chunkMaxChars, overlap: chunkOverlap });
   
   if (chunks.length > MAX_CHUNKS_TO_EMBED) {
     // Too many chunks, skip semantic search
@@ -307,7 +224,7 @@ async function quickSemanticRefinement(sections, departmentName) {
   for (let i = 0; i < Math.min(chunks.length, MAX_CHUNKS_TO_EMBED); i += batchSize) {
     const batch = chunks.slice(i, i + batchSize);
     const batchVectors = await Promise.all(
-      batch.map(chunk => ollamaEmbeddings({ model: MODEL, input: chunk }).catch(() => new Array(768).fill(0)))
+      batch.map(chunk => embed(chunk, { signal }).catch(() => new Array(768).fill(0)))
     );
     vectors.push(...batchVectors);
   }
@@ -337,7 +254,7 @@ async function quickSemanticRefinement(sections, departmentName) {
   
   for (const [type, query] of Object.entries(queries)) {
     try {
-      const qv = await ollamaEmbeddings({ model: MODEL, input: query });
+      const qv = await embed(query, { signal });
       const scored = vectors.map((v, i) => ({
         i,
         score: cosineSim(v, qv),
@@ -414,10 +331,15 @@ const OUTPUT_SCHEMA = `{
 }`;
 
 // -------------------- MAIN EXTRACTION (OPTIMIZED FOR SPEED) --------------------
-export async function extractArtifactsFromPdf(filePath, departmentName, originalFileName = null) {
+export async function extractArtifactsFromPdf(filePath, departmentName, originalFileName = null, { onProgress, options = {}, signal } = {}) {
+  const progress = typeof onProgress === "function" ? onProgress : () => {};
+  const opts = resolveExtractionOptions(options, { chunkMaxChars: CHUNK_MAX_CHARS, chunkOverlap: CHUNK_OVERLAP });
+
   // STEP 1: Read document (supports both PDF and DOCX)
+  progress("reading_document", { progress: 5 });
   console.log(`📄 Reading document: ${path.basename(filePath)}`);
-  const fullText = await readDocumentText(filePath, originalFileName);
+  const doc = await ingestDocument({ filePath, filename: originalFileName, signal });
+  const fullText = compactText(doc);
   const normalizedText = normalizeWhitespace(fullText);
   
   if (normalizedText.length < 50) {
@@ -427,6 +349,7 @@ export async function extractArtifactsFromPdf(filePath, departmentName, original
   console.log(`✅ Document text length: ${normalizedText.length} characters`);
 
   // STEP 2: Fast keyword-based section detection (instant, no AI)
+  progress("detecting_sections", { progress: 15 });
   console.log(`🔍 Step 1: Fast keyword-based section detection...`);
   const relevantSections = extractRelevantSections(normalizedText);
   
@@ -435,11 +358,17 @@ export async function extractArtifactsFromPdf(filePath, departmentName, original
   ).join(", ");
   console.log(`✅ Found sections: ${sectionSizes}`);
 
-  // STEP 3: Skip semantic refinement for speed - use keyword sections directly
-  const finalSections = relevantSections;
-  console.log(`⚡ Step 2: Using keyword sections directly (fast mode)`);
+  // STEP 3: Semantic refinement only in thorough mode - otherwise use keyword sections directly
+  let finalSections = relevantSections;
+  if (opts.mode === "thorough") {
+    console.log(`🧠 Step 2: Semantic refinement of keyword sections (thorough mode)`);
+    finalSections = await quickSemanticRefinement(relevantSections, departmentName, { ...opts, signal });
+  } else {
+    console.log(`⚡ Step 2: Using keyword sections directly (fast mode)`);
+  }
 
   // STEP 4: Split into 2 parallel calls for speed (RFP/SOW together, BOQ/BOM/BOS together)
+  progress("extracting_artifacts", { progress: 30 });
   console.log(`🤖 Step 3: Extracting structured data (2 parallel calls)...`);
   
   const systemPrompt = `Extract tender data. Output JSON ONLY. Use exact schema keys.
@@ -477,22 +406,14 @@ Extract ALL items/materials/services with complete details.`;
 
   // Execute both calls in parallel
   const [rfpSowRaw, boqBomBosRaw] = await Promise.all([
-    ollamaChat({
-      model: MODEL,
-      temperature: 0,
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: rfpSowPrompt },
-      ],
-    }),
-    ollamaChat({
-      model: MODEL,
-      temperature: 0,
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: boqBomBosPrompt },
-      ],
-    }),
+    chat([
+      { role: "system", content: systemPrompt },
+      { role: "user", content: rfpSowPrompt },
+    ], { temperature: 0, signal }),
+    chat([
+      { role: "system", content: systemPrompt },
+      { role: "user", content: boqBomBosPrompt },
+    ], { temperature: 0, signal }),
   ]);
 
   // Parse and merge results
@@ -529,6 +450,10 @@ Extract ALL items/materials/services with complete details.`;
     }
   }
 
+  if (opts.citations) {
+    attachCitations(json, createCitationIndex(doc), { skipKeys: ["present"] });
+  }
+
   console.log(`✅ Extraction complete`);
   return json;
 }
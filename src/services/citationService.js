@@ -0,0 +1,233 @@
+import { NI } from "../utils/constants.js";
+
+// Values that mean "nothing was extracted" and are never cited
+const PLACEHOLDERS = new Set(
+  [
+    "Not specified",
+    "Not specified in the document",
+    NI,
+    "Not provided",
+    "Unknown",
+    "N/A",
+    "NA",
+    "None",
+    "TBD",
+  ].map((v) => v.toLowerCase().replace(/\.$/, ""))
+);
+
+// Keys added by the citation pass itself (or holding non-document data)
+const DEFAULT_SKIP_KEYS = ["source", "sources"];
+
+const SNIPPET_CONTEXT = 40;
+const SNIPPET_MAX_MATCH = 160;
+// Long values the model paraphrased are matched on their first words
+const PREFIX_WORDS = 8;
+const MIN_PREFIX_CHARS = 20;
+
+function foldChar(ch) {
+  if (ch === "‘" || ch === "’") return "'";
+  if (ch === "“" || ch === "”") return '"';
+  if (ch === "–" || ch === "—") return "-";
+  const lower = ch.toLowerCase();
+  // Keep a 1:1 character mapping so offsets stay valid
+  return lower.length === ch.length ? lower : ch;
+}
+
+/**
+ * Lowercased, whitespace-collapsed copy of `text`, plus the offset in `text`
+ * of every character in the copy.
+ */
+function flatten(text) {
+  let flat = "";
+  const offsets = [];
+  let prevSpace = true;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      if (!prevSpace) {
+        flat += " ";
+        offsets.push(i);
+        prevSpace = true;
+      }
+      continue;
+    }
+    flat += foldChar(ch);
+    offsets.push(i);
+    prevSpace = false;
+  }
+  return { flat, offsets };
+}
+
+function foldValue(value) {
+  return flatten(String(value)).flat.trim();
+}
+
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+function boundaryMatches(flat, needle) {
+  const hits = [];
+  let at = flat.indexOf(needle);
+  while (at !== -1) {
+    const before = at > 0 ? flat[at - 1] : " ";
+    const after = at + needle.length < flat.length ? flat[at + needle.length] : " ";
+    if (!WORD_CHAR.test(before) && !WORD_CHAR.test(after)) hits.push(at);
+    at = flat.indexOf(needle, at + 1);
+  }
+  return hits;
+}
+
+/**
+ * Build a search index over an ingested document (the output of
+ * `ingestDocument()`). Offsets in citations refer to `doc.text`.
+ */
+export function createCitationIndex(doc) {
+  const { flat, offsets } = flatten(doc.text || "");
+  return {
+    text: doc.text || "",
+    pages: doc.pages || [],
+    paginated: Boolean(doc.metadata?.paginated),
+    flat,
+    offsets,
+  };
+}
+
+function pageAt(index, offset) {
+  let found = null;
+  for (const page of index.pages) {
+    if (page.start <= offset) found = page;
+    else break;
+  }
+  return found;
+}
+
+function makeSnippet(text, start, end) {
+  // Long matches are cut instead of padded with trailing context
+  const truncated = end - start > SNIPPET_MAX_MATCH;
+  const from = Math.max(0, start - SNIPPET_CONTEXT);
+  const to = truncated ? start + SNIPPET_MAX_MATCH : Math.min(text.length, end + SNIPPET_CONTEXT);
+  let snippet = text.slice(from, to).replace(/\s+/g, " ").trim();
+  if (from > 0) snippet = `…${snippet}`;
+  if (to < text.length) snippet = `${snippet}…`;
+  return snippet;
+}
+
+/**
+ * Build a source record for the span [start, end) of the document text.
+ *
+ * @returns {{page: number|null, start: number, end: number, snippet: string, ocrConfidence?: number}}
+ *   `page` is null for formats without pages (DOCX, HTML, text).
+ */
+export function sourceForSpan(index, start, end) {
+  const page = pageAt(index, start);
+  const source = {
+    page: index.paginated && page ? page.number : null,
+    start,
+    end,
+    snippet: makeSnippet(index.text, start, end),
+  };
+  if (page?.ocr) source.ocrConfidence = page.confidence;
+  return source;
+}
+
+/**
+ * Find where `value` appears in the document.
+ *
+ * Matching ignores case and whitespace differences. Short values and bare
+ * numbers must match whole words and appear exactly once, so that "5" or
+ * "IT" are not pinned to an arbitrary occurrence. Long values that were
+ * reworded are matched on their leading words.
+ *
+ * @returns {Object|null} Source record (see sourceForSpan) or null when not found
+ */
+export function locateText(index, value) {
+  if (value === null || value === undefined || typeof value === "boolean") return null;
+  const needle = foldValue(value);
+  if (needle.length < 2 || PLACEHOLDERS.has(needle.replace(/\.$/, ""))) return null;
+
+  let at = -1;
+  let length = needle.length;
+
+  if (needle.length < 4 || /^[\d.,%\s-]+$/.test(needle)) {
+    const hits = boundaryMatches(index.flat, needle);
+    if (hits.length === 1) at = hits[0];
+  } else {
+    at = index.flat.indexOf(needle);
+    if (at === -1) {
+      const head = needle.split(" ").slice(0, PREFIX_WORDS).join(" ");
+      if (head.length >= MIN_PREFIX_CHARS && head.length < needle.length) {
+        at = index.flat.indexOf(head);
+        length = head.length;
+      }
+    }
+  }
+
+  if (at === -1) return null;
+  const start = index.offsets[at];
+  const end = index.offsets[at + length - 1] + 1;
+  return sourceForSpan(index, start, end);
+}
+
+/**
+ * Add citations to an extraction result, in place.
+ *
+ * - Every string/number leaf that can be found in the document gets an entry
+ *   in a `sources` map keyed by its path (e.g. `administration.submission_deadline`,
+ *   `requirements.technical[2]`).
+ * - Objects inside arrays (requirements, criteria, gaps, companies, ...) own
+ *   the entries for their fields: they get their own `sources` map with paths
+ *   relative to the item, plus a `source` for the item as a whole (its
+ *   `primaryKey` field if located, otherwise its first located field).
+ * - The root gets a `sources` map when it is an object.
+ *
+ * @param {Object|Array} result - Extraction result (mutated)
+ * @param {Object} index - From createCitationIndex()
+ * @param {Object} [options]
+ * @param {string[]} [options.skipKeys] - Keys whose values are not from the document
+ * @param {string[]} [options.primaryKeys] - Preferred fields for an item's `source`
+ * @returns {Object|Array} The same result
+ */
+export function attachCitations(result, index, { skipKeys = [], primaryKeys = [] } = {}) {
+  const skip = new Set([...DEFAULT_SKIP_KEYS, ...skipKeys]);
+
+  const citeNode = (node) => {
+    const sources = {};
+    const walk = (value, path, inArray) => {
+      if (Array.isArray(value)) {
+        value.forEach((item, i) => walk(item, `${path}[${i}]`, true));
+        return;
+      }
+      if (value && typeof value === "object") {
+        if (inArray) {
+          citeItem(value);
+          return;
+        }
+        for (const [key, child] of Object.entries(value)) {
+          if (skip.has(key)) continue;
+          walk(child, path ? `${path}.${key}` : key, false);
+        }
+        return;
+      }
+      if (typeof value === "string" || typeof value === "number") {
+        const source = locateText(index, value);
+        if (source) sources[path] = source;
+      }
+    };
+    walk(node, "", false);
+    return sources;
+  };
+
+  const citeItem = (item) => {
+    const sources = citeNode(item);
+    const keys = Object.keys(sources);
+    const primary = primaryKeys.find((k) => sources[k]);
+    item.source = primary ? sources[primary] : keys.length ? sources[keys[0]] : null;
+    item.sources = sources;
+  };
+
+  if (Array.isArray(result)) {
+    citeNode(result);
+  } else if (result && typeof result === "object") {
+    result.sources = citeNode(result);
+  }
+  return result;
+}
@@ -0,0 +1,219 @@
+import { GAP_CATEGORIES } from "../utils/constants.js";
+
+/**
+ * Version-to-version comparison of two analyses of the same tender (e.g. v1
+ * and v2 of an RFP): which gaps were resolved or introduced, how each gap
+ * category's score moved and what changed in the text of each section.
+ *
+ * Sections are aligned by their canonical name (outlineService), so a section
+ * that was renumbered or retitled with a synonym is still compared with its
+ * previous version.
+ */
+
+// Longest section (in lines) diffed line by line; longer ones are reported as
+// replaced, the LCS table would grow with the square of the length
+const MAX_DIFF_LINES = 2000;
+
+const gapView = ({ rule, ruleId, category, type, severity, message }) => ({
+  rule,
+  ruleId: ruleId ?? null,
+  category,
+  type,
+  severity,
+  message,
+});
+
+const ruleKey = (gap) => `${gap.category}|${gap.ruleId || gap.rule}`;
+
+/**
+ * Match the gaps of two analyses. A gap persists when the revised analysis
+ * has a gap of the same rule and type (messages may differ, e.g. new values of
+ * a contradiction); a rule whose gap changed type (missing → weak) is
+ * reported once under `changed` instead of as resolved plus new.
+ */
+function matchGaps(baseGaps, revisedGaps) {
+  const unmatched = [...revisedGaps];
+  const resolved = [];
+  let persisting = 0;
+  for (const gap of baseGaps) {
+    const key = `${ruleKey(gap)}|${gap.type}`;
+    const candidates = unmatched.filter((g) => `${ruleKey(g)}|${g.type}` === key);
+    const match = candidates.find((g) => g.message === gap.message) || candidates[0];
+    if (match) {
+      unmatched.splice(unmatched.indexOf(match), 1);
+      persisting += 1;
+    } else {
+      resolved.push(gap);
+    }
+  }
+
+  const changed = [];
+  for (const gap of [...resolved]) {
+    const next = unmatched.find((g) => ruleKey(g) === ruleKey(gap));
+    if (!next) continue;
+    resolved.splice(resolved.indexOf(gap), 1);
+    unmatched.splice(unmatched.indexOf(next), 1);
+    changed.push({ rule: gap.rule, ruleId: gap.ruleId ?? null, category: gap.category, from: gapView(gap), to: gapView(next) });
+  }
+
+  return { resolved: resolved.map(gapView), added: unmatched.map(gapView), changed, persisting };
+}
+
+function scoreChanges(base, revised) {
+  const delta = (a, b) => (a === null || a === undefined || b === null || b === undefined ? null : b - a);
+  const before = base.completenessAssessment?.scoreBreakdown || {};
+  const after = revised.completenessAssessment?.scoreBreakdown || {};
+  const overall = {
+    base: base.completenessAssessment?.overallScore ?? null,
+    revised: revised.completenessAssessment?.overallScore ?? null,
+  };
+  return {
+    overall: { ...overall, change: delta(overall.base, overall.revised) },
+    categories: GAP_CATEGORIES.map((category) => {
+      const from = before[category]?.score ?? null;
+      const to = after[category]?.score ?? null;
+      return { category, base: from, revised: to, change: delta(from, to) };
+    }),
+  };
+}
+
+// Non-blank lines with collapsed whitespace, so reflowed spacing is not a change
+const diffLines = (text) =>
+  text
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+
+/**
+ * Line diff of two texts (longest common subsequence).
+ *
+ * @returns {Array<{type: "added"|"removed", text: string, line: number}>}
+ *   Changed lines only; `line` is the line number (1-based, blank lines
+ *   skipped) in the revised text for added lines, in the base text for
+ *   removed ones
+ */
+export function diffText(baseText, revisedText) {
+  const a = diffLines(baseText);
+  const b = diffLines(revisedText);
+  if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+    return [
+      ...a.map((text, i) => ({ type: "removed", text, line: i + 1 })),
+      ...b.map((text, i) => ({ type: "added", text, line: i + 1 })),
+    ];
+  }
+
+  // lcs[i * width + j]: length of the LCS of a[i..] and b[j..]
+  const width = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] =
+        a[i] === b[j] ? lcs[(i + 1) * width + j + 1] + 1 : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i += 1;
+      j += 1;
+    } else if (j < b.length && (i === a.length || lcs[i * width + j + 1] >= lcs[(i + 1) * width + j])) {
+      changes.push({ type: "added", text: b[j], line: j + 1 });
+      j += 1;
+    } else {
+      changes.push({ type: "removed", text: a[i], line: i + 1 });
+      i += 1;
+    }
+  }
+  return changes;
+}
+
+const namedSections = (sections) => Object.keys(sections).filter((name) => name !== "FULL");
+
+// The FULL text outside every recognised section: the preamble and the text
+// under headings that map to no canonical section
+function residualText(sections) {
+  const full = sections.FULL ?? "";
+  const covered = namedSections(sections)
+    .map((name) => {
+      const at = sections[name] ? full.indexOf(sections[name]) : -1;
+      return at === -1 ? null : [at, at + sections[name].length];
+    })
+    .filter(Boolean)
+    .sort((x, y) => x[0] - y[0]);
+  const parts = [];
+  let pos = 0;
+  for (const [start, end] of covered) {
+    if (start > pos) parts.push(full.slice(pos, start));
+    pos = Math.max(pos, end);
+  }
+  parts.push(full.slice(pos));
+  return parts.join("\n").trim() || undefined;
+}
+
+/**
+ * Compare the sections of two versions, by canonical section name, plus the
+ * text outside the recognised sections as "OTHER", so that no change goes
+ * unreported. When neither version has a recognised section, the whole
+ * texts are compared as one "FULL" section.
+ *
+ * @param {Object<string, string>} base - splitIntoSections() of the base version
+ * @param {Object<string, string>} revised - splitIntoSections() of the revised version
+ * @returns {Array<Object>} One entry per section of either version: `section`,
+ *   `status` (added, removed, changed or unchanged), `linesAdded`,
+ *   `linesRemoved` and the changed lines
+ */
+export function compareSections(base, revised) {
+  const names = [...new Set([...namedSections(base), ...namedSections(revised)])];
+  const texts = (sections) => ({ ...sections, OTHER: residualText(sections) });
+  const [from, to] = names.length ? [texts(base), texts(revised)] : [base, revised];
+  if (!names.length) names.push("FULL");
+  else if (from.OTHER !== undefined || to.OTHER !== undefined) names.push("OTHER");
+
+  return names.map((section) => {
+    const before = from[section];
+    const after = to[section];
+    const changes = diffText(before ?? "", after ?? "");
+    const status =
+      before === undefined ? "added" : after === undefined ? "removed" : changes.length ? "changed" : "unchanged";
+    return {
+      section,
+      status,
+      linesAdded: changes.filter((c) => c.type === "added").length,
+      linesRemoved: changes.filter((c) => c.type === "removed").length,
+      changes,
+    };
+  });
+}
+
+// -------------------- PUBLIC API --------------------
+/**
+ * Compare two analyze() results of versions of one tender.
+ *
+ * @param {{result: Object, sections: Object<string, string>}} base - Earlier
+ *   version: its analysis and section texts
+ * @param {{result: Object, sections: Object<string, string>}} revised - Later version
+ * @returns {Object} `summary` counts, `scores` (overall and per gap category,
+ *   with the change in points), `resolvedGaps`, `newGaps`, `changedGaps` and
+ *   `sections` (see compareSections())
+ */
+export function compareAnalyses(base, revised) {
+  const gaps = matchGaps(base.result.gaps || [], revised.result.gaps || []);
+  const sections = compareSections(base.sections, revised.sections);
+  return {
+    summary: {
+      resolvedGaps: gaps.resolved.length,
+      newGaps: gaps.added.length,
+      changedGaps: gaps.changed.length,
+      persistingGaps: gaps.persisting,
+      changedSections: sections.filter((s) => s.status !== "unchanged").length,
+    },
+    scores: scoreChanges(base.result, revised.result),
+    resolvedGaps: gaps.resolved,
+    newGaps: gaps.added,
+    changedGaps: gaps.changed,
+    sections,
+  };
+}
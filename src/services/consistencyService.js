@@ -0,0 +1,293 @@
+import { contextAround, arabicPattern, foldArabic, norm } from "../utils/textUtils.js";
+import { KEY_FACTS } from "../config/keyFacts.js";
+import { ARABIC_MONTHS, ARABIC_PERCENT } from "../config/arabicLabels.js";
+
+/**
+ * Consistency of key facts (config/keyFacts.js): every mention of a fact
+ * with the value stated next to it, and the facts stated with different
+ * values in different places.
+ *
+ * A value is read from the rest of the label's sentence, from the next line
+ * when the label ends its line (a table cell: "Proposal Submission Deadline"
+ * then "03/10/2019") or from just before the label ("one-year warranty").
+ * Numeric dates are read day first (DD/MM/YYYY) unless that is impossible.
+ * Arabic month names ("15 مارس 2025"), "صباحاً"/"مساءً" times and "في المائة"
+ * percentages are read too; Eastern Arabic digits are already ASCII once the
+ * document is ingested (normalizeDigits).
+ */
+
+// How far from a label a value may be, in characters
+const MAX_VALUE_DISTANCE_AFTER = 80;
+const MAX_VALUE_DISTANCE_BEFORE = 40;
+// A line holding a value on its own (a table cell)
+const MAX_VALUE_LINE_CHARS = 40;
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const MONTH = String.raw`(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\.?`;
+const ARABIC_MONTH = `(${ARABIC_MONTHS.flat()
+  .sort((a, b) => b.length - a.length)
+  .map(arabicPattern)
+  .join("|")})`;
+// Arabic morning / evening after a time ("2:00 مساءً", "10 ص")
+const ARABIC_MERIDIEM = String.raw`صباح[اً]*|مساء[اً]*|ص(?![؀-ۿ])|م(?![؀-ۿ])`;
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fifteen: 15, eighteen: 18, twenty: 20, "twenty-four": 24,
+  thirty: 30, "thirty-six": 36, forty: 40, "forty-five": 45, sixty: 60, ninety: 90,
+};
+const NUMBER = String.raw`(\d{1,4}|${Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length).join("|")})`;
+
+const VALUE_PATTERNS = {
+  date: [
+    String.raw`(?<!\d)(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?!\d)`,
+    String.raw`(?<!\d)(\d{4})-(\d{1,2})-(\d{1,2})(?!\d)`,
+    String.raw`(?<!\d)(\d{1,2})(?:st|nd|rd|th)?(?:\s+of)?\s+${MONTH},?\s+(\d{4})(?!\d)`,
+    String.raw`(?<![a-z])${MONTH}\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})(?!\d)`,
+    String.raw`(?<!\d)(\d{1,2})\s+${ARABIC_MONTH}\s*،?\s*(\d{4})(?!\d)`,
+  ],
+  duration: [
+    String.raw`(?<![\w.])${NUMBER}(?:\s*\(\d{1,4}\))?[\s-]*(?:(?:calendar|working|business)\s+)?(day|week|month|year)s?(?!\w)`,
+  ],
+  percent: [String.raw`(?<![\w.])(\d{1,3}(?:\.\d+)?)\s*(?:%|per\s?cent(?!\w)|${ARABIC_PERCENT})`],
+  // "14:00", "2.30 pm", "10 a.m.", "1400 hrs", "noon"; a bare number is not a time
+  time: [
+    String.raw`(?<![\d./:-])(\d{1,2})[:.](\d{2})(?:\s*([ap])\.?\s?m\b\.?|\s*(${ARABIC_MERIDIEM}))?(?![\d%/:-]|\.\d)`,
+    String.raw`(?<![\d./:-])(\d{1,2})()\s*(?:([ap])\.?\s?m\b\.?|(${ARABIC_MERIDIEM}))`,
+    String.raw`(?<![\d./:-])(\d{2})(\d{2})\s*hrs\b\.?`,
+    String.raw`\b(?:12(?::00)?\s*)?(noon|midday)\b`,
+  ],
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+function isoDate(year, month, day) {
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function parseDate(m, patternIndex) {
+  const [, a, b, c] = m;
+  switch (patternIndex) {
+    case 0: {
+      const [first, second] = [Number(a), Number(b)];
+      // Day first (DD/MM/YYYY), unless the second number cannot be a month
+      return second > 12 ? isoDate(c, first, second) : isoDate(c, second, first);
+    }
+    case 1:
+      return isoDate(a, Number(b), Number(c));
+    case 2:
+      return isoDate(c, MONTHS.indexOf(b.slice(0, 3).toLowerCase()) + 1, Number(a));
+    case 3:
+      return isoDate(c, MONTHS.indexOf(a.slice(0, 3).toLowerCase()) + 1, Number(b));
+    default: {
+      const month = foldArabic(norm(b));
+      return isoDate(c, ARABIC_MONTHS.findIndex((names) => names.some((n) => foldArabic(n) === month)) + 1, Number(a));
+    }
+  }
+}
+
+// "HH:MM" (24-hour), or null for an impossible time
+function parseTime(m) {
+  if (/noon|midday/i.test(m[1])) return "12:00";
+  let hours = Number(m[1]);
+  const minutes = Number(m[2] || 0);
+  // "a"/"p", or the Arabic ص (morning) / م (evening)
+  const meridiem = m[3] || m[4];
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (/^[pم]/i.test(meridiem) ? 12 : 0);
+  }
+  return hours <= 23 && minutes <= 59 ? `${pad(hours)}:${pad(minutes)}` : null;
+}
+
+// Durations are compared in months (months, years) or days (days, weeks)
+function parseDuration(m) {
+  const count = NUMBER_WORDS[m[1].toLowerCase()] ?? Number(m[1]);
+  const unit = m[2].toLowerCase();
+  if (!count) return null;
+  if (unit === "year") return { amount: count * 12, unit: "months" };
+  if (unit === "month") return { amount: count, unit: "months" };
+  if (unit === "week") return { amount: count * 7, unit: "days" };
+  return { amount: count, unit: "days" };
+}
+
+/**
+ * Values of a kind in `text`, with offsets and the normalized value:
+ * "YYYY-MM-DD" for dates, "N months" / "N days" for durations, "N%" for
+ * percentages, "HH:MM" for times. Also used by the /extract commercial terms
+ * and the procurement timeline.
+ *
+ * @param {string} text
+ * @param {"date"|"duration"|"percent"|"time"} kind
+ */
+export function findValues(text, kind) {
+  const values = [];
+  VALUE_PATTERNS[kind].forEach((pattern, index) => {
+    for (const m of text.matchAll(new RegExp(pattern, "gi"))) {
+      let normalized = null;
+      let days = null;
+      if (kind === "date") {
+        normalized = parseDate(m, index);
+      } else if (kind === "duration") {
+        const duration = parseDuration(m);
+        if (duration) {
+          normalized = `${duration.amount} ${duration.unit}`;
+          days = duration.unit === "months" ? duration.amount * 30.44 : duration.amount;
+        }
+      } else if (kind === "time") {
+        normalized = parseTime(m);
+      } else {
+        normalized = `${Number(m[1])}%`;
+      }
+      if (normalized) values.push({ value: m[0], normalized, days, start: m.index, end: m.index + m[0].length });
+    }
+  });
+  return values.sort((a, b) => a.start - b.start);
+}
+
+// Whether two values state the same thing ("12 months" = "365 days")
+function sameValue(a, b) {
+  if (a.normalized === b.normalized) return true;
+  if (a.days === null || b.days === null) return false;
+  if (a.normalized.endsWith("months") === b.normalized.endsWith("months")) return false;
+  return Math.abs(a.days - b.days) <= Math.max(a.days, b.days) * 0.02;
+}
+
+function lineBounds(text, offset) {
+  const start = text.lastIndexOf("\n", offset - 1) + 1;
+  const newline = text.indexOf("\n", offset);
+  return { start, end: newline === -1 ? text.length : newline };
+}
+
+// Sentence of the line around [start, end)
+function sentenceBounds(text, start, end, line) {
+  const before = text.slice(line.start, start);
+  const stop = Math.max(before.lastIndexOf(". "), before.lastIndexOf("; "));
+  const after = text.slice(end, line.end).search(/[.;](?:\s|$)/);
+  return {
+    start: stop === -1 ? line.start : line.start + stop + 2,
+    end: after === -1 ? line.end : end + after,
+  };
+}
+
+// The value a label states: after it in its sentence, on the next line when
+// the label ends its line, or right before it
+function valueForLabel(text, kind, label) {
+  const line = lineBounds(text, label.start);
+  const sentence = sentenceBounds(text, label.start, label.end, line);
+
+  const afterEnd = Math.min(sentence.end, label.end + MAX_VALUE_DISTANCE_AFTER);
+  const [after] = findValues(text.slice(label.end, afterEnd), kind);
+  if (after) return { ...after, start: label.end + after.start, end: label.end + after.end };
+
+  if (/^[\s:–—-]*$/.test(text.slice(label.end, line.end)) && line.end < text.length) {
+    const next = lineBounds(text, line.end + 1);
+    const cell = text.slice(next.start, next.end);
+    const [value] = findValues(cell, kind);
+    if (value && cell.trim().length <= MAX_VALUE_LINE_CHARS && !cell.slice(0, value.start).trim()) {
+      return { ...value, start: next.start + value.start, end: next.start + value.end };
+    }
+  }
+
+  const beforeStart = Math.max(sentence.start, label.start - MAX_VALUE_DISTANCE_BEFORE);
+  const before = findValues(text.slice(beforeStart, label.start), kind).pop();
+  if (before) return { ...before, start: beforeStart + before.start, end: beforeStart + before.end };
+  return null;
+}
+
+// The heading a position falls under: the last heading starting before it
+function headingAt(headings, offset) {
+  let current = null;
+  for (const h of headings) {
+    if (h.start > offset) break;
+    current = h;
+  }
+  return current;
+}
+
+function lineNumber(text, offset) {
+  let line = 1;
+  for (let i = text.indexOf("\n"); i !== -1 && i < offset; i = text.indexOf("\n", i + 1)) line++;
+  return line;
+}
+
+// Every mention of a fact that states a value, in document order
+function findMentions(text, fact, headings) {
+  const mentions = [];
+  const seen = new Set();
+  for (const label of fact.labels) {
+    for (const m of text.matchAll(new RegExp(`(?<!\\w)(?:${label})(?!\\w)`, "gi"))) {
+      const found = valueForLabel(text, fact.kind, { start: m.index, end: m.index + m[0].length });
+      if (!found || seen.has(found.start)) continue;
+      seen.add(found.start);
+      const heading = headingAt(headings, m.index);
+      mentions.push({
+        value: found.value,
+        normalized: found.normalized,
+        days: found.days,
+        label: m[0],
+        start: found.start,
+        end: found.end,
+        line: lineNumber(text, m.index),
+        heading: heading?.title ?? null,
+        section: heading?.section ?? null,
+        context: contextAround(text, Math.min(m.index, found.start), Math.max(m.index + m[0].length, found.end)),
+      });
+    }
+  }
+  return mentions.sort((a, b) => a.start - b.start);
+}
+
+function describeLocation(mention) {
+  return mention.heading ? `"${mention.heading}" (line ${mention.line})` : `line ${mention.line}`;
+}
+
+// Addendum text settling a conflict; the issuer picks one of the values
+function draftAddendum(fact, values) {
+  const choice = `[${values.map((v) => v.value).join(" / ")}]`;
+  const locations = values.flatMap((v) => v.mentions).map(describeLocation);
+  const statement = fact.addendum.replace("{value}", choice);
+  return `Addendum No. [__]: ${statement} This supersedes the ${fact.name} stated in ${locations.join(", ")}.`;
+}
+
+/**
+ * Check the key facts of a document.
+ *
+ * @param {string} text - Analyzed document text
+ * @param {Array<Object>} headings - Outline headings (buildOutline), used to
+ *   name the heading each mention falls under
+ * @returns {Array<{fact: Object, mentions: Array<Object>, conflict: Object|null}>}
+ *   One entry per KEY_FACTS fact. `conflict` is set when the mentions state
+ *   different values: `{fact, name, category, values, addendum}`, where each
+ *   value lists the mentions stating it (value as written, normalized value,
+ *   label, offsets, line, heading, section and context)
+ */
+export function checkConsistency(text, headings = []) {
+  return KEY_FACTS.map((fact) => {
+    const mentions = findMentions(text, fact, headings);
+    const groups = [];
+    for (const mention of mentions) {
+      const group = groups.find((g) => sameValue(g.mentions[0], mention));
+      if (group) group.mentions.push(mention);
+      else groups.push({ value: mention.value, normalized: mention.normalized, mentions: [mention] });
+    }
+
+    let conflict = null;
+    if (groups.length > 1) {
+      const values = groups.map(({ value, normalized, mentions: stated }) => ({
+        value,
+        normalized,
+        mentions: stated.map(({ days, ...mention }) => mention),
+      }));
+      conflict = {
+        fact: fact.id,
+        name: fact.name,
+        category: fact.category,
+        values,
+        addendum: draftAddendum(fact, values),
+      };
+    }
+    return { fact, mentions, conflict };
+  });
+}
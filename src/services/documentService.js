@@ -2,79 +2,321 @@ import fs from "fs";
 import path from "path";
 import { createRequire } from "module";
 import mammoth from "mammoth";
+import * as cheerio from "cheerio";
+import { norm, normalizeDigits } from "../utils/textUtils.js";
+import { readLegacyDocBuffer } from "./legacyDocService.js";
+import { OCR_ENABLED, ocrPdfPages } from "./ocrService.js";
 
 const require = createRequire(import.meta.url);
 const pdf = require("pdf-parse");
 
-export async function readDocxText(docxPath) {
-  const result = await mammoth.extractRawText({ path: docxPath });
-  return (result.value || "")
-    .split("\n")
-    .map((t) => t.trim())
-    .filter(Boolean)
-    .join("\n");
+export const SUPPORTED_EXTENSIONS = [".pdf", ".docx", ".doc", ".txt", ".md", ".html", ".htm"];
+
+const EXTENSION_TYPES = {
+  ".pdf": "pdf",
+  ".docx": "docx",
+  ".doc": "doc",
+  ".txt": "text",
+  ".md": "markdown",
+  ".html": "html",
+  ".htm": "html",
+};
+
+// Pages with fewer characters than this are reported as sparse (and OCR'd)
+const SPARSE_PAGE_CHARS = parseInt(process.env.OCR_MIN_PAGE_CHARS || "20", 10);
+// Mean OCR confidence below this is flagged in the warnings
+const LOW_OCR_CONFIDENCE = 60;
+
+function unsupportedFormatError(ext) {
+  const error = new Error(
+    `Unsupported file format: ${ext || "unknown"}. Supported formats: ${SUPPORTED_EXTENSIONS.join(", ")}`
+  );
+  error.statusCode = 400;
+  return error;
 }
 
-export async function readPdfText(pdfPath) {
-  try {
-    const dataBuffer = fs.readFileSync(pdfPath);
-    const data = await pdf(dataBuffer);
-    const text = data.text || "";
+/**
+ * Detect the document type from its leading bytes.
+ * Returns null when the signature is not recognized (plain text has none).
+ */
+function sniffType(buffer) {
+  if (!buffer || buffer.length < 4) return null;
+  if (buffer.slice(0, 5).toString("latin1") === "%PDF-") return "pdf";
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b && buffer[2] === 0x03 && buffer[3] === 0x04) return "docx";
+  if (buffer.slice(0, 8).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]))) return "doc";
+  const head = buffer.slice(0, 512).toString("utf8").trimStart().toLowerCase();
+  if (head.startsWith("<!doctype html") || head.startsWith("<html")) return "html";
+  return null;
+}
 
-    if (!text || text.trim().length === 0) {
-      throw new Error(
-        "PDF file appears to be empty or could not extract text. The PDF might be image-based or encrypted."
-      );
-    }
+// Eastern Arabic digits become ASCII here, so every pattern downstream reads
+// "١٥/٠٣/٢٠٢٥" as 15/03/2025
+function normalizePageText(text) {
+  return normalizeDigits(text)
+    .replace(/\r\n?/g, "\n")
+    .replace(/\u0000/g, "")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
 
-    return text
-      .split("\n")
-      .map((t) => t.trim())
-      .filter(Boolean)
-      .join("\n");
-  } catch (error) {
-    if (error.message.includes("empty") || error.message.includes("encrypted")) {
-      throw error;
-    }
-    throw new Error(`Failed to read PDF file: ${error.message}`);
+// Same line-joining as pdf-parse's default renderer, but keeps each page separately
+function collectPdfPage(pages) {
+  return (pageData) =>
+    pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false }).then((textContent) => {
+      let lastY;
+      let text = "";
+      for (const item of textContent.items) {
+        if (lastY == item.transform[5] || !lastY) {
+          text += item.str;
+        } else {
+          text += "\n" + item.str;
+        }
+        lastY = item.transform[5];
+      }
+      pages.push(text);
+      return text;
+    });
+}
+
+async function readPdfBuffer(buffer) {
+  const rawPages = [];
+  const data = await pdf(buffer, { pagerender: collectPdfPage(rawPages) });
+  const info = data.info || {};
+  return {
+    pages: rawPages,
+    metadata: {
+      pageCount: data.numpages || rawPages.length,
+      title: info.Title || null,
+      author: info.Author || null,
+      creator: info.Creator || null,
+      producer: info.Producer || null,
+    },
+    warnings: [],
+  };
+}
+
+// h1-h6 elements in document order, as { level, text }
+function htmlHeadings($) {
+  return $("h1, h2, h3, h4, h5, h6")
+    .map((_, el) => ({ level: Number(el.tagName.slice(1)), text: norm($(el).text()) }))
+    .get()
+    .filter((h) => h.text);
+}
+
+async function readDocxBuffer(buffer) {
+  // One HTML pass gives both the text and the heading styles (which
+  // extractRawText drops)
+  const result = await mammoth.convertToHtml({ buffer });
+  const $ = cheerio.load(result.value || "");
+  // Paragraphs end in a blank line, as in mammoth's raw text
+  $("br").replaceWith("\n");
+  $("ul, ol").before("\n\n");
+  $("p, li, h1, h2, h3, h4, h5, h6").each((_, el) => {
+    $(el).append("\n\n");
+  });
+  return {
+    pages: [$.root().text()],
+    headings: htmlHeadings($),
+    metadata: {},
+    warnings: (result.messages || []).map((m) => `DOCX: ${m.message}`),
+  };
+}
+
+function readDocBuffer(buffer) {
+  const result = readLegacyDocBuffer(buffer);
+  if (!result.text.trim()) {
+    throw new Error("No text found in the document body.");
   }
+  return {
+    pages: [result.text],
+    metadata: result.metadata,
+    warnings: result.warnings.map((w) => (w.startsWith("DOC:") ? w : `DOC: ${w}`)),
+  };
+}
+
+function readHtmlBuffer(buffer) {
+  const $ = cheerio.load(buffer.toString("utf8"));
+  $("script, style, noscript").remove();
+  // Keep block boundaries as line breaks so headings stay on their own line
+  $("br").replaceWith("\n");
+  $("p, div, li, tr, h1, h2, h3, h4, h5, h6, section, article, table").each((_, el) => {
+    $(el).append("\n");
+  });
+  const title = norm($("title").first().text()) || null;
+  return {
+    pages: [$("body").length ? $("body").text() : $.root().text()],
+    headings: htmlHeadings($),
+    metadata: { title },
+    warnings: [],
+  };
+}
+
+function readTextBuffer(buffer) {
+  let text = buffer.toString("utf8");
+  if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+  return { pages: [text], metadata: {}, warnings: [] };
 }
 
 /**
- * Read document text from an uploaded file.
- * Uses the original filename (with extension) to detect type.
+ * Single entry point for reading uploaded documents.
+ *
+ * Accepts either a file path or a buffer. The type is taken from the original
+ * filename's extension and cross-checked against the file signature.
+ *
+ * @param {Object} input
+ * @param {string} [input.filePath] - Path on disk
+ * @param {Buffer} [input.buffer] - File contents (instead of filePath)
+ * @param {string} [input.filename] - Original filename (used for type detection)
+ * @param {boolean} [input.ocr] - OCR PDF pages with an empty or sparse text layer (default OCR_ENABLED)
+ * @param {AbortSignal} [input.signal] - Cancels the OCR pass
+ * @returns {Promise<{text: string, pages: Array<{number: number, text: string, start: number, end: number, ocr: boolean, confidence: number|null}>, headings: Array<{level: number, text: string}>, type: string, metadata: Object, warnings: string[]}>}
+ *   `text` is the pages joined by blank lines; `start`/`end` are each page's offsets in `text`.
+ *   `headings` are the headings the file declares (DOCX heading styles, HTML h1-h6), in order.
+ *   OCR'd pages have `ocr: true` and Tesseract's mean confidence (0-100); `metadata.ocr`
+ *   summarizes the OCR pass (null when none ran).
  */
-export async function readDocumentText(filePath, originalFileName = null) {
-  let ext = "";
+export async function ingestDocument({ filePath = null, buffer = null, filename = null, ocr = OCR_ENABLED, signal }) {
+  const name = filename || (filePath ? path.basename(filePath) : "document");
+  let ext = path.extname(name).toLowerCase();
+  if (!ext && filePath) ext = path.extname(filePath).toLowerCase();
 
-  if (originalFileName) {
-    ext = path.extname(originalFileName).toLowerCase();
-  } else {
-    ext = path.extname(filePath).toLowerCase();
-  }
+  const data = buffer || fs.readFileSync(filePath);
+  const warnings = [];
 
-  if (!ext && originalFileName) {
-    ext = path.extname(originalFileName).toLowerCase();
+  let type = EXTENSION_TYPES[ext] || null;
+  const sniffed = sniffType(data);
+  if (sniffed && type && sniffed !== type && !(type === "markdown" || type === "text")) {
+    warnings.push(`File extension ${ext} does not match its content; reading it as ${sniffed.toUpperCase()}.`);
+    type = sniffed;
+  } else if (!type && sniffed) {
+    type = sniffed;
+  }
+  if (!type) {
+    throw unsupportedFormatError(ext);
   }
 
+  let read;
   try {
-    if (ext === ".pdf") {
-      return await readPdfText(filePath);
-    } else if (ext === ".docx" || ext === ".doc") {
-      return await readDocxText(filePath);
-    } else {
+    if (type === "pdf") read = await readPdfBuffer(data);
+    else if (type === "docx") read = await readDocxBuffer(data);
+    else if (type === "doc") read = readDocBuffer(data);
+    else if (type === "html") read = readHtmlBuffer(data);
+    else read = readTextBuffer(data);
+  } catch (error) {
+    throw new Error(`Error reading ${type.toUpperCase()} file "${name}": ${error.message}`);
+  }
+
+  warnings.push(...read.warnings);
+
+  const pageTexts = read.pages.map(normalizePageText);
+  const confidences = new Map();
+  let ocrSummary = null;
+
+  if (type === "pdf" && ocr) {
+    const sparse = pageTexts
+      .map((t, idx) => (t.length < SPARSE_PAGE_CHARS ? idx + 1 : null))
+      .filter(Boolean);
+    if (sparse.length) {
+      try {
+        const result = await ocrPdfPages(data, sparse, { signal });
+        for (const page of result.pages) {
+          const ocrText = normalizePageText(page.text);
+          if (ocrText.length > pageTexts[page.number - 1].length) {
+            pageTexts[page.number - 1] = ocrText;
+            confidences.set(page.number, page.confidence);
+          }
+        }
+        const ocrPages = [...confidences.keys()];
+        const mean = ocrPages.length
+          ? ocrPages.reduce((sum, n) => sum + confidences.get(n), 0) / ocrPages.length
+          : null;
+        ocrSummary = {
+          engine: "tesseract",
+          languages: result.languages,
+          pages: ocrPages,
+          averageConfidence: mean === null ? null : Math.round(mean * 10) / 10,
+        };
+        const low = ocrPages.filter((n) => confidences.get(n) < LOW_OCR_CONFIDENCE);
+        if (low.length) {
+          warnings.push(`Low OCR confidence on pages: ${low.join(", ")}`);
+        }
+        if (result.skipped.length) {
+          warnings.push(`OCR page limit reached; pages not OCR'd: ${result.skipped.join(", ")}`);
+        }
+      } catch (error) {
+        // A cancelled job stops here instead of carrying on without OCR
+        if (signal?.aborted) throw error;
+        warnings.push(`OCR failed: ${error.message}`);
+      }
+    }
+  }
+
+  const pages = [];
+  let text = "";
+  pageTexts.forEach((pageText, idx) => {
+    const number = idx + 1;
+    if (text) text += "\n\n";
+    const start = text.length;
+    text += pageText;
+    pages.push({
+      number,
+      text: pageText,
+      start,
+      end: text.length,
+      ocr: confidences.has(number),
+      confidence: confidences.has(number) ? confidences.get(number) : null,
+    });
+  });
+
+  if (type === "pdf") {
+    const sparse = pages.filter((p) => p.text.length < SPARSE_PAGE_CHARS).map((p) => p.number);
+    if (sparse.length && sparse.length < pages.length) {
+      warnings.push(`PDF pages with little or no text layer: ${sparse.join(", ")}`);
+    }
+    if (!text.trim()) {
       throw new Error(
-        `Unsupported file format: ${ext || "unknown"}. Supported formats: .pdf, .docx, .doc`
+        "PDF file appears to be empty or could not extract text. The PDF might be image-based or encrypted."
       );
     }
-  } catch (error) {
-    if (error.message.includes("Unsupported")) {
-      throw error;
-    }
-    const name = path.basename(originalFileName || filePath);
-    throw new Error(
-      `Error reading ${ext.toUpperCase() || "FILE"} file "${name}": ${error.message}`
-    );
   }
+
+  return {
+    text,
+    pages,
+    // Same digits as the text, so declared headings are still found in it
+    headings: (read.headings || []).map((heading) => ({ ...heading, text: normalizeDigits(heading.text) })),
+    type,
+    metadata: {
+      filename: name,
+      extension: ext || null,
+      sizeBytes: data.length,
+      paginated: type === "pdf",
+      pageCount: pages.length,
+      characters: text.length,
+      ...read.metadata,
+      ocr: ocrSummary,
+    },
+    warnings,
+  };
 }
 
+/**
+ * Text of an ingested document with lines trimmed and blank lines dropped
+ * (the format the gap analyzer expects).
+ */
+export function compactText(doc) {
+  return doc.text
+    .split("\n")
+    .map((t) => t.trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Read document text from an uploaded file.
+ * Uses the original filename (with extension) to detect type.
+ */
+export async function readDocumentText(filePath, originalFileName = null) {
+  return compactText(await ingestDocument({ filePath, filename: originalFileName }));
+}
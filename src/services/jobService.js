@@ -0,0 +1,205 @@
+import crypto from "crypto";
+
+// -------------------- CONFIG --------------------
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS || "3600000", 10); // Keep finished jobs for 1 hour
+const MAX_JOBS = parseInt(process.env.MAX_JOBS || "500", 10);
+
+const jobs = new Map();
+
+export class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = "JobCancelledError";
+  }
+}
+
+export function isJobFinished(job) {
+  return ["completed", "failed", "cancelled"].includes(job.status);
+}
+
+function emit(job, event, data) {
+  for (const listener of job.listeners) {
+    try {
+      listener(event, data);
+    } catch (e) {
+      console.warn(`⚠️  Job ${job.id} listener failed:`, e.message);
+    }
+  }
+  if (isJobFinished(job)) job.listeners.clear();
+}
+
+function pruneJobs() {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (isJobFinished(job) && now - job.finishedAt > JOB_TTL_MS) {
+      jobs.delete(id);
+    }
+  }
+
+  // Drop the oldest finished jobs if we are still over capacity
+  if (jobs.size > MAX_JOBS) {
+    const finished = [...jobs.values()].filter(isJobFinished).sort((a, b) => a.finishedAt - b.finishedAt);
+    for (const job of finished.slice(0, jobs.size - MAX_JOBS)) {
+      jobs.delete(job.id);
+    }
+  }
+}
+
+/**
+ * Public view of a job (no internals such as the AbortController or artifacts).
+ */
+export function serializeJob(job) {
+  return {
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    message: job.message,
+    partial: job.partial,
+    result: job.status === "completed" ? job.result : null,
+    error: job.error,
+    meta: job.meta,
+    createdAt: new Date(job.createdAt).toISOString(),
+    startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+  };
+}
+
+/**
+ * Create and start a background job.
+ *
+ * `task` receives a context with:
+ * - signal: AbortSignal that fires when the job is cancelled; pass it on to
+ *   ingestDocument() and the llmClient calls so the work in flight stops too
+ * - onProgress(stage, { progress, partial, message }): report a stage; throws once the job is cancelled
+ * - artifacts: an object kept with the job but left out of its public view,
+ *   for data a later request reuses (e.g. the section texts of an analysis)
+ *
+ * `cleanup` always runs after the task settles (e.g. to delete the uploaded file).
+ * Use subscribeToJob() to follow a job's events as they happen.
+ */
+export function createJob({ type, meta = {}, task, cleanup }) {
+  pruneJobs();
+
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: "queued",
+    stage: "queued",
+    progress: 0,
+    message: null,
+    partial: {},
+    result: null,
+    error: null,
+    meta,
+    artifacts: {},
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    controller: new AbortController(),
+    listeners: new Set(),
+  };
+  jobs.set(job.id, job);
+
+  const onProgress = (stage, { progress, partial, message } = {}) => {
+    if (job.controller.signal.aborted) {
+      throw new JobCancelledError(job.id);
+    }
+    job.stage = stage;
+    job.message = message || null;
+    if (typeof progress === "number") {
+      job.progress = Math.max(0, Math.min(100, Math.round(progress)));
+    }
+    emit(job, "progress", { stage, progress: job.progress, message: job.message });
+    if (partial && typeof partial === "object") {
+      job.partial = { ...job.partial, ...partial };
+      emit(job, "partial", partial);
+    }
+  };
+
+  const runCleanup = () => {
+    if (!cleanup) return;
+    try {
+      cleanup();
+    } catch (e) {
+      console.warn(`⚠️  Job ${job.id} cleanup failed:`, e.message);
+    }
+  };
+
+  setImmediate(async () => {
+    if (job.controller.signal.aborted) {
+      runCleanup();
+      return;
+    }
+
+    job.status = "running";
+    job.stage = "started";
+    job.startedAt = Date.now();
+    console.log(`🧵 Job ${job.id} (${type}) started`);
+    emit(job, "progress", { stage: job.stage, progress: job.progress, message: null });
+
+    try {
+      const result = await task({ signal: job.controller.signal, onProgress, artifacts: job.artifacts });
+      if (job.status === "cancelled") return;
+      job.status = "completed";
+      job.stage = "completed";
+      job.progress = 100;
+      job.result = result;
+      job.finishedAt = Date.now();
+      console.log(`✓ Job ${job.id} (${type}) completed`);
+      emit(job, "completed", { result });
+    } catch (error) {
+      if (job.status === "cancelled") return;
+      job.status = "failed";
+      job.stage = "failed";
+      job.error = error.message || String(error);
+      job.finishedAt = Date.now();
+      console.error(`❌ Job ${job.id} (${type}) failed:`, job.error);
+      emit(job, "failed", { error: job.error });
+    } finally {
+      if (!job.finishedAt) job.finishedAt = Date.now();
+      runCleanup();
+    }
+  });
+
+  return job;
+}
+
+export function getJob(id) {
+  pruneJobs();
+  return jobs.get(id) || null;
+}
+
+/**
+ * Cancel a queued or running job. Finished jobs are left untouched.
+ * Returns the job, or null if it does not exist.
+ */
+export function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (isJobFinished(job)) return job;
+
+  job.controller.abort();
+  job.status = "cancelled";
+  job.stage = "cancelled";
+  job.finishedAt = Date.now();
+  console.log(`🛑 Job ${job.id} (${job.type}) cancelled`);
+  emit(job, "cancelled", {});
+  return job;
+}
+
+/**
+ * Follow a job's events. `listener(event, data)` is called with:
+ * - "progress": { stage, progress, message }
+ * - "partial": the partial results reported with that stage
+ * - "completed": { result } / "failed": { error } / "cancelled": {}
+ *
+ * Listeners are dropped automatically once the job finishes.
+ * Returns an unsubscribe function.
+ */
+export function subscribeToJob(job, listener) {
+  if (isJobFinished(job)) return () => {};
+  job.listeners.add(listener);
+  return () => job.listeners.delete(listener);
+}
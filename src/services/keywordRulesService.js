@@ -2,12 +2,190 @@ import fs from "fs";
 import path from "path";
 import * as XLSX from "xlsx";
 import { GAP_CATEGORIES } from "../utils/constants.js";
+import { normalizeSeverity, normalizeWeight } from "./scoringService.js";
 
 const KEYWORDS_EXCEL_FILE = path.resolve(
   process.cwd(),
   "Tender_Keywords_56_Rows_FULL.xlsx"
 );
 
+function workbookError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Parse keyword rules from a workbook in the layout described in
+ * API_USAGE.md ("Excel File Format"). Throws (statusCode 400) when the
+ * workbook is unreadable or yields no rule.
+ *
+ * @param {Buffer} buffer - .xlsx/.xls file contents
+ * @returns {Array<Object>} Rules, in sheet order
+ */
+export function parseKeywordWorkbook(buffer) {
+  let workbook;
+  try {
+    workbook = XLSX.read(buffer, { type: "buffer" });
+  } catch (error) {
+    throw workbookError(`Unreadable workbook: ${error.message}`);
+  }
+  const sheetName = workbook.SheetNames[0];
+  const worksheet = workbook.Sheets[sheetName];
+  const data = worksheet ? XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: "" }) : [];
+
+  if (data.length === 0) {
+    throw workbookError("Excel file is empty or has no data");
+  }
+
+  if (data.length < 2) {
+    throw workbookError("Excel file has no data rows (only header or empty)");
+  }
+
+  const headers = data[0] || [];
+  const keywords = [];
+
+  const categoryIdx = headers.findIndex((h) =>
+    /category|gap.category|gap_category/i.test(String(h))
+  );
+  const keywordIdx = headers.findIndex((h) =>
+    /keyword|term|phrase|requirement/i.test(String(h))
+  );
+  const presenceIdx = headers.findIndex((h) =>
+    /presence|pattern|match/i.test(String(h))
+  );
+  const qualityIdx = headers.findIndex((h) =>
+    /quality|requires|detail/i.test(String(h))
+  );
+  const unclearIdx = headers.findIndex((h) =>
+    /unclear|ambiguous|trigger/i.test(String(h))
+  );
+  const outdatedIdx = headers.findIndex((h) =>
+    /outdated|legacy|old/i.test(String(h))
+  );
+  const requiredIdx = headers.findIndex((h) =>
+    /required|mandatory/i.test(String(h))
+  );
+  const whereIdx = headers.findIndex((h) =>
+    /where|section|location/i.test(String(h))
+  );
+  const nameIdx = headers.findIndex((h) =>
+    /name|rule|requirement/i.test(String(h))
+  );
+  const departmentIdx = headers.findIndex((h) =>
+    /department/i.test(String(h))
+  );
+  const weightIdx = headers.findIndex((h) =>
+    /weight|points/i.test(String(h))
+  );
+  const severityIdx = headers.findIndex((h) =>
+    /severity|priority|criticality/i.test(String(h))
+  );
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    if (!row || row.length === 0) continue;
+
+    const category =
+      categoryIdx >= 0 ? String(row[categoryIdx] || "").trim() : "";
+    const keyword =
+      keywordIdx >= 0 ? String(row[keywordIdx] || "").trim() : "";
+    const presence =
+      presenceIdx >= 0 ? String(row[presenceIdx] || "").trim() : keyword;
+    const quality =
+      qualityIdx >= 0 ? String(row[qualityIdx] || "").trim() : "";
+    const unclear =
+      unclearIdx >= 0 ? String(row[unclearIdx] || "").trim() : "";
+    const outdated =
+      outdatedIdx >= 0 ? String(row[outdatedIdx] || "").trim() : "";
+    const required =
+      requiredIdx >= 0
+        ? String(row[requiredIdx] || "").trim().toLowerCase()
+        : "false";
+    const where =
+      whereIdx >= 0 ? String(row[whereIdx] || "").trim() : "FULL";
+    const name =
+      nameIdx >= 0 ? String(row[nameIdx] || "").trim() : keyword || `Rule ${i}`;
+    const department =
+      departmentIdx >= 0 ? String(row[departmentIdx] || "").trim() : "";
+    const weight = weightIdx >= 0 ? row[weightIdx] : "";
+    const severity =
+      severityIdx >= 0 ? String(row[severityIdx] || "").trim() : "";
+
+    if (!category || !keyword) continue;
+
+    // Lists are ";"-separated, or ","-separated when the cell has no ";"
+    const parseArray = (str) => {
+      if (!str) return [];
+      return str
+        .split(str.includes(";") ? ";" : ",")
+        .map((s) => s.trim())
+        .filter(Boolean);
+    };
+
+    const isRequired =
+      required === "true" || required === "yes" || required === "1";
+
+    keywords.push({
+      name,
+      category,
+      where: parseArray(where).length > 0 ? parseArray(where) : ["FULL"],
+      presence: parseArray(presence).length > 0 ? parseArray(presence) : [keyword],
+      quality_requires: parseArray(quality),
+      unclear_triggers: parseArray(unclear),
+      outdated_triggers: parseArray(outdated),
+      required: isRequired,
+      weight: normalizeWeight(weight),
+      severity: normalizeSeverity(severity, isRequired),
+      ...(department ? { department } : {}),
+    });
+  }
+
+  if (keywords.length === 0) {
+    throw workbookError("No valid keyword rules extracted from Excel file. Check column headers.");
+  }
+
+  return keywords;
+}
+
+// "; "-joined so that patterns and section names may contain commas; a single
+// item with a comma gets a trailing ";" to be read back as one item
+function joinList(items) {
+  const joined = items.join("; ");
+  return items.length === 1 && joined.includes(",") ? `${joined};` : joined;
+}
+
+// Columns written by buildKeywordWorkbook(), in the layout of the shipped
+// workbook (Department, Category, Keywords) plus one column per rule field
+const WORKBOOK_COLUMNS = [
+  ["Department", (r) => r.department || ""],
+  ["Category", (r) => r.category],
+  ["Keywords (comma-separated)", (r) => joinList(r.presence)],
+  ["Name", (r) => r.name],
+  ["Required", (r) => (r.required ? "yes" : "no")],
+  ["Where", (r) => joinList(r.where)],
+  ["Quality", (r) => joinList(r.quality_requires)],
+  ["Unclear", (r) => joinList(r.unclear_triggers)],
+  ["Outdated", (r) => joinList(r.outdated_triggers)],
+  ["Weight", (r) => r.weight],
+  ["Severity", (r) => r.severity],
+];
+
+/**
+ * Write rules to a workbook that parseKeywordWorkbook() reads back unchanged.
+ *
+ * @returns {Buffer} .xlsx file contents
+ */
+export function buildKeywordWorkbook(rules) {
+  const rows = [
+    WORKBOOK_COLUMNS.map(([header]) => header),
+    ...rules.map((r) => WORKBOOK_COLUMNS.map(([, value]) => value(r))),
+  ];
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), "Rules");
+  return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+}
+
 export function loadKeywordsFromExcel() {
   try {
     if (!fs.existsSync(KEYWORDS_EXCEL_FILE)) {
@@ -21,106 +199,7 @@ export function loadKeywordsFromExcel() {
     }
 
     console.log(`📊 Loading keywords from: ${KEYWORDS_EXCEL_FILE}`);
-    const workbook = XLSX.readFile(KEYWORDS_EXCEL_FILE);
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const data = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: "" });
-
-    if (data.length === 0) {
-      console.error("❌ ERROR: Excel file is empty or has no data");
-      return [];
-    }
-
-    if (data.length < 2) {
-      console.error("❌ ERROR: Excel file has no data rows (only header or empty)");
-      return [];
-    }
-
-    const headers = data[0] || [];
-    const keywords = [];
-
-    const categoryIdx = headers.findIndex((h) =>
-      /category|gap.category|gap_category/i.test(String(h))
-    );
-    const keywordIdx = headers.findIndex((h) =>
-      /keyword|term|phrase|requirement/i.test(String(h))
-    );
-    const presenceIdx = headers.findIndex((h) =>
-      /presence|pattern|match/i.test(String(h))
-    );
-    const qualityIdx = headers.findIndex((h) =>
-      /quality|requires|detail/i.test(String(h))
-    );
-    const unclearIdx = headers.findIndex((h) =>
-      /unclear|ambiguous|trigger/i.test(String(h))
-    );
-    const outdatedIdx = headers.findIndex((h) =>
-      /outdated|legacy|old/i.test(String(h))
-    );
-    const requiredIdx = headers.findIndex((h) =>
-      /required|mandatory/i.test(String(h))
-    );
-    const whereIdx = headers.findIndex((h) =>
-      /where|section|location/i.test(String(h))
-    );
-    const nameIdx = headers.findIndex((h) =>
-      /name|rule|requirement/i.test(String(h))
-    );
-
-    for (let i = 1; i < data.length; i++) {
-      const row = data[i];
-      if (!row || row.length === 0) continue;
-
-      const category =
-        categoryIdx >= 0 ? String(row[categoryIdx] || "").trim() : "";
-      const keyword =
-        keywordIdx >= 0 ? String(row[keywordIdx] || "").trim() : "";
-      const presence =
-        presenceIdx >= 0 ? String(row[presenceIdx] || "").trim() : keyword;
-      const quality =
-        qualityIdx >= 0 ? String(row[qualityIdx] || "").trim() : "";
-      const unclear =
-        unclearIdx >= 0 ? String(row[unclearIdx] || "").trim() : "";
-      const outdated =
-        outdatedIdx >= 0 ? String(row[outdatedIdx] || "").trim() : "";
-      const required =
-        requiredIdx >= 0
-          ? String(row[requiredIdx] || "").trim().toLowerCase()
-          : "false";
-      const where =
-        whereIdx >= 0 ? String(row[whereIdx] || "").trim() : "FULL";
-      const name =
-        nameIdx >= 0 ? String(row[nameIdx] || "").trim() : keyword || `Rule ${i}`;
-
-      if (!category || !keyword) continue;
-
-      const parseArray = (str) => {
-        if (!str) return [];
-        return str
-          .split(",")
-          .map((s) => s.trim())
-          .filter(Boolean);
-      };
-
-      keywords.push({
-        name,
-        category,
-        where: parseArray(where).length > 0 ? parseArray(where) : ["FULL"],
-        presence: parseArray(presence).length > 0 ? parseArray(presence) : [keyword],
-        quality_requires: parseArray(quality),
-        unclear_triggers: parseArray(unclear),
-        outdated_triggers: parseArray(outdated),
-        required:
-          required === "true" || required === "yes" || required === "1",
-      });
-    }
-
-    if (keywords.length === 0) {
-      console.error(
-        "❌ ERROR: No valid keyword rules extracted from Excel file. Check column headers."
-      );
-      return [];
-    }
+    const keywords = parseKeywordWorkbook(fs.readFileSync(KEYWORDS_EXCEL_FILE));
 
     console.log(
       `✓ Successfully loaded ${keywords.length} keyword rules from Excel file`
@@ -153,6 +232,8 @@ export function buildOriginalRules() {
       unclear_triggers: [String.raw`may.*extend`, String.raw`sole discretion`],
       outdated_triggers: [],
       required: true,
+      weight: 1,
+      severity: "high",
     },
     {
       name: "Dispute resolution and governing law",
@@ -163,6 +244,8 @@ export function buildOriginalRules() {
       unclear_triggers: [],
       outdated_triggers: [],
       required: true,
+      weight: 1,
+      severity: "medium",
     },
 
     // Governance
@@ -184,6 +267,8 @@ export function buildOriginalRules() {
       ],
       outdated_triggers: [],
       required: true,
+      weight: 1,
+      severity: "high",
     },
 
     // Technical
@@ -208,6 +293,8 @@ export function buildOriginalRules() {
       ],
       outdated_triggers: [],
       required: true,
+      weight: 1,
+      severity: "high",
     },
     {
       name: "Cybersecurity and information security requirements",
@@ -230,6 +317,8 @@ export function buildOriginalRules() {
         String.raw`FileNet\\sP8\\s*5\\.0`,
       ],
       required: true,
+      weight: 1,
+      severity: "critical",
     },
     {
       name: "Data migration / conversion plan",
@@ -248,6 +337,8 @@ export function buildOriginalRules() {
       unclear_triggers: [String.raw`will be reviewed`, String.raw`recommend`],
       outdated_triggers: [],
       required: true,
+      weight: 1,
+      severity: "high",
     },
     {
       name: "Testing strategy (UT/UAT/Integration/Stress/Security)",
@@ -267,6 +358,8 @@ export function buildOriginalRules() {
       unclear_triggers: [],
       outdated_triggers: [],
       required: true,
+      weight: 1,
+      severity: "high",
     },
 
     // Integration
@@ -293,6 +386,8 @@ export function buildOriginalRules() {
       ],
       outdated_triggers: [String.raw`Exchange\\s*2010`],
       required: true,
+      weight: 1,
+      severity: "high",
     },
 
     // Support/SLA
@@ -315,6 +410,8 @@ export function buildOriginalRules() {
       unclear_triggers: [String.raw`may be required`, String.raw`rate card`],
       outdated_triggers: [],
       required: true,
+      weight: 1,
+      severity: "high",
     },
 
     // Financial
@@ -335,6 +432,8 @@ export function buildOriginalRules() {
       unclear_triggers: [],
       outdated_triggers: [],
       required: true,
+      weight: 1,
+      severity: "critical",
     },
     {
       name: "TCO / total cost of ownership",
@@ -345,6 +444,8 @@ export function buildOriginalRules() {
       unclear_triggers: [],
       outdated_triggers: [],
       required: false,
+      weight: 1,
+      severity: "low",
     },
     {
       name: "Penalties / liquidated damages for delay",
@@ -359,6 +460,8 @@ export function buildOriginalRules() {
       unclear_triggers: [],
       outdated_triggers: [],
       required: true,
+      weight: 1,
+      severity: "medium",
     },
 
     // Risk Management (optional)
@@ -375,6 +478,8 @@ export function buildOriginalRules() {
       unclear_triggers: [],
       outdated_triggers: [],
       required: false,
+      weight: 1,
+      severity: "medium",
     },
 
     // KPI & Performance (optional)
@@ -395,6 +500,8 @@ export function buildOriginalRules() {
       unclear_triggers: [],
       outdated_triggers: [],
       required: false,
+      weight: 1,
+      severity: "medium",
     },
   ];
 }
@@ -0,0 +1,140 @@
+import { chat, isLlmEnabled } from "./llmClient.js";
+import { hasArabic, arabicPattern } from "../utils/textUtils.js";
+
+/**
+ * Language of Arabic-only and bilingual Arabic/English tenders: the language
+ * of the document and of each of its sections, and an English rendering of
+ * the Arabic values an extractor returns.
+ *
+ * A text is "ar" or "en" when nearly all of its letters are Arabic or Latin,
+ * "bilingual" in between (the usual side-by-side or alternating tender).
+ */
+
+// Share of Arabic letters from which a text is Arabic, up to which it is English
+const ARABIC_SHARE = 0.8;
+const ENGLISH_SHARE = 0.2;
+// Arabic values sent for translation per result, in document order
+const MAX_TRANSLATED_FIELDS = 100;
+
+/**
+ * @param {string} text
+ * @returns {"ar"|"en"|"bilingual"|null} null when the text has no letters
+ */
+export function detectLanguage(text) {
+  const arabic = (String(text || "").match(/[ء-ي]/g) || []).length;
+  const latin = (String(text || "").match(/[a-z]/gi) || []).length;
+  if (!arabic && !latin) return null;
+  const share = arabic / (arabic + latin);
+  if (share >= ARABIC_SHARE) return "ar";
+  if (share <= ENGLISH_SHARE) return "en";
+  return "bilingual";
+}
+
+/**
+ * Language of a document and of each of its sections.
+ *
+ * @param {string} text - Whole document text
+ * @param {Object<string, string>} sections - splitIntoSections() of the text
+ * @returns {{document: string|null, sections: Object<string, string|null>}}
+ */
+export function languageProfile(text, sections) {
+  return {
+    document: detectLanguage(text),
+    sections: Object.fromEntries(
+      Object.entries(sections)
+        .filter(([name]) => name !== "FULL")
+        .map(([name, body]) => [name, detectLanguage(body)])
+    ),
+  };
+}
+
+/**
+ * Patterns reading the value after an Arabic label (config/arabicLabels.js),
+ * past a colon or dash and possibly on the next line.
+ *
+ * @param {string[]} labels - Label sources, e.g. ARABIC_LABELS.referenceNumber
+ * @param {string} value - Pattern source of the value, with one capture group
+ * @returns {string[]}
+ */
+export function arabicLabelPatterns(labels, value) {
+  return labels.map((label) => String.raw`${arabicPattern(label)}[\s:\-–]*${value}`);
+}
+
+/**
+ * The first entry one of whose Arabic labels appears in the text, e.g. the
+ * document type out of ARABIC_DOCUMENT_TYPES.
+ *
+ * @param {Array<{labels: string[]}>} entries
+ * @param {string} text
+ * @returns {Object|null}
+ */
+export function findArabicTerm(entries, text) {
+  return entries.find(({ labels }) => labels.some((label) => new RegExp(arabicPattern(label)).test(text))) || null;
+}
+
+// Arabic string leaves of a result, by path ("metadata.issuer", "requirements.technical_requirements[2]")
+function arabicLeaves(node, skip, path = "", out = {}) {
+  if (Array.isArray(node)) {
+    node.forEach((item, i) => arabicLeaves(item, skip, `${path}[${i}]`, out));
+  } else if (node && typeof node === "object") {
+    for (const [key, child] of Object.entries(node)) {
+      if (!skip.has(key)) arabicLeaves(child, skip, path ? `${path}.${key}` : key, out);
+    }
+  } else if (typeof node === "string" && hasArabic(node)) {
+    out[path] = node;
+  }
+  return out;
+}
+
+async function translateToEnglish(texts, { signal } = {}) {
+  const content = await chat(
+    [
+      {
+        role: "system",
+        content:
+          "You translate tender document values from Arabic to English. Return ONLY a JSON object with the same keys and the English translation of each value. Keep numbers, dates, codes and names of entities exact; transliterate names that have no English form.",
+      },
+      { role: "user", content: JSON.stringify(texts) },
+    ],
+    { json: true, signal }
+  );
+  const json = String(content || "").replace(/^```(?:json)?\s*|```\s*$/gi, "").trim();
+  const parsed = JSON.parse(json || "{}");
+  return parsed && typeof parsed === "object" ? parsed : {};
+}
+
+/**
+ * The Arabic values of an extraction result, each with an English rendering,
+ * keyed by field path. The result keeps the values as the document states
+ * them; the English comes from one LLM call and is null when that call fails
+ * (or the LLM is disabled).
+ *
+ * @param {Object} result - Extraction result (not modified)
+ * @param {Object} [options]
+ * @param {string[]} [options.skipKeys] - Keys whose values are not document text
+ * @param {AbortSignal} [options.signal] - Cancels the LLM call
+ * @returns {Promise<Object<string, {ar: string, en: string|null}>>}
+ */
+export async function bilingualFields(result, { skipKeys = [], signal } = {}) {
+  const fields = Object.entries(arabicLeaves(result, new Set(["sources", "source", ...skipKeys]))).slice(
+    0,
+    MAX_TRANSLATED_FIELDS
+  );
+  if (!fields.length) return {};
+
+  let english = {};
+  if (isLlmEnabled()) {
+    console.log(`🌐 Translating ${fields.length} Arabic values to English...`);
+    try {
+      english = await translateToEnglish(Object.fromEntries(fields), { signal });
+    } catch (e) {
+      console.warn(`⚠️  Translation of Arabic values failed:`, e.message);
+    }
+  }
+  return Object.fromEntries(
+    fields.map(([path, ar]) => {
+      const en = english[path];
+      return [path, { ar, en: typeof en === "string" && en.trim() ? en.trim() : null }];
+    })
+  );
+}
@@ -0,0 +1,317 @@
+/**
+ * Reader for legacy binary Word 97-2003 (.doc) files.
+ *
+ * A .doc file is a Compound File Binary (CFB/OLE2) container. The text lives
+ * in the "WordDocument" stream and is located through the piece table (Clx)
+ * stored in the "0Table" or "1Table" stream. See [MS-CFB] and [MS-DOC].
+ */
+
+// -------------------- CFB CONTAINER --------------------
+const CFB_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const ENDOFCHAIN = 0xfffffffe;
+const MAX_REGSECT = 0xfffffffa;
+
+export function isCompoundFile(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= 512 && buffer.subarray(0, 8).equals(CFB_SIGNATURE);
+}
+
+function readChain(fat, start, limit) {
+  const chain = [];
+  const seen = new Set();
+  let sector = start;
+  while (sector <= MAX_REGSECT && sector !== ENDOFCHAIN) {
+    if (seen.has(sector) || sector >= fat.length || chain.length > limit) {
+      throw new Error("Corrupt compound file: broken sector chain");
+    }
+    seen.add(sector);
+    chain.push(sector);
+    sector = fat[sector];
+  }
+  return chain;
+}
+
+/**
+ * Parse a CFB container and return a map of stream name -> Buffer
+ * (top-level and nested streams, keyed by their own name).
+ */
+export function readCompoundFile(buffer) {
+  if (!isCompoundFile(buffer)) {
+    throw new Error("Not a compound file (missing OLE signature)");
+  }
+
+  const sectorShift = buffer.readUInt16LE(0x1e);
+  const miniSectorShift = buffer.readUInt16LE(0x20);
+  if (sectorShift !== 9 && sectorShift !== 12) {
+    throw new Error(`Unsupported compound file sector size (shift ${sectorShift})`);
+  }
+  const sectorSize = 1 << sectorShift;
+  const miniSectorSize = 1 << miniSectorShift;
+  const numFatSectors = buffer.readUInt32LE(0x2c);
+  const firstDirSector = buffer.readUInt32LE(0x30);
+  const miniStreamCutoff = buffer.readUInt32LE(0x38);
+  const firstMiniFatSector = buffer.readUInt32LE(0x3c);
+  const firstDifatSector = buffer.readUInt32LE(0x44);
+  const numDifatSectors = buffer.readUInt32LE(0x48);
+
+  const totalSectors = Math.floor((buffer.length - sectorSize) / sectorSize) + 1;
+  const sectorOffset = (n) => (n + 1) * sectorSize;
+  const readSector = (n) => {
+    const off = sectorOffset(n);
+    if (off >= buffer.length) throw new Error("Corrupt compound file: sector out of range");
+    return buffer.subarray(off, Math.min(off + sectorSize, buffer.length));
+  };
+
+  // DIFAT: first 109 entries in the header, then chained DIFAT sectors
+  const difat = [];
+  for (let i = 0; i < 109; i++) {
+    const v = buffer.readUInt32LE(0x4c + i * 4);
+    if (v <= MAX_REGSECT) difat.push(v);
+  }
+  let difatSector = firstDifatSector;
+  for (let i = 0; i < numDifatSectors && difatSector <= MAX_REGSECT; i++) {
+    const data = readSector(difatSector);
+    const perSector = sectorSize / 4 - 1;
+    for (let j = 0; j < perSector; j++) {
+      const v = data.readUInt32LE(j * 4);
+      if (v <= MAX_REGSECT) difat.push(v);
+    }
+    difatSector = data.readUInt32LE(perSector * 4);
+  }
+
+  // FAT
+  const fat = [];
+  for (const fatSector of difat.slice(0, numFatSectors || difat.length)) {
+    const data = readSector(fatSector);
+    for (let j = 0; j + 4 <= data.length; j += 4) fat.push(data.readUInt32LE(j));
+  }
+
+  const readRegularStream = (start, size) => {
+    const chain = readChain(fat, start, totalSectors);
+    const out = Buffer.concat(chain.map(readSector));
+    return size === undefined ? out : out.subarray(0, size);
+  };
+
+  // Directory entries
+  const dirData = readRegularStream(firstDirSector);
+  const entries = [];
+  for (let off = 0; off + 128 <= dirData.length; off += 128) {
+    const nameLen = dirData.readUInt16LE(off + 0x40);
+    const type = dirData[off + 0x42];
+    if (type === 0) {
+      entries.push(null);
+      continue;
+    }
+    const name = dirData
+      .subarray(off, off + Math.max(0, Math.min(64, nameLen) - 2))
+      .toString("utf16le");
+    entries.push({
+      name,
+      type, // 1 = storage, 2 = stream, 5 = root
+      start: dirData.readUInt32LE(off + 0x74),
+      size: dirData.readUInt32LE(off + 0x78),
+    });
+  }
+
+  const root = entries[0];
+  if (!root || root.type !== 5) {
+    throw new Error("Corrupt compound file: missing root entry");
+  }
+
+  // Mini stream (held by the root entry) and mini FAT
+  const miniStream = root.size > 0 ? readRegularStream(root.start, root.size) : Buffer.alloc(0);
+  const miniFat = [];
+  if (firstMiniFatSector <= MAX_REGSECT) {
+    const data = readRegularStream(firstMiniFatSector);
+    for (let j = 0; j + 4 <= data.length; j += 4) miniFat.push(data.readUInt32LE(j));
+  }
+  const readMiniStream = (start, size) => {
+    const chain = readChain(miniFat, start, miniFat.length);
+    const out = Buffer.concat(
+      chain.map((n) => miniStream.subarray(n * miniSectorSize, (n + 1) * miniSectorSize))
+    );
+    return out.subarray(0, size);
+  };
+
+  const streams = new Map();
+  for (const entry of entries) {
+    if (!entry || entry.type !== 2 || streams.has(entry.name)) continue;
+    if (entry.size === 0) {
+      streams.set(entry.name, Buffer.alloc(0));
+    } else if (entry.size < miniStreamCutoff) {
+      streams.set(entry.name, readMiniStream(entry.start, entry.size));
+    } else {
+      streams.set(entry.name, readRegularStream(entry.start, entry.size));
+    }
+  }
+  return streams;
+}
+
+// -------------------- WORD 97-2003 TEXT --------------------
+let cp1252Decoder = null;
+function decodeCompressed(bytes) {
+  // "Compressed" pieces store one byte per character in Windows-1252
+  try {
+    cp1252Decoder = cp1252Decoder || new TextDecoder("windows-1252");
+    return cp1252Decoder.decode(bytes);
+  } catch {
+    return Buffer.from(bytes).toString("latin1");
+  }
+}
+
+/**
+ * Read the piece table (PlcPcd) out of the Clx in the table stream.
+ */
+function readPieceTable(table, fcClx, lcbClx) {
+  if (fcClx + lcbClx > table.length) {
+    throw new Error("Corrupt .doc file: piece table outside the table stream");
+  }
+  const clx = table.subarray(fcClx, fcClx + lcbClx);
+  let pos = 0;
+  while (pos < clx.length) {
+    const clxt = clx[pos];
+    if (clxt === 0x01) {
+      // Prc: property modifiers we do not need
+      const cbGrpprl = clx.readInt16LE(pos + 1);
+      pos += 3 + Math.max(0, cbGrpprl);
+    } else if (clxt === 0x02) {
+      const lcb = clx.readUInt32LE(pos + 1);
+      const plc = clx.subarray(pos + 5, pos + 5 + lcb);
+      const n = Math.floor((lcb - 4) / 12);
+      const pieces = [];
+      for (let i = 0; i < n; i++) {
+        const cpStart = plc.readUInt32LE(i * 4);
+        const cpEnd = plc.readUInt32LE((i + 1) * 4);
+        const pcdOff = (n + 1) * 4 + i * 8;
+        const fcRaw = plc.readUInt32LE(pcdOff + 2);
+        const compressed = (fcRaw & 0x40000000) !== 0;
+        const fc = fcRaw & 0x3fffffff;
+        pieces.push({
+          cpStart,
+          cpEnd,
+          compressed,
+          offset: compressed ? fc / 2 : fc,
+        });
+      }
+      return pieces;
+    } else {
+      throw new Error(`Corrupt .doc file: unexpected Clx entry 0x${clxt.toString(16)}`);
+    }
+  }
+  throw new Error("Corrupt .doc file: piece table not found");
+}
+
+/**
+ * Turn Word's control characters into plain text: paragraph/cell marks become
+ * line breaks, field codes are dropped (their displayed result is kept).
+ */
+function cleanWordText(raw) {
+  let out = "";
+  let fieldDepth = 0;
+  const inCode = []; // per open field: true while still in the code part
+
+  // A cell mark directly followed by the row mark ends a table row
+  for (const ch of raw.replace(/\x07\x07/g, "\x07\r")) {
+    const code = ch.charCodeAt(0);
+    if (code === 0x13) {
+      fieldDepth++;
+      inCode.push(true);
+      continue;
+    }
+    if (code === 0x14) {
+      if (fieldDepth) inCode[inCode.length - 1] = false;
+      continue;
+    }
+    if (code === 0x15) {
+      if (fieldDepth) {
+        fieldDepth--;
+        inCode.pop();
+      }
+      continue;
+    }
+    if (inCode.some(Boolean)) continue;
+
+    if (code === 0x0d || code === 0x0b || code === 0x0c) out += "\n";
+    else if (code === 0x07) out += "\t";
+    else if (code === 0x09) out += "\t";
+    else if (code === 0x1e) out += "-";
+    else if (code === 0xa0) out += " ";
+    else if (code < 0x20 || code === 0x1f) continue; // objects, drawings, optional hyphens
+    else out += ch;
+  }
+
+  return out.replace(/[ \t]+$/gm, "");
+}
+
+/**
+ * Extract the main document text from a Word 97-2003 .doc buffer.
+ * Headers, footers, footnotes and comments are not included.
+ *
+ * @param {Buffer} buffer
+ * @returns {{ text: string, metadata: Object, warnings: string[] }}
+ */
+export function readLegacyDocBuffer(buffer) {
+  const streams = readCompoundFile(buffer);
+  const word = streams.get("WordDocument");
+  if (!word || word.length < 0x1aa) {
+    throw new Error("Not a Word document (no WordDocument stream)");
+  }
+
+  const wIdent = word.readUInt16LE(0x00);
+  const nFib = word.readUInt16LE(0x02);
+  const flags = word.readUInt16LE(0x0a);
+  if (wIdent !== 0xa5ec) {
+    throw new Error("Not a Word 97-2003 document (bad FIB signature)");
+  }
+  if (nFib < 0x00c1) {
+    // Word 6.0 (0x65) and Word 95 (0x68) files use a different FIB layout
+    throw new Error(`Word 95 and older .doc files are not supported (nFib 0x${nFib.toString(16)})`);
+  }
+  if (flags & 0x0100) {
+    throw new Error("The .doc file is password-protected or encrypted");
+  }
+
+  // FIB: FibBase (32 bytes), then variable-length rgW, rgLw and rgFcLcb arrays
+  let pos = 32;
+  const csw = word.readUInt16LE(pos);
+  pos += 2 + csw * 2;
+  const cslw = word.readUInt16LE(pos);
+  const rgLw = pos + 2;
+  pos = rgLw + cslw * 4;
+  const rgFcLcb = pos + 2;
+
+  const ccpText = word.readUInt32LE(rgLw + 3 * 4);
+  // fcClx/lcbClx are pair 33 of FibRgFcLcb97 (FIB offset 0x1A2 in a Word 97 file)
+  const fcClx = word.readUInt32LE(rgFcLcb + 33 * 8);
+  const lcbClx = word.readUInt32LE(rgFcLcb + 33 * 8 + 4);
+
+  const tableName = flags & 0x0200 ? "1Table" : "0Table";
+  const table = streams.get(tableName);
+  if (!table) {
+    throw new Error(`Corrupt .doc file: missing ${tableName} stream`);
+  }
+  if (!lcbClx) {
+    throw new Error("Corrupt .doc file: empty piece table");
+  }
+
+  const pieces = readPieceTable(table, fcClx, lcbClx);
+  const warnings = [];
+  let raw = "";
+  for (const piece of pieces) {
+    if (piece.cpStart >= ccpText) break;
+    const cpEnd = Math.min(piece.cpEnd, ccpText);
+    const count = cpEnd - piece.cpStart;
+    const byteLen = piece.compressed ? count : count * 2;
+    if (piece.offset + byteLen > word.length) {
+      warnings.push("DOC: a text piece points outside the document stream and was skipped.");
+      continue;
+    }
+    const bytes = word.subarray(piece.offset, piece.offset + byteLen);
+    raw += piece.compressed ? decodeCompressed(bytes) : bytes.toString("utf16le");
+  }
+
+  return {
+    text: cleanWordText(raw),
+    metadata: { wordFormat: "Word 97-2003", nFib, pieces: pieces.length },
+    warnings,
+  };
+}
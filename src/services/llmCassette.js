@@ -0,0 +1,67 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { LLM_PROVIDER, LLM_CASSETTE_MODE, LLM_CASSETTE_DIR } from "../config/llmConfig.js";
+
+/**
+ * Content-addressed store of LLM responses ("cassettes").
+ *
+ * Each request is saved as `<LLM_CASSETTE_DIR>/<model>/<kind>-<sha256>.json`,
+ * where the hash covers everything that influences the answer (model,
+ * messages or input, temperature, ...). Recording the same run twice
+ * overwrites the same files; replaying needs no model server at all.
+ */
+
+const MODES = ["off", "record", "replay"];
+
+export function cassetteMode() {
+  if (!MODES.includes(LLM_CASSETTE_MODE)) {
+    throw new Error(`Unknown LLM_CASSETTE_MODE "${LLM_CASSETTE_MODE}". Valid modes: ${MODES.join(", ")}`);
+  }
+  return LLM_CASSETTE_MODE;
+}
+
+function cassettePath(kind, request) {
+  const hash = crypto.createHash("sha256").update(JSON.stringify(request)).digest("hex");
+  const modelDir = String(request.model).replace(/[^\w.-]+/g, "_");
+  return path.resolve(process.cwd(), LLM_CASSETTE_DIR, modelDir, `${kind}-${hash}.json`);
+}
+
+/**
+ * Return the recorded response for a request.
+ * @param {"chat"|"embed"} kind
+ * @param {Object} request - The provider request (model, messages/input, sampling options)
+ * @throws {Error} When nothing was recorded for this request
+ */
+export function replayCassette(kind, request) {
+  const file = cassettePath(kind, request);
+  if (!fs.existsSync(file)) {
+    throw new Error(
+      `No recorded LLM ${kind} response for this request (expected ${path.relative(process.cwd(), file)}). Record it first with LLM_CASSETTE_MODE=record.`
+    );
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8")).response;
+}
+
+/**
+ * Save a response for a request. Failures are logged, never thrown: a full
+ * disk should not fail the extraction that produced the response.
+ */
+export function recordCassette(kind, request, response) {
+  const file = cassettePath(kind, request);
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const entry = {
+      kind,
+      provider: LLM_PROVIDER,
+      recordedAt: new Date().toISOString(),
+      request,
+      response,
+    };
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(entry, null, 2));
+    fs.renameSync(tmp, file);
+  } catch (error) {
+    console.warn(`⚠️  Could not record LLM ${kind} cassette: ${error.message}`);
+  }
+}
@@ -0,0 +1,264 @@
+import crypto from "crypto";
+import {
+  LLM_PROVIDER,
+  LLM_ENABLED,
+  LLM_BASE_URL,
+  LLM_MODEL,
+  LLM_EMBED_MODEL,
+  LLM_API_KEY,
+  LLM_TIMEOUT_MS,
+  LLM_MAX_RETRIES,
+  LLM_RETRY_DELAY_MS,
+} from "../config/llmConfig.js";
+import { cassetteMode, replayCassette, recordCassette } from "./llmCassette.js";
+
+/**
+ * One client for every LLM call in the app.
+ *
+ * Providers implement `chat(request, { signal })`, `embed(request, { signal })`
+ * and optionally `pull(model)`. This module adds the shared retry/timeout
+ * policy and cassette record/replay (LLM_CASSETTE_MODE) on top, so services
+ * only deal with prompts and responses.
+ */
+
+// -------------------- HTTP --------------------
+async function postJson(url, body, { signal, headers = {} } = {}) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+  const text = await res.text();
+  if (!res.ok) {
+    const error = new Error(`HTTP ${res.status} from ${url}: ${text.slice(0, 500)}`);
+    error.status = res.status;
+    throw error;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`Invalid JSON from ${url}: ${text.slice(0, 200)}`);
+  }
+}
+
+// -------------------- PROVIDERS --------------------
+const ollamaProvider = {
+  async chat({ model, messages, temperature, topP, numCtx, json }, { signal }) {
+    const options = { temperature };
+    if (topP !== undefined) options.top_p = topP;
+    if (numCtx !== undefined) options.num_ctx = numCtx;
+    const data = await postJson(
+      `${LLM_BASE_URL}/api/chat`,
+      { model, messages, stream: false, options, ...(json ? { format: "json" } : {}) },
+      { signal }
+    );
+    const content = data?.message?.content;
+    if (typeof content !== "string") {
+      throw new Error(`Chat response missing message.content: ${JSON.stringify(data).slice(0, 200)}`);
+    }
+    return content;
+  },
+
+  async embed({ model, input }, { signal }) {
+    const data = await postJson(`${LLM_BASE_URL}/api/embed`, { model, input }, { signal });
+    const vector = data?.embeddings?.[0] || data?.embedding;
+    if (!Array.isArray(vector)) throw new Error("Embeddings response missing embedding vector.");
+    return vector;
+  },
+
+  async pull(model, { signal }) {
+    await postJson(`${LLM_BASE_URL}/api/pull`, { name: model, stream: false }, { signal });
+  },
+};
+
+const openaiProvider = {
+  async chat({ model, messages, temperature, topP, json }, { signal }) {
+    const body = { model, messages, temperature };
+    if (topP !== undefined) body.top_p = topP;
+    if (json) body.response_format = { type: "json_object" };
+    const data = await postJson(`${LLM_BASE_URL}/chat/completions`, body, {
+      signal,
+      headers: LLM_API_KEY ? { Authorization: `Bearer ${LLM_API_KEY}` } : {},
+    });
+    const content = data?.choices?.[0]?.message?.content;
+    if (typeof content !== "string") {
+      throw new Error(`Chat response missing choices[0].message.content: ${JSON.stringify(data).slice(0, 200)}`);
+    }
+    return content;
+  },
+
+  async embed({ model, input }, { signal }) {
+    const data = await postJson(`${LLM_BASE_URL}/embeddings`, { model, input }, {
+      signal,
+      headers: LLM_API_KEY ? { Authorization: `Bearer ${LLM_API_KEY}` } : {},
+    });
+    const vector = data?.data?.[0]?.embedding;
+    if (!Array.isArray(vector)) throw new Error("Embeddings response missing embedding vector.");
+    return vector;
+  },
+};
+
+// Deterministic offline provider: same request, same answer. Every prompt in
+// the app asks for JSON, so the default answer is an empty object; tests can
+// install their own responder with setMockResponder().
+let mockResponder = null;
+
+const MOCK_EMBEDDING_SIZE = 64;
+
+const mockProvider = {
+  async chat(request) {
+    if (mockResponder) return String(await mockResponder(request));
+    return "{}";
+  },
+
+  async embed({ input }) {
+    const vector = [];
+    let seed = crypto.createHash("sha256").update(String(input)).digest();
+    while (vector.length < MOCK_EMBEDDING_SIZE) {
+      for (let i = 0; i < seed.length && vector.length < MOCK_EMBEDDING_SIZE; i++) {
+        vector.push(seed[i] / 127.5 - 1);
+      }
+      seed = crypto.createHash("sha256").update(seed).digest();
+    }
+    return vector;
+  },
+};
+
+const PROVIDERS = {
+  ollama: ollamaProvider,
+  openai: openaiProvider,
+  mock: mockProvider,
+};
+
+function getProvider() {
+  const provider = PROVIDERS[LLM_PROVIDER];
+  if (!provider) {
+    throw new Error(`Unknown LLM_PROVIDER "${LLM_PROVIDER}". Valid providers: ${Object.keys(PROVIDERS).join(", ")}`);
+  }
+  return provider;
+}
+
+/**
+ * Replace the mock provider's answers (LLM_PROVIDER=mock).
+ * @param {Function|null} responder - (request) => string; null restores the default
+ */
+export function setMockResponder(responder) {
+  mockResponder = responder;
+}
+
+// -------------------- RETRY / TIMEOUT POLICY --------------------
+function isRetryable(error) {
+  if (error.status) return error.status === 429 || error.status >= 500;
+  return true; // network errors, timeouts, malformed responses
+}
+
+async function withPolicy(label, fn, { timeoutMs = LLM_TIMEOUT_MS, retries = LLM_MAX_RETRIES, signal } = {}) {
+  let lastError;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (signal?.aborted) throw new Error(`LLM ${label} cancelled`);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    try {
+      return await fn(controller.signal);
+    } catch (error) {
+      lastError =
+        error.name === "AbortError" && !signal?.aborted
+          ? new Error(`LLM ${label} timed out after ${timeoutMs}ms`)
+          : error;
+      if (signal?.aborted || attempt === retries || !isRetryable(error)) break;
+      console.warn(`⚠️  LLM ${label} attempt ${attempt + 1} failed: ${lastError.message}`);
+      await new Promise((resolve) => setTimeout(resolve, LLM_RETRY_DELAY_MS * (attempt + 1)));
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    }
+  }
+  throw new Error(`LLM ${label} failed (${LLM_PROVIDER}): ${lastError.message}`);
+}
+
+// -------------------- RECORD / REPLAY --------------------
+async function run(kind, request, call, policy) {
+  const mode = cassetteMode();
+  if (mode === "replay") return replayCassette(kind, request);
+  const response = await withPolicy(kind, call, policy);
+  if (mode === "record") recordCassette(kind, request, response);
+  return response;
+}
+
+// -------------------- PUBLIC API --------------------
+export function isLlmEnabled() {
+  return LLM_ENABLED;
+}
+
+function assertEnabled() {
+  if (!LLM_ENABLED) {
+    throw new Error("LLM features are disabled. Set LLM_ENABLED=true to use this feature.");
+  }
+}
+
+/**
+ * Send a chat conversation and return the assistant's text.
+ *
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {Object} [options]
+ * @param {string} [options.model] - Model for this call (default LLM_MODEL)
+ * @param {number} [options.temperature] - Default 0
+ * @param {number} [options.topP]
+ * @param {number} [options.numCtx] - Context window (Ollama only)
+ * @param {boolean} [options.json] - Ask the server for a JSON-only response
+ * @param {number} [options.timeoutMs] - Per-attempt timeout (default LLM_TIMEOUT_MS)
+ * @param {number} [options.retries] - Retries after the first attempt (default LLM_MAX_RETRIES)
+ * @param {AbortSignal} [options.signal] - Cancels the call
+ * @returns {Promise<string>}
+ */
+export async function chat(messages, { model = LLM_MODEL, temperature = 0, topP, numCtx, json = false, ...policy } = {}) {
+  assertEnabled();
+  const provider = getProvider();
+  const request = { model, messages, temperature, topP, numCtx, json };
+  return run("chat", request, (signal) => provider.chat(request, { signal }), policy);
+}
+
+/**
+ * Single-prompt convenience wrapper around chat().
+ */
+export async function complete(prompt, options = {}) {
+  return chat([{ role: "user", content: prompt }], options);
+}
+
+/**
+ * Embed one text and return its vector.
+ *
+ * @param {string} input
+ * @param {Object} [options] - `model` (default LLM_EMBED_MODEL) plus the same policy options as chat()
+ * @returns {Promise<number[]>}
+ */
+export async function embed(input, { model = LLM_EMBED_MODEL, ...policy } = {}) {
+  assertEnabled();
+  const provider = getProvider();
+  const request = { model, input };
+  return run("embed", request, (signal) => provider.embed(request, { signal }), policy);
+}
+
+/**
+ * Make sure the model is available on the server (Ollama pulls it; other
+ * providers and cassette replay have nothing to do). Never throws: a failed
+ * pull is logged and the first real call reports the actual problem.
+ * `signal` cancels the pull.
+ */
+export async function ensureModel(model = LLM_MODEL, { signal } = {}) {
+  if (!LLM_ENABLED) return false;
+  const provider = getProvider();
+  if (!provider.pull || cassetteMode() === "replay") return true;
+  try {
+    await withPolicy("pull", (pullSignal) => provider.pull(model, { signal: pullSignal }), { retries: 0, signal });
+    return true;
+  } catch (error) {
+    console.warn(`⚠️  Model pull warning (may already be available): ${error.message}`);
+    return false;
+  }
+}
@@ -0,0 +1,103 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+
+export const OCR_ENABLED = process.env.OCR_ENABLED !== "false";
+export const OCR_LANGUAGES = (process.env.OCR_LANGUAGES || "eng+ara")
+  .split("+")
+  .map((l) => l.trim())
+  .filter(Boolean);
+const OCR_DPI = parseInt(process.env.OCR_DPI || "200", 10);
+const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES || "100", 10);
+// tesseract.js reads every language from one directory; the bundled
+// @tesseract.js-data packages are copied there on first use.
+const OCR_DATA_DIR = process.env.OCR_DATA_DIR || path.join(os.tmpdir(), "tender-intake-ocr");
+
+/**
+ * Locate the bundled traineddata for each language and make sure all of them
+ * sit in OCR_DATA_DIR. Nothing is downloaded.
+ */
+function prepareLanguageData(languages) {
+  fs.mkdirSync(OCR_DATA_DIR, { recursive: true });
+  for (const lang of languages) {
+    const target = path.join(OCR_DATA_DIR, `${lang}.traineddata.gz`);
+    if (fs.existsSync(target)) continue;
+
+    let pkgDir;
+    try {
+      pkgDir = path.dirname(require.resolve(`@tesseract.js-data/${lang}/package.json`));
+    } catch {
+      throw new Error(`OCR language data for "${lang}" is not installed (npm install @tesseract.js-data/${lang})`);
+    }
+    const source = path.join(pkgDir, "4.0.0_best_int", `${lang}.traineddata.gz`);
+    const tmp = `${target}.${process.pid}.tmp`;
+    fs.copyFileSync(source, tmp);
+    fs.renameSync(tmp, target);
+  }
+  return OCR_DATA_DIR;
+}
+
+/**
+ * Rasterize the given PDF pages and run OCR on them.
+ *
+ * @param {Buffer} buffer - PDF file contents
+ * @param {number[]} pageNumbers - 1-based page numbers to recognize
+ * @param {Object} [options]
+ * @param {string[]} [options.languages] - Tesseract language codes (default OCR_LANGUAGES)
+ * @param {number} [options.dpi] - Rasterization resolution (default OCR_DPI)
+ * @param {AbortSignal} [options.signal] - Cancels the pass: the page being recognized is abandoned
+ * @returns {Promise<{languages: string[], pages: Array<{number: number, text: string, confidence: number}>, skipped: number[]}>}
+ *   `confidence` is Tesseract's mean word confidence for the page (0-100).
+ *   `skipped` lists pages left out because of OCR_MAX_PAGES.
+ */
+export async function ocrPdfPages(buffer, pageNumbers, { languages = OCR_LANGUAGES, dpi = OCR_DPI, signal } = {}) {
+  // Loaded lazily: both packages are large and only needed for scanned PDFs
+  const mupdf = await import("mupdf");
+  const { createWorker } = await import("tesseract.js");
+
+  const langPath = prepareLanguageData(languages);
+  const wanted = pageNumbers.slice(0, OCR_MAX_PAGES);
+  const skipped = pageNumbers.slice(OCR_MAX_PAGES);
+
+  const doc = mupdf.Document.openDocument(buffer, "application/pdf");
+  const worker = await createWorker(languages.join("+"), undefined, {
+    langPath,
+    gzip: true,
+    cacheMethod: "none",
+  });
+
+  const pages = [];
+  // Terminating the worker leaves the recognize() in flight pending, so a
+  // cancel is raced against it instead; the worker goes in the finally below
+  const cancelled = new Promise((_, reject) =>
+    signal?.addEventListener("abort", () => reject(new Error("OCR cancelled")), { once: true })
+  );
+  cancelled.catch(() => {});
+  try {
+    // tesseract.js defaults to a single uniform text block; full pages mix
+    // headings, columns and tables, so let Tesseract segment the page itself.
+    await worker.setParameters({ tessedit_pageseg_mode: "3" });
+    const scale = dpi / 72;
+    for (const number of wanted) {
+      if (signal?.aborted) throw new Error("OCR cancelled");
+      if (number < 1 || number > doc.countPages()) continue;
+      const pixmap = doc
+        .loadPage(number - 1)
+        .toPixmap(mupdf.Matrix.scale(scale, scale), mupdf.ColorSpace.DeviceGray, false, true);
+      const png = Buffer.from(pixmap.asPNG());
+      const { data } = await Promise.race([worker.recognize(png), cancelled]);
+      pages.push({
+        number,
+        text: data.text || "",
+        confidence: Math.round((data.confidence || 0) * 10) / 10,
+      });
+    }
+  } finally {
+    await worker.terminate();
+  }
+
+  return { languages, pages, skipped };
+}
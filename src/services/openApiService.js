@@ -0,0 +1,1502 @@
+import { zodToJsonSchema } from "zod-to-json-schema";
+import { CORE_SCHEMA } from "./tenderExtractionService.js";
+import { TenderSchemaLoose } from "./tenderOverviewExtractionService.js";
+import { OutputSchema as PreBidOutputSchema } from "./preBidQueryService.js";
+import { getEmptyTemplate as getRfpEvaluationTemplate } from "./rfpEvaluationService.js";
+import { SUPPORTED_EXTENSIONS } from "./documentService.js";
+import { SEVERITIES, FINDING_PENALTIES } from "./scoringService.js";
+import { RuleSchema, IMPORT_MODES } from "./rulebookService.js";
+import { ProfileSchema } from "./profileService.js";
+import { RiskSchema, EXPORT_FORMATS } from "./riskService.js";
+import { REPORT_FORMATS, REPORT_CONTENT_TYPES } from "./reportService.js";
+import { TENDER_TYPES } from "../config/analysisProfiles.js";
+import { KEY_FACTS } from "../config/keyFacts.js";
+import { RISK_OWNERS, RISK_RATINGS } from "../config/riskModel.js";
+import { TIMELINE_MILESTONES } from "../config/timelineMilestones.js";
+import { EXTRACTION_MODES } from "../config/extractionConfig.js";
+import { GAP_CATEGORIES } from "../utils/constants.js";
+
+/**
+ * OpenAPI 3.1 description of the HTTP API.
+ *
+ * Response schemas come from the schemas the services validate their own
+ * output with (CORE_SCHEMA, TenderSchemaLoose, the pre-bid OutputSchema and
+ * the RFP evaluation template), so the contract cannot drift from the code.
+ * The same document drives request/response validation (routes/validation.js).
+ */
+
+// -------------------- SCHEMA HELPERS --------------------
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+function fromZod(schema) {
+  const { $schema, ...json } = zodToJsonSchema(schema, { $refStrategy: "none" });
+  return json;
+}
+
+/**
+ * JSON Schema matching the shape of an example object: every key is
+ * required, arrays take the type of their first item.
+ */
+function schemaFromExample(value) {
+  if (Array.isArray(value)) {
+    return { type: "array", items: value.length ? schemaFromExample(value[0]) : {} };
+  }
+  if (value && typeof value === "object") {
+    return {
+      type: "object",
+      required: Object.keys(value),
+      properties: Object.fromEntries(Object.entries(value).map(([k, v]) => [k, schemaFromExample(v)])),
+    };
+  }
+  return { type: typeof value === "number" ? "number" : "string" };
+}
+
+const SOURCE_SCHEMA = {
+  type: "object",
+  required: ["page", "start", "end", "snippet"],
+  properties: {
+    page: { type: ["integer", "null"] },
+    start: { type: "integer" },
+    end: { type: "integer" },
+    snippet: { type: "string" },
+    ocrConfidence: { type: "number" },
+  },
+};
+
+/**
+ * Allow the fields added by `citations=true` (see citationService.js): a
+ * `sources` map on the root and `source`/`sources` on objects inside arrays.
+ */
+function withCitations(schema) {
+  const sourcesMap = { type: "object", additionalProperties: ref("Source") };
+  const visit = (node, inArray) => {
+    if (!node || typeof node !== "object") return node;
+    const out = { ...node };
+    if (out.properties) {
+      out.properties = Object.fromEntries(
+        Object.entries(out.properties).map(([k, v]) => [k, visit(v, false)])
+      );
+      if (inArray) {
+        out.properties.source = { anyOf: [ref("Source"), { type: "null" }] };
+        out.properties.sources = sourcesMap;
+      }
+    }
+    if (out.items) out.items = visit(out.items, true);
+    if (out.anyOf) out.anyOf = out.anyOf.map((s) => visit(s, inArray));
+    return out;
+  };
+  const result = visit(schema, false);
+  if (result.properties) result.properties = { ...result.properties, sources: sourcesMap };
+  return result;
+}
+
+/**
+ * The /extract result: every string may be null (`nullDefaults=true`), the
+ * root has the `provenance` map of each field's extraction method and, in
+ * thorough mode, the `conflicts` between chunks.
+ */
+function withProvenance(schema) {
+  const visit = (node) => {
+    if (!node || typeof node !== "object") return node;
+    const out = { ...node };
+    if (out.type === "string") out.type = ["string", "null"];
+    if (out.properties) {
+      out.properties = Object.fromEntries(Object.entries(out.properties).map(([k, v]) => [k, visit(v)]));
+    }
+    if (out.items) out.items = visit(out.items);
+    if (out.anyOf) out.anyOf = out.anyOf.map(visit);
+    return out;
+  };
+  const result = visit(schema);
+  result.properties.provenance = { type: "object", additionalProperties: ref("FieldProvenance") };
+  result.properties.conflicts = {
+    type: "array",
+    items: ref("FieldConflict"),
+    description: "Fields the chunks disagree on (mode=thorough only)",
+  };
+  result.required = [...result.required, "provenance"];
+  return result;
+}
+
+// Language of a text: Arabic, English, both, or null when it has no letters
+const LANGUAGE = { anyOf: [{ type: "string", enum: ["ar", "en", "bilingual"] }, { type: "null" }] };
+
+/**
+ * Results of /extract, /extract-tender-overview and /analyze: the language of
+ * the document and its sections, and the Arabic values with their English
+ * rendering.
+ */
+function withLanguage(schema) {
+  return {
+    ...schema,
+    properties: {
+      ...schema.properties,
+      language: ref("DocumentLanguage"),
+      bilingual: {
+        type: "object",
+        additionalProperties: ref("BilingualField"),
+        description: "Arabic values by field path (e.g. metadata.issuer), each with an English rendering",
+      },
+    },
+  };
+}
+
+// -------------------- REQUEST FIELDS --------------------
+const BOOLEAN_FIELD = {
+  type: "string",
+  enum: ["true", "false", "1", "0", "yes", "no", "on", "off"],
+};
+
+const EXTRACTION_OPTION_FIELDS = {
+  mode: { type: "string", enum: EXTRACTION_MODES, description: "Speed/accuracy preset" },
+  quickMode: { ...BOOLEAN_FIELD, description: "Shorthand for mode=quick" },
+  chunkMaxChars: { type: "integer", minimum: 1, description: "Characters per LLM chunk" },
+  chunkOverlap: { type: "integer", minimum: 0, description: "Overlap between chunks" },
+  maxConcurrentChunks: { type: "integer", minimum: 1, description: "Chunks processed in parallel" },
+  targetedFill: { ...BOOLEAN_FIELD, description: "Second pass for fields left empty" },
+  finalNormalize: { ...BOOLEAN_FIELD, description: "Final normalization pass" },
+  aiEnhancement: { ...BOOLEAN_FIELD, description: "AI-enhanced recommendations (/analyze)" },
+  citations: { ...BOOLEAN_FIELD, description: "Attach page/offset sources to extracted values" },
+  nullDefaults: { ...BOOLEAN_FIELD, description: "Return null instead of default values and placeholders (/extract)" },
+};
+
+const JOB_FIELDS = {
+  async: { ...BOOLEAN_FIELD, description: "Run as a background job and reply 202 with its id" },
+  stream: { ...BOOLEAN_FIELD, description: "Stream progress as Server-Sent Events" },
+};
+
+// Older field names that are still accepted and renamed to the canonical one
+const EXTRACTION_OPTION_ALIASES = {
+  chunkSize: "chunkMaxChars",
+  concurrency: "maxConcurrentChunks",
+};
+
+// -------------------- OPERATIONS --------------------
+/**
+ * Every route with its request fields and response schemas. `fileField` is
+ * the upload field (or fields) and `fields` the other multipart form fields
+ * (extraction options and job flags are also accepted in the query string,
+ * unless `options: false`); `aliases` maps deprecated field names to
+ * canonical ones. `body` is the schema of a JSON request body,
+ * `query` documents query parameters and `download` the media type(s) of a
+ * file response (alongside the JSON response, if there is one).
+ */
+export const OPERATIONS = [
+  {
+    operationId: "getHealth",
+    method: "get",
+    path: "/health",
+    summary: "Health check",
+    tags: ["System"],
+    responses: { 200: ref("Health") },
+  },
+  {
+    operationId: "analyzeDocument",
+    method: "post",
+    path: "/analyze",
+    summary: "Gap analysis against the keyword rulebook",
+    tags: ["Analysis"],
+    fileField: "document",
+    fields: {
+      department: { type: "string", description: "Department (auto-detected when omitted)" },
+      category: { type: "string", description: "Only report this gap category" },
+      profile: { type: "string", description: "Analysis profile id (see GET /profiles); picked from the detected tender type when omitted" },
+      format: {
+        type: "string",
+        enum: ["json", ...REPORT_FORMATS],
+        description: "Response format (default: json); docx, pdf and xlsx download the gap-analysis report",
+      },
+    },
+    download: Object.values(REPORT_CONTENT_TYPES),
+    responses: { 200: ref("AnalyzeResponse") },
+  },
+  {
+    operationId: "extractTender",
+    method: "post",
+    path: "/extract",
+    summary: "Structured tender extraction",
+    tags: ["Extraction"],
+    fileField: "document",
+    fields: {
+      tenderId: { type: "string" },
+      departmentName: { type: "string" },
+    },
+    responses: { 200: ref("TenderExtraction") },
+  },
+  {
+    operationId: "extractArtifacts",
+    method: "post",
+    path: "/extract-artifacts",
+    summary: "RFP/SOW/BOQ/BOM/BOS artifact extraction",
+    tags: ["Extraction"],
+    fileField: "document",
+    fields: {
+      departmentName: { type: "string" },
+    },
+    aliases: { department: "departmentName" },
+    responses: { 200: ref("Artifacts") },
+  },
+  {
+    operationId: "evaluateRfp",
+    method: "post",
+    path: "/evaluate-rfp",
+    summary: "RFP evaluation criteria extraction",
+    tags: ["Extraction"],
+    fileField: "document",
+    fields: {
+      department: { type: "string", default: "Unknown" },
+    },
+    aliases: { Department: "department", dept: "department", departmentName: "department" },
+    responses: { 200: ref("RfpEvaluationResponse") },
+  },
+  {
+    operationId: "extractMatrix",
+    method: "post",
+    path: "/extract-matrix",
+    summary: "Vendor evaluation matrix extraction",
+    tags: ["Extraction"],
+    fileField: "document",
+    fields: {
+      tenderId: { type: "string" },
+    },
+    aliases: { tender_id: "tenderId" },
+    responses: { 200: ref("Matrix") },
+  },
+  {
+    operationId: "extractTenderOverview",
+    method: "post",
+    path: "/extract-tender-overview",
+    summary: "Tender evaluation framework overview",
+    tags: ["Extraction"],
+    fileField: "document",
+    fields: {
+      departmentName: { type: "string" },
+      rfpTitle: { type: "string" },
+    },
+    aliases: { department: "departmentName", dept: "departmentName", title: "rfpTitle", rfp_title: "rfpTitle" },
+    responses: { 200: ref("TenderOverview") },
+  },
+  {
+    operationId: "analyzePreBidQueries",
+    method: "post",
+    path: "/pre-bid-queries/analyze",
+    summary: "Answer vendor pre-bid queries",
+    tags: ["Pre-bid queries"],
+    fileField: "file",
+    fields: {
+      vendorCompanyName: { type: "string" },
+      authorityName: { type: "string" },
+      projectName: { type: "string" },
+    },
+    aliases: { vendor: "vendorCompanyName", authority: "authorityName", project: "projectName" },
+    responses: { 200: ref("PreBidQueries") },
+  },
+  {
+    operationId: "listCategories",
+    method: "get",
+    path: "/categories",
+    summary: "Gap categories in the rulebook",
+    tags: ["Rules"],
+    responses: { 200: ref("Categories") },
+  },
+  {
+    operationId: "listKeywords",
+    method: "get",
+    path: "/keywords/{category}",
+    summary: "Rules of one gap category",
+    tags: ["Rules"],
+    pathParams: ["category"],
+    responses: { 200: ref("Keywords") },
+  },
+  {
+    operationId: "listRules",
+    method: "get",
+    path: "/rules",
+    summary: "Rules in the current rulebook",
+    tags: ["Rules"],
+    query: { category: { type: "string", description: "Only rules of this category" } },
+    responses: { 200: ref("RuleList") },
+  },
+  {
+    operationId: "createRule",
+    method: "post",
+    path: "/rules",
+    summary: "Add a rule (creates a new rulebook version)",
+    tags: ["Rules"],
+    body: ref("RuleInput"),
+    responses: { 201: ref("RuleResponse"), 409: ref("Error") },
+  },
+  {
+    operationId: "listRulebookVersions",
+    method: "get",
+    path: "/rules/versions",
+    summary: "Rulebook history",
+    tags: ["Rules"],
+    responses: { 200: ref("RulebookVersions") },
+  },
+  {
+    operationId: "getRulebookVersion",
+    method: "get",
+    path: "/rules/versions/{version}",
+    summary: "One rulebook version with its rules",
+    tags: ["Rules"],
+    pathParams: ["version"],
+    responses: { 200: ref("RulebookVersion"), 404: ref("Error") },
+  },
+  {
+    operationId: "restoreRulebookVersion",
+    method: "post",
+    path: "/rules/versions/{version}/restore",
+    summary: "Make an older version current (creates a new rulebook version)",
+    tags: ["Rules"],
+    pathParams: ["version"],
+    responses: { 200: ref("RulebookChange"), 404: ref("Error") },
+  },
+  {
+    operationId: "importRules",
+    method: "post",
+    path: "/rules/import",
+    summary: "Import rules from a keywords workbook (creates a new rulebook version)",
+    tags: ["Rules"],
+    fileField: "file",
+    fileDescription: "Keywords workbook (.xlsx, .xls)",
+    options: false,
+    fields: {
+      mode: {
+        type: "string",
+        enum: IMPORT_MODES,
+        default: "merge",
+        description: "merge: add new rules and replace same-named ones; replace: the workbook becomes the rulebook",
+      },
+    },
+    responses: { 200: ref("RulebookImport") },
+  },
+  {
+    operationId: "testRule",
+    method: "post",
+    path: "/rules/test",
+    summary: "Dry-run a rule against a document or text",
+    tags: ["Rules"],
+    fileField: "document",
+    fileOptional: true,
+    options: false,
+    fields: {
+      rule: {
+        type: ["object", "string"],
+        description: "Rule definition (a JSON string in multipart requests); name and category are optional",
+      },
+      ruleId: { type: "string", description: "Test a stored rule instead of `rule`" },
+      text: { type: "string", description: "Text to test against instead of a document" },
+    },
+    responses: { 200: ref("RuleTestResult") },
+  },
+  {
+    operationId: "exportRules",
+    method: "get",
+    path: "/rules/export",
+    summary: "Download the rulebook as a keywords workbook",
+    tags: ["Rules"],
+    query: { version: { type: "integer", minimum: 1, description: "Rulebook version (default: current)" } },
+    download: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    responses: { 404: ref("Error") },
+  },
+  {
+    operationId: "getRule",
+    method: "get",
+    path: "/rules/{id}",
+    summary: "One rule of the current rulebook",
+    tags: ["Rules"],
+    pathParams: ["id"],
+    responses: { 200: ref("RuleResponse"), 404: ref("Error") },
+  },
+  {
+    operationId: "updateRule",
+    method: "put",
+    path: "/rules/{id}",
+    summary: "Update a rule; omitted fields keep their value (creates a new rulebook version)",
+    tags: ["Rules"],
+    pathParams: ["id"],
+    body: ref("RuleUpdate"),
+    responses: { 200: ref("RuleResponse"), 404: ref("Error"), 409: ref("Error") },
+  },
+  {
+    operationId: "deleteRule",
+    method: "delete",
+    path: "/rules/{id}",
+    summary: "Delete a rule (creates a new rulebook version)",
+    tags: ["Rules"],
+    pathParams: ["id"],
+    responses: { 200: ref("RuleResponse"), 404: ref("Error") },
+  },
+  {
+    operationId: "listProfiles",
+    method: "get",
+    path: "/profiles",
+    summary: "Analysis profiles /analyze can run",
+    tags: ["Profiles"],
+    responses: { 200: ref("ProfileList") },
+  },
+  {
+    operationId: "getProfile",
+    method: "get",
+    path: "/profiles/{id}",
+    summary: "One analysis profile",
+    tags: ["Profiles"],
+    pathParams: ["id"],
+    responses: { 200: ref("ProfileResponse"), 404: ref("Error") },
+  },
+  {
+    operationId: "exportRiskRegister",
+    method: "post",
+    path: "/risk-register",
+    summary: "Risk register of a document's gap analysis, as JSON, CSV or XLSX",
+    tags: ["Analysis"],
+    fileField: "document",
+    options: false,
+    fields: {
+      department: { type: "string", description: "Department (auto-detected when omitted)" },
+      category: { type: "string", description: "Only consider gaps of this gap category" },
+      profile: { type: "string", description: "Analysis profile id (see GET /profiles)" },
+      format: { type: "string", enum: EXPORT_FORMATS, description: "Response format (default: json)" },
+    },
+    download: ["text/csv", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"],
+    responses: { 200: ref("RiskRegisterResponse") },
+  },
+  {
+    operationId: "getRiskModel",
+    method: "get",
+    path: "/risk-register/model",
+    summary: "Risk model the risk register is built from",
+    tags: ["Analysis"],
+    responses: { 200: ref("RiskModel") },
+  },
+  {
+    operationId: "getReport",
+    method: "get",
+    path: "/reports/{id}",
+    summary: "Gap-analysis report of a completed background analysis",
+    tags: ["Analysis"],
+    pathParams: ["id"],
+    query: { format: { type: "string", enum: REPORT_FORMATS, description: "Report format (default: pdf)" } },
+    download: Object.values(REPORT_CONTENT_TYPES),
+    responses: { 400: ref("Error"), 404: ref("Error"), 409: ref("Error") },
+  },
+  {
+    operationId: "compareVersions",
+    method: "post",
+    path: "/compare",
+    summary: "Compare two versions of a tender: resolved and new gaps, score changes and changed sections",
+    tags: ["Analysis"],
+    fileField: ["base", "revised"],
+    fileOptional: true,
+    options: false,
+    fields: {
+      baseJobId: { type: "string", description: "Completed analyze job to use as the base version instead of a `base` document" },
+      revisedJobId: { type: "string", description: "Completed analyze job to use as the revised version instead of a `revised` document" },
+      department: { type: "string", description: "Department (auto-detected when omitted)" },
+      category: { type: "string", description: "Only compare gaps of this gap category" },
+      profile: { type: "string", description: "Analysis profile id; defaults to the base version's profile" },
+    },
+    responses: { 200: ref("Comparison"), 404: ref("Error"), 409: ref("Error") },
+  },
+  {
+    operationId: "extractTimeline",
+    method: "post",
+    path: "/timeline",
+    summary: "Procurement timeline of a document (milestone dates and times), added to the calendar feed",
+    tags: ["Timeline"],
+    fileField: "document",
+    options: false,
+    fields: {
+      tenderId: { type: "string", description: "Tender reference; a timeline saved with the same reference is replaced" },
+      title: { type: "string", description: "Calendar title of the tender (default: the file name)" },
+      timezone: {
+        type: "string",
+        description: "Timezone of the times when the document names none: IANA name or offset (default: TENDER_TIMEZONE)",
+      },
+      format: { type: "string", enum: ["json", "ics"], description: "Response format (default: json)" },
+    },
+    download: "text/calendar",
+    responses: { 200: ref("Timeline") },
+  },
+  {
+    operationId: "listTimelines",
+    method: "get",
+    path: "/timeline",
+    summary: "Saved timelines, most recently updated first",
+    tags: ["Timeline"],
+    responses: { 200: ref("TimelineList") },
+  },
+  {
+    operationId: "getTimelineFeed",
+    method: "get",
+    path: "/timeline/calendar.ics",
+    summary: "iCalendar feed of every saved timeline, for calendar subscriptions",
+    tags: ["Timeline"],
+    download: "text/calendar",
+    responses: {},
+  },
+  {
+    operationId: "getTimeline",
+    method: "get",
+    path: "/timeline/{id}",
+    summary: "One saved timeline",
+    tags: ["Timeline"],
+    pathParams: ["id"],
+    query: { format: { type: "string", enum: ["json", "ics"], description: "Response format (default: json)" } },
+    download: "text/calendar",
+    responses: { 200: ref("Timeline"), 400: ref("Error"), 404: ref("Error") },
+  },
+  {
+    operationId: "deleteTimeline",
+    method: "delete",
+    path: "/timeline/{id}",
+    summary: "Remove a timeline from the calendar feed",
+    tags: ["Timeline"],
+    pathParams: ["id"],
+    responses: { 200: ref("TimelineRemoved"), 404: ref("Error") },
+  },
+  {
+    operationId: "getJob",
+    method: "get",
+    path: "/jobs/{id}",
+    summary: "Background job state",
+    tags: ["Jobs"],
+    pathParams: ["id"],
+    responses: { 200: ref("Job"), 404: ref("Error") },
+  },
+  {
+    operationId: "streamJobEvents",
+    method: "get",
+    path: "/jobs/{id}/events",
+    summary: "Background job progress as Server-Sent Events",
+    tags: ["Jobs"],
+    pathParams: ["id"],
+    eventStream: true,
+    responses: { 404: ref("Error") },
+  },
+  {
+    operationId: "cancelJob",
+    method: "delete",
+    path: "/jobs/{id}",
+    summary: "Cancel a queued or running job",
+    tags: ["Jobs"],
+    pathParams: ["id"],
+    responses: { 200: ref("Job"), 404: ref("Error"), 409: ref("Job") },
+  },
+];
+
+export function getOperation(operationId) {
+  const operation = OPERATIONS.find((op) => op.operationId === operationId);
+  if (!operation) throw new Error(`Unknown operation: ${operationId}`);
+  return operation;
+}
+
+// Extraction options and job flags accepted by a document upload operation
+function optionFields(operation) {
+  return operation.options === false ? {} : { ...EXTRACTION_OPTION_FIELDS, ...JOB_FIELDS };
+}
+
+/**
+ * JSON Schema for the request fields of a file upload operation
+ * (form fields and query string merged).
+ */
+export function requestFieldsSchema(operation) {
+  return {
+    type: "object",
+    properties: { ...operation.fields, ...optionFields(operation) },
+  };
+}
+
+export function fieldAliases(operation) {
+  return { ...(operation.options === false ? {} : EXTRACTION_OPTION_ALIASES), ...operation.aliases };
+}
+
+// -------------------- COMPONENTS --------------------
+function buildComponents() {
+  const jobState = {
+    type: "object",
+    required: ["jobId", "type", "status", "stage", "progress"],
+    properties: {
+      success: { type: "boolean" },
+      jobId: { type: "string" },
+      type: { type: "string" },
+      status: { type: "string", enum: ["queued", "running", "completed", "failed", "cancelled"] },
+      stage: { type: "string" },
+      progress: { type: "integer", minimum: 0, maximum: 100 },
+      message: { type: ["string", "null"] },
+      partial: { type: "object" },
+      result: {},
+      error: { type: ["string", "null"] },
+      meta: { type: "object" },
+      createdAt: { type: "string" },
+      startedAt: { type: ["string", "null"] },
+      finishedAt: { type: ["string", "null"] },
+    },
+  };
+
+  const stringList = { type: "array", items: { type: "string" } };
+  const nullableInteger = { type: ["integer", "null"] };
+  const ruleInput = fromZod(RuleSchema);
+  const rule = {
+    ...ruleInput,
+    required: ["id", "name", "category", "where", "presence", "quality_requires", "unclear_triggers", "outdated_triggers", "required", "weight", "severity"],
+    properties: { id: { type: "string" }, ...ruleInput.properties },
+  };
+  const profileFields = fromZod(ProfileSchema);
+  const profile = {
+    ...profileFields,
+    required: Object.keys(profileFields.properties),
+  };
+  const riskLevel = {
+    type: "object",
+    required: ["level", "label"],
+    properties: { level: { type: "integer", minimum: 1, maximum: 5 }, label: { type: "string" } },
+  };
+  const artifact = {
+    type: "object",
+    required: ["present"],
+    properties: { present: { type: "string", enum: ["yes", "no"] } },
+  };
+  const rating = {
+    type: "object",
+    properties: { Weightage: { type: ["number", "null"] }, Rating: { type: ["number", "null"] } },
+  };
+
+  return {
+    schemas: {
+      Error: {
+        type: "object",
+        required: ["success", "error"],
+        properties: {
+          success: { const: false },
+          error: { type: "string" },
+        },
+      },
+      ValidationError: {
+        type: "object",
+        required: ["success", "error", "errors"],
+        properties: {
+          success: { const: false },
+          error: { type: "string" },
+          errors: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["field", "message"],
+              properties: { field: { type: "string" }, message: { type: "string" } },
+            },
+          },
+        },
+      },
+      Source: SOURCE_SCHEMA,
+      Health: {
+        type: "object",
+        required: ["status"],
+        properties: { status: { type: "string" }, message: { type: "string" } },
+      },
+      JobAccepted: {
+        type: "object",
+        required: ["success", "jobId", "status", "statusUrl"],
+        properties: {
+          success: { const: true },
+          jobId: { type: "string" },
+          status: { type: "string" },
+          statusUrl: { type: "string" },
+        },
+      },
+      Job: jobState,
+      RuleInput: ruleInput,
+      RuleUpdate: { ...ruleInput, required: [] },
+      Rule: rule,
+      RuleList: {
+        type: "object",
+        required: ["success", "version", "count", "rules"],
+        properties: {
+          success: { const: true },
+          version: { type: "integer" },
+          count: { type: "integer" },
+          rules: { type: "array", items: ref("Rule") },
+        },
+      },
+      RuleResponse: {
+        type: "object",
+        required: ["success", "version", "rule"],
+        properties: { success: { const: true }, version: { type: "integer" }, rule: ref("Rule") },
+      },
+      RulebookChange: {
+        type: "object",
+        required: ["version", "createdAt", "action", "ruleId", "message", "ruleCount"],
+        properties: {
+          success: { const: true },
+          version: { type: "integer" },
+          createdAt: { type: "string" },
+          action: { type: "string", enum: ["seed", "create", "update", "delete", "import", "restore"] },
+          ruleId: { type: ["string", "null"] },
+          message: { type: "string" },
+          ruleCount: { type: "integer" },
+        },
+      },
+      RulebookVersions: {
+        type: "object",
+        required: ["success", "current", "versions"],
+        properties: {
+          success: { const: true },
+          current: { type: "integer" },
+          versions: { type: "array", items: ref("RulebookChange") },
+        },
+      },
+      RulebookVersion: {
+        allOf: [
+          ref("RulebookChange"),
+          { type: "object", required: ["rules"], properties: { rules: { type: "array", items: ref("Rule") } } },
+        ],
+      },
+      RulebookImport: {
+        type: "object",
+        required: ["success", "version", "mode", "added", "replaced", "removed", "ruleCount"],
+        properties: {
+          success: { const: true },
+          version: { type: "integer" },
+          mode: { type: "string", enum: IMPORT_MODES },
+          added: { type: "integer" },
+          replaced: { type: "integer" },
+          removed: { type: "integer" },
+          ruleCount: { type: "integer" },
+        },
+      },
+      Profile: profile,
+      ProfileList: {
+        type: "object",
+        required: ["success", "count", "profiles"],
+        properties: {
+          success: { const: true },
+          count: { type: "integer" },
+          profiles: { type: "array", items: ref("Profile") },
+        },
+      },
+      ProfileResponse: {
+        type: "object",
+        required: ["success", "profile"],
+        properties: { success: { const: true }, profile: ref("Profile") },
+      },
+      OutlineHeading: {
+        type: "object",
+        required: ["title", "number", "level", "section", "source"],
+        properties: {
+          title: { type: "string" },
+          number: { type: ["string", "null"], description: "Heading number (\"3.2\", \"IV\"), if any" },
+          level: { type: "integer", minimum: 1 },
+          section: { type: ["string", "null"], description: "Canonical section the heading maps to" },
+          source: { type: "string", enum: ["style", "toc", "numbering", "uppercase", "synonym"] },
+        },
+      },
+      DocumentLanguage: {
+        type: "object",
+        required: ["document", "sections"],
+        properties: {
+          document: { ...LANGUAGE, description: "Language of the whole document" },
+          sections: { type: "object", additionalProperties: LANGUAGE, description: "Language of each canonical section" },
+        },
+      },
+      BilingualField: {
+        type: "object",
+        required: ["ar", "en"],
+        properties: {
+          ar: { type: "string", description: "The value as the document states it" },
+          en: { type: ["string", "null"], description: "English rendering; null when the LLM is unavailable" },
+        },
+      },
+      TenderType: {
+        type: "object",
+        description: "Tender type detected from the rulebook's tender category keywords",
+        required: ["type", "department", "scores", "keywords"],
+        properties: {
+          type: { anyOf: [{ type: "string", enum: TENDER_TYPES }, { type: "null" }] },
+          department: { type: ["string", "null"] },
+          scores: { type: "object", additionalProperties: { type: "integer" }, description: "Keyword hits per tender type" },
+          keywords: { ...stringList, description: "Keywords of the detected type found in the document (up to 10)" },
+        },
+      },
+      TenderExtraction: withCitations(withLanguage(withProvenance(CORE_SCHEMA))),
+      FieldProvenance: {
+        type: "object",
+        required: ["method", "confidence"],
+        properties: {
+          method: { type: "string", enum: ["regex", "ai", "user", "default"] },
+          confidence: { type: "number", minimum: 0, maximum: 1 },
+        },
+      },
+      FieldConflict: {
+        type: "object",
+        required: ["field", "values", "chosen"],
+        properties: {
+          field: { type: "string", description: "Field path, e.g. administration.submission_deadline" },
+          values: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["value", "chunks"],
+              properties: {
+                value: {},
+                chunks: { type: "array", items: { type: "integer" }, description: "1-based chunks stating the value" },
+              },
+            },
+          },
+          chosen: { description: "The value kept in the result" },
+        },
+      },
+      TenderOverview: withCitations(withLanguage(fromZod(TenderSchemaLoose))),
+      PreBidQueries: withCitations(fromZod(PreBidOutputSchema)),
+      RfpEvaluation: withCitations(schemaFromExample(getRfpEvaluationTemplate())),
+      RfpEvaluationResponse: {
+        type: "object",
+        required: ["success", "filename", "department", "evaluation"],
+        properties: {
+          success: { const: true },
+          filename: { type: "string" },
+          department: { type: "string" },
+          evaluation: ref("RfpEvaluation"),
+        },
+      },
+      CategoryScore: {
+        type: "object",
+        description: "Points earned in one gap category; `score` is null when no rule was scored",
+        required: ["score", "earned", "possible", "rules"],
+        properties: {
+          score: { type: ["number", "null"] },
+          earned: { type: "number" },
+          possible: { type: "number" },
+          rules: { type: "array", items: ref("RuleScore") },
+        },
+      },
+      RuleScore: {
+        type: "object",
+        required: ["name", "severity", "weight", "scored", "possible", "earned", "deductions", "explanation"],
+        properties: {
+          name: { type: "string" },
+          severity: { type: "string", enum: SEVERITIES },
+          weight: { type: "number" },
+          scored: { type: "boolean" },
+          possible: { type: "number" },
+          earned: { type: "number" },
+          deductions: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["type", "points", "detail"],
+              properties: {
+                type: { type: "string", enum: Object.keys(FINDING_PENALTIES) },
+                points: { type: "number" },
+                detail: { type: "string" },
+              },
+            },
+          },
+          explanation: { type: "string" },
+        },
+      },
+      RuleTestResult: {
+        type: "object",
+        required: ["success", "rule", "characters", "sectionsFound", "scopes", "usedFallback", "present", "patterns", "gaps", "recommendations", "score"],
+        properties: {
+          success: { const: true },
+          rule: { type: "object" },
+          characters: { type: "integer", description: "Length of the analyzed text the offsets refer to" },
+          sectionsFound: stringList,
+          scopes: {
+            type: "array",
+            description: "Sections the rule was checked against",
+            items: {
+              type: "object",
+              required: ["section", "start", "end"],
+              properties: { section: { type: "string" }, start: { type: "integer" }, end: { type: "integer" } },
+            },
+          },
+          usedFallback: { type: "boolean", description: "None of the rule's `where` sections exist, so the whole document was used" },
+          present: { type: "boolean" },
+          patterns: {
+            type: "object",
+            required: ["presence", "quality_requires", "unclear_triggers", "outdated_triggers"],
+            additionalProperties: { type: "array", items: ref("PatternMatches") },
+          },
+          gaps: { type: "array", items: ref("Gap") },
+          recommendations: stringList,
+          score: { anyOf: [ref("RuleScore"), { type: "null" }] },
+        },
+      },
+      PatternMatches: {
+        type: "object",
+        required: ["pattern", "matched", "matches"],
+        properties: {
+          pattern: { type: "string" },
+          matched: { type: "boolean" },
+          matches: {
+            type: "array",
+            description: "Up to 20 matches, with offsets into the analyzed text",
+            items: {
+              type: "object",
+              required: ["section", "start", "end", "match", "context"],
+              properties: {
+                section: { type: "string" },
+                start: { type: "integer" },
+                end: { type: "integer" },
+                match: { type: "string" },
+                context: { type: "string" },
+              },
+            },
+          },
+        },
+      },
+      GapEvidence: {
+        type: "object",
+        description: "Where a rule pattern matched: the section searched and the text around the match",
+        required: ["pattern", "match", "section", "context"],
+        properties: {
+          pattern: { type: "string" },
+          match: { type: "string" },
+          section: { type: "string", description: "Section header, or FULL for the whole document" },
+          context: { type: "string" },
+        },
+      },
+      Gap: {
+        type: "object",
+        required: ["rule", "category", "type", "severity", "message", "sections", "presence", "missingTerms", "triggers"],
+        properties: {
+          rule: { type: "string" },
+          ruleId: { type: ["string", "null"], description: "Rulebook id of the rule (null for document-wide checks)" },
+          category: { type: "string" },
+          type: { type: "string", enum: Object.keys(FINDING_PENALTIES) },
+          severity: { type: "string", enum: SEVERITIES },
+          message: { type: "string", description: "The matching gapCategories entry" },
+          sections: stringList,
+          presence: { anyOf: [ref("GapEvidence"), { type: "null" }] },
+          missingTerms: stringList,
+          triggers: { type: "array", items: ref("GapEvidence") },
+          source: { anyOf: [ref("Source"), { type: "null" }], description: "Page and offsets of the evidence (citations=true)" },
+        },
+      },
+      RiskEntry: {
+        type: "object",
+        required: ["id", "risk", "owner", "likelihood", "impact", "score", "rating", "mitigation", "gaps"],
+        properties: {
+          id: { type: "string" },
+          risk: { type: "string" },
+          owner: { type: "string", enum: RISK_OWNERS },
+          likelihood: riskLevel,
+          impact: riskLevel,
+          score: { type: "integer", minimum: 1, maximum: 25, description: "Likelihood × impact" },
+          rating: { type: "string", enum: RISK_RATINGS.map((r) => r.rating) },
+          mitigation: { type: "string" },
+          gaps: {
+            type: "array",
+            description: "The gaps that raised the risk",
+            items: {
+              type: "object",
+              required: ["rule", "category", "type", "severity", "message"],
+              properties: {
+                rule: { type: "string" },
+                category: { type: "string" },
+                type: { type: "string", enum: Object.keys(FINDING_PENALTIES) },
+                severity: { type: "string", enum: SEVERITIES },
+                message: { type: "string" },
+              },
+            },
+          },
+        },
+      },
+      RiskRegisterResponse: {
+        type: "object",
+        required: ["success", "filename", "profile", "count", "riskRegister"],
+        properties: {
+          success: { const: true },
+          filename: { type: "string" },
+          profile: { type: "object" },
+          count: { type: "integer" },
+          riskRegister: { type: "array", items: ref("RiskEntry") },
+        },
+      },
+      Risk: fromZod(RiskSchema),
+      RiskModel: {
+        type: "object",
+        required: ["success", "likelihoodLevels", "impactLevels", "ratings", "count", "risks"],
+        properties: {
+          success: { const: true },
+          likelihoodLevels: { ...stringList, description: "Labels of likelihood levels 1-5" },
+          impactLevels: { ...stringList, description: "Labels of impact levels 1-5" },
+          ratings: {
+            type: "array",
+            description: "Rating bands: the first whose minimum likelihood × impact is reached",
+            items: {
+              type: "object",
+              required: ["rating", "min"],
+              properties: { rating: { type: "string" }, min: { type: "integer" } },
+            },
+          },
+          count: { type: "integer" },
+          risks: { type: "array", items: ref("Risk") },
+        },
+      },
+      ComparedGap: {
+        type: "object",
+        required: ["rule", "ruleId", "category", "type", "severity", "message"],
+        properties: {
+          rule: { type: "string" },
+          ruleId: { type: ["string", "null"] },
+          category: { type: "string" },
+          type: { type: "string", enum: Object.keys(FINDING_PENALTIES) },
+          severity: { type: "string", enum: SEVERITIES },
+          message: { type: "string" },
+        },
+      },
+      ScoreChange: {
+        type: "object",
+        required: ["base", "revised", "change"],
+        properties: {
+          category: { type: "string", enum: GAP_CATEGORIES },
+          base: nullableInteger,
+          revised: nullableInteger,
+          change: { ...nullableInteger, description: "Revised minus base, in points (null when either is unscored)" },
+        },
+      },
+      ComparedVersion: {
+        type: "object",
+        required: ["jobId", "filename", "overallScore", "profile", "rulebookVersion"],
+        properties: {
+          jobId: { type: ["string", "null"], description: "Analyze job the version was taken from (null for an uploaded document)" },
+          filename: { type: "string" },
+          overallScore: { type: "integer" },
+          profile: { type: "object" },
+          rulebookVersion: { type: "integer" },
+        },
+      },
+      SectionComparison: {
+        type: "object",
+        required: ["section", "status", "linesAdded", "linesRemoved", "changes"],
+        properties: {
+          section: { type: "string", description: "Canonical section name, OTHER for the text outside the recognised sections, or FULL when neither version has one" },
+          status: { type: "string", enum: ["added", "removed", "changed", "unchanged"] },
+          linesAdded: { type: "integer" },
+          linesRemoved: { type: "integer" },
+          changes: {
+            type: "array",
+            description: "Changed lines; `line` counts non-blank lines of the revised (added) or base (removed) section",
+            items: {
+              type: "object",
+              required: ["type", "text", "line"],
+              properties: {
+                type: { type: "string", enum: ["added", "removed"] },
+                text: { type: "string" },
+                line: { type: "integer" },
+              },
+            },
+          },
+        },
+      },
+      Comparison: {
+        type: "object",
+        required: ["success", "base", "revised", "summary", "scores", "resolvedGaps", "newGaps", "changedGaps", "sections"],
+        properties: {
+          success: { const: true },
+          base: ref("ComparedVersion"),
+          revised: ref("ComparedVersion"),
+          summary: {
+            type: "object",
+            required: ["resolvedGaps", "newGaps", "changedGaps", "persistingGaps", "changedSections"],
+            properties: {
+              resolvedGaps: { type: "integer" },
+              newGaps: { type: "integer" },
+              changedGaps: { type: "integer" },
+              persistingGaps: { type: "integer" },
+              changedSections: { type: "integer" },
+            },
+          },
+          scores: {
+            type: "object",
+            required: ["overall", "categories"],
+            properties: {
+              overall: ref("ScoreChange"),
+              categories: { type: "array", items: ref("ScoreChange") },
+            },
+          },
+          resolvedGaps: { type: "array", items: ref("ComparedGap"), description: "Gaps of the base version the revised one no longer has" },
+          newGaps: { type: "array", items: ref("ComparedGap"), description: "Gaps only the revised version has" },
+          changedGaps: {
+            type: "array",
+            description: "Rules whose gap changed type (e.g. missing → weak)",
+            items: {
+              type: "object",
+              required: ["rule", "ruleId", "category", "from", "to"],
+              properties: {
+                rule: { type: "string" },
+                ruleId: { type: ["string", "null"] },
+                category: { type: "string" },
+                from: ref("ComparedGap"),
+                to: ref("ComparedGap"),
+              },
+            },
+          },
+          sections: { type: "array", items: ref("SectionComparison"), description: "Sections of either version, aligned by canonical name" },
+        },
+      },
+      TimelineMilestone: {
+        type: "object",
+        required: ["id", "name", "type", "date", "time", "dateTime", "timezone", "utcOffset", "stated", "line"],
+        properties: {
+          id: { type: "string", enum: TIMELINE_MILESTONES.map((m) => m.id) },
+          name: { type: "string" },
+          type: { type: "string", enum: ["deadline", "meeting", "milestone"] },
+          date: { type: ["string", "null"], description: "YYYY-MM-DD (null when the document states none)" },
+          time: { type: ["string", "null"], description: "HH:MM, 24-hour" },
+          dateTime: { type: ["string", "null"], description: "ISO 8601 date-time with UTC offset, when a time is stated" },
+          timezone: { type: ["string", "null"], description: "Timezone of the time: IANA name or offset" },
+          utcOffset: { type: ["string", "null"], description: "Offset of the timezone on that date, e.g. +04:00" },
+          stated: { type: ["string", "null"], description: "Text the date was read from" },
+          line: nullableInteger,
+        },
+      },
+      Timeline: {
+        type: "object",
+        required: ["success", "id", "tenderId", "title", "filename", "timezone", "timezoneSource", "milestones", "createdAt", "updatedAt", "revision", "calendarUrl", "feedUrl"],
+        properties: {
+          success: { const: true },
+          id: { type: "string" },
+          tenderId: { type: ["string", "null"] },
+          title: { type: "string" },
+          filename: { type: ["string", "null"] },
+          timezone: { type: "string", description: "Timezone of times that name none" },
+          timezoneSource: { type: "string", enum: ["document", "request", "default"] },
+          milestones: { type: "array", items: ref("TimelineMilestone") },
+          createdAt: { type: "string" },
+          updatedAt: { type: "string" },
+          revision: { type: "integer", description: "Times the tender's timeline was saved (above 1: an earlier timeline was replaced)" },
+          calendarUrl: { type: "string", description: "iCalendar of this tender" },
+          feedUrl: { type: "string", description: "iCalendar feed of every saved tender" },
+        },
+      },
+      TimelineSummary: {
+        type: "object",
+        required: ["id", "tenderId", "title", "filename", "timezone", "milestonesFound", "nextMilestone", "createdAt", "updatedAt", "revision"],
+        properties: {
+          id: { type: "string" },
+          tenderId: { type: ["string", "null"] },
+          title: { type: "string" },
+          filename: { type: ["string", "null"] },
+          timezone: { type: "string" },
+          milestonesFound: { type: "integer" },
+          nextMilestone: {
+            type: ["object", "null"],
+            description: "First milestone dated today or later",
+            required: ["id", "name", "date", "dateTime"],
+            properties: {
+              id: { type: "string" },
+              name: { type: "string" },
+              date: { type: "string" },
+              dateTime: { type: ["string", "null"] },
+            },
+          },
+          createdAt: { type: "string" },
+          updatedAt: { type: "string" },
+          revision: { type: "integer" },
+        },
+      },
+      TimelineList: {
+        type: "object",
+        required: ["success", "count", "timelines"],
+        properties: {
+          success: { const: true },
+          count: { type: "integer" },
+          timelines: { type: "array", items: ref("TimelineSummary") },
+        },
+      },
+      TimelineRemoved: {
+        type: "object",
+        required: ["success", "timeline"],
+        properties: { success: { const: true }, timeline: ref("TimelineSummary") },
+      },
+      FactMention: {
+        type: "object",
+        required: ["value", "normalized", "label", "start", "end", "line", "heading", "section", "context"],
+        properties: {
+          value: { type: "string", description: "The value as written" },
+          normalized: { type: "string", description: "YYYY-MM-DD, \"N months\", \"N days\" or \"N%\"" },
+          label: { type: "string", description: "The text naming the fact" },
+          start: { type: "integer", description: "Offset of the value in the analyzed text" },
+          end: { type: "integer" },
+          line: { type: "integer", description: "Line of the label in the analyzed text" },
+          heading: { type: ["string", "null"], description: "Heading the mention falls under" },
+          section: { type: ["string", "null"], description: "Canonical section of that heading" },
+          context: { type: "string" },
+        },
+      },
+      Contradiction: {
+        type: "object",
+        description: "A key fact stated with different values",
+        required: ["fact", "name", "category", "values", "addendum"],
+        properties: {
+          fact: { type: "string", enum: KEY_FACTS.map((f) => f.id) },
+          name: { type: "string" },
+          category: { type: "string", enum: GAP_CATEGORIES },
+          values: {
+            type: "array",
+            minItems: 2,
+            items: {
+              type: "object",
+              required: ["value", "normalized", "mentions"],
+              properties: {
+                value: { type: "string" },
+                normalized: { type: "string" },
+                mentions: { type: "array", items: ref("FactMention") },
+              },
+            },
+          },
+          addendum: { type: "string", description: "Suggested addendum wording settling the conflict" },
+        },
+      },
+      GapAnalysis: {
+        type: "object",
+        required: ["documentInfo", "completenessAssessment", "gapCategories", "criticalRisks", "recommendations"],
+        properties: {
+          rulebookVersion: { type: "integer", description: "Rulebook version the analysis ran against" },
+          profile: {
+            type: "object",
+            required: ["id", "name", "selectedBy"],
+            properties: {
+              id: { type: "string" },
+              name: { type: "string" },
+              selectedBy: { type: "string", enum: ["request", "tenderType", "default"] },
+            },
+          },
+          tenderType: ref("TenderType"),
+          language: ref("DocumentLanguage"),
+          outline: { type: "array", items: ref("OutlineHeading"), description: "Detected headings, in document order" },
+          documentInfo: { type: "object" },
+          bilingual: {
+            type: "object",
+            additionalProperties: ref("BilingualField"),
+            description: "Arabic document facts and headings by path (e.g. documentInfo.title), each with an English rendering",
+          },
+          completenessAssessment: {
+            type: "object",
+            required: ["overallScore", "summary"],
+            properties: {
+              overallScore: { type: "number" },
+              scoreBreakdown: { type: "object", additionalProperties: ref("CategoryScore") },
+              summary: { type: "string" },
+              missingSections: stringList,
+              weakSections: stringList,
+              unclearSections: stringList,
+              outdatedContent: stringList,
+            },
+          },
+          gapCategories: { type: "object", additionalProperties: stringList },
+          gaps: { type: "array", items: ref("Gap") },
+          contradictions: { type: "array", items: ref("Contradiction") },
+          criticalRisks: {
+            type: "object",
+            description: "Risk statements of the risk register: critical and high, medium, low",
+            additionalProperties: stringList,
+          },
+          riskRegister: { type: "array", items: ref("RiskEntry") },
+          recommendations: { type: "object", additionalProperties: stringList },
+          sources: { type: "object" },
+        },
+      },
+      AnalyzeResponse: {
+        type: "object",
+        required: ["success", "filename", "result"],
+        properties: {
+          success: { const: true },
+          filename: { type: "string" },
+          result: ref("GapAnalysis"),
+        },
+      },
+      Artifacts: {
+        type: "object",
+        required: ["RFP", "SOW", "BOQ", "BOM", "BOS"],
+        properties: { RFP: artifact, SOW: artifact, BOQ: artifact, BOM: artifact, BOS: artifact, sources: { type: "object" } },
+      },
+      Matrix: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["Company Name", "Overall Rating", "Subcategory Ratings"],
+          properties: {
+            "Company Name": { type: "string" },
+            "Overall Rating": { type: ["number", "null"] },
+            "Category-Level Weightage": { type: ["number", "null"] },
+            "Category-Level Rating": { type: ["number", "null"] },
+            "Subcategory Ratings": { type: "object", additionalProperties: rating },
+          },
+        },
+      },
+      Categories: {
+        type: "object",
+        required: ["success", "categories", "totalRules"],
+        properties: {
+          success: { const: true },
+          categories: stringList,
+          totalRules: { type: "integer" },
+          rulebookVersion: { type: "integer" },
+        },
+      },
+      Keywords: {
+        type: "object",
+        required: ["success", "category", "keywords", "count"],
+        properties: {
+          success: { const: true },
+          category: { type: "string" },
+          keywords: { type: "array", items: ref("Rule") },
+          count: { type: "integer" },
+          rulebookVersion: { type: "integer" },
+        },
+      },
+    },
+  };
+}
+
+// -------------------- DOCUMENT --------------------
+function buildOperation(op) {
+  const out = {
+    operationId: op.operationId,
+    summary: op.summary,
+    tags: op.tags,
+    parameters: [
+      ...(op.pathParams || []).map((name) => ({
+        name,
+        in: "path",
+        required: true,
+        schema: { type: "string" },
+      })),
+      ...Object.entries(op.query || {}).map(([name, schema]) => ({
+        name,
+        in: "query",
+        required: false,
+        description: schema.description,
+        schema,
+      })),
+    ],
+    responses: {},
+  };
+
+  if (op.body) {
+    out.requestBody = { required: true, content: { "application/json": { schema: op.body } } };
+    out.responses[400] = {
+      description: "Invalid request",
+      content: { "application/json": { schema: ref("ValidationError") } },
+    };
+  }
+
+  if (op.fileField) {
+    const queryFields = optionFields(op);
+    out.parameters.push(
+      ...Object.entries(queryFields).map(([name, schema]) => ({
+        name,
+        in: "query",
+        required: false,
+        description: schema.description,
+        schema,
+      }))
+    );
+    out.requestBody = {
+      required: true,
+      content: {
+        "multipart/form-data": {
+          schema: {
+            type: "object",
+            required: op.fileOptional ? [] : [op.fileField].flat(),
+            properties: {
+              ...Object.fromEntries(
+                [op.fileField].flat().map((field) => [
+                  field,
+                  {
+                    type: "string",
+                    format: "binary",
+                    description: op.fileDescription || `Document (${SUPPORTED_EXTENSIONS.join(", ")})`,
+                  },
+                ])
+              ),
+              ...op.fields,
+              ...queryFields,
+            },
+          },
+        },
+      },
+    };
+    // Without a file the same fields may be sent as a JSON body
+    if (op.fileOptional) {
+      out.requestBody.content["application/json"] = {
+        schema: { type: "object", properties: { ...op.fields, ...queryFields } },
+      };
+    }
+    const aliases = fieldAliases(op);
+    if (Object.keys(aliases).length) {
+      out.description = `Deprecated field names still accepted: ${Object.entries(aliases)
+        .map(([alias, name]) => `\`${alias}\` → \`${name}\``)
+        .join(", ")}. Extraction options and \`async\`/\`stream\` may be sent as form fields or query parameters.`;
+    }
+    if (op.options !== false) {
+      out.responses[202] = {
+        description: "Job accepted (`async=true`)",
+        content: { "application/json": { schema: ref("JobAccepted") } },
+      };
+    }
+    out.responses[400] = {
+      description: "Invalid request",
+      content: { "application/json": { schema: ref("ValidationError") } },
+    };
+  }
+
+  for (const [status, schema] of Object.entries(op.responses)) {
+    out.responses[status] = {
+      description: Number(status) < 300 ? "Success" : "Error",
+      content: { "application/json": { schema } },
+    };
+  }
+
+  if (op.download) {
+    const files = Object.fromEntries(
+      [op.download].flat().map((type) => [type, { schema: { type: "string", format: "binary" } }])
+    );
+    out.responses[200] = out.responses[200]
+      ? { ...out.responses[200], content: { ...out.responses[200].content, ...files } }
+      : { description: "File download", content: files };
+  }
+
+  if ((op.fileField && op.options !== false) || op.eventStream) {
+    const description = "Server-Sent Events: `job`, `progress`, `partial`, then `completed`, `failed` or `cancelled`";
+    out.responses[200] = out.responses[200] || { description };
+    out.responses[200].content = {
+      ...out.responses[200].content,
+      "text/event-stream": { schema: { type: "string", description } },
+    };
+  }
+
+  out.responses.default = {
+    description: "Unexpected error",
+    content: { "application/json": { schema: ref("Error") } },
+  };
+  return out;
+}
+
+let cachedSpec = null;
+
+export function getOpenApiSpec() {
+  if (cachedSpec) return cachedSpec;
+
+  const paths = {};
+  for (const op of OPERATIONS) {
+    paths[op.path] = { ...paths[op.path], [op.method]: buildOperation(op) };
+  }
+
+  cachedSpec = {
+    openapi: "3.1.0",
+    info: {
+      title: "Tender Gap Analyzer API",
+      version: "1.0.0",
+      description: "Tender document analysis and extraction. See API_USAGE.md for details.",
+    },
+    paths,
+    components: buildComponents(),
+  };
+  return cachedSpec;
+}
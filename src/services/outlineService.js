@@ -0,0 +1,341 @@
+import fs from "fs";
+import path from "path";
+import { norm, foldArabic } from "../utils/textUtils.js";
+import { SECTION_SYNONYMS } from "../config/sectionSynonyms.js";
+
+/**
+ * Document outline: the heading hierarchy of a tender and the canonical
+ * sections (SECTION_SYNONYMS) its headings stand for.
+ *
+ * Headings come from, in order of trust:
+ * - `style`: headings the document declares (DOCX heading styles, HTML h1-h6);
+ *   when there are enough of them, no other line counts as a heading
+ * - `toc`: lines repeating a table of contents entry
+ * - `numbering`: numbered lines ("3.2 Scope of Work", "Section 4: ...") that
+ *   continue the document's numbering and do not contradict the table of
+ *   contents
+ * - `uppercase`: short all-caps lines, only in documents without a table of
+ *   contents and without declared or numbered headings
+ * - `synonym`: a line that is exactly a section name or synonym
+ *
+ * A section runs from its heading to the next heading of the same or a
+ * higher level, so "3 Scope of Work" includes "3.4 Integration".
+ */
+
+const SYNONYMS_FILE = process.env.SECTION_SYNONYMS_FILE
+  ? path.resolve(process.cwd(), process.env.SECTION_SYNONYMS_FILE)
+  : null;
+
+const MAX_HEADING_CHARS = 100;
+const MAX_HEADING_WORDS = 12;
+// A table of contents has at least this many entries close together
+const MIN_TOC_ENTRIES = 3;
+// Numbered headings may skip this many numbers (a heading the text layer lost)
+const MAX_NUMBER_GAP = 3;
+// Declared headings trusted on their own, and the number of declared or
+// numbered headings below which all-caps lines count as headings
+const MIN_STRUCTURED_HEADINGS = 3;
+
+const TOC_ENTRY = /^(.*?[^\s.…])(?:\s*\.{3,}\s*|\s*…+\s*|\t+\s*|\s{2,})(\d{1,4})$/;
+const NUMBERED = /^(\d{1,2}(?:\.\d{1,2}){0,4})(?:[.)]\s*|\s+)(\S.*)$/;
+const LABELLED = /^(?:section|chapter|part|article)\s+(\d{1,2}|[ivxlc]{1,6})\b\s*[:.\-–—]?\s*(.*)$/i;
+const ROMAN = /^([IVXLC]{1,6})[.)]\s+(\S.*)$/;
+
+// Lowercase words without numbering, punctuation or possessives; Arabic
+// spelling variants folded (foldArabic)
+export function normalizeHeading(title) {
+  return norm(
+    foldArabic(String(title || ""))
+      .toLowerCase()
+      .replace(/&/g, " and ")
+      .replace(/['’]s\b/g, "s")
+      .replace(/[^\p{L}\p{N}]+/gu, " ")
+  );
+}
+
+function loadSynonyms() {
+  const table = Object.fromEntries(Object.entries(SECTION_SYNONYMS).map(([name, list]) => [name, [...list]]));
+  if (!SYNONYMS_FILE) return table;
+  try {
+    const extra = JSON.parse(fs.readFileSync(SYNONYMS_FILE, "utf8"));
+    if (!extra || typeof extra !== "object" || Array.isArray(extra)) {
+      throw new Error("expected an object of section name -> synonym list");
+    }
+    for (const [name, list] of Object.entries(extra)) {
+      if (!Array.isArray(list)) throw new Error(`synonyms of "${name}" must be a list`);
+      table[name] = [...(table[name] || []), ...list.map(String)];
+    }
+    console.log(`✓ Loaded section synonyms from ${SYNONYMS_FILE}`);
+  } catch (error) {
+    console.warn(`⚠️  Could not read SECTION_SYNONYMS_FILE ${SYNONYMS_FILE}: ${error.message}. Using built-in synonyms.`);
+  }
+  return table;
+}
+
+const SYNONYMS = loadSynonyms();
+
+// Canonical section names, including those added by SECTION_SYNONYMS_FILE
+export const SECTION_NAMES = Object.freeze(Object.keys(SYNONYMS));
+
+// [normalized synonym, section], longest first so the most specific wins
+const SYNONYM_INDEX = Object.entries(SYNONYMS)
+  .flatMap(([name, list]) => [name, ...list].map((s) => [normalizeHeading(s), name]))
+  .filter(([s]) => s)
+  .sort((a, b) => b[0].length - a[0].length);
+
+/**
+ * The canonical section a heading stands for, or null. A heading matches a
+ * synonym exactly or contains a multi-word synonym ("3.2 Scope of Work and
+ * Deliverables" is Scope of Work).
+ */
+export function canonicalSection(title) {
+  const heading = normalizeHeading(title);
+  if (!heading) return null;
+  const exact = SYNONYM_INDEX.find(([s]) => s === heading);
+  if (exact) return exact[1];
+  const padded = ` ${heading} `;
+  const partial = SYNONYM_INDEX.find(([s]) => s.includes(" ") && padded.includes(` ${s} `));
+  return partial ? partial[1] : null;
+}
+
+function splitLines(text) {
+  const lines = [];
+  let start = 0;
+  for (const raw of text.split("\n")) {
+    const lead = raw.length - raw.trimStart().length;
+    lines.push({ text: raw.trim(), start: start + lead, lineStart: start });
+    start += raw.length + 1;
+  }
+  return lines;
+}
+
+function looksLikeTitle(title) {
+  const t = title.trim();
+  if (!t || t.length > MAX_HEADING_CHARS) return false;
+  if (t.split(/\s+/).length > MAX_HEADING_WORDS) return false;
+  if (/[.,;]$/.test(t)) return false;
+  // Starts with a capital (or a non-Latin letter, which has no case)
+  return /^[\p{Lu}\p{Lo}]/u.test(t);
+}
+
+// Table of contents: a run of "title ..... page" lines near each other
+function findToc(lines) {
+  const entries = [];
+  let run = [];
+  let gap = 0;
+  const flush = () => {
+    if (run.length >= MIN_TOC_ENTRIES) entries.push(...run);
+    run = [];
+  };
+  lines.forEach((line, idx) => {
+    const m = TOC_ENTRY.exec(line.text);
+    if (m && m[1].length <= MAX_HEADING_CHARS) {
+      run.push({ idx, title: m[1].trim() });
+      gap = 0;
+    } else if (run.length && ++gap > 2) {
+      flush();
+      gap = 0;
+    }
+  });
+  flush();
+  return entries.map(({ idx, title }) => {
+    const numbered = NUMBERED.exec(title);
+    return {
+      idx,
+      number: numbered ? numbered[1] : null,
+      title: numbered ? numbered[2].trim() : title,
+      level: numbered ? numbered[1].split(".").length : 1,
+    };
+  });
+}
+
+// Whether a numbered heading continues the numbering seen so far
+function continuesNumbering(segments, numbering) {
+  const level = segments.length;
+  const parent = segments.slice(0, -1).join(".");
+  const n = segments.at(-1);
+  if (level > 1) {
+    const ancestor = numbering[level - 1];
+    if (ancestor && ancestor.key !== parent) return false;
+  }
+  const previous = numbering[level];
+  // The first top-level heading is number 1; list items restart below it
+  if (!previous) return level > 1 || n === 1;
+  if (previous.parent !== parent) return true;
+  return n > previous.n && n <= previous.n + MAX_NUMBER_GAP;
+}
+
+function recordNumber(segments, numbering) {
+  const level = segments.length;
+  numbering[level] = { key: segments.join("."), parent: segments.slice(0, -1).join("."), n: segments.at(-1) };
+  for (const deeper of Object.keys(numbering)) {
+    if (Number(deeper) > level) delete numbering[deeper];
+  }
+}
+
+/**
+ * Build the heading hierarchy of a text.
+ *
+ * @param {string} text - Document text (headings on their own lines)
+ * @param {Array<{level: number, text: string}>} [declared] - Headings the
+ *   document declares, in document order (ingestDocument() `headings`)
+ * @returns {{headings: Array<{title: string, number: string|null, level: number, section: string|null, source: string, start: number, end: number}>, tableOfContents: boolean}}
+ *   `start`/`end` are offsets in `text`; `end` is where the heading's section ends
+ */
+export function buildOutline(text, declared = []) {
+  const lines = splitLines(text);
+  const toc = findToc(lines);
+  const tocLines = new Set(toc.map((e) => e.idx));
+  // Declared headings and TOC entries are matched to lines in order, so a
+  // title that also appears earlier in the text (a table, a cross-reference)
+  // is not taken for the heading
+  const matchInOrder = (entries, matches) => {
+    const matched = new Map();
+    let from = 0;
+    for (const entry of entries) {
+      for (let i = from; i < lines.length; i++) {
+        if (!tocLines.has(i) && matches(entry, lines[i].text)) {
+          matched.set(i, entry);
+          from = i + 1;
+          break;
+        }
+      }
+    }
+    return matched;
+  };
+  const styled = matchInOrder(declared, (h, line) => {
+    const key = normalizeHeading(h.text);
+    return Boolean(key) && normalizeHeading(line) === key;
+  });
+  // A TOC entry may be shortened ("Scope of Work" for "Scope of Work and
+  // Deliverables"); numbers, when both have one, must agree
+  const tocMatches = matchInOrder(toc, (entry, line) => {
+    const numbered = NUMBERED.exec(line);
+    if (numbered && entry.number && numbered[1] !== entry.number) return false;
+    const heading = normalizeHeading(numbered ? numbered[2] : line);
+    const listed = normalizeHeading(entry.title);
+    return Boolean(listed) && (heading === listed || heading.startsWith(`${listed} `) || listed.startsWith(`${heading} `));
+  });
+  const tocNumbers = new Set(toc.map((e) => e.number).filter(Boolean));
+
+  const candidates = [];
+  const numbering = {};
+  const declaredOnly = styled.size >= MIN_STRUCTURED_HEADINGS;
+
+  lines.forEach((line, idx) => {
+    if (!line.text || tocLines.has(idx)) return;
+    if (declaredOnly && !styled.has(idx)) return;
+
+    let number = null;
+    let title = line.text;
+    let level = null;
+    let numberedOk = false;
+
+    const numbered = NUMBERED.exec(line.text);
+    if (numbered && looksLikeTitle(numbered[2])) {
+      const segments = numbered[1].split(".").map(Number);
+      // A number the TOC lists under another title is a list item, not that heading
+      const accepted = tocMatches.has(idx) || (!tocNumbers.has(numbered[1]) && continuesNumbering(segments, numbering));
+      if (accepted) {
+        number = numbered[1];
+        title = numbered[2].trim();
+        level = segments.length;
+        numberedOk = true;
+        recordNumber(segments, numbering);
+      }
+    } else {
+      const labelled = LABELLED.exec(line.text) || ROMAN.exec(line.text);
+      if (labelled && (!labelled[2] || looksLikeTitle(labelled[2]))) {
+        number = labelled[1];
+        title = labelled[2]?.trim() || line.text;
+        level = 1;
+        numberedOk = true;
+      }
+    }
+
+    const key = normalizeHeading(title);
+    const tocEntry = tocMatches.get(idx);
+    let source = null;
+    if (styled.has(idx)) {
+      source = "style";
+      level = styled.get(idx).level;
+    } else if (tocEntry && (numberedOk || looksLikeTitle(title))) {
+      source = "toc";
+      level = level ?? tocEntry.level;
+    } else if (numberedOk) {
+      source = "numbering";
+    } else if (
+      toc.length === 0 &&
+      line.text.length <= MAX_HEADING_CHARS &&
+      /\p{Lu}{2}/u.test(line.text) &&
+      line.text === line.text.toUpperCase() &&
+      /\p{L}{4}/u.test(line.text) &&
+      looksLikeTitle(line.text)
+    ) {
+      source = "uppercase";
+    } else if (canonicalSection(line.text) && SYNONYM_INDEX.some(([s]) => s === key)) {
+      source = "synonym";
+    }
+    if (!source) return;
+
+    candidates.push({ title, number, level, source, start: line.start, idx });
+  });
+
+  const structured = candidates.filter((c) => c.source === "style" || c.number).length;
+  const headings = [];
+  let structuredLevel = 0;
+  for (const c of candidates) {
+    if (c.source === "uppercase" && structured >= MIN_STRUCTURED_HEADINGS) continue;
+    // Unnumbered headings inside a structured document are sub-headings of the current one
+    const level = c.level ?? structuredLevel + 1;
+    if (c.level) structuredLevel = c.level;
+    headings.push({
+      title: c.title,
+      number: c.number,
+      level,
+      section: canonicalSection(c.title),
+      source: c.source,
+      start: c.start,
+    });
+  }
+
+  headings.forEach((h, i) => {
+    const next = headings.slice(i + 1).find((n) => n.level <= h.level);
+    h.end = next ? next.start : text.length;
+  });
+
+  return { headings, tableOfContents: toc.length > 0 };
+}
+
+const SOURCE_RANK = ["style", "toc", "numbering", "uppercase", "synonym"];
+
+/**
+ * Text of each canonical section found in the outline, plus FULL for the
+ * whole text. When several headings map to one section, the most trusted
+ * source wins, then the first heading.
+ */
+export function sectionsFromOutline(text, outline) {
+  const best = new Map();
+  for (const h of outline.headings) {
+    if (!h.section) continue;
+    const current = best.get(h.section);
+    if (!current || SOURCE_RANK.indexOf(h.source) < SOURCE_RANK.indexOf(current.source)) {
+      best.set(h.section, h);
+    }
+  }
+  const sections = {};
+  for (const [name, h] of best) sections[name] = text.slice(h.start, h.end).trim();
+  sections.FULL = text;
+  return sections;
+}
+
+/**
+ * Split a text into its canonical sections (see buildOutline()).
+ *
+ * @param {string} text
+ * @param {Array<{level: number, text: string}>} [declared] - Declared headings, if known
+ * @returns {Object<string, string>} Section name -> text, plus FULL
+ */
+export function splitIntoSections(text, declared = []) {
+  return sectionsFromOutline(text, buildOutline(text, declared));
+}
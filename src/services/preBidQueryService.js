@@ -1,24 +1,14 @@
-import fs from "node:fs";
-import path from "node:path";
-import mammoth from "mammoth";
-import pdfParse from "pdf-parse";
-import * as cheerio from "cheerio";
 import { z } from "zod";
-import { OLLAMA_URL, OLLAMA_MODEL, OLLAMA_ENABLED } from "../config/ollamaConfig.js";
+import { resolveExtractionOptions } from "../config/extractionConfig.js";
+import { ingestDocument } from "./documentService.js";
+import { createCitationIndex, attachCitations } from "./citationService.js";
+import { chat, ensureModel } from "./llmClient.js";
+import { LLM_MODEL } from "../config/llmConfig.js";
 
 /* ----------------------------- Configuration ----------------------------- */
 
-// Construct base host from OLLAMA_URL (which may include /api)
-const baseUrl = OLLAMA_URL || "http://ollama-sales.mobiusdtaas.ai/api";
-const baseHost = baseUrl.replace(/\/api\/?$/, "") || "http://ollama-sales.mobiusdtaas.ai";
-const DEFAULT_OLLAMA_HOST = process.env.OLLAMA_HOST || baseHost;
-const OLLAMA_PULL_URL = process.env.OLLAMA_PULL_URL || `${DEFAULT_OLLAMA_HOST.replace(/\/+$/, "")}/api/pull`;
-const OLLAMA_CHAT_URL = process.env.OLLAMA_CHAT_URL || `${DEFAULT_OLLAMA_HOST.replace(/\/+$/, "")}/api/chat`;
-const MODEL = OLLAMA_MODEL || "gpt-oss:120b";
-
 const MAX_DOC_CHARS = Number(process.env.MAX_DOC_CHARS || 500_000);
 const LLM_MAX_CHARS_PER_CALL = Number(process.env.LLM_MAX_CHARS_PER_CALL || 28_000);
-const LLM_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS || 180_000);
 
 /* ------------------------------- Utilities ------------------------------ */
 
@@ -53,16 +43,6 @@ function normalizeWhitespace(s) {
     .trim();
 }
 
-function detectFileType(filename) {
-  const ext = (path.extname(filename || "") || "").toLowerCase();
-  if (ext === ".pdf") return "pdf";
-  if (ext === ".docx" || ext === ".doc") return "docx";
-  if (ext === ".txt") return "text";
-  if (ext === ".md") return "text";
-  if (ext === ".html" || ext === ".htm") return "html";
-  return "unknown";
-}
-
 function chunkText(text, maxChars) {
   const t = String(text || "");
   if (t.length <= maxChars) return [t];
@@ -86,85 +66,15 @@ function chunkText(text, maxChars) {
 
 /* ------------------------- Document Text Extraction ---------------------- */
 
-async function extractTextFromBuffer(buffer, filename = "file") {
-  const type = detectFileType(filename);
-  if (type === "docx") {
-    const res = await mammoth.extractRawText({ buffer });
-    return normalizeWhitespace(res.value || "");
-  }
-  if (type === "pdf") {
-    const data = await pdfParse(buffer);
-    return normalizeWhitespace(data.text || "");
-  }
-  if (type === "html") {
-    const html = buffer.toString("utf8");
-    const $ = cheerio.load(html);
-    const text = $("body").text();
-    return normalizeWhitespace(text || "");
-  }
-  return normalizeWhitespace(buffer.toString("utf8") || "");
-}
-
-/* ------------------------------- Ollama --------------------------------- */
-
-async function ensureModelPulled(model = MODEL) {
-  if (!OLLAMA_ENABLED) return { ok: false, error: "Ollama disabled" };
-  
-  const payload = { name: model, stream: false };
-  try {
-    const controller = new AbortController();
-    const timer = setTimeout(() => controller.abort(), 60_000);
-
-    const resp = await fetch(OLLAMA_PULL_URL, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-      signal: controller.signal,
-    });
-
-    clearTimeout(timer);
-
-    if (!resp.ok) return { ok: false, status: resp.status };
-    const txt = await resp.text();
-    return { ok: true, response: txt.slice(0, 5000) };
-  } catch (e) {
-    return { ok: false, error: String(e) };
-  }
-}
-
-async function ollamaChat({ model = MODEL, messages, stream = false, options = {} }) {
-  if (!OLLAMA_ENABLED) {
-    throw new Error("Ollama is disabled. Set OLLAMA_ENABLED=true to use this feature.");
-  }
-
-  const payload = { model, messages, stream, options };
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), LLM_TIMEOUT_MS);
-
-  try {
-    const resp = await fetch(OLLAMA_CHAT_URL, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-      signal: controller.signal,
-    });
-
-    if (!resp.ok) {
-      const errTxt = await resp.text().catch(() => "");
-      throw new Error(`Ollama chat failed: HTTP ${resp.status} ${errTxt}`);
-    }
-
-    const data = await resp.json();
-    const content = data?.message?.content ?? "";
-    return { content, raw: data };
-  } finally {
-    clearTimeout(timer);
-  }
+async function extractTextFromBuffer(buffer, filename = "file", { signal } = {}) {
+  const doc = await ingestDocument({ buffer, filename, signal });
+  for (const w of doc.warnings) console.warn(`  ⚠️  ${w}`);
+  return { doc, text: normalizeWhitespace(doc.text) };
 }
 
 /* --------------------------- Agent JSON Schema --------------------------- */
 
-const OutputSchema = z.object({
+export const OutputSchema = z.object({
   title: z.string().min(1),
   description: z.string().min(1),
   sections: z.array(
@@ -260,8 +170,8 @@ function extractSectionsHeuristically(text) {
 
 /* --------------------------- LLM-Assisted Extraction --------------------- */
 
-async function extractSectionsWithLLM(fullText) {
-  const chunks = chunkText(fullText, LLM_MAX_CHARS_PER_CALL);
+async function extractSectionsWithLLM(fullText, maxChars = LLM_MAX_CHARS_PER_CALL, { signal } = {}) {
+  const chunks = chunkText(fullText, maxChars);
   const extracted = [];
 
   console.log(`  📝 Extracting queries using LLM (${chunks.length} chunk${chunks.length > 1 ? 's' : ''})...`);
@@ -282,14 +192,10 @@ Return JSON: { "items": [ ... ] }`;
 
     const user = `DOCUMENT CHUNK ${idx + 1}/${chunks.length}:\n\n${chunk}\n\nExtract the vendor queries.`;
 
-    const { content } = await ollamaChat({
-      messages: [
-        { role: "system", content: sys },
-        { role: "user", content: user },
-      ],
-      stream: false,
-      options: { temperature: 0 },
-    });
+    const content = await chat([
+      { role: "system", content: sys },
+      { role: "user", content: user },
+    ], { temperature: 0, signal });
     
     console.log(`  ✓ Chunk ${idx + 1}/${chunks.length} processed`);
 
@@ -338,14 +244,10 @@ Rules:
   const user2 = JSON.stringify({ rows }, null, 2);
 
   console.log(`  ⏳ Grouping ${rows.length} queries into sections...`);
-  const { content: groupingText } = await ollamaChat({
-    messages: [
-      { role: "system", content: sys2 },
-      { role: "user", content: user2 },
-    ],
-    stream: false,
-    options: { temperature: 0 },
-  });
+  const groupingText = await chat([
+    { role: "system", content: sys2 },
+    { role: "user", content: user2 },
+  ], { temperature: 0, signal });
   console.log(`  ✓ Grouping complete`);
 
   const grouping = safeJsonParse(groupingText);
@@ -441,7 +343,8 @@ function decideAddendumHeuristic(vendorQuestion, suggestedAnswer) {
   return "No";
 }
 
-async function answerAll({ authorityName, projectName, vendorCompanyName, documentText, extractedSections }) {
+async function answerAll({ authorityName, projectName, vendorCompanyName, documentText, extractedSections, onProgress, signal }) {
+  const progress = typeof onProgress === "function" ? onProgress : () => {};
   const text = String(documentText || "");
   const trimmed =
     text.length <= MAX_DOC_CHARS
@@ -481,14 +384,10 @@ async function answerAll({ authorityName, projectName, vendorCompanyName, docume
       documentText: trimmed,
     };
 
-    const { content } = await ollamaChat({
-      messages: [
-        { role: "system", content: sys },
-        { role: "user", content: JSON.stringify(userPayload) },
-      ],
-      stream: false,
-      options: { temperature: 0 },
-    });
+    const content = await chat([
+      { role: "system", content: sys },
+      { role: "user", content: JSON.stringify(userPayload) },
+    ], { temperature: 0, signal });
 
     const parsed = safeJsonParse(content);
     const rows = Array.isArray(parsed?.rows) ? parsed.rows : [];
@@ -532,6 +431,11 @@ async function answerAll({ authorityName, projectName, vendorCompanyName, docume
     });
     
     console.log(`  ✓ Section ${sectionIdx + 1}/${totalSections} completed (${repairedRows.length} answers generated)`);
+    progress("answering_queries", {
+      progress: 30 + Math.round((60 * (sectionIdx + 1)) / totalSections),
+      message: `Section ${sectionIdx + 1}/${totalSections} completed (${repairedRows.length} answers)`,
+      partial: { sections: [...sectionsOut] },
+    });
   }
   
   console.log(`  ✅ All sections processed`);
@@ -548,21 +452,26 @@ async function answerAll({ authorityName, projectName, vendorCompanyName, docume
 
 /* ------------------------------- Orchestration --------------------------- */
 
-export async function analyzePreBidQueries({ buffer, filename, vendorCompanyName, authorityName, projectName }) {
+export async function analyzePreBidQueries({ buffer, filename, vendorCompanyName, authorityName, projectName, options = {}, onProgress, signal }) {
+  const progress = typeof onProgress === "function" ? onProgress : () => {};
+  const opts = resolveExtractionOptions(options, { chunkMaxChars: LLM_MAX_CHARS_PER_CALL });
   const startTime = Date.now();
   console.log(`\n🔍 Starting pre-bid query analysis...`);
   
+  progress("pulling_model", { progress: 5 });
   console.log(`  📥 Ensuring model is available...`);
-  await ensureModelPulled(MODEL);
+  await ensureModel(LLM_MODEL, { signal });
   console.log(`  ✓ Model ready`);
 
+  progress("reading_document", { progress: 10 });
   console.log(`  📄 Extracting text from document...`);
-  const text = await extractTextFromBuffer(buffer, filename);
+  const { doc, text } = await extractTextFromBuffer(buffer, filename, { signal });
   if (!text || text.length < 40) {
     throw new Error("Could not extract meaningful text from the document.");
   }
   console.log(`  ✓ Extracted ${text.length.toLocaleString()} characters`);
 
+  progress("extracting_queries", { progress: 15 });
   console.log(`  🔎 Extracting queries using heuristics...`);
   let sections = extractSectionsHeuristically(text);
   const queryCount = sections.reduce((n, s) => n + s.rows.length, 0);
@@ -570,19 +479,35 @@ export async function analyzePreBidQueries({ buffer, filename, vendorCompanyName
   
   if (queryCount < 3) {
     console.log(`  ⚠️  Few queries found (< 3), falling back to LLM extraction...`);
-    sections = await extractSectionsWithLLM(text);
+    sections = await extractSectionsWithLLM(text, opts.chunkMaxChars, { signal });
     const llmQueryCount = sections.reduce((n, s) => n + s.rows.length, 0);
     console.log(`  ✓ LLM extraction found ${llmQueryCount} queries`);
   }
 
+  const foundCount = sections.reduce((n, s) => n + s.rows.length, 0);
+  progress("answering_queries", {
+    progress: 30,
+    message: `Found ${foundCount} queries`,
+    partial: { queryCount: foundCount },
+  });
   const result = await answerAll({
     authorityName,
     projectName,
     vendorCompanyName,
     documentText: text,
     extractedSections: sections,
+    onProgress: progress,
+    signal,
   });
 
+  if (opts.citations) {
+    // Title, description, answers and addenda are generated; the questions come from the document
+    attachCitations(result, createCitationIndex(doc), {
+      skipKeys: ["id", "title", "description", "suggestedGovernmentAnswer", "addendum"],
+      primaryKeys: ["vendorQuestion"],
+    });
+  }
+
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
   console.log(`\n✅ Analysis complete in ${elapsed}s\n`);
 
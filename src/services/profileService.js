@@ -0,0 +1,248 @@
+import fs from "fs";
+import path from "path";
+import { z } from "zod";
+import { GAP_CATEGORIES } from "../utils/constants.js";
+import { SECTION_NAMES } from "./outlineService.js";
+import {
+  BUILT_IN_PROFILES,
+  DEFAULT_PROFILE_ID,
+  RECOMMENDATION_TEMPLATES,
+  TENDER_TYPES,
+} from "../config/analysisProfiles.js";
+
+/**
+ * Analysis profiles: which rules /analyze runs, the sections the tender must
+ * contain, category weights for the score and recommendation wording.
+ *
+ * Profiles are the built-ins of config/analysisProfiles.js plus those of the
+ * JSON file named by ANALYSIS_PROFILES_FILE (an array of profiles; an entry
+ * with a built-in id replaces it). When /analyze gets no `profile`, one is
+ * picked from the tender type detected with the workbook's tender category
+ * keywords (Works, Services, ...).
+ */
+
+const PROFILES_FILE = process.env.ANALYSIS_PROFILES_FILE
+  ? path.resolve(process.cwd(), process.env.ANALYSIS_PROFILES_FILE)
+  : null;
+
+// Keyword hits a tender type needs before a profile is picked from it
+const MIN_TENDER_TYPE_HITS = parseInt(process.env.MIN_TENDER_TYPE_HITS || "2", 10);
+
+const MAX_REPORTED_KEYWORDS = 10;
+
+// Keywords count as whole words only ("UPS" must not match "groups")
+function keywordFound(text, keyword) {
+  return new RegExp(`(?<!\\w)(?:${keyword})(?!\\w)`, "i").test(text);
+}
+
+const gapCategory = z.enum(GAP_CATEGORIES);
+
+export const ProfileSchema = z
+  .object({
+    id: z.string().trim().regex(/^[a-z0-9][a-z0-9-]*$/, "must be lowercase letters, digits and dashes"),
+    name: z.string().trim().min(1),
+    description: z.string().trim().default(""),
+    tenderType: z.enum(TENDER_TYPES).nullable().default(null),
+    department: z.string().trim().min(1).nullable().default(null),
+    rules: z
+      .object({
+        categories: z.array(gapCategory).min(1).optional(),
+        exclude: z.array(z.string()).default([]),
+      })
+      .strict()
+      .default({}),
+    requiredSections: z.array(z.enum(SECTION_NAMES)).default([]),
+    categoryWeights: z.record(gapCategory, z.number().positive()).default({}),
+    recommendations: z
+      .object(Object.fromEntries(Object.keys(RECOMMENDATION_TEMPLATES).map((type) => [type, z.string().min(1)])))
+      .partial()
+      .strict()
+      .default({}),
+  })
+  .strict();
+
+function profileError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Full recommendation templates: the profile's wording over the defaults
+function resolve(profile) {
+  return { ...profile, recommendations: { ...RECOMMENDATION_TEMPLATES, ...profile.recommendations } };
+}
+
+function readProfilesFile() {
+  if (!PROFILES_FILE) return [];
+  if (!fs.existsSync(PROFILES_FILE)) {
+    console.warn(`⚠️  ANALYSIS_PROFILES_FILE not found: ${PROFILES_FILE}. Using built-in profiles only.`);
+    return [];
+  }
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(PROFILES_FILE, "utf8"));
+  } catch (error) {
+    console.warn(`⚠️  Could not read ${PROFILES_FILE}: ${error.message}. Using built-in profiles only.`);
+    return [];
+  }
+  if (!Array.isArray(entries)) {
+    console.warn(`⚠️  ${PROFILES_FILE} must contain an array of profiles. Using built-in profiles only.`);
+    return [];
+  }
+
+  const profiles = [];
+  for (const entry of entries) {
+    const parsed = ProfileSchema.safeParse(entry);
+    if (parsed.success) {
+      profiles.push(parsed.data);
+    } else {
+      const details = parsed.error.issues
+        .map((issue) => `${issue.path.join(".") || "(root)"} ${issue.message}`)
+        .join("; ");
+      console.warn(`⚠️  Skipping profile "${entry?.id ?? "?"}" from ${PROFILES_FILE}: ${details}`);
+    }
+  }
+  console.log(`✓ Loaded ${profiles.length} analysis profiles from ${PROFILES_FILE}`);
+  return profiles;
+}
+
+let profiles = null;
+
+function load() {
+  if (profiles) return profiles;
+  const byId = new Map(BUILT_IN_PROFILES.map((p) => [p.id, ProfileSchema.parse(p)]));
+  for (const profile of readProfilesFile()) byId.set(profile.id, profile);
+  profiles = [...byId.values()].map(resolve);
+  return profiles;
+}
+
+function findProfile(id, statusCode) {
+  const key = String(id).trim().toLowerCase();
+  const profile = load().find((p) => p.id === key);
+  if (!profile) {
+    throw profileError(
+      `Unknown analysis profile "${id}". Available profiles: ${load().map((p) => p.id).join(", ")}`,
+      statusCode
+    );
+  }
+  return profile;
+}
+
+// -------------------- PUBLIC API --------------------
+export function listProfiles() {
+  return load();
+}
+
+export function getProfile(id) {
+  return findProfile(id, 404);
+}
+
+/**
+ * Detect the tender type from the rulebook's tender category rules (Works,
+ * Services, ...): every keyword found in the text as a whole word counts
+ * for its category and department.
+ *
+ * @param {string} text - Document text
+ * @param {Array<Object>} rules - Rulebook rules; only TENDER_TYPES categories are used
+ * @returns {{type: string|null, department: string|null, scores: Object, keywords: string[]}}
+ *   `type` is null unless one category has at least MIN_TENDER_TYPE_HITS hits
+ *   and more than any other
+ */
+export function detectTenderType(text, rules) {
+  const scores = Object.fromEntries(TENDER_TYPES.map((t) => [t, 0]));
+  const departmentHits = {};
+  const keywords = {};
+
+  for (const rule of rules) {
+    if (!TENDER_TYPES.includes(rule.category)) continue;
+    const hits = (rule.presence || []).filter((p) => keywordFound(text, p));
+    if (!hits.length) continue;
+    scores[rule.category] += hits.length;
+    (keywords[rule.category] ||= []).push(...hits);
+    if (rule.department) {
+      const key = `${rule.category}\u0000${rule.department}`;
+      departmentHits[key] = (departmentHits[key] || 0) + hits.length;
+    }
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [best, runnerUp] = ranked;
+  const type = best[1] >= MIN_TENDER_TYPE_HITS && best[1] > runnerUp[1] ? best[0] : null;
+
+  let department = null;
+  if (type) {
+    let most = 0;
+    for (const [key, hits] of Object.entries(departmentHits)) {
+      const [category, name] = key.split("\u0000");
+      if (category === type && hits > most) {
+        most = hits;
+        department = name;
+      }
+    }
+  }
+
+  return {
+    type,
+    department,
+    scores,
+    keywords: type ? [...new Set(keywords[type])].slice(0, MAX_REPORTED_KEYWORDS) : [],
+  };
+}
+
+/**
+ * Choose the profile for an analysis.
+ *
+ * - `profileId` given: that profile (400 when unknown)
+ * - otherwise the profile of the detected tender type, preferring one for
+ *   the given (or detected) department over one for any department
+ * - otherwise DEFAULT_PROFILE_ID
+ *
+ * @returns {{profile: Object, selectedBy: "request"|"tenderType"|"default"}}
+ */
+export function selectProfile({ profileId = null, tenderType = null, department = null } = {}) {
+  if (profileId) return { profile: findProfile(profileId, 400), selectedBy: "request" };
+
+  if (tenderType?.type) {
+    const departments = [department, tenderType.department]
+      .filter(Boolean)
+      .map((d) => d.toLowerCase());
+    const candidates = load().filter((p) => p.tenderType === tenderType.type);
+    const match =
+      candidates.find((p) => p.department && departments.includes(p.department.toLowerCase())) ||
+      candidates.find((p) => !p.department);
+    if (match) return { profile: match, selectedBy: "tenderType" };
+  }
+
+  return { profile: getProfile(DEFAULT_PROFILE_ID), selectedBy: "default" };
+}
+
+/**
+ * The rules a profile runs: its gap categories, minus excluded rule ids.
+ * Department-specific rules only run under a profile of that department (or
+ * a profile for any department). Weights are multiplied by the profile's
+ * category weight.
+ */
+export function applyProfile(profile, rules) {
+  const { categories, exclude } = profile.rules;
+  const department = profile.department?.toLowerCase();
+  return rules
+    .filter((r) => !categories || categories.includes(r.category))
+    .filter((r) => !exclude.includes(r.id))
+    .filter((r) => !department || !r.department || r.department.toLowerCase() === department)
+    .map((r) => weighted(profile, r));
+}
+
+/**
+ * A rule (or document-wide check) with the profile's category weight applied.
+ */
+export function weighted(profile, rule) {
+  const factor = profile.categoryWeights[rule.category];
+  return factor ? { ...rule, weight: (rule.weight ?? 1) * factor } : rule;
+}
+
+/**
+ * Whether a profile checks a gap category at all.
+ */
+export function coversCategory(profile, category) {
+  return !profile.rules.categories || profile.rules.categories.includes(category);
+}
@@ -0,0 +1,489 @@
+import fs from "fs";
+import path from "path";
+import { z } from "zod";
+import * as XLSX from "xlsx";
+import {
+  AlignmentType,
+  Document,
+  Footer,
+  Header,
+  HeadingLevel,
+  ImageRun,
+  Packer,
+  PageNumber,
+  Paragraph,
+  ShadingType,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType,
+} from "docx";
+import { GAP_CATEGORIES } from "../utils/constants.js";
+import { riskRegisterSheet } from "./riskService.js";
+import { REPORT_TEMPLATE } from "../config/reportTemplate.js";
+
+/**
+ * Gap-analysis reports: an analyze() result rendered as a DOCX, PDF or XLSX
+ * file with the document info, the score breakdown, the gaps per gap
+ * category, the contradictions, the risk register and the recommendations.
+ *
+ * All formats are built from one report model (buildReport). The PDF is laid
+ * out by MuPDF from HTML, so the branding of REPORT_TEMPLATE_FILE (logo,
+ * colours, font, footer, extra CSS) applies to it without a second renderer.
+ */
+
+const TEMPLATE_FILE = process.env.REPORT_TEMPLATE_FILE
+  ? path.resolve(process.cwd(), process.env.REPORT_TEMPLATE_FILE)
+  : null;
+
+export const REPORT_FORMATS = ["docx", "pdf", "xlsx"];
+
+export const REPORT_CONTENT_TYPES = {
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  pdf: "application/pdf",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// A4 in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const PDF_FONT_SIZE = 10;
+const LOGO_HEIGHT = 40;
+// Characters Excel does not allow in sheet names, and their maximum length
+const SHEET_NAME_INVALID = /[\\/?*[\]:]/g;
+const MAX_SHEET_NAME = 31;
+
+const color = z.string().regex(/^#[0-9a-fA-F]{6}$/, "must be a #RRGGBB colour");
+
+const TemplateSchema = z
+  .object({
+    title: z.string().min(1),
+    organisation: z.string(),
+    logo: z.string().min(1).nullable(),
+    primaryColor: color,
+    accentColor: color,
+    font: z.string().min(1),
+    footer: z.string(),
+    stylesheet: z.string().min(1).nullable(),
+  })
+  .partial()
+  .strict();
+
+function readFileOrNull(file, what) {
+  const resolved = path.resolve(path.dirname(TEMPLATE_FILE), file);
+  try {
+    return fs.readFileSync(resolved);
+  } catch (error) {
+    console.warn(`⚠️  Could not read report ${what} ${resolved}: ${error.message}. Leaving it out.`);
+    return null;
+  }
+}
+
+let template = null;
+
+// Built-in template, overridden by REPORT_TEMPLATE_FILE; `logo` and
+// `stylesheet` are resolved to file contents
+function loadTemplate() {
+  if (template) return template;
+  let overrides = {};
+  if (TEMPLATE_FILE) {
+    try {
+      overrides = TemplateSchema.parse(JSON.parse(fs.readFileSync(TEMPLATE_FILE, "utf8")));
+      console.log(`✓ Loaded report template from ${TEMPLATE_FILE}`);
+    } catch (error) {
+      const details = error.issues
+        ? error.issues.map((issue) => `${issue.path.join(".") || "(root)"} ${issue.message}`).join("; ")
+        : error.message;
+      console.warn(`⚠️  Invalid report template ${TEMPLATE_FILE}: ${details}. Using the built-in template.`);
+      overrides = {};
+    }
+  }
+  const merged = { ...REPORT_TEMPLATE, ...overrides };
+  template = {
+    ...merged,
+    logo: merged.logo && TEMPLATE_FILE ? readFileOrNull(merged.logo, "logo") : null,
+    stylesheet: merged.stylesheet && TEMPLATE_FILE ? readFileOrNull(merged.stylesheet, "stylesheet")?.toString("utf8") : null,
+  };
+  return template;
+}
+
+// Width and height of a PNG or JPEG image, with its docx image type
+function imageInfo(buffer) {
+  if (buffer.length > 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { type: "png", width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    for (let i = 2; i + 9 < buffer.length; ) {
+      const marker = buffer[i + 1];
+      const length = buffer.readUInt16BE(i + 2);
+      // Start-of-frame markers carry the dimensions
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { type: "jpg", width: buffer.readUInt16BE(i + 7), height: buffer.readUInt16BE(i + 5) };
+      }
+      i += 2 + length;
+    }
+  }
+  return null;
+}
+
+const scoreText = (score) => (score === null || score === undefined ? "n/a" : `${score}%`);
+
+/**
+ * The report content of an analyze() result, independent of the format.
+ *
+ * @param {Object} analysis - analyze() result
+ * @param {Object} [meta]
+ * @param {string} [meta.filename] - Name of the analyzed document
+ */
+export function buildReport(analysis, { filename = null } = {}) {
+  const info = analysis.documentInfo || {};
+  const assessment = analysis.completenessAssessment || {};
+  const breakdown = assessment.scoreBreakdown || {};
+  const gaps = analysis.gaps || [];
+  const recommendations = analysis.recommendations || {};
+
+  return {
+    filename,
+    generatedAt: new Date().toISOString(),
+    documentInfo: [
+      ["Document", filename],
+      ["Title", info.title],
+      ["Department", info.department],
+      ["Document type", info.documentType],
+      ["Year", info.year],
+      ["Tender type", analysis.tenderType?.type],
+      ["Analysis profile", analysis.profile?.name],
+      ["Rulebook version", analysis.rulebookVersion],
+    ].filter(([, value]) => value !== undefined && value !== null && value !== ""),
+    overallScore: assessment.overallScore ?? null,
+    summary: assessment.summary || "",
+    scores: GAP_CATEGORIES.map((category) => ({
+      category,
+      score: breakdown[category]?.score ?? null,
+      earned: breakdown[category]?.earned ?? 0,
+      possible: breakdown[category]?.possible ?? 0,
+    })),
+    categories: GAP_CATEGORIES.map((category) => ({
+      category,
+      gaps: gaps.filter((g) => g.category === category),
+      recommendations: recommendations[category] || [],
+    })),
+    contradictions: (analysis.contradictions || []).map((c) => ({
+      name: c.name,
+      values: c.values.map((v) => v.value).join(" vs "),
+      addendum: c.addendum,
+    })),
+    risks: analysis.riskRegister || [],
+  };
+}
+
+// -------------------- PDF (HTML) --------------------
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+function htmlTable(headers, rows) {
+  const head = headers.map((h) => `<th>${escapeHtml(h)}</th>`).join("");
+  const body = rows.map((row) => `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`).join("");
+  return `<table><tr>${head}</tr>${body}</table>`;
+}
+
+function htmlList(items) {
+  return `<ul>${items.map((item) => `<li>${escapeHtml(item)}</li>`).join("")}</ul>`;
+}
+
+/**
+ * The report as an HTML page (the source of the PDF).
+ */
+export function renderHtml(report, tpl = loadTemplate()) {
+  const logo = tpl.logo && imageInfo(tpl.logo);
+  const parts = [];
+  if (logo) {
+    const mime = logo.type === "png" ? "image/png" : "image/jpeg";
+    parts.push(`<img class="logo" src="data:${mime};base64,${tpl.logo.toString("base64")}"/>`);
+  }
+  if (tpl.organisation) parts.push(`<p class="organisation">${escapeHtml(tpl.organisation)}</p>`);
+  parts.push(`<h1>${escapeHtml(tpl.title)}</h1>`);
+  parts.push(`<p class="generated">Generated ${escapeHtml(report.generatedAt.slice(0, 10))}</p>`);
+
+  parts.push("<h2>Document information</h2>", htmlTable(["Field", "Value"], report.documentInfo));
+
+  parts.push("<h2>Completeness score</h2>");
+  parts.push(`<p class="score">${escapeHtml(scoreText(report.overallScore))}</p>`);
+  parts.push(`<p>${escapeHtml(report.summary)}</p>`);
+  parts.push(
+    htmlTable(
+      ["Gap category", "Score", "Points earned", "Points available"],
+      report.scores.map((s) => [s.category, scoreText(s.score), s.earned, s.possible])
+    )
+  );
+
+  parts.push("<h2>Gaps by category</h2>");
+  for (const { category, gaps } of report.categories) {
+    parts.push(`<h3>${escapeHtml(category)}</h3>`);
+    parts.push(
+      gaps.length
+        ? htmlTable(["Severity", "Type", "Rule", "Finding"], gaps.map((g) => [g.severity, g.type, g.rule, g.message]))
+        : `<p class="none">No gaps found.</p>`
+    );
+  }
+
+  if (report.contradictions.length) {
+    parts.push("<h2>Contradictions</h2>");
+    parts.push(
+      htmlTable(["Fact", "Values", "Suggested addendum"], report.contradictions.map((c) => [c.name, c.values, c.addendum]))
+    );
+  }
+
+  parts.push("<h2>Risk register</h2>");
+  parts.push(
+    report.risks.length
+      ? htmlTable(
+          ["Rating", "Risk", "Score (L×I)", "Owner", "Mitigation"],
+          report.risks.map((r) => [r.rating, r.risk, `${r.score} (${r.likelihood.level}×${r.impact.level})`, r.owner, r.mitigation])
+        )
+      : `<p class="none">No risks raised.</p>`
+  );
+
+  parts.push("<h2>Recommendations</h2>");
+  for (const { category, recommendations } of report.categories) {
+    if (!recommendations.length) continue;
+    parts.push(`<h3>${escapeHtml(category)}</h3>`, htmlList(recommendations));
+  }
+
+  const styles = `
+    @page { margin: 50pt 45pt 60pt 45pt; }
+    body { font-family: "${tpl.font}", sans-serif; font-size: ${PDF_FONT_SIZE}pt; color: #222; }
+    .logo { height: ${LOGO_HEIGHT}pt; }
+    .organisation { color: ${tpl.primaryColor}; font-weight: bold; margin: 4pt 0; }
+    h1 { color: ${tpl.primaryColor}; border-bottom: 2pt solid ${tpl.primaryColor}; padding-bottom: 4pt; }
+    h2 { color: ${tpl.primaryColor}; margin-top: 18pt; }
+    h3 { color: ${tpl.accentColor}; margin-bottom: 4pt; }
+    .generated, .none { color: #777; }
+    .score { font-size: 28pt; color: ${tpl.accentColor}; margin: 4pt 0; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #aaa; padding: 3pt; text-align: left; vertical-align: top; }
+    th { background-color: ${tpl.primaryColor}; color: white; }
+    ${tpl.stylesheet || ""}`;
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"/><title>${escapeHtml(tpl.title)}</title><style>${styles}</style></head><body>${parts.join("\n")}</body></html>`;
+}
+
+async function renderPdf(report, tpl) {
+  const mupdf = await import("mupdf");
+  const html = mupdf.Document.openDocument(Buffer.from(renderHtml(report, tpl), "utf8"), "text/html");
+  html.layout(PAGE_WIDTH, PAGE_HEIGHT, PDF_FONT_SIZE);
+
+  const output = new mupdf.Buffer();
+  const writer = new mupdf.DocumentWriter(output, "pdf", "");
+  const font = new mupdf.Font("Helvetica");
+  const pages = html.countPages();
+  for (let i = 0; i < pages; i++) {
+    const page = html.loadPage(i);
+    const device = writer.beginPage(page.getBounds());
+    page.run(device, mupdf.Matrix.identity);
+    // Footer: template text and page number
+    const footer = new mupdf.Text();
+    const label = [tpl.footer, `Page ${i + 1} of ${pages}`].filter(Boolean).join("  ·  ");
+    footer.showString(font, [8, 0, 0, -8, 45, PAGE_HEIGHT - 30], label);
+    device.fillText(footer, mupdf.Matrix.identity, mupdf.ColorSpace.DeviceGray, [0.45], 1);
+    writer.endPage();
+  }
+  writer.close();
+  return Buffer.from(output.asUint8Array());
+}
+
+// -------------------- DOCX --------------------
+const hex = (value) => value.replace("#", "");
+
+function docxTable(headers, rows, tpl) {
+  const cell = (text, header) =>
+    new TableCell({
+      children: [new Paragraph({ children: [new TextRun({ text: String(text ?? ""), bold: header, color: header ? "FFFFFF" : undefined })] })],
+      shading: header ? { type: ShadingType.CLEAR, fill: hex(tpl.primaryColor), color: "auto" } : undefined,
+    });
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: [
+      new TableRow({ tableHeader: true, children: headers.map((h) => cell(h, true)) }),
+      ...rows.map((row) => new TableRow({ children: row.map((value) => cell(value, false)) })),
+    ],
+  });
+}
+
+async function renderDocx(report, tpl) {
+  const heading = (text, level) => new Paragraph({ text, heading: level, spacing: { before: 240, after: 120 } });
+  const note = (text) => new Paragraph({ children: [new TextRun({ text, italics: true, color: "777777" })] });
+
+  const children = [
+    new Paragraph({ text: tpl.title, heading: HeadingLevel.TITLE }),
+    note(`Generated ${report.generatedAt.slice(0, 10)}`),
+    heading("Document information", HeadingLevel.HEADING_1),
+    docxTable(["Field", "Value"], report.documentInfo, tpl),
+    heading("Completeness score", HeadingLevel.HEADING_1),
+    new Paragraph({ children: [new TextRun({ text: scoreText(report.overallScore), size: 56, color: hex(tpl.accentColor) })] }),
+    new Paragraph({ text: report.summary, spacing: { after: 120 } }),
+    docxTable(
+      ["Gap category", "Score", "Points earned", "Points available"],
+      report.scores.map((s) => [s.category, scoreText(s.score), s.earned, s.possible]),
+      tpl
+    ),
+    heading("Gaps by category", HeadingLevel.HEADING_1),
+  ];
+
+  for (const { category, gaps } of report.categories) {
+    children.push(heading(category, HeadingLevel.HEADING_2));
+    children.push(
+      gaps.length
+        ? docxTable(["Severity", "Type", "Rule", "Finding"], gaps.map((g) => [g.severity, g.type, g.rule, g.message]), tpl)
+        : note("No gaps found.")
+    );
+  }
+
+  if (report.contradictions.length) {
+    children.push(heading("Contradictions", HeadingLevel.HEADING_1));
+    children.push(
+      docxTable(["Fact", "Values", "Suggested addendum"], report.contradictions.map((c) => [c.name, c.values, c.addendum]), tpl)
+    );
+  }
+
+  children.push(heading("Risk register", HeadingLevel.HEADING_1));
+  children.push(
+    report.risks.length
+      ? docxTable(
+          ["Rating", "Risk", "Score (L×I)", "Owner", "Mitigation"],
+          report.risks.map((r) => [r.rating, r.risk, `${r.score} (${r.likelihood.level}×${r.impact.level})`, r.owner, r.mitigation]),
+          tpl
+        )
+      : note("No risks raised.")
+  );
+
+  children.push(heading("Recommendations", HeadingLevel.HEADING_1));
+  for (const { category, recommendations } of report.categories) {
+    if (!recommendations.length) continue;
+    children.push(heading(category, HeadingLevel.HEADING_2));
+    for (const recommendation of recommendations) {
+      children.push(new Paragraph({ text: recommendation, bullet: { level: 0 } }));
+    }
+  }
+
+  const headerRuns = [];
+  const logo = tpl.logo && imageInfo(tpl.logo);
+  if (logo) {
+    headerRuns.push(
+      new ImageRun({
+        type: logo.type,
+        data: tpl.logo,
+        transformation: { width: Math.round((logo.width / logo.height) * LOGO_HEIGHT), height: LOGO_HEIGHT },
+      })
+    );
+  }
+  if (tpl.organisation) {
+    headerRuns.push(new TextRun({ text: `${logo ? "  " : ""}${tpl.organisation}`, bold: true, color: hex(tpl.primaryColor) }));
+  }
+
+  const document = new Document({
+    title: tpl.title,
+    styles: {
+      default: {
+        document: { run: { font: tpl.font, size: PDF_FONT_SIZE * 2 } },
+        title: { run: { color: hex(tpl.primaryColor) } },
+        heading1: { run: { color: hex(tpl.primaryColor), bold: true, size: 28 } },
+        heading2: { run: { color: hex(tpl.accentColor), bold: true, size: 24 } },
+      },
+    },
+    sections: [
+      {
+        headers: { default: new Header({ children: [new Paragraph({ children: headerRuns })] }) },
+        footers: {
+          default: new Footer({
+            children: [
+              new Paragraph({
+                alignment: AlignmentType.CENTER,
+                children: [
+                  new TextRun({ text: tpl.footer ? `${tpl.footer}  ·  ` : "", color: "777777", size: 16 }),
+                  new TextRun({ children: ["Page ", PageNumber.CURRENT, " of ", PageNumber.TOTAL_PAGES], color: "777777", size: 16 }),
+                ],
+              }),
+            ],
+          }),
+        },
+        children,
+      },
+    ],
+  });
+  return Packer.toBuffer(document);
+}
+
+// -------------------- XLSX --------------------
+function sheetName(name, taken) {
+  const base = name.replace(SHEET_NAME_INVALID, "-").slice(0, MAX_SHEET_NAME);
+  let candidate = base;
+  for (let n = 2; taken.has(candidate); n++) candidate = `${base.slice(0, MAX_SHEET_NAME - 3)} ${n}`;
+  taken.add(candidate);
+  return candidate;
+}
+
+// Summary sheet, one sheet per gap category (gaps, then recommendations) and the risk register
+function renderXlsx(report, tpl) {
+  const workbook = XLSX.utils.book_new();
+  const taken = new Set();
+  const append = (sheet, name) => XLSX.utils.book_append_sheet(workbook, sheet, sheetName(name, taken));
+
+  const summary = [
+    [tpl.title],
+    ...(tpl.organisation ? [[tpl.organisation]] : []),
+    [`Generated ${report.generatedAt.slice(0, 10)}`],
+    [],
+    ...report.documentInfo,
+    [],
+    ["Overall score", scoreText(report.overallScore)],
+    ["Summary", report.summary],
+    [],
+    ["Gap category", "Score", "Points earned", "Points available"],
+    ...report.scores.map((s) => [s.category, scoreText(s.score), s.earned, s.possible]),
+  ];
+  if (report.contradictions.length) {
+    summary.push([], ["Contradiction", "Values", "Suggested addendum"], ...report.contradictions.map((c) => [c.name, c.values, c.addendum]));
+  }
+  append(XLSX.utils.aoa_to_sheet(summary), "Summary");
+
+  for (const { category, gaps, recommendations } of report.categories) {
+    append(
+      XLSX.utils.aoa_to_sheet([
+        ["Severity", "Type", "Rule", "Finding", "Sections"],
+        ...gaps.map((g) => [g.severity, g.type, g.rule, g.message, (g.sections || []).join("; ")]),
+        [],
+        ["Recommendations"],
+        ...recommendations.map((r) => [r]),
+      ]),
+      category
+    );
+  }
+
+  append(riskRegisterSheet(report.risks), "Risk Register");
+  return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+}
+
+// -------------------- PUBLIC API --------------------
+/**
+ * Render an analyze() result as a report file.
+ *
+ * @param {Object} analysis - analyze() result
+ * @param {"docx"|"pdf"|"xlsx"} format
+ * @param {Object} [meta]
+ * @param {string} [meta.filename] - Name of the analyzed document
+ * @returns {Promise<{body: Buffer, contentType: string, filename: string}>}
+ *   `filename` is the suggested download name
+ */
+export async function renderReport(analysis, format, { filename = null } = {}) {
+  const tpl = loadTemplate();
+  const report = buildReport(analysis, { filename });
+  const renderers = { docx: renderDocx, pdf: renderPdf, xlsx: renderXlsx };
+  const body = await renderers[format](report, tpl);
+  const base = filename ? filename.replace(/\.[^.]+$/, "") : "analysis";
+  return { body, contentType: REPORT_CONTENT_TYPES[format], filename: `${base}-gap-report.${format}` };
+}
@@ -1,59 +1,19 @@
-import { readDocumentText } from "./documentService.js";
-import { OLLAMA_URL, OLLAMA_MODEL, OLLAMA_ENABLED } from "../config/ollamaConfig.js";
-import { splitIntoSections } from "../utils/textUtils.js";
-
-// ----------------------------- OLLAMA HELPERS -----------------------------
-async function ollamaGenerate(prompt, options = {}) {
-  if (!OLLAMA_ENABLED) {
-    throw new Error("Ollama is not enabled");
-  }
-
-  const payload = {
-    model: OLLAMA_MODEL,
-    prompt,
-    stream: false,
-    options: {
-      temperature: options.temperature ?? 0.05,
-      top_p: options.top_p ?? 0.9,
-      num_ctx: options.num_ctx ?? 32768, // Increased for longer documents
-    },
-  };
-
-  const generateUrl = `${OLLAMA_URL}/generate`;
-  
-  try {
-    const res = await fetch(generateUrl, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-    });
-    
-    const text = await res.text();
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status} from ${generateUrl}: ${text.slice(0, 500)}`);
-    }
-
-    let parsed = null;
-    try {
-      parsed = JSON.parse(text);
-    } catch {
-      return { response: text };
-    }
-
-    if (typeof parsed?.response === "string") {
-      return parsed;
-    }
-
-    const fallback =
-      parsed?.text || parsed?.message || parsed?.output || parsed?.data || JSON.stringify(parsed);
-    return { response: String(fallback) };
-  } catch (e) {
-    throw new Error(`Ollama generate failed: ${String(e)}`);
-  }
+import { ingestDocument, compactText } from "./documentService.js";
+import { createCitationIndex, attachCitations } from "./citationService.js";
+import { complete, isLlmEnabled } from "./llmClient.js";
+import { splitIntoSections } from "./outlineService.js";
+import { arabicPattern } from "../utils/textUtils.js";
+import { ARABIC_LABELS, ARABIC_PERCENT } from "../config/arabicLabels.js";
+import { resolveExtractionOptions } from "../config/extractionConfig.js";
+
+// ----------------------------- LLM HELPERS -----------------------------
+async function generate(prompt, { temperature = 0.05, numCtx = 32768, signal } = {}) {
+  // Large context window for long documents
+  return complete(prompt, { temperature, topP: 0.9, numCtx, signal });
 }
 
 // ----------------------------- TEMPLATE (STRICT SHAPE) -----------------------------
-function getEmptyTemplate() {
+export function getEmptyTemplate() {
   return {
     A1_Financial_Evaluation: {
       weight: "Not specified in the document",
@@ -283,6 +243,11 @@ function findRelevantTextEnhanced(text) {
 }
 
 // ----------------------------- AGGRESSIVE WEIGHT EXTRACTION -----------------------------
+// "التقييم المالي: 40%", "العرض الفني ٦٠ في المائة" (digits are ASCII once ingested)
+function arabicWeightPatterns(labels) {
+  return labels.map((label) => new RegExp(String.raw`${arabicPattern(label)}[^\n]*?(\d+(?:\.\d+)?)\s*(?:%|${ARABIC_PERCENT})`));
+}
+
 function extractWeightsAggressively(text) {
   const weights = {
     A1_weight: null,
@@ -302,6 +267,7 @@ function extractWeightsAggressively(text) {
     /financial.*evaluation.*?(\d+(?:\.\d+)?)\s*%/i,
     /financial.*weight.*?(\d+(?:\.\d+)?)\s*%/i,
     /commercial.*evaluation.*?(\d+(?:\.\d+)?)\s*%/i,
+    ...arabicWeightPatterns(ARABIC_LABELS.financialWeight),
     /A1.*?(\d+(?:\.\d+)?)\s*%/i,
   ];
   
@@ -309,6 +275,7 @@ function extractWeightsAggressively(text) {
   const technicalPatterns = [
     /technical.*evaluation.*?(\d+(?:\.\d+)?)\s*%/i,
     /technical.*weight.*?(\d+(?:\.\d+)?)\s*%/i,
+    ...arabicWeightPatterns(ARABIC_LABELS.technicalWeight),
     /A2.*?(\d+(?:\.\d+)?)\s*%/i,
   ];
 
@@ -385,7 +352,7 @@ function extractWeightsAggressively(text) {
 }
 
 // ----------------------------- AI-BASED WEIGHT EXTRACTION (FALLBACK) -----------------------------
-async function extractWeightsWithAI(text, dept) {
+async function extractWeightsWithAI(text, dept, { signal } = {}) {
   const prompt = `
 You are an expert RFP analyst. Extract ALL evaluation weights and percentages from this RFP document.
 
@@ -429,12 +396,12 @@ Extract weights now. Return ONLY valid JSON.
 `.trim();
 
   try {
-    const res = await ollamaGenerate(prompt, { temperature: 0.05, num_ctx: 16384 });
+    const response = await generate(prompt, { temperature: 0.05, numCtx: 16384, signal });
     let parsed;
     try {
-      parsed = JSON.parse(res.response.trim());
+      parsed = JSON.parse(response.trim());
     } catch (e) {
-      const jsonMatch = res.response.match(/\{[\s\S]*\}/);
+      const jsonMatch = response.match(/\{[\s\S]*\}/);
       if (jsonMatch) parsed = JSON.parse(jsonMatch[0]);
       else return null;
     }
@@ -817,15 +784,19 @@ function tryParseJsonStrict(text) {
 }
 
 // ----------------------------- MAIN SERVICE (OPTIMIZED FOR ACCURACY) -----------------------------
-export async function extractRfpEvaluation({ filePath, department, originalFileName }) {
-  if (!OLLAMA_ENABLED) {
-    throw new Error("Ollama is not enabled. Please enable it in the configuration.");
+export async function extractRfpEvaluation({ filePath, department, originalFileName, options = {}, onProgress, signal }) {
+  if (!isLlmEnabled()) {
+    throw new Error("LLM is not enabled. Set LLM_ENABLED=true to use this feature.");
   }
 
+  const progress = typeof onProgress === "function" ? onProgress : () => {};
+  const opts = resolveExtractionOptions(options);
   const startTime = Date.now();
 
   // 1) Read document text
-  const docText = await readDocumentText(filePath, originalFileName);
+  progress("reading_document", { progress: 5 });
+  const doc = await ingestDocument({ filePath, filename: originalFileName, signal });
+  const docText = compactText(doc);
   if (!docText || docText.trim().length < 50) {
     throw new Error("Document text is empty or too short. Check document parsing or input file.");
   }
@@ -837,14 +808,15 @@ export async function extractRfpEvaluation({ filePath, department, originalFileN
   console.log(`🔍 Extracted relevant sections (Financial: ${relevantText.financial.length}, Technical: ${relevantText.technical.length}, Mandatory: ${relevantText.mandatory.length}, SLA: ${relevantText.sla.length} chars)`);
 
   // 3) Aggressive weight extraction via regex FIRST, then AI if needed
+  progress("extracting_weights", { progress: 20 });
   let extractedWeights = extractWeightsAggressively(docText);
   const regexFound = Object.values(extractedWeights).some(v => v !== null);
   console.log(`⚖️  Extracted weights via regex:`, Object.entries(extractedWeights).filter(([k, v]) => v).map(([k, v]) => `${k}=${v}`).join(', ') || 'NONE FOUND');
   
-  // If regex found nothing, use AI to extract weights
-  if (!regexFound) {
+  // If regex found nothing, use AI to extract weights (unless targeted fill is disabled)
+  if (!regexFound && opts.targetedFill) {
     console.log(`🤖 Regex found no weights, using AI to extract weights...`);
-    const aiWeights = await extractWeightsWithAI(docText, department || "Unknown");
+    const aiWeights = await extractWeightsWithAI(docText, department || "Unknown", { signal });
     if (aiWeights) {
       extractedWeights = { ...extractedWeights, ...aiWeights };
       console.log(`✅ AI extracted weights:`, Object.entries(extractedWeights).filter(([k, v]) => v).map(([k, v]) => `${k}=${v}`).join(', '));
@@ -959,6 +931,7 @@ export async function extractRfpEvaluation({ filePath, department, originalFileN
   }
 
   // 6) Use exact GPT-4 prompt that was working
+  progress("extracting_evaluation", { progress: 40, partial: { weights: extractedWeights } });
   console.log(`🚀 Starting extraction using exact GPT-4 prompt...`);
   const comprehensivePrompt = buildExactGpt4Prompt({
     dept: department || "Unknown",
@@ -971,8 +944,7 @@ export async function extractRfpEvaluation({ filePath, department, originalFileN
   let outputObj = null;
 
   try {
-    const res = await ollamaGenerate(comprehensivePrompt, { temperature: 0.05, num_ctx: 32768 });
-    raw = res.response;
+    raw = await generate(comprehensivePrompt, { temperature: 0.05, numCtx: 32768, signal });
     outputObj = tryParseJsonStrict(raw);
     console.log(`✓ Extraction complete`);
     
@@ -1004,8 +976,7 @@ export async function extractRfpEvaluation({ filePath, department, originalFileN
     console.warn(`⚠️  Initial parse failed, attempting repair...`);
     try {
       const repairPrompt = buildJsonRepairPrompt(raw || String(e), template);
-      const repaired = await ollamaGenerate(repairPrompt, { temperature: 0.05, num_ctx: 16384 });
-      raw = repaired.response;
+      raw = await generate(repairPrompt, { temperature: 0.05, numCtx: 16384, signal });
       outputObj = tryParseJsonStrict(raw);
       
       // Post-process: Force weights after repair too
@@ -1038,11 +1009,19 @@ export async function extractRfpEvaluation({ filePath, department, originalFileN
   }
 
   // 6) Validate and repair if needed (max 2 repairs)
+  progress("validating", { progress: 85 });
   for (let attempt = 0; attempt < 3; attempt++) {
     const shape = validateShapeStrict(outputObj, template);
     if (shape.ok) {
       const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
       console.log(`✓ Extraction complete in ${elapsed}s - JSON validated successfully`);
+      if (opts.citations) {
+        // group names come from the template, not the document
+        attachCitations(outputObj, createCitationIndex(doc), {
+          skipKeys: ["group"],
+          primaryKeys: ["description", "requirement_ids", "scoring_area"],
+        });
+      }
       return outputObj;
     }
 
@@ -1050,8 +1029,7 @@ export async function extractRfpEvaluation({ filePath, department, originalFileN
       console.log(`⚠️  Schema validation failed (attempt ${attempt + 1}/3), repairing...`);
       try {
         const repairPrompt = buildJsonRepairPrompt(JSON.stringify(outputObj, null, 2), template);
-        const repaired = await ollamaGenerate(repairPrompt, { temperature: 0.1, num_ctx: 16384 });
-        raw = repaired.response;
+        raw = await generate(repairPrompt, { temperature: 0.1, numCtx: 16384, signal });
         outputObj = tryParseJsonStrict(raw);
       } catch (e) {
         throw new Error(`Failed to repair JSON: ${e.message}`);
@@ -0,0 +1,209 @@
+import fs from "fs";
+import path from "path";
+import { z } from "zod";
+import * as XLSX from "xlsx";
+import { NI, GAP_CATEGORIES } from "../utils/constants.js";
+import { FINDING_PENALTIES } from "./scoringService.js";
+import {
+  RISK_MODEL,
+  RISK_OWNERS,
+  RISK_RATINGS,
+  LIKELIHOOD_LEVELS,
+  IMPACT_LEVELS,
+} from "../config/riskModel.js";
+
+/**
+ * Risk register of an analysis: the risks of the risk model
+ * (config/riskModel.js) raised by its gaps, rated by likelihood × impact.
+ *
+ * The model is the built-in one plus the JSON file named by RISK_MODEL_FILE
+ * (an array of risks; an entry with a built-in id replaces it).
+ */
+
+const MODEL_FILE = process.env.RISK_MODEL_FILE
+  ? path.resolve(process.cwd(), process.env.RISK_MODEL_FILE)
+  : null;
+
+export const EXPORT_FORMATS = ["json", "csv", "xlsx"];
+
+const level = z.number().int().min(1).max(5);
+
+const pattern = z.string().refine((p) => {
+  try {
+    new RegExp(p, "i");
+    return true;
+  } catch {
+    return false;
+  }
+}, "must be a valid regular expression");
+
+export const RiskSchema = z
+  .object({
+    id: z.string().trim().regex(/^[a-z0-9][a-z0-9-]*$/, "must be lowercase letters, digits and dashes"),
+    risk: z.string().trim().min(1),
+    when: z
+      .object({
+        types: z.array(z.enum(Object.keys(FINDING_PENALTIES))).min(1).optional(),
+        categories: z.array(z.enum(GAP_CATEGORIES)).min(1).optional(),
+        rules: z.array(z.string().trim().min(1)).min(1).optional(),
+        match: pattern.optional(),
+      })
+      .strict(),
+    likelihood: level,
+    impact: level,
+    owner: z.enum(RISK_OWNERS),
+    mitigation: z.string().trim().min(1),
+  })
+  .strict();
+
+function readModelFile() {
+  if (!MODEL_FILE) return [];
+  if (!fs.existsSync(MODEL_FILE)) {
+    console.warn(`⚠️  RISK_MODEL_FILE not found: ${MODEL_FILE}. Using the built-in risk model only.`);
+    return [];
+  }
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(MODEL_FILE, "utf8"));
+  } catch (error) {
+    console.warn(`⚠️  Could not read ${MODEL_FILE}: ${error.message}. Using the built-in risk model only.`);
+    return [];
+  }
+  if (!Array.isArray(entries)) {
+    console.warn(`⚠️  ${MODEL_FILE} must contain an array of risks. Using the built-in risk model only.`);
+    return [];
+  }
+
+  const risks = [];
+  for (const entry of entries) {
+    const parsed = RiskSchema.safeParse(entry);
+    if (parsed.success) {
+      risks.push(parsed.data);
+    } else {
+      const details = parsed.error.issues
+        .map((issue) => `${issue.path.join(".") || "(root)"} ${issue.message}`)
+        .join("; ");
+      console.warn(`⚠️  Skipping risk "${entry?.id ?? "?"}" from ${MODEL_FILE}: ${details}`);
+    }
+  }
+  console.log(`✓ Loaded ${risks.length} risks from ${MODEL_FILE}`);
+  return risks;
+}
+
+let model = null;
+
+function load() {
+  if (model) return model;
+  const byId = new Map(RISK_MODEL.map((r) => [r.id, RiskSchema.parse(r)]));
+  for (const risk of readModelFile()) byId.set(risk.id, risk);
+  model = [...byId.values()];
+  return model;
+}
+
+// Whether a gap meets every condition of a risk
+function raises(risk, gap) {
+  const { types, categories, rules, match } = risk.when;
+  if (types && !types.includes(gap.type)) return false;
+  if (categories && !categories.includes(gap.category)) return false;
+  if (rules) {
+    const names = [gap.rule, gap.ruleId].filter(Boolean).map((n) => n.toLowerCase());
+    if (!rules.some((r) => names.includes(r.toLowerCase()))) return false;
+  }
+  if (match && !new RegExp(match, "i").test(`${gap.rule} ${gap.message}`)) return false;
+  return true;
+}
+
+// -------------------- PUBLIC API --------------------
+export function listRiskModel() {
+  return load();
+}
+
+/**
+ * Score (likelihood × impact) and rating of a risk (see RISK_RATINGS).
+ */
+export function rateRisk(likelihood, impact) {
+  const score = likelihood * impact;
+  return { score, rating: RISK_RATINGS.find((band) => score >= band.min).rating };
+}
+
+/**
+ * The risks raised by an analysis' gaps, highest score first.
+ *
+ * @param {Array<Object>} gaps - Structured gaps of the analysis result
+ * @returns {Array<Object>} Register entries: `id`, `risk`, `owner`,
+ *   `likelihood` / `impact` (`{ level, label }`), `score`, `rating`,
+ *   `mitigation` and the `gaps` that raised the risk
+ */
+export function buildRiskRegister(gaps) {
+  const register = [];
+  for (const risk of load()) {
+    const raisedBy = gaps.filter((gap) => raises(risk, gap));
+    if (!raisedBy.length) continue;
+    register.push({
+      id: risk.id,
+      risk: risk.risk,
+      owner: risk.owner,
+      likelihood: { level: risk.likelihood, label: LIKELIHOOD_LEVELS[risk.likelihood - 1] },
+      impact: { level: risk.impact, label: IMPACT_LEVELS[risk.impact - 1] },
+      ...rateRisk(risk.likelihood, risk.impact),
+      mitigation: risk.mitigation,
+      gaps: raisedBy.map(({ rule, category, type, severity, message }) => ({ rule, category, type, severity, message })),
+    });
+  }
+  // Array.prototype.sort is stable: equal scores keep the model's order
+  return register.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * The register as the `criticalRisks` sentences of the analysis result:
+ * critical and high risks, medium risks, low risks.
+ */
+export function summarizeRisks(register) {
+  const statements = (...ratings) => {
+    const risks = register.filter((r) => ratings.includes(r.rating)).map((r) => r.risk);
+    return risks.length ? risks : [NI];
+  };
+  return {
+    highImpactRisks: statements("critical", "high"),
+    mediumImpactRisks: statements("medium"),
+    lowImpactRisks: statements("low"),
+  };
+}
+
+// Columns of the exported register
+const REGISTER_COLUMNS = [
+  ["Risk ID", (r) => r.id],
+  ["Risk", (r) => r.risk],
+  ["Owner", (r) => r.owner],
+  ["Likelihood", (r) => `${r.likelihood.level} - ${r.likelihood.label}`],
+  ["Impact", (r) => `${r.impact.level} - ${r.impact.label}`],
+  ["Score", (r) => r.score],
+  ["Rating", (r) => r.rating],
+  ["Mitigation", (r) => r.mitigation],
+  ["Raised by", (r) => r.gaps.map((g) => g.message).join("\n")],
+];
+
+/**
+ * The register as a sheet (one row per risk), for exports and reports.
+ */
+export function riskRegisterSheet(register) {
+  return XLSX.utils.aoa_to_sheet([
+    REGISTER_COLUMNS.map(([header]) => header),
+    ...register.map((r) => REGISTER_COLUMNS.map(([, value]) => value(r))),
+  ]);
+}
+
+/**
+ * Write the register as CSV or an .xlsx workbook.
+ *
+ * @param {Array<Object>} register - buildRiskRegister() entries
+ * @param {"csv"|"xlsx"} format
+ * @returns {Buffer|string}
+ */
+export function exportRiskRegister(register, format) {
+  const sheet = riskRegisterSheet(register);
+  if (format === "csv") return XLSX.utils.sheet_to_csv(sheet);
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, "Risk Register");
+  return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+}
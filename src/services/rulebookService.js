@@ -0,0 +1,337 @@
+import fs from "fs";
+import path from "path";
+import { z } from "zod";
+import { SEVERITIES, normalizeSeverity } from "./scoringService.js";
+import { ruleRegex } from "../utils/textUtils.js";
+import {
+  loadKeywordsFromExcel,
+  buildRulesFromKeywords,
+  parseKeywordWorkbook,
+  buildKeywordWorkbook,
+} from "./keywordRulesService.js";
+
+/**
+ * Versioned store for the gap analysis rules.
+ *
+ * Every change (create, update, delete, import, restore) writes a new,
+ * immutable snapshot `v<N>.json` of the whole rulebook to RULEBOOK_DIR; the
+ * highest version is the current rulebook. The first use seeds version 1 from
+ * the keywords workbook merged with the built-in rules, as /analyze used to
+ * do on every call.
+ */
+
+const RULEBOOK_DIR = path.resolve(process.cwd(), process.env.RULEBOOK_DIR || "rulebook");
+
+const VERSION_FILE = /^v(\d+)\.json$/;
+
+export const IMPORT_MODES = ["merge", "replace"];
+
+// Every pattern must compile: the analyzer runs them as case-insensitive RE2
+// regexes (textUtils.js ruleRegex), which have no lookarounds or backreferences
+const pattern = z
+  .string()
+  .trim()
+  .min(1)
+  .refine(
+    (p) => {
+      try {
+        ruleRegex(p);
+        return true;
+      } catch {
+        return false;
+      }
+    },
+    { message: "is not a valid regular expression (RE2 syntax: no lookarounds or backreferences)" }
+  );
+
+export const RuleSchema = z
+  .object({
+    name: z.string().trim().min(1),
+    category: z.string().trim().min(1),
+    department: z.string().trim().optional(),
+    where: z.array(z.string().trim().min(1)).default(["FULL"]),
+    presence: z.array(pattern).min(1),
+    quality_requires: z.array(pattern).default([]),
+    unclear_triggers: z.array(pattern).default([]),
+    outdated_triggers: z.array(pattern).default([]),
+    required: z.boolean().default(false),
+    weight: z.number().positive().default(1),
+    severity: z.enum(SEVERITIES).optional(),
+  })
+  .strict();
+
+function rulebookError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function slugify(name) {
+  return (
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "rule"
+  );
+}
+
+function uniqueId(name, rules) {
+  const taken = new Set(rules.map((r) => r.id));
+  const base = slugify(name);
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+/**
+ * Validate a rule and fill in defaults (severity follows `required`).
+ * Throws a 400 naming every invalid field.
+ */
+function parseRule(input, schema = RuleSchema) {
+  const parsed = schema.safeParse(input);
+  if (!parsed.success) {
+    const details = parsed.error.issues
+      .map((issue) => `${issue.path.join(".") || "(root)"} ${issue.message}`)
+      .join("; ");
+    throw rulebookError(`Invalid rule: ${details}`, 400);
+  }
+  const rule = parsed.data;
+  rule.severity = normalizeSeverity(rule.severity, rule.required);
+  return rule;
+}
+
+// Rules under test (POST /rules/test) need no name or category
+const DraftRuleSchema = RuleSchema.extend({
+  name: z.string().trim().min(1).default("Test rule"),
+  category: z.string().trim().min(1).default("Uncategorized"),
+});
+
+/**
+ * Validate a rule definition that is only tested, never stored.
+ * Throws a 400 naming every invalid field.
+ */
+export function parseDraftRule(input) {
+  return parseRule(input, DraftRuleSchema);
+}
+
+function assertUniqueName(rules, name, exceptId = null) {
+  const clash = rules.find((r) => r.id !== exceptId && r.name.toLowerCase() === name.toLowerCase());
+  if (clash) throw rulebookError(`A rule named "${name}" already exists (${clash.id})`, 409);
+}
+
+// -------------------- STORAGE --------------------
+let current = null;
+
+function versionPath(version) {
+  return path.join(RULEBOOK_DIR, `v${version}.json`);
+}
+
+function storedVersions() {
+  if (!fs.existsSync(RULEBOOK_DIR)) return [];
+  return fs
+    .readdirSync(RULEBOOK_DIR)
+    .map((f) => VERSION_FILE.exec(f))
+    .filter(Boolean)
+    .map((m) => parseInt(m[1], 10))
+    .sort((a, b) => a - b);
+}
+
+function readSnapshot(version) {
+  const file = versionPath(version);
+  if (!fs.existsSync(file)) throw rulebookError(`Rulebook version ${version} not found`, 404);
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeSnapshot(rules, change) {
+  const version = (current?.version || storedVersions().at(-1) || 0) + 1;
+  const snapshot = {
+    version,
+    createdAt: new Date().toISOString(),
+    ...change,
+    ruleCount: rules.length,
+    rules,
+  };
+  fs.mkdirSync(RULEBOOK_DIR, { recursive: true });
+  // Written aside then linked: linking fails if the version already exists,
+  // so a snapshot is never half-written or overwritten
+  const tmp = `${versionPath(version)}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(snapshot, null, 2));
+  try {
+    fs.linkSync(tmp, versionPath(version));
+  } finally {
+    fs.unlinkSync(tmp);
+  }
+  current = snapshot;
+  console.log(`📚 Rulebook v${version}: ${change.message}`);
+  return snapshot;
+}
+
+function withIds(rules) {
+  const out = [];
+  for (const rule of rules) out.push({ id: uniqueId(rule.name, out), ...rule });
+  return out;
+}
+
+function seed() {
+  const valid = [];
+  for (const rule of buildRulesFromKeywords(loadKeywordsFromExcel())) {
+    try {
+      valid.push(parseRule(rule));
+    } catch (error) {
+      console.warn(`⚠️  Skipping rule "${rule.name}" while seeding the rulebook: ${error.message}`);
+    }
+  }
+  const rules = withIds(valid);
+  return writeSnapshot(rules, {
+    action: "seed",
+    ruleId: null,
+    message: `Seeded ${rules.length} rules from the keywords workbook and built-in rules`,
+  });
+}
+
+function load() {
+  if (current) return current;
+  const versions = storedVersions();
+  current = versions.length ? readSnapshot(versions.at(-1)) : seed();
+  return current;
+}
+
+// -------------------- PUBLIC API --------------------
+/**
+ * The current rulebook: `{ version, createdAt, rules }`.
+ */
+export function getRulebook() {
+  const { version, createdAt, rules } = load();
+  return { version, createdAt, rules };
+}
+
+export function getRule(id) {
+  const rule = load().rules.find((r) => r.id === id);
+  if (!rule) throw rulebookError(`Rule not found: ${id}`, 404);
+  return rule;
+}
+
+export function createRule(input) {
+  const { rules } = load();
+  const rule = parseRule(input);
+  assertUniqueName(rules, rule.name);
+  const created = { id: uniqueId(rule.name, rules), ...rule };
+  const snapshot = writeSnapshot([...rules, created], {
+    action: "create",
+    ruleId: created.id,
+    message: `Created rule "${created.name}"`,
+  });
+  return { version: snapshot.version, rule: created };
+}
+
+/**
+ * Update a rule. Fields that are not given keep their current value.
+ */
+export function updateRule(id, changes) {
+  const { rules } = load();
+  const existing = getRule(id);
+  const fields = { ...existing, ...changes };
+  delete fields.id;
+  const rule = parseRule(fields);
+  assertUniqueName(rules, rule.name, id);
+  const updated = { id, ...rule };
+  const snapshot = writeSnapshot(
+    rules.map((r) => (r.id === id ? updated : r)),
+    { action: "update", ruleId: id, message: `Updated rule "${updated.name}"` }
+  );
+  return { version: snapshot.version, rule: updated };
+}
+
+export function deleteRule(id) {
+  const { rules } = load();
+  const existing = getRule(id);
+  const snapshot = writeSnapshot(
+    rules.filter((r) => r.id !== id),
+    { action: "delete", ruleId: id, message: `Deleted rule "${existing.name}"` }
+  );
+  return { version: snapshot.version, rule: existing };
+}
+
+/**
+ * History, oldest first, without the rules themselves.
+ */
+export function listVersions() {
+  return storedVersions().map((version) => {
+    const { rules, ...info } = readSnapshot(version);
+    return info;
+  });
+}
+
+export function getVersion(version) {
+  return readSnapshot(version);
+}
+
+/**
+ * Make an older version current again (as a new version).
+ */
+export function restoreVersion(version) {
+  const { rules } = readSnapshot(version);
+  return writeSnapshot(rules, {
+    action: "restore",
+    ruleId: null,
+    message: `Restored version ${version}`,
+  });
+}
+
+/**
+ * Import rules from a workbook in the keywords layout (see API_USAGE.md).
+ *
+ * - `merge`: rules replace the rule with the same name; others are added
+ * - `replace`: the workbook becomes the whole rulebook
+ *
+ * @returns {{version: number, mode: string, added: number, replaced: number, removed: number, ruleCount: number}}
+ */
+export function importWorkbook(buffer, mode = "merge") {
+  if (!IMPORT_MODES.includes(mode)) {
+    throw rulebookError(`Invalid import mode "${mode}". Valid modes: ${IMPORT_MODES.join(", ")}`, 400);
+  }
+  const imported = parseKeywordWorkbook(buffer).map((row) => parseRule(row));
+  const { rules } = load();
+
+  const byName = new Map(rules.map((r) => [r.name.toLowerCase(), r]));
+  const seen = new Set();
+  const next = mode === "replace" ? [] : [...rules];
+  let added = 0;
+  let replaced = 0;
+
+  for (const rule of imported) {
+    const key = rule.name.toLowerCase();
+    if (seen.has(key)) throw rulebookError(`Workbook lists the rule "${rule.name}" more than once`, 400);
+    seen.add(key);
+
+    const existing = byName.get(key);
+    if (existing) {
+      const updated = { id: existing.id, ...rule };
+      const at = next.findIndex((r) => r.id === existing.id);
+      if (at >= 0) next[at] = updated;
+      else next.push(updated);
+      replaced++;
+    } else {
+      next.push({ id: uniqueId(rule.name, [...rules, ...next]), ...rule });
+      added++;
+    }
+  }
+
+  const removed = mode === "replace" ? rules.length - replaced : 0;
+  const snapshot = writeSnapshot(next, {
+    action: "import",
+    ruleId: null,
+    message: `Imported ${imported.length} rules from a workbook (${mode}: ${added} added, ${replaced} replaced, ${removed} removed)`,
+  });
+  return { version: snapshot.version, mode, added, replaced, removed, ruleCount: next.length };
+}
+
+/**
+ * The given version (default: current) as a workbook importWorkbook() accepts.
+ * @returns {Buffer}
+ */
+export function exportWorkbook(version = null) {
+  const { rules } = version ? readSnapshot(version) : load();
+  return buildKeywordWorkbook(rules);
+}
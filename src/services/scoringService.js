@@ -0,0 +1,126 @@
+import { GAP_CATEGORIES } from "../utils/constants.js";
+
+/**
+ * Weighted completeness scoring for the gap analyzer.
+ *
+ * Every rule is worth `weight × SEVERITY_POINTS[severity]` points in its gap
+ * category. Findings against the rule take away a share of those points
+ * (FINDING_PENALTIES, capped at everything the rule is worth). Optional rules
+ * whose topic is absent from the document are not scored at all. Category
+ * scores and the overall score are the percentage of available points earned.
+ */
+
+export const SEVERITIES = ["critical", "high", "medium", "low"];
+
+export const SEVERITY_POINTS = {
+  critical: 10,
+  high: 6,
+  medium: 3,
+  low: 1,
+};
+
+// Share of a rule's points lost for each kind of finding
+export const FINDING_PENALTIES = {
+  missing: 1,
+  outdated: 0.5,
+  unclear: 0.4,
+  weak: 0.3,
+};
+
+export const DEFAULT_WEIGHT = 1;
+
+/**
+ * Normalise a rule's severity ("Critical", "HIGH", ...). Unknown or empty
+ * values fall back to "high" for required rules and "medium" otherwise.
+ */
+export function normalizeSeverity(value, required = false) {
+  const severity = String(value ?? "").trim().toLowerCase();
+  if (SEVERITIES.includes(severity)) return severity;
+  return required ? "high" : "medium";
+}
+
+/**
+ * Normalise a rule's weight: any positive number, otherwise DEFAULT_WEIGHT.
+ */
+export function normalizeWeight(value) {
+  const weight = Number(value);
+  return Number.isFinite(weight) && weight > 0 ? weight : DEFAULT_WEIGHT;
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+function explainRule(entry) {
+  const label = `${entry.severity}, weight ${entry.weight}`;
+  if (!entry.scored) {
+    return `Not scored: optional and not present in the document (${label}).`;
+  }
+  if (entry.deductions.length === 0) {
+    return `+${entry.earned}/${entry.possible}: present and complete (${label}).`;
+  }
+  const lost = entry.deductions.map((d) => `-${d.points} ${d.type} (${d.detail})`).join("; ");
+  return `+${entry.earned}/${entry.possible}: ${lost} (${label}).`;
+}
+
+/**
+ * Score evaluated rules.
+ *
+ * @param {Array<{rule: Object, present: boolean, findings: Array<{type: string, detail: string}>}>} outcomes
+ *   One entry per evaluated rule; `findings[].type` is a FINDING_PENALTIES key
+ * @returns {{overallScore: number, scoreBreakdown: Object}} `scoreBreakdown` has
+ *   one entry per GAP_CATEGORIES item: `score` (null when no rule was scored),
+ *   `earned`, `possible` and the per-rule `rules` explaining each point.
+ */
+export function computeScore(outcomes) {
+  const scoreBreakdown = Object.fromEntries(
+    GAP_CATEGORIES.map((c) => [c, { score: null, earned: 0, possible: 0, rules: [] }])
+  );
+
+  for (const { rule, present, findings } of outcomes) {
+    const category = scoreBreakdown[rule.category];
+    if (!category) continue;
+
+    const severity = normalizeSeverity(rule.severity, rule.required);
+    const weight = normalizeWeight(rule.weight);
+    const possible = round1(weight * SEVERITY_POINTS[severity]);
+    const scored = present || rule.required || findings.length > 0;
+
+    let remaining = possible;
+    const deductions = [];
+    for (const { type, detail } of findings) {
+      const points = round1(Math.min(remaining, possible * (FINDING_PENALTIES[type] ?? 0)));
+      if (points <= 0) continue;
+      remaining = round1(remaining - points);
+      deductions.push({ type, points, detail });
+    }
+
+    const entry = {
+      name: rule.name,
+      severity,
+      weight,
+      scored,
+      possible: scored ? possible : 0,
+      earned: scored ? remaining : 0,
+      deductions,
+    };
+    entry.explanation = explainRule(entry);
+
+    category.rules.push(entry);
+    category.earned = round1(category.earned + entry.earned);
+    category.possible = round1(category.possible + entry.possible);
+  }
+
+  let earned = 0;
+  let possible = 0;
+  for (const category of Object.values(scoreBreakdown)) {
+    if (category.possible > 0) {
+      category.score = Math.round((100 * category.earned) / category.possible);
+    }
+    earned += category.earned;
+    possible += category.possible;
+  }
+
+  return {
+    overallScore: possible > 0 ? Math.round((100 * earned) / possible) : 100,
+    scoreBreakdown,
+  };
+}
@@ -1,32 +1,136 @@
-import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import { createRequire } from "module";
-import mammoth from "mammoth";
-import * as cheerio from "cheerio";
 import Ajv from "ajv";
 import addFormats from "ajv-formats";
-import { OLLAMA_URL, OLLAMA_MODEL } from "../config/ollamaConfig.js";
-import { rxFind, norm } from "../utils/textUtils.js";
+import { resolveExtractionOptions } from "../config/extractionConfig.js";
+import { rxFind, norm, foldArabic, arabicPattern } from "../utils/textUtils.js";
+import { ARABIC_LABELS, ARABIC_DOCUMENT_TYPES, ARABIC_COUNTRIES } from "../config/arabicLabels.js";
+import { ingestDocument } from "./documentService.js";
+import { findValues } from "./consistencyService.js";
+import { createCitationIndex, attachCitations } from "./citationService.js";
+import { splitIntoSections } from "./outlineService.js";
+import { languageProfile, bilingualFields, arabicLabelPatterns, findArabicTerm } from "./languageService.js";
+import { chat } from "./llmClient.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const require = createRequire(import.meta.url);
-const pdfParse = require("pdf-parse");
 
 // -------------------- CONFIG --------------------
-const OLLAMA_BASE_URL = (process.env.OLLAMA_BASE_URL || OLLAMA_URL.replace(/\/api$/, "")).replace(/\/$/, "");
-const MODEL = process.env.OLLAMA_MODEL || OLLAMA_MODEL;
-const CHUNK_MAX_CHARS = parseInt(process.env.CHUNK_MAX_CHARS || "20000", 10); // Increased for fewer chunks
-const CHUNK_OVERLAP = parseInt(process.env.CHUNK_OVERLAP || "1000", 10);
-const MAX_CONCURRENT_CHUNKS = parseInt(process.env.MAX_CONCURRENT_CHUNKS || "5", 10); // Process 5 chunks in parallel
-const SKIP_TARGETED_FILL = process.env.SKIP_TARGETED_FILL === "true"; // Skip targeted fill for speed
-const SKIP_FINAL_NORMALIZE = process.env.SKIP_FINAL_NORMALIZE === "true"; // Skip final normalize for speed
+// Chunk size, overlap, concurrency and targeted fill/final normalize toggles are
+// per-request options, see resolveExtractionOptions() in config/extractionConfig.js
 
 const NOT_SPECIFIED = "Not specified";
 
+// -------------------- COMMERCIAL TERMS SCHEMA --------------------
+// Amounts and percentages are numbers; durations are normalized to days
+// (days, weeks) or months (months, years); currencies are ISO codes.
+const NUMBER_OR_NULL = { anyOf: [{ type: "number" }, { type: "null" }] };
+
+const DURATION_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["value", "unit"],
+  properties: {
+    value: NUMBER_OR_NULL,
+    unit: { anyOf: [{ type: "string", enum: ["days", "months"] }, { type: "null" }] },
+  },
+};
+
+const GUARANTEE_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["percent", "amount", "currency", "validity"],
+  properties: {
+    percent: NUMBER_OR_NULL,
+    amount: NUMBER_OR_NULL,
+    currency: { type: "string" },
+    validity: DURATION_SCHEMA,
+  },
+};
+
+const MEETING_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["mandatory", "date", "time", "location"],
+  properties: {
+    mandatory: { anyOf: [{ type: "boolean" }, { type: "null" }] },
+    date: { type: "string" },
+    time: { type: "string" },
+    location: { type: "string" },
+  },
+};
+
+const COMMERCIAL_TERMS_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: [
+    "bid_bond",
+    "performance_guarantee",
+    "advance_payment_guarantee",
+    "payment_milestones",
+    "liquidated_damages",
+    "warranty_period",
+    "retention",
+    "insurance",
+    "site_visit",
+    "pre_bid_meeting",
+  ],
+  properties: {
+    bid_bond: GUARANTEE_SCHEMA,
+    performance_guarantee: GUARANTEE_SCHEMA,
+    advance_payment_guarantee: GUARANTEE_SCHEMA,
+    payment_milestones: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["milestone", "percent"],
+        properties: {
+          milestone: { type: "string" },
+          percent: NUMBER_OR_NULL,
+        },
+      },
+    },
+    liquidated_damages: {
+      type: "object",
+      additionalProperties: false,
+      required: ["rate_percent", "per", "cap_percent"],
+      properties: {
+        rate_percent: NUMBER_OR_NULL,
+        per: { anyOf: [{ type: "string", enum: ["day", "week", "month"] }, { type: "null" }] },
+        cap_percent: NUMBER_OR_NULL,
+      },
+    },
+    warranty_period: DURATION_SCHEMA,
+    retention: {
+      type: "object",
+      additionalProperties: false,
+      required: ["percent", "release"],
+      properties: {
+        percent: NUMBER_OR_NULL,
+        release: { type: "string" },
+      },
+    },
+    insurance: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["type", "amount", "currency"],
+        properties: {
+          type: { type: "string" },
+          amount: NUMBER_OR_NULL,
+          currency: { type: "string" },
+        },
+      },
+    },
+    site_visit: MEETING_SCHEMA,
+    pre_bid_meeting: MEETING_SCHEMA,
+  },
+};
+
 // -------------------- CORE SCHEMA (STRICT) --------------------
-const CORE_SCHEMA = {
+export const CORE_SCHEMA = {
   type: "object",
   additionalProperties: false,
   required: [
@@ -36,6 +140,7 @@ const CORE_SCHEMA = {
     "evaluation",
     "requirements",
     "pricing",
+    "commercial_terms",
     "contact_information",
   ],
   properties: {
@@ -118,6 +223,7 @@ const CORE_SCHEMA = {
         pricing_structure: { type: "string" },
       },
     },
+    commercial_terms: COMMERCIAL_TERMS_SCHEMA,
     contact_information: {
       type: "object",
       additionalProperties: false,
@@ -145,14 +251,14 @@ function cleanText(text) {
     .trim();
 }
 
-function chunkText(text) {
+function chunkText(text, { chunkMaxChars, chunkOverlap }) {
   const chunks = [];
   let i = 0;
   while (i < text.length) {
-    const end = Math.min(i + CHUNK_MAX_CHARS, text.length);
+    const end = Math.min(i + chunkMaxChars, text.length);
     chunks.push(text.slice(i, end));
     if (end === text.length) break;
-    i = Math.max(0, end - CHUNK_OVERLAP);
+    i = Math.max(0, end - chunkOverlap);
   }
   return chunks;
 }
@@ -169,7 +275,7 @@ function stripToJsonString(raw) {
 
 function safeJsonParse(raw) {
   if (!raw) {
-    throw new Error("Empty response from Ollama API");
+    throw new Error("Empty response from LLM");
   }
   
   const s = stripToJsonString(raw);
@@ -188,6 +294,33 @@ function safeJsonParse(raw) {
   }
 }
 
+function blankDuration() {
+  return { value: null, unit: null };
+}
+
+function blankGuarantee() {
+  return { percent: null, amount: null, currency: NOT_SPECIFIED, validity: blankDuration() };
+}
+
+function blankMeeting() {
+  return { mandatory: null, date: NOT_SPECIFIED, time: NOT_SPECIFIED, location: NOT_SPECIFIED };
+}
+
+function blankCommercialTerms() {
+  return {
+    bid_bond: blankGuarantee(),
+    performance_guarantee: blankGuarantee(),
+    advance_payment_guarantee: blankGuarantee(),
+    payment_milestones: [],
+    liquidated_damages: { rate_percent: null, per: null, cap_percent: null },
+    warranty_period: blankDuration(),
+    retention: { percent: null, release: NOT_SPECIFIED },
+    insurance: [],
+    site_visit: blankMeeting(),
+    pre_bid_meeting: blankMeeting(),
+  };
+}
+
 function blankObject() {
   return {
     metadata: {
@@ -221,6 +354,7 @@ function blankObject() {
       currency: NOT_SPECIFIED,
       pricing_structure: NOT_SPECIFIED,
     },
+    commercial_terms: blankCommercialTerms(),
     contact_information: {
       contact_name: NOT_SPECIFIED,
       contact_email: NOT_SPECIFIED,
@@ -229,8 +363,14 @@ function blankObject() {
   };
 }
 
+// Blank strings count as missing: the schema template shows "" placeholders
+// and models often return them unchanged
 function isNotSpecified(v) {
-  return v === undefined || v === null || (typeof v === "string" && v.trim().toLowerCase() === NOT_SPECIFIED.toLowerCase());
+  return (
+    v === undefined ||
+    v === null ||
+    (typeof v === "string" && (!v.trim() || v.trim().toLowerCase() === NOT_SPECIFIED.toLowerCase()))
+  );
 }
 
 function mergeArraysUnique(a = [], b = []) {
@@ -238,7 +378,7 @@ function mergeArraysUnique(a = [], b = []) {
   for (const x of [...a, ...b]) {
     if (typeof x === "string") {
       const k = x.trim();
-      if (k) s.add(k);
+      if (k && !isNotSpecified(k)) s.add(k);
     }
   }
   return Array.from(s);
@@ -250,7 +390,7 @@ function mergeCriteria(a = [], b = []) {
     for (const c of arr || []) {
       if (!c || typeof c !== "object") continue;
       const name = (c.name || "").trim();
-      if (!name) continue;
+      if (!name || isNotSpecified(name)) continue;
       const prev = map.get(name);
       if (!prev) {
         map.set(name, { name, weight_percent: c.weight_percent ?? NOT_SPECIFIED });
@@ -360,6 +500,9 @@ function normalize(obj) {
   ensureStr(o.pricing, "currency");
   ensureStr(o.pricing, "pricing_structure");
 
+  // commercial terms
+  o.commercial_terms = normalizeCommercialTerms(o.commercial_terms);
+
   // contact
   ensureStr(o.contact_information, "contact_name");
   ensureStr(o.contact_information, "contact_email");
@@ -380,7 +523,7 @@ function pruneToSchema(obj) {
   if (!obj || typeof obj !== 'object') return blankObject();
   
   // drop any extras and ensure only allowed properties
-  const allowedTop = ["metadata","tender_summary","administration","evaluation","requirements","pricing","contact_information"];
+  const allowedTop = ["metadata","tender_summary","administration","evaluation","requirements","pricing","commercial_terms","contact_information"];
   const out = {};
   
   for (const k of allowedTop) {
@@ -462,6 +605,8 @@ function pruneToSchema(obj) {
     out.pricing = pruned;
   }
   
+  // commercial_terms is pruned by normalizeCommercialTerms() in normalize()
+
   // Prune contact_information
   if (out.contact_information) {
     const allowedContact = ["contact_name", "contact_email", "contact_phone"];
@@ -483,10 +628,11 @@ function buildIndex(text) {
 function findSnippets(index, keywords, window = 4, limit = 30) {
   const { lines } = index;
   const hits = [];
-  const ks = keywords.map(k => k.toLowerCase());
+  // Arabic keywords match whichever alef / teh marbuta / yeh the document uses
+  const ks = keywords.map(k => foldArabic(k.toLowerCase()));
 
   for (let i = 0; i < lines.length; i++) {
-    const s = lines[i].toLowerCase();
+    const s = foldArabic(lines[i].toLowerCase());
     if (ks.some(k => s.includes(k))) {
       const start = Math.max(0, i - window);
       const end = Math.min(lines.length, i + window + 1);
@@ -511,138 +657,104 @@ function setPath(obj, p, value) {
   cur[parts[parts.length - 1]] = value;
 }
 
-// -------------------- OLLAMA CLIENT --------------------
-async function httpPost(url, body, timeout = 300000) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-  
-  try {
-    const res = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(body),
-      signal: controller.signal,
-    });
-    
-    clearTimeout(timeoutId);
-    const text = await res.text();
-    
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status} ${url}: ${text.substring(0, 500)}`);
-    }
-    
-    try { 
-      return JSON.parse(text); 
-    } catch { 
-      // If it's not JSON, return as text
-      return text; 
-    }
-  } catch (e) {
-    clearTimeout(timeoutId);
-    if (e.name === 'AbortError') {
-      throw new Error(`Request timeout after ${timeout}ms for ${url}`);
-    }
-    throw e;
+// -------------------- PROVENANCE --------------------
+// How each field was produced: "regex" (document patterns), "ai", "user" (the
+// request's tenderId / departmentName) or "default" (nothing found). Keyword
+// inferences ("RFP" because the word appears somewhere) get KEYWORD_CONFIDENCE;
+// AI values are raised towards GROUNDED_AI_CONFIDENCE when found verbatim in
+// the document (settleProvenance).
+const METHOD_CONFIDENCE = { user: 1, regex: 0.8, ai: 0.6, default: 0 };
+const KEYWORD_CONFIDENCE = 0.6;
+const GROUNDED_AI_CONFIDENCE = 0.9;
+
+/**
+ * The first candidate with a value, recording its method under `key` in
+ * `provenance`.
+ *
+ * @param {Object} provenance - Field path → {method, confidence}
+ * @param {string} key - Dotted path of the field (e.g. "metadata.country")
+ * @param {...Array} candidates - `[method, value, confidence?]`, in order of preference
+ * @returns {*} The value, or null when no candidate has one
+ */
+function firstOf(provenance, key, ...candidates) {
+  for (const [method, value, confidence = METHOD_CONFIDENCE[method]] of candidates) {
+    if (value === undefined || value === null || value === "") continue;
+    provenance[key] = { method, confidence };
+    return value;
   }
+  provenance[key] = { method: "default", confidence: METHOD_CONFIDENCE.default };
+  return null;
 }
 
-async function ensureModel() {
-  try {
-    const url = `${OLLAMA_BASE_URL}/api/pull`;
-    console.log(`📥 Pulling model ${MODEL} from ${url}...`);
-    // According to Ollama API: { name: "model:tag" }
-    const result = await httpPost(url, { name: MODEL });
-    console.log(`✓ Model pull initiated/complete`);
-    return result;
-  } catch (e) {
-    // Model might already be available, or pull might be in progress
-    console.warn(`⚠️  Model pull warning (may already be available): ${e.message}`);
-    // Don't throw - continue anyway as model might already be pulled
+/**
+ * Settle the provenance of the normalized result: fields left blank ("Not
+ * specified", null, empty lists, commercial terms not found) are defaults,
+ * and AI values gain confidence with the share of them (list items: by
+ * string or name) found verbatim in the document.
+ */
+function settleProvenance(result, provenance, text) {
+  const haystack = norm(text).toLowerCase();
+  const grounded = (value) => {
+    const needle = typeof value === "string" ? norm(value).toLowerCase() : "";
+    return needle.length >= 3 && haystack.includes(needle);
+  };
+  const missingTerms = missingCommercialTerms(result.commercial_terms).map((key) => `commercial_terms.${key}`);
+
+  for (const [field, entry] of Object.entries(provenance)) {
+    const value = getPath(result, field);
+    if (isNotSpecified(value) || (Array.isArray(value) && !value.length) || missingTerms.includes(field)) {
+      provenance[field] = { method: "default", confidence: METHOD_CONFIDENCE.default };
+      continue;
+    }
+    if (entry.method !== "ai" || (typeof value !== "string" && !Array.isArray(value))) continue;
+
+    const items = Array.isArray(value) ? value.map((item) => (typeof item === "string" ? item : item?.name)) : [value];
+    const share = items.filter(grounded).length / items.length;
+    const confidence = entry.confidence + (GROUNDED_AI_CONFIDENCE - entry.confidence) * share;
+    provenance[field] = { method: "ai", confidence: Math.round(confidence * 100) / 100 };
   }
+  return provenance;
 }
 
-async function chatJson(messages, retries = 2) {
-  // Try /api/chat first; fallback /api/generate
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    try {
-      const out = await httpPost(`${OLLAMA_BASE_URL}/api/chat`, {
-        model: MODEL,
-        messages,
-        stream: false,
-        format: "json",
-        options: { temperature: 0 }
-      });
-
-      let content = out?.message?.content ?? out?.response;
-      
-      // If content is an object, it might already be parsed
-      if (typeof content === "object" && content !== null) {
-        return content;
-      }
-      
-      // If content is a string, try to parse it
-      if (typeof content === "string") {
-        if (!content.trim()) {
-          throw new Error("Empty response from Ollama chat API");
-        }
-        return safeJsonParse(content);
-      }
-      
-      // Fallback: try parsing the whole response
-      if (typeof out === "object" && out !== null) {
-        return out;
-      }
-      
-      throw new Error("Unexpected response format from Ollama");
-    } catch (e) {
-      console.warn(`Chat API attempt ${attempt + 1} failed:`, e.message);
-      
-      // If this was the last attempt, try generate API
-      if (attempt === retries) {
-        try {
-          const prompt = messages.map(m => `${m.role.toUpperCase()}: ${m.content}`).join("\n\n");
-          const out = await httpPost(`${OLLAMA_BASE_URL}/api/generate`, {
-            model: MODEL,
-            prompt,
-            stream: false,
-            format: "json",
-            options: { temperature: 0 }
-          });
-          
-          let content = out?.response;
-          
-          // If content is an object, it might already be parsed
-          if (typeof content === "object" && content !== null) {
-            return content;
-          }
-          
-          // If content is a string, try to parse it
-          if (typeof content === "string") {
-            if (!content.trim()) {
-              throw new Error("Empty response from Ollama generate API");
-            }
-            return safeJsonParse(content);
-          }
-          
-          // Fallback: try parsing the whole response
-          if (typeof out === "object" && out !== null) {
-            return out;
-          }
-          
-          throw new Error("Unexpected response format from Ollama generate API");
-        } catch (genError) {
-          console.error("Generate API also failed:", genError.message);
-          throw new Error(`Both chat and generate APIs failed. Last error: ${genError.message}`);
-        }
-      }
-      
-      // Wait a bit before retrying
-      await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+// nullDefaults: defaulted values ("RFP", "UAE") and "Not specified" placeholders
+// become null; lists stay empty and objects keep their keys
+function dropDefaults(result, provenance) {
+  for (const [field, entry] of Object.entries(provenance)) {
+    if (entry.method === "default" && typeof getPath(result, field) !== "object") setPath(result, field, null);
+  }
+  const visit = (node) => {
+    for (const [key, value] of Object.entries(node)) {
+      if (typeof value === "string" && isNotSpecified(value)) node[key] = null;
+      else if (value && typeof value === "object") visit(value);
     }
+  };
+  visit(result);
+  return result;
+}
+
+// -------------------- LLM --------------------
+async function chatJson(messages, { signal } = {}) {
+  const content = await chat(messages, { json: true, signal });
+  if (!content.trim()) {
+    throw new Error("Empty response from LLM chat");
   }
+  return safeJsonParse(content);
 }
 
 // -------------------- PROMPTS --------------------
+const COMMERCIAL_TERMS_TEXT = `{
+    "bid_bond": { "percent": null, "amount": null, "currency": "", "validity": { "value": null, "unit": null } },
+    "performance_guarantee": { "percent": null, "amount": null, "currency": "", "validity": { "value": null, "unit": null } },
+    "advance_payment_guarantee": { "percent": null, "amount": null, "currency": "", "validity": { "value": null, "unit": null } },
+    "payment_milestones": [{ "milestone": "", "percent": null }],
+    "liquidated_damages": { "rate_percent": null, "per": null, "cap_percent": null },
+    "warranty_period": { "value": null, "unit": null },
+    "retention": { "percent": null, "release": "" },
+    "insurance": [{ "type": "", "amount": null, "currency": "" }],
+    "site_visit": { "mandatory": null, "date": "", "time": "", "location": "" },
+    "pre_bid_meeting": { "mandatory": null, "date": "", "time": "", "location": "" }
+  }`;
+
 const BASE_SCHEMA_TEXT = `{
   "metadata": {
     "tender_reference_number": "",
@@ -677,6 +789,7 @@ const BASE_SCHEMA_TEXT = `{
     "currency": "",
     "pricing_structure": ""
   },
+  "commercial_terms": ${COMMERCIAL_TERMS_TEXT},
   "contact_information": {
     "contact_name": "",
     "contact_email": "",
@@ -688,7 +801,7 @@ function systemMsg() {
   return {
     role: "system",
     content:
-      "You are a strict information extraction engine. Return ONLY a single valid JSON object. No explanations. No extra keys.",
+      "You are a strict information extraction engine. Return ONLY a single valid JSON object. No explanations. No extra keys. Documents may be in Arabic or bilingual Arabic/English: read labels in either language and copy text values as the document writes them, without translating; fields with fixed values (document type, country, currency) are always in English.",
   };
 }
 
@@ -766,50 +879,33 @@ Return ONLY JSON.
 
 // Fields to rescue if missing (keyword-targeted)
 const FIELD_TARGETS = [
-  ["metadata.tender_reference_number", ["reference", "ref", "tender", "RFP", "ID"], false],
-  ["metadata.document_title", ["document title", "request for proposal", "RFP"], false],
-  ["metadata.document_type", ["request for proposal", "rfp", "rfq", "itt", "tender"], false],
-  ["metadata.issue_date", ["issue date", "date of issue", "issued on"], false],
-  ["metadata.issuer", ["issuer", "authority", "department", "government"], false],
-  ["metadata.country", ["country", "UAE", "United Arab Emirates"], false],
-
-  ["administration.submission_deadline", ["submission deadline", "closing date", "last date", "deadline", "receipt of proposals"], false],
-  ["administration.proposal_validity_days", ["validity", "proposal validity", "bid validity", "remain valid"], true],
-  ["administration.submission_instructions", ["submit", "submission", "email", "address for communication"], false],
-
-  ["pricing.currency", ["currency", "AED", "Dirhams", "USD", "SAR", "QAR", "OMR"], false],
-  ["pricing.pricing_structure", ["fixed price", "lump sum", "inclusive", "price schedule", "commercial proposal"], false],
-
-  ["contact_information.contact_name", ["contact", "attention", "address for communication"], false],
-  ["contact_information.contact_email", ["email", "@", "mail"], false],
-  ["contact_information.contact_phone", ["phone", "tel", "mobile"], false],
-
-  ["evaluation.technical_weight_percent", ["technical weight", "technical evaluation", "weight"], true],
-  ["evaluation.financial_weight_percent", ["financial weight", "commercial evaluation", "weight"], true],
+  ["metadata.tender_reference_number", ["reference", "ref", "tender", "RFP", "ID", "رقم المناقصة", "الرقم المرجعي"], false],
+  ["metadata.document_title", ["document title", "request for proposal", "RFP", "عنوان المناقصة", "اسم المشروع"], false],
+  ["metadata.document_type", ["request for proposal", "rfp", "rfq", "itt", "tender", "طلب عروض", "مناقصة"], false],
+  ["metadata.issue_date", ["issue date", "date of issue", "issued on", "تاريخ الإصدار", "تاريخ الطرح"], false],
+  ["metadata.issuer", ["issuer", "authority", "department", "government", "الجهة", "وزارة", "هيئة", "دائرة"], false],
+  ["metadata.country", ["country", "UAE", "United Arab Emirates", "الإمارات", "السعودية"], false],
+
+  ["administration.submission_deadline", ["submission deadline", "closing date", "last date", "deadline", "receipt of proposals", "آخر موعد", "تاريخ الإغلاق"], false],
+  ["administration.proposal_validity_days", ["validity", "proposal validity", "bid validity", "remain valid", "صلاحية العرض", "سريان العرض"], true],
+  ["administration.submission_instructions", ["submit", "submission", "email", "address for communication", "تقديم العروض", "تسليم العروض"], false],
+
+  ["pricing.currency", ["currency", "AED", "Dirhams", "USD", "SAR", "QAR", "OMR", "العملة", "درهم", "ريال"], false],
+  ["pricing.pricing_structure", ["fixed price", "lump sum", "inclusive", "price schedule", "commercial proposal", "سعر ثابت", "مبلغ مقطوع", "جدول الأسعار"], false],
+
+  ["contact_information.contact_name", ["contact", "attention", "address for communication", "للتواصل", "الاستفسارات"], false],
+  ["contact_information.contact_email", ["email", "@", "mail", "البريد الإلكتروني"], false],
+  ["contact_information.contact_phone", ["phone", "tel", "mobile", "هاتف", "الهاتف"], false],
+
+  ["evaluation.technical_weight_percent", ["technical weight", "technical evaluation", "weight", "التقييم الفني", "العرض الفني", "الوزن"], true],
+  ["evaluation.financial_weight_percent", ["financial weight", "commercial evaluation", "weight", "التقييم المالي", "العرض المالي", "الوزن"], true],
 ];
 
 // -------------------- TEXT EXTRACTION --------------------
-async function extractText(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  const buf = fs.readFileSync(filePath);
-
-  let text = "";
-  if (ext === ".pdf") {
-    const data = await pdfParse(buf);
-    text = data.text || "";
-  } else if (ext === ".docx") {
-    const res = await mammoth.extractRawText({ buffer: buf });
-    text = res.value || "";
-  } else if (ext === ".txt") {
-    text = buf.toString("utf8");
-  } else if (ext === ".html" || ext === ".htm") {
-    const $ = cheerio.load(buf.toString("utf8"));
-    text = $.text();
-  } else {
-    throw new Error(`Unsupported file type: ${ext}. Supported: pdf, docx, txt, html`);
-  }
-
-  return cleanText(text);
+async function extractText(filePath, originalFileName, { signal } = {}) {
+  const doc = await ingestDocument({ filePath, filename: originalFileName, signal });
+  for (const w of doc.warnings) console.warn(`⚠️  ${w}`);
+  return { doc, text: cleanText(doc.text) };
 }
 
 // -------------------- FAST KEYWORD-BASED EXTRACTION --------------------
@@ -845,8 +941,8 @@ function extractDate(text, patterns) {
     const match = rxFind(text, pattern, "i");
     if (match) {
       const cleaned = norm(match);
-      // Try to extract a date-like string
-      if (/\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4}/.test(cleaned) || /\d{4}[\/\-\.]\d{1,2}[\/\-\.]\d{1,2}/.test(cleaned)) {
+      // Try to extract a date-like string ("15/03/2025", "2025-03-15", "15 مارس 2025")
+      if (/\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4}/.test(cleaned) || /\d{4}[\/\-\.]\d{1,2}[\/\-\.]\d{1,2}/.test(cleaned) || findValues(cleaned, "date").length) {
         return cleaned;
       }
     }
@@ -865,133 +961,560 @@ function extractNumber(text, patterns) {
   return null;
 }
 
-function fastExtractMetadata(text, tenderId, departmentName) {
+function fastExtractMetadata(text, tenderId, departmentName, provenance = {}) {
   const result = blankObject().metadata;
+  const pick = (key, ...candidates) => (result[key] = firstOf(provenance, `metadata.${key}`, ...candidates));
   
   // Tender Reference Number
-  result.tender_reference_number = extractWithRegex(text, [
-    String.raw`(?:tender|rfp|reference|ref)[\s\.]*[#:]?[\s]*([A-Z0-9\-/]+)`,
-    String.raw`(?:RFP|Tender)[\s]*[#:]?[\s]*([A-Z0-9\-/]+)`,
-    String.raw`Reference[\s]+(?:Number|No|ID)[\s]*[:]?[\s]*([A-Z0-9\-/]+)`,
-  ]) || tenderId || NOT_SPECIFIED;
+  pick("tender_reference_number",
+    ["regex", extractWithRegex(text, [
+      String.raw`(?:tender|rfp|reference|ref)[\s\.]*[#:]?[\s]*([A-Z0-9\-/]+)`,
+      String.raw`(?:RFP|Tender)[\s]*[#:]?[\s]*([A-Z0-9\-/]+)`,
+      String.raw`Reference[\s]+(?:Number|No|ID)[\s]*[:]?[\s]*([A-Z0-9\-/]+)`,
+      ...arabicLabelPatterns(ARABIC_LABELS.referenceNumber, String.raw`([A-Z0-9][A-Z0-9\-/.]*)`),
+    ])],
+    ["user", tenderId],
+    ["default", NOT_SPECIFIED]);
   
   // Document Title
-  result.document_title = extractWithRegex(text, [
-    String.raw`(?:Document\s+Title|Title)[\s]*[:]?[\s]*([^\n]{10,200})`,
-    String.raw`(?:Request\s+for\s+Proposal|RFP)[\s]*[:]?[\s]*([^\n]{10,200})`,
-    String.raw`^([A-Z][^\n]{20,150}(?:SAP|S4|S\/4|Implementation|RFP|Tender)[^\n]{0,100})`,
-  ]) || NOT_SPECIFIED;
+  pick("document_title",
+    ["regex", extractWithRegex(text, [
+      String.raw`(?:Document\s+Title|Title)[\s]*[:]?[\s]*([^\n]{10,200})`,
+      String.raw`(?:Request\s+for\s+Proposal|RFP)[\s]*[:]?[\s]*([^\n]{10,200})`,
+      String.raw`^([A-Z][^\n]{20,150}(?:SAP|S4|S\/4|Implementation|RFP|Tender)[^\n]{0,100})`,
+      ...arabicLabelPatterns(ARABIC_LABELS.title, String.raw`([^\n]{10,200})`),
+    ])],
+    ["default", NOT_SPECIFIED]);
   
   // Document Type
+  let documentType = null;
   if (/request\s+for\s+proposal|rfp/i.test(text)) {
-    result.document_type = "RFP";
+    documentType = "RFP";
   } else if (/request\s+for\s+quotation|rfq/i.test(text)) {
-    result.document_type = "RFQ";
+    documentType = "RFQ";
   } else if (/invitation\s+to\s+tender|itt/i.test(text)) {
-    result.document_type = "ITT";
+    documentType = "ITT";
   } else {
-    result.document_type = extractWithRegex(text, [
-      String.raw`(?:Document\s+Type|Type)[\s]*[:]?[\s]*([A-Z]+)`,
-    ]) || "RFP";
+    documentType = findArabicTerm(ARABIC_DOCUMENT_TYPES, text)?.type || null;
   }
+  pick("document_type",
+    ["regex", documentType, KEYWORD_CONFIDENCE],
+    ["regex", extractWithRegex(text, [String.raw`(?:Document\s+Type|Type)[\s]*[:]?[\s]*([A-Z]+)`])],
+    ["default", "RFP"]);
   
   // Issue Date
-  result.issue_date = extractDate(text, [
-    String.raw`(?:Issue\s+Date|Date\s+of\s+Issue|Issued\s+on)[\s]*[:]?[\s]*([^\n]{5,50})`,
-    String.raw`Date[:\s]+([0-9]{1,2}[\/\-\.][0-9]{1,2}[\/\-\.][0-9]{2,4})`,
-  ]) || NOT_SPECIFIED;
+  pick("issue_date",
+    ["regex", extractDate(text, [
+      String.raw`(?:Issue\s+Date|Date\s+of\s+Issue|Issued\s+on)[\s]*[:]?[\s]*([^\n]{5,50})`,
+      String.raw`Date[:\s]+([0-9]{1,2}[\/\-\.][0-9]{1,2}[\/\-\.][0-9]{2,4})`,
+      ...arabicLabelPatterns(ARABIC_LABELS.issueDate, String.raw`([^\n]{5,50})`),
+    ])],
+    ["default", NOT_SPECIFIED]);
   
   // Issuer
-  result.issuer = extractWithRegex(text, [
-    String.raw`(?:Issued\s+by|Issuer|Authority|Department)[\s]*[:]?[\s]*([^\n]{5,200})`,
-    String.raw`(?:Government\s+of|Ministry\s+of|Department\s+of)[\s]*([^\n]{5,200})`,
-  ]) || departmentName || NOT_SPECIFIED;
+  pick("issuer",
+    ["regex", extractWithRegex(text, [
+      String.raw`(?:Issued\s+by|Issuer|Authority|Department)[\s]*[:]?[\s]*([^\n]{5,200})`,
+      String.raw`(?:Government\s+of|Ministry\s+of|Department\s+of)[\s]*([^\n]{5,200})`,
+      ...arabicLabelPatterns(ARABIC_LABELS.issuer, String.raw`([^\n]{5,200})`),
+    ])],
+    ["user", departmentName],
+    ["default", NOT_SPECIFIED]);
   
   // Country
+  let country = null;
   if (/UAE|United\s+Arab\s+Emirates|Dubai|Abu\s+Dhabi|Sharjah/i.test(text)) {
-    result.country = "UAE";
+    country = "UAE";
   } else if (/Saudi\s+Arabia|KSA|Riyadh/i.test(text)) {
-    result.country = "Saudi Arabia";
+    country = "Saudi Arabia";
   } else {
-    result.country = extractWithRegex(text, [
-      String.raw`Country[:\s]+([^\n]{2,50})`,
-    ]) || "UAE";
+    country = findArabicTerm(ARABIC_COUNTRIES, text)?.country || null;
   }
+  pick("country",
+    ["regex", country, KEYWORD_CONFIDENCE],
+    ["regex", extractWithRegex(text, [String.raw`Country[:\s]+([^\n]{2,50})`])],
+    ["default", "UAE"]);
   
   return result;
 }
 
-function fastExtractAdministration(text) {
+function fastExtractAdministration(text, provenance = {}) {
   const result = blankObject().administration;
+  const pick = (key, ...candidates) => (result[key] = firstOf(provenance, `administration.${key}`, ...candidates));
   
   // Submission Deadline
-  result.submission_deadline = extractDate(text, [
-    String.raw`(?:Submission\s+Deadline|Closing\s+Date|Last\s+Date|Deadline)[\s]*[:]?[\s]*([^\n]{5,50})`,
-    String.raw`(?:Proposals?\s+must\s+be|Submit)[\s]+(?:received|submitted)[\s]+(?:by|on|before)[\s]+([^\n]{5,50})`,
-  ]) || NOT_SPECIFIED;
+  pick("submission_deadline",
+    ["regex", extractDate(text, [
+      String.raw`(?:Submission\s+Deadline|Closing\s+Date|Last\s+Date|Deadline)[\s]*[:]?[\s]*([^\n]{5,50})`,
+      String.raw`(?:Proposals?\s+must\s+be|Submit)[\s]+(?:received|submitted)[\s]+(?:by|on|before)[\s]+([^\n]{5,50})`,
+      ...arabicLabelPatterns(ARABIC_LABELS.submissionDeadline, String.raw`([^\n]{5,50})`),
+    ])],
+    ["default", NOT_SPECIFIED]);
   
   // Proposal Validity Days
-  result.proposal_validity_days = extractNumber(text, [
-    String.raw`(?:Proposal|Bid)\s+validity[:\s]+(?:for\s+)?(\d+)\s*(?:days?|months?)`,
-    String.raw`(?:remain|stay)\s+valid[:\s]+(?:for\s+)?(\d+)\s*(?:days?|months?)`,
-    String.raw`validity[:\s]+(\d+)\s*(?:days?|months?)`,
-  ]);
+  pick("proposal_validity_days",
+    ["regex", extractNumber(text, [
+      String.raw`(?:Proposal|Bid)\s+validity[:\s]+(?:for\s+)?(\d+)\s*(?:days?|months?)`,
+      String.raw`(?:remain|stay)\s+valid[:\s]+(?:for\s+)?(\d+)\s*(?:days?|months?)`,
+      String.raw`validity[:\s]+(\d+)\s*(?:days?|months?)`,
+    ])]);
   
   // Submission Instructions
-  result.submission_instructions = extractWithRegex(text, [
-    String.raw`(?:Submission|Submit)[\s]+(?:Instructions|Requirements|Method)[\s]*[:]?[\s]*([^\n]{20,500})`,
-    String.raw`(?:Proposals?\s+must\s+be|Please\s+submit)[\s]+([^\n]{20,500})`,
-  ]) || NOT_SPECIFIED;
+  pick("submission_instructions",
+    ["regex", extractWithRegex(text, [
+      String.raw`(?:Submission|Submit)[\s]+(?:Instructions|Requirements|Method)[\s]*[:]?[\s]*([^\n]{20,500})`,
+      String.raw`(?:Proposals?\s+must\s+be|Please\s+submit)[\s]+([^\n]{20,500})`,
+    ])],
+    ["default", NOT_SPECIFIED]);
   
   return result;
 }
 
-function fastExtractContact(text) {
+function fastExtractContact(text, provenance = {}) {
   const result = blankObject().contact_information;
+  const pick = (key, ...candidates) => (result[key] = firstOf(provenance, `contact_information.${key}`, ...candidates));
   
-  result.contact_email = extractEmail(text) || NOT_SPECIFIED;
-  result.contact_phone = extractPhone(text) || NOT_SPECIFIED;
+  pick("contact_email", ["regex", extractEmail(text)], ["default", NOT_SPECIFIED]);
+  pick("contact_phone", ["regex", extractPhone(text)], ["default", NOT_SPECIFIED]);
   
-  result.contact_name = extractWithRegex(text, [
-    String.raw`(?:Contact|Attention|Address\s+for\s+Communication)[\s]*[:]?[\s]*([^\n]{5,100})`,
-    String.raw`(?:For\s+)?(?:queries|inquiries|contact)[\s]*[:]?[\s]*([^\n]{5,100})`,
-  ]) || NOT_SPECIFIED;
+  pick("contact_name",
+    ["regex", extractWithRegex(text, [
+      String.raw`(?:Contact|Attention|Address\s+for\s+Communication)[\s]*[:]?[\s]*([^\n]{5,100})`,
+      String.raw`(?:For\s+)?(?:queries|inquiries|contact)[\s]*[:]?[\s]*([^\n]{5,100})`,
+    ])],
+    ["default", NOT_SPECIFIED]);
   
   return result;
 }
 
-function fastExtractPricing(text) {
+function fastExtractPricing(text, provenance = {}) {
   const result = blankObject().pricing;
+  const pick = (key, ...candidates) => (result[key] = firstOf(provenance, `pricing.${key}`, ...candidates));
   
   // Currency
+  let currency = null;
   if (/AED|Dirhams?|UAE\s+Dirham/i.test(text)) {
-    result.currency = "UAE Dirhams";
+    currency = "UAE Dirhams";
   } else if (/USD|\$\s*|US\s+Dollar/i.test(text)) {
-    result.currency = "USD";
+    currency = "USD";
   } else if (/SAR|Saudi\s+Riyal/i.test(text)) {
-    result.currency = "SAR";
-  } else {
-    result.currency = extractWithRegex(text, [
-      String.raw`Currency[:\s]+([A-Z]{3}|[^\n]{2,50})`,
-    ]) || NOT_SPECIFIED;
+    currency = "SAR";
   }
+  pick("currency",
+    ["regex", currency, KEYWORD_CONFIDENCE],
+    ["regex", extractWithRegex(text, [String.raw`Currency[:\s]+([A-Z]{3}|[^\n]{2,50})`])],
+    ["default", NOT_SPECIFIED]);
   
   // Pricing Structure
+  let pricingStructure = null;
   if (/fixed\s+price|lump\s+sum/i.test(text)) {
-    result.pricing_structure = "Fixed price";
+    pricingStructure = "Fixed price";
   } else if (/time\s+and\s+materials|T&M/i.test(text)) {
-    result.pricing_structure = "Time and materials";
-  } else {
-    result.pricing_structure = extractWithRegex(text, [
-      String.raw`(?:Pricing|Price)\s+Structure[:\s]+([^\n]{5,200})`,
-    ]) || NOT_SPECIFIED;
+    pricingStructure = "Time and materials";
   }
+  pick("pricing_structure",
+    ["regex", pricingStructure, KEYWORD_CONFIDENCE],
+    ["regex", extractWithRegex(text, [String.raw`(?:Pricing|Price)\s+Structure[:\s]+([^\n]{5,200})`])],
+    ["default", NOT_SPECIFIED]);
   
   return result;
 }
 
+// -------------------- COMMERCIAL TERMS --------------------
+const CURRENCY_CODES = {
+  aed: "AED", dh: "AED", dhs: "AED", dirham: "AED", dirhams: "AED",
+  usd: "USD", "us$": "USD", $: "USD",
+  sar: "SAR", qar: "QAR", omr: "OMR", kwd: "KWD", bhd: "BHD", eur: "EUR", "€": "EUR", gbp: "GBP", "£": "GBP",
+};
+const CURRENCY = String.raw`(AED|USD|SAR|QAR|OMR|KWD|BHD|EUR|GBP|Dhs?\.?|Dirhams?|US\$|\$|€|£)`;
+const AMOUNT = String.raw`(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?(?:\s*(million|mn|thousand|k)\b)?`;
+const AMOUNT_MULTIPLIERS = { million: 1e6, mn: 1e6, thousand: 1e3, k: 1e3 };
+
+const COMMERCIAL_LABELS = {
+  bid_bond: [
+    String.raw`bid (?:bond|security|guarantee)`,
+    String.raw`tender (?:bond|security|guarantee)`,
+    String.raw`earnest money(?: deposit)?`,
+  ],
+  performance_guarantee: [String.raw`performance (?:bond|guarantee|security)`],
+  advance_payment_guarantee: [String.raw`advance payment (?:bond|guarantee|security)`],
+  liquidated_damages: [
+    String.raw`liquidated damages`,
+    String.raw`delay penalt(?:y|ies)`,
+    String.raw`penalt(?:y|ies) for (?:late|delay)`,
+    String.raw`late delivery penalt(?:y|ies)`,
+  ],
+  warranty_period: [String.raw`warranty period`, String.raw`defects? liability period`, String.raw`warranty`],
+  retention: [String.raw`retention(?: money| amount)?`],
+  site_visit: [String.raw`site (?:visit|inspection|survey)`],
+  pre_bid_meeting: [
+    String.raw`pre-?bid (?:meeting|conference)`,
+    String.raw`pre-?proposal (?:meeting|conference)`,
+    String.raw`bidders'? (?:meeting|conference)`,
+  ],
+};
+
+const PAYMENT_TERMS_LABEL = String.raw`payment (?:terms|schedule|milestones|plan)`;
+// Non-blank lines after the payment terms label searched for milestones
+const PAYMENT_TERMS_LINES = 60;
+
+const INSURANCE_TYPES = [
+  ["Professional indemnity", String.raw`professional (?:indemnity|liability)`],
+  ["Public liability", String.raw`public liability`],
+  ["Third-party liability", String.raw`third[- ]party liability`],
+  ["Employer's liability", String.raw`employers?'?s? liability`],
+  ["Workers' compensation", String.raw`workers?'? compensation`],
+  ["Contractor's all risks", String.raw`contractors?'?s? all[- ]risks?`],
+  ["Product liability", String.raw`product liability`],
+  ["Motor vehicle", String.raw`motor (?:vehicle )?insurance`],
+  ["Medical", String.raw`(?:medical|health) insurance`],
+];
+
+const LD_CAP = String.raw`(?:maximum|max\.?|cap(?:ped)?|ceiling|not (?:to )?exceed|up to|limited to)[^%\n]{0,80}?(\d{1,3}(?:\.\d+)?)\s*(?:%|per\s?cent)`;
+
+// Keywords whose surroundings are sent to the AI fallback
+const COMMERCIAL_KEYWORDS = [
+  "bid bond", "bid security", "tender bond", "performance bond", "performance guarantee", "advance payment",
+  "payment terms", "payment schedule", "liquidated damages", "penalty", "warranty", "retention",
+  "insurance", "site visit", "pre-bid", "bidders conference",
+];
+
+function lineEndAt(text, offset) {
+  const newline = text.indexOf("\n", offset);
+  return newline === -1 ? text.length : newline;
+}
+
+/**
+ * Text around each mention of a label: from the label to the end of its
+ * sentence (or `sentences` sentences), continuing onto the next line when the
+ * label ends its line (a table cell), at most `width` characters.
+ */
+function termWindows(text, labels, { sentences = 1, width = 300 } = {}) {
+  const windows = [];
+  for (const label of labels) {
+    for (const m of text.matchAll(new RegExp(label, "gi"))) {
+      const lineEnd = lineEndAt(text, m.index + m[0].length);
+      // A label alone on its line takes its value from the next line
+      const alone = !text.slice(m.index + m[0].length, lineEnd).replace(/[\s:–—-]/g, "");
+      const end = alone && lineEnd < text.length ? lineEndAt(text, lineEnd + 1) : lineEnd;
+      let body = text.slice(m.index, Math.min(end, m.index + width));
+      const stops = [...body.slice(m[0].length).matchAll(/[.;](?=\s+[A-Z(]|\s*$)/g)];
+      if (stops.length >= sentences) body = body.slice(0, m[0].length + stops[sentences - 1].index + 1);
+      windows.push({ start: m.index, text: body });
+    }
+  }
+  return windows.sort((a, b) => a.start - b.start).map((w) => w.text);
+}
+
+function rxMatch(text, pattern, pick) {
+  const m = new RegExp(pattern, "i").exec(text);
+  return m ? pick(m) : null;
+}
+
+function parsePercent(text) {
+  const [value] = findValues(String(text ?? ""), "percent");
+  return value ? Number(value.normalized.slice(0, -1)) : null;
+}
+
+function parseAmount(text) {
+  const s = String(text ?? "");
+  const m =
+    rxMatch(s, String.raw`${CURRENCY}\s*${AMOUNT}`, (m) => ({ currency: m[1], number: m.slice(2) })) ||
+    rxMatch(s, String.raw`${AMOUNT}\s*${CURRENCY}(?![a-z])`, (m) => ({ currency: m[4], number: m.slice(1, 4) }));
+  if (!m) return null;
+  const [whole, fraction, scale] = m.number;
+  const amount = Number(`${whole.replace(/,/g, "")}${fraction ? `.${fraction}` : ""}`) * (AMOUNT_MULTIPLIERS[scale?.toLowerCase()] || 1);
+  return { amount, currency: CURRENCY_CODES[m.currency.toLowerCase().replace(/\.$/, "")] || m.currency.toUpperCase() };
+}
+
+function parseDuration(text) {
+  const [value] = findValues(String(text ?? ""), "duration");
+  if (!value) return blankDuration();
+  const [amount, unit] = value.normalized.split(" ");
+  return { value: Number(amount), unit };
+}
+
+function parseIsoDate(text) {
+  const [value] = findValues(String(text ?? ""), "date");
+  return value ? value.normalized : null;
+}
+
+function parseTime(text) {
+  const [value] = findValues(String(text ?? ""), "time");
+  return value ? value.normalized : null;
+}
+
+function guaranteeFrom(window) {
+  const money = parseAmount(window);
+  const valid = window.search(/valid/i);
+  return {
+    percent: parsePercent(window),
+    amount: money?.amount ?? null,
+    currency: money?.currency ?? NOT_SPECIFIED,
+    validity: valid === -1 ? blankDuration() : parseDuration(window.slice(valid)),
+  };
+}
+
+function meetingFrom(window) {
+  // Case-sensitive: a location starts with a capital ("at the Head Office")
+  const location = rxFind(window, String.raw`(?:\b[Aa]t|[Vv]enue|[Ll]ocation|[Pp]lace)\s*:?\s+(?:the\s+)?([A-Z][^.;\n]{3,80})`, "");
+  let mandatory = null;
+  if (/not (?:be )?(?:mandatory|compulsory)|optional/i.test(window)) mandatory = false;
+  else if (/mandatory|compulsory|must attend|required to attend/i.test(window)) mandatory = true;
+  return {
+    mandatory,
+    date: parseIsoDate(window) || NOT_SPECIFIED,
+    time: parseTime(window) || NOT_SPECIFIED,
+    location: location ? norm(location) : NOT_SPECIFIED,
+  };
+}
+
+// Milestones are the percentage lines of the payment terms; a percentage
+// alone on its line (a table cell) belongs to the line before it
+function extractPaymentMilestones(text) {
+  for (const m of text.matchAll(new RegExp(PAYMENT_TERMS_LABEL, "gi"))) {
+    const lines = text
+      .slice(m.index)
+      .split("\n")
+      .map((l) => l.trim())
+      .filter(Boolean)
+      .slice(0, PAYMENT_TERMS_LINES);
+    const milestones = [];
+    let total = 0;
+    lines.forEach((line, i) => {
+      if (total >= 100) return;
+      const percent = parsePercent(line);
+      if (percent === null || percent <= 0 || total + percent > 100) return;
+      const cell = line.replace(/[^\d.%]/g, "") === line.replace(/\s/g, "");
+      const description = (cell ? lines[i - 1] || "" : line)
+        .replace(new RegExp(PAYMENT_TERMS_LABEL, "i"), "")
+        .replace(/\d{1,3}(?:\.\d+)?\s*(?:%|per\s?cent)/gi, "")
+        .replace(/\bof the (?:total )?(?:contract|project|order) (?:value|price|amount)\b/gi, "")
+        .replace(/^[\s\-–•*:.)(\d]+|[\s\-–:,;.]+$/g, "")
+        .trim();
+      if (!description || description.length > 200) return;
+      milestones.push({ milestone: description, percent });
+      total += percent;
+    });
+    if (milestones.length >= 2 || total === 100) return milestones;
+  }
+  return [];
+}
+
+function extractInsurance(text) {
+  if (!/insur/i.test(text)) return [];
+  const found = [];
+  for (const [type, pattern] of INSURANCE_TYPES) {
+    const [window] = termWindows(text, [pattern]);
+    if (!window) continue;
+    const money = parseAmount(window);
+    found.push({ type, amount: money?.amount ?? null, currency: money?.currency ?? NOT_SPECIFIED });
+  }
+  return found;
+}
+
+function fastExtractCommercialTerms(text) {
+  const result = blankCommercialTerms();
+  // The first mention that states a value wins
+  const first = (key, parse, hasValue, options) => {
+    for (const window of termWindows(text, COMMERCIAL_LABELS[key], options)) {
+      const value = parse(window);
+      if (hasValue(value)) return value;
+    }
+    return result[key];
+  };
+  const hasGuarantee = (g) => g.percent !== null || g.amount !== null;
+
+  result.bid_bond = first("bid_bond", guaranteeFrom, hasGuarantee);
+  result.performance_guarantee = first("performance_guarantee", guaranteeFrom, hasGuarantee);
+  result.advance_payment_guarantee = first("advance_payment_guarantee", guaranteeFrom, hasGuarantee);
+  result.payment_milestones = extractPaymentMilestones(text);
+
+  result.liquidated_damages = first(
+    "liquidated_damages",
+    (window) => {
+      const cap = new RegExp(LD_CAP, "i").exec(window);
+      const rateText = cap ? window.slice(0, cap.index) + window.slice(cap.index + cap[0].length) : window;
+      const per = rxMatch(
+        window,
+        String.raw`(?:per|each|every|a)\s+(?:calendar\s+|working\s+)?(day|week|month)|\b(daily|weekly|monthly)\b`,
+        (m) => m[1]?.toLowerCase() || { daily: "day", weekly: "week", monthly: "month" }[m[2].toLowerCase()]
+      );
+      return { rate_percent: parsePercent(rateText), per, cap_percent: cap ? Number(cap[1]) : null };
+    },
+    (ld) => ld.rate_percent !== null || ld.cap_percent !== null,
+    { sentences: 2, width: 500 }
+  );
+
+  result.warranty_period = first("warranty_period", parseDuration, (d) => d.value !== null);
+  result.retention = first(
+    "retention",
+    (window) => {
+      const release = rxFind(window, String.raw`releas\w*\s+((?:upon|after|on|at|following|within)\b[^.;\n]{3,100})`);
+      return { percent: parsePercent(window), release: release ? norm(release) : NOT_SPECIFIED };
+    },
+    (r) => r.percent !== null,
+    { sentences: 2 }
+  );
+  result.insurance = extractInsurance(text);
+
+  const hasMeeting = (m) => m.date !== NOT_SPECIFIED || m.time !== NOT_SPECIFIED || m.mandatory !== null;
+  result.site_visit = first("site_visit", meetingFrom, hasMeeting, { sentences: 2 });
+  result.pre_bid_meeting = first("pre_bid_meeting", meetingFrom, hasMeeting, { sentences: 2 });
+
+  return result;
+}
+
+// Commercial terms the regex pass left empty, as dotted paths
+function missingCommercialTerms(terms) {
+  const missing = [];
+  for (const key of ["bid_bond", "performance_guarantee", "advance_payment_guarantee"]) {
+    if (terms[key].percent === null && terms[key].amount === null) missing.push(key);
+  }
+  if (!terms.payment_milestones.length) missing.push("payment_milestones");
+  if (terms.liquidated_damages.rate_percent === null) missing.push("liquidated_damages");
+  if (terms.warranty_period.value === null) missing.push("warranty_period");
+  if (terms.retention.percent === null) missing.push("retention");
+  if (!terms.insurance.length) missing.push("insurance");
+  for (const key of ["site_visit", "pre_bid_meeting"]) {
+    if (terms[key].date === NOT_SPECIFIED && terms[key].mandatory === null) missing.push(key);
+  }
+  return missing;
+}
+
+/**
+ * Coerce commercial terms (from the regex pass or the AI) to the schema:
+ * numbers from "5%" or "AED 50,000", durations in days or months, ISO dates
+ * and currency codes, unknown keys dropped.
+ */
+function normalizeCommercialTerms(raw) {
+  const t = raw && typeof raw === "object" ? raw : {};
+  const num = (v) => {
+    if (typeof v === "number" && Number.isFinite(v)) return v;
+    if (typeof v !== "string") return null;
+    const percent = parsePercent(v);
+    if (percent !== null) return percent;
+    const money = parseAmount(v);
+    if (money) return money.amount;
+    const n = parseFloat(v.replace(/,/g, ""));
+    return Number.isFinite(n) ? n : null;
+  };
+  const str = (v) => (typeof v === "string" && v.trim() ? norm(v) : typeof v === "number" ? String(v) : NOT_SPECIFIED);
+  const duration = (v) => {
+    if (typeof v === "string") return parseDuration(v);
+    const value = num(v?.value);
+    // Re-parsed so that weeks and years become days and months
+    return value === null || typeof v?.unit !== "string" ? blankDuration() : parseDuration(`${value} ${v.unit}`);
+  };
+  const currency = (v) => {
+    if (typeof v !== "string" || !v.trim()) return NOT_SPECIFIED;
+    return CURRENCY_CODES[v.trim().toLowerCase().replace(/\.$/, "")] || (/^[A-Za-z]{3}$/.test(v.trim()) ? v.trim().toUpperCase() : str(v));
+  };
+  // An amount may carry its currency ("AED 50,000"); an explicit currency wins
+  const money = (amount, code) => {
+    const parsed = typeof amount === "string" ? parseAmount(amount) : null;
+    const given = currency(code);
+    return {
+      amount: parsed ? parsed.amount : num(amount),
+      currency: given !== NOT_SPECIFIED ? given : parsed?.currency ?? NOT_SPECIFIED,
+    };
+  };
+  const guarantee = (g) => ({ percent: num(g?.percent), ...money(g?.amount, g?.currency), validity: duration(g?.validity) });
+  const meeting = (m) => ({
+    mandatory: typeof m?.mandatory === "boolean" ? m.mandatory : null,
+    date: parseIsoDate(m?.date) || NOT_SPECIFIED,
+    time: parseTime(String(m?.time ?? "")) || NOT_SPECIFIED,
+    location: str(m?.location),
+  });
+  const per = String(t.liquidated_damages?.per ?? "")
+    .toLowerCase()
+    .replace(/^(?:per|each|a)\s+/, "")
+    .replace(/s$/, "");
+
+  return {
+    bid_bond: guarantee(t.bid_bond),
+    performance_guarantee: guarantee(t.performance_guarantee),
+    advance_payment_guarantee: guarantee(t.advance_payment_guarantee),
+    payment_milestones: (Array.isArray(t.payment_milestones) ? t.payment_milestones : [])
+      .filter((m) => m && typeof m === "object" && str(m.milestone) !== NOT_SPECIFIED)
+      .map((m) => ({ milestone: str(m.milestone), percent: num(m.percent) })),
+    liquidated_damages: {
+      rate_percent: num(t.liquidated_damages?.rate_percent),
+      per: ["day", "week", "month"].includes(per) ? per : null,
+      cap_percent: num(t.liquidated_damages?.cap_percent),
+    },
+    warranty_period: duration(t.warranty_period),
+    retention: { percent: num(t.retention?.percent), release: str(t.retention?.release) },
+    insurance: (Array.isArray(t.insurance) ? t.insurance : [])
+      .filter((i) => i && typeof i === "object" && str(i.type) !== NOT_SPECIFIED)
+      .map((i) => ({ type: str(i.type), ...money(i.amount, i.currency) })),
+    site_visit: meeting(t.site_visit),
+    pre_bid_meeting: meeting(t.pre_bid_meeting),
+  };
+}
+
+async function extractCommercialTermsWithAI(text, missing, { signal } = {}) {
+  const snippets = findSnippets(buildIndex(text), COMMERCIAL_KEYWORDS, 3, 20);
+  if (!snippets) return null;
+
+  const prompt = {
+    role: "user",
+    content: `
+Extract ONLY these commercial terms from the tender snippets below: ${missing.join(", ")}.
+Return ONLY valid JSON with these keys, shaped as in this template:
+${COMMERCIAL_TERMS_TEXT}
+
+Rules:
+- Percentages and amounts are plain numbers (5 for 5%, 50000 for AED 50,000); put the currency code in "currency"
+- Durations are { "value": number, "unit": "days" | "weeks" | "months" | "years" }
+- Dates are YYYY-MM-DD, times HH:MM (24-hour)
+- liquidated_damages.per is "day", "week" or "month"
+- Use exact document facts only; if a term is not stated, use null for numbers and "Not specified" for strings
+- Return ONLY JSON, no explanations
+
+Snippets:
+"""${snippets.substring(0, 8000)}"""
+`.trim(),
+  };
+
+  try {
+    return normalizeCommercialTerms(await chatJson([systemMsg(), prompt], { signal }));
+  } catch (e) {
+    console.warn(`⚠️  AI commercial terms extraction failed:`, e.message);
+    return null;
+  }
+}
+
+/**
+ * Commercial terms: patterns first, then (with targetedFill) one AI call for
+ * the terms they did not find.
+ */
+async function extractCommercialTerms(fullText, { opts, provenance, progress, progressAt, signal }) {
+  let commercialTerms = fastExtractCommercialTerms(fullText);
+  for (const key of Object.keys(commercialTerms)) {
+    provenance[`commercial_terms.${key}`] = { method: "regex", confidence: METHOD_CONFIDENCE.regex };
+  }
+
+  // AI fallback for the commercial terms the patterns did not find
+  const missingTerms = missingCommercialTerms(commercialTerms);
+  if (missingTerms.length && opts.targetedFill) {
+    progress("extracting_commercial_terms", { progress: progressAt });
+    console.log(`🤖 Commercial terms not found by patterns (${missingTerms.join(", ")}), asking AI...`);
+    const aiTerms = await extractCommercialTermsWithAI(fullText, missingTerms, { signal });
+    if (aiTerms) {
+      for (const key of missingTerms) {
+        commercialTerms[key] = aiTerms[key];
+        provenance[`commercial_terms.${key}`] = { method: "ai", confidence: METHOD_CONFIDENCE.ai };
+      }
+      commercialTerms = normalizeCommercialTerms(commercialTerms);
+      console.log(`✓ AI commercial terms: ${missingCommercialTerms(commercialTerms).length} still missing`);
+    }
+  }
+  return commercialTerms;
+}
+
 // -------------------- AI-BASED METADATA EXTRACTION --------------------
-async function extractMetadataWithAI(text, tenderId, departmentName) {
+async function extractMetadataWithAI(text, tenderId, departmentName, { signal } = {}) {
   // Use first 3000 characters where metadata is typically found
   const metadataSection = text.substring(0, 3000);
   
@@ -1017,7 +1540,7 @@ Extract these fields:
 
 Rules:
 - Extract EXACT values from the document - do not invent or guess
-- For tender_reference_number: Look for "Reference", "RFP No", "Tender ID", "Document No", etc.
+- For tender_reference_number: Look for "Reference", "RFP No", "Tender ID", "Document No", etc. (in Arabic: "رقم المناقصة", "الرقم المرجعي")
 - For document_title: Look for "Title", "Request for Proposal", "RFP", or the main heading
 - For document_type: Determine if it's RFP, RFQ, ITT, or Tender based on document content
 - For issue_date: Look for "Issue Date", "Date of Issue", "Issued on", or similar
@@ -1032,7 +1555,7 @@ Document header (first 3000 characters):
   };
   
   try {
-    const result = await chatJson([systemMsg(), prompt]);
+    const result = await chatJson([systemMsg(), prompt], { signal });
     if (result && (result.tender_reference_number || result.document_title || result.issuer)) {
       return result;
     }
@@ -1043,49 +1566,286 @@ Document header (first 3000 characters):
   return null;
 }
 
+// AI metadata with every field set: empty fields fall back to the request's
+// departmentName or a default
+function aiMetadata(metadata, { tenderId, departmentName, provenance }) {
+  // Values the AI copied from the request context are the user's
+  const aiOrUser = (key, supplied) => [supplied && metadata[key] === supplied ? "user" : "ai", metadata[key]];
+  const pick = (key, ...candidates) => firstOf(provenance, `metadata.${key}`, ...candidates);
+  return {
+    tender_reference_number: pick("tender_reference_number", aiOrUser("tender_reference_number", tenderId), ["default", NOT_SPECIFIED]),
+    document_title: pick("document_title", ["ai", metadata.document_title], ["default", NOT_SPECIFIED]),
+    document_type: pick("document_type", ["ai", metadata.document_type], ["default", "RFP"]),
+    issue_date: pick("issue_date", ["ai", metadata.issue_date], ["default", NOT_SPECIFIED]),
+    issuer: pick("issuer", aiOrUser("issuer", departmentName), ["user", departmentName], ["default", NOT_SPECIFIED]),
+    country: pick("country", ["ai", metadata.country], ["default", "UAE"]),
+  };
+}
+
+// -------------------- THOROUGH (MAP-REDUCE) EXTRACTION --------------------
+// Single-value fields compared across chunks; lists are merged, never conflicting
+const CONFLICT_FIELDS = ["metadata", "tender_summary", "administration", "evaluation", "pricing", "contact_information"].flatMap(
+  (section) =>
+    Object.entries(blankObject()[section])
+      .filter(([, value]) => !Array.isArray(value))
+      .map(([key]) => `${section}.${key}`)
+);
+
+// fn(item, index) over every item, at most `limit` running at a time
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Map step: the core schema from every chunk of the document. Chunks the
+ * model fails on are skipped; the extraction fails only when all of them do.
+ *
+ * @returns {Promise<Array<{chunk: number, data: Object}>>} 1-based chunk numbers
+ */
+async function extractChunks(fullText, { tenderId, departmentName, opts, progress, signal }) {
+  const chunks = chunkText(fullText, opts);
+  console.log(`🧩 Extracting ${chunks.length} chunks (${opts.maxConcurrentChunks} at a time)...`);
+  let done = 0;
+  const results = await mapWithConcurrency(chunks, opts.maxConcurrentChunks, async (chunk, i) => {
+    try {
+      return { chunk: i + 1, data: await chatJson([systemMsg(), chunkPrompt({ chunk, tenderId, departmentName })], { signal }) };
+    } catch (e) {
+      console.warn(`⚠️  Chunk ${i + 1}/${chunks.length} extraction failed:`, e.message);
+      return null;
+    } finally {
+      done += 1;
+      progress("extracting_chunks", {
+        progress: 15 + Math.round((done / chunks.length) * 55),
+        message: `Chunk ${done}/${chunks.length}`,
+      });
+    }
+  });
+
+  const extracted = results.filter(Boolean);
+  if (!extracted.length) throw new Error(`Thorough extraction failed: none of the ${chunks.length} chunks could be extracted`);
+  console.log(`✓ ${extracted.length}/${chunks.length} chunks extracted`);
+  return extracted;
+}
+
+/**
+ * Reduce step: merge the chunk results in document order (the first value
+ * found for a field wins, lists are unioned) and record the fields that
+ * chunks disagree on.
+ *
+ * @returns {{merged: Object, conflicts: Array<{field: string, values: Array<{value: *, chunks: number[]}>}>}}
+ */
+function mergeChunkResults(results) {
+  let merged = blankObject();
+  const seen = new Map();
+  for (const { chunk, data } of results) {
+    const pruned = pruneToSchema(data);
+    for (const field of CONFLICT_FIELDS) {
+      const value = getPath(pruned, field);
+      if (isNotSpecified(value)) continue;
+      const key = norm(String(value)).toLowerCase();
+      if (!seen.has(field)) seen.set(field, new Map());
+      const values = seen.get(field);
+      if (!values.has(key)) values.set(key, { value, chunks: [] });
+      values.get(key).chunks.push(chunk);
+    }
+    merged = deepMerge(merged, pruned);
+  }
+
+  const conflicts = [...seen]
+    .filter(([, values]) => values.size > 1)
+    .map(([field, values]) => ({ field, values: [...values.values()] }));
+  return { merged, conflicts };
+}
+
+/**
+ * Targeted fill: the FIELD_TARGETS still empty after the merge, each asked
+ * of the model with only the document lines around its keywords.
+ *
+ * @returns {Promise<string[]>} Paths of the fields filled
+ */
+async function fillTargets(merged, fullText, { opts, signal }) {
+  const missing = FIELD_TARGETS.filter(([field]) => isNotSpecified(getPath(merged, field)));
+  if (!missing.length) return [];
+
+  console.log(`🎯 Targeted fill for ${missing.length} empty fields...`);
+  const index = buildIndex(fullText);
+  const filled = await mapWithConcurrency(missing, opts.maxConcurrentChunks, async ([field, keywords, numeric]) => {
+    const snippets = findSnippets(index, keywords);
+    if (!snippets) return null;
+    try {
+      const { value } = await chatJson([systemMsg(), targetedFillPrompt({ fieldName: field, snippets, numeric })], { signal });
+      const parsed = numeric ? parseInt(value, 10) : value;
+      if (numeric ? !Number.isFinite(parsed) : isNotSpecified(parsed)) return null;
+      setPath(merged, field, numeric ? parsed : String(parsed).trim());
+      return field;
+    } catch (e) {
+      console.warn(`⚠️  Targeted fill of ${field} failed:`, e.message);
+      return null;
+    }
+  });
+  return filled.filter(Boolean);
+}
+
+/**
+ * The fields no chunk found that the default path's regex fast paths read
+ * from the document, set in `merged`.
+ *
+ * @returns {Object<string, Object>} Field path -> provenance of each field set
+ */
+function fillFromFastPaths(merged, fullText) {
+  const fastProvenance = {};
+  const fast = {
+    metadata: fastExtractMetadata(fullText, null, null, fastProvenance),
+    administration: fastExtractAdministration(fullText, fastProvenance),
+    contact_information: fastExtractContact(fullText, fastProvenance),
+    pricing: fastExtractPricing(fullText, fastProvenance),
+  };
+  const filled = {};
+  for (const [field, entry] of Object.entries(fastProvenance)) {
+    if (entry.method !== "regex" || !isNotSpecified(getPath(merged, field))) continue;
+    setPath(merged, field, getPath(fast, field));
+    filled[field] = entry;
+  }
+  return filled;
+}
+
+/**
+ * Thorough mode: the whole document goes through the model, chunk by chunk
+ * (extractChunks), the chunk results are merged (mergeChunkResults), the
+ * regex fast paths fill what no chunk found, the fields still empty get a
+ * targeted fill and the merged result a final normalize pass. Slower than the
+ * default path, which only reads the start, the end and the evaluation
+ * section, but requirements deep inside long RFPs are kept.
+ */
+async function extractTenderThorough({ doc, fullText, tenderId, departmentName, opts, progress, startTime, provenance, signal }) {
+  progress("extracting_chunks", { progress: 15 });
+  const { merged: chunkResult, conflicts } = mergeChunkResults(
+    await extractChunks(fullText, { tenderId, departmentName, opts, progress, signal })
+  );
+  let merged = chunkResult;
+  if (conflicts.length) console.log(`⚠️  Chunks disagree on ${conflicts.length} fields: ${conflicts.map((c) => c.field).join(", ")}`);
+
+  // As in the default path, patterns read the simple fields; here they only
+  // fill what the chunks left empty, before any targeted fill is asked for
+  const fromRegex = fillFromFastPaths(merged, fullText);
+  console.log(`✓ Regex fast paths: ${Object.keys(fromRegex).length} fields filled`);
+
+  if (opts.targetedFill) {
+    progress("filling_missing_fields", { progress: 72 });
+    const filled = await fillTargets(merged, fullText, { opts, signal });
+    console.log(`✓ Targeted fill: ${filled.length} fields filled`);
+  }
+
+  if (opts.finalNormalize) {
+    progress("final_normalize", { progress: 80 });
+    console.log(`🤖 Final normalize pass...`);
+    try {
+      // The full text of a long RFP does not fit; the first chunk is enough to verify against
+      const normalized = await chatJson([
+        systemMsg(),
+        finalNormalizePrompt({ mergedObject: merged, fullText: fullText.slice(0, opts.chunkMaxChars) }),
+      ], { signal });
+      // Merged values win: the pass only fills what is still empty and adds list items
+      merged = deepMerge(merged, normalized);
+      console.log(`✓ Final normalize complete`);
+    } catch (e) {
+      console.warn(`⚠️  Final normalize failed, keeping the merged result:`, e.message);
+    }
+  }
+
+  for (const section of ["tender_summary", "administration", "evaluation", "requirements", "pricing", "contact_information"]) {
+    for (const key of Object.keys(blankObject()[section])) {
+      provenance[`${section}.${key}`] = { method: "ai", confidence: METHOD_CONFIDENCE.ai };
+    }
+  }
+  // Placeholders are empty, so the request's departmentName and the defaults apply
+  const metadata = Object.fromEntries(
+    Object.entries(merged.metadata).map(([key, value]) => [key, isNotSpecified(value) ? null : value])
+  );
+  merged.metadata = aiMetadata(metadata, { tenderId, departmentName, provenance });
+  Object.assign(provenance, fromRegex);
+  merged.commercial_terms = await extractCommercialTerms(fullText, { opts, provenance, progress, progressAt: 85, signal });
+
+  const result = await finishExtraction(merged, { doc, fullText, provenance, opts, progress, startTime, signal });
+  result.conflicts = conflicts.map((conflict) => ({ ...conflict, chosen: getPath(result, conflict.field) }));
+  return result;
+}
+
 // -------------------- FAST KEYWORD-BASED EXTRACTION (MAIN) --------------------
-export async function extractTender({ filePath, tenderId, departmentName }) {
-  console.log(`\n⚡ FAST KEYWORD-BASED EXTRACTION MODE`);
-  console.log(`   Using AI for metadata + regex patterns + targeted AI for complex fields`);
+export async function extractTender({ filePath, tenderId, departmentName, originalFileName = null, options = {}, onProgress, signal }) {
+  const opts = resolveExtractionOptions(options);
+  if (opts.mode === "thorough") {
+    console.log(`\n🔬 THOROUGH MAP-REDUCE EXTRACTION MODE`);
+    console.log(`   AI over every chunk + merge + targeted fill + final normalize`);
+  } else {
+    console.log(`\n⚡ FAST KEYWORD-BASED EXTRACTION MODE (${opts.mode})`);
+    console.log(`   Using AI for metadata + regex patterns + targeted AI for complex fields`);
+  }
   
+  const progress = typeof onProgress === "function" ? onProgress : () => {};
   const startTime = Date.now();
-  const fullText = await extractText(filePath);
+  progress("reading_document", { progress: 5 });
+  const { doc, text: fullText } = await extractText(filePath, originalFileName, { signal });
   console.log(`📄 Extracted ${fullText.length} characters from document`);
   
+  // Field path → {method, confidence}, settled once the result is normalized
+  const provenance = {};
+  if (opts.mode === "thorough") {
+    return extractTenderThorough({ doc, fullText, tenderId, departmentName, opts, progress, startTime, provenance, signal });
+  }
+
   // Step 1: AI-based metadata extraction (first 3000 chars)
+  progress("extracting_metadata", { progress: 15 });
   console.log(`🤖 Extracting metadata with AI (first 3000 chars)...`);
   let metadata = null;
+  let metadataFromAI = false;
   try {
-    metadata = await extractMetadataWithAI(fullText, tenderId, departmentName);
+    metadata = await extractMetadataWithAI(fullText, tenderId, departmentName, { signal });
     if (metadata) {
+      metadataFromAI = true;
       console.log(`✓ AI metadata extraction complete`);
     } else {
       throw new Error("AI returned null");
     }
   } catch (e) {
     console.warn(`⚠️  AI metadata extraction failed, using regex fallback:`, e.message);
-    metadata = fastExtractMetadata(fullText, tenderId, departmentName);
+    metadata = fastExtractMetadata(fullText, tenderId, departmentName, provenance);
   }
   
   // Step 2: Fast regex-based extraction for other simple fields
   console.log(`🔍 Extracting other fields with regex patterns...`);
-  const administration = fastExtractAdministration(fullText);
-  const contact = fastExtractContact(fullText);
-  const pricing = fastExtractPricing(fullText);
-  
+  const administration = fastExtractAdministration(fullText, provenance);
+  const contact = fastExtractContact(fullText, provenance);
+  const pricing = fastExtractPricing(fullText, provenance);
   console.log(`✓ Fast extraction complete (${Date.now() - startTime}ms)`);
+  const commercialTerms = await extractCommercialTerms(fullText, { opts, provenance, progress, progressAt: 30, signal });
+
+  progress("extracting_complex_fields", {
+    progress: 40,
+    partial: { metadata, administration, contact_information: contact, pricing, commercial_terms: commercialTerms },
+  });
   
   // Step 3: Extract evaluation section specifically
   console.log(`🔍 Searching for evaluation criteria section...`);
   let evaluationSection = "";
   const evalKeywords = ["evaluation criteria", "evaluation method", "scoring", "assessment", "selection criteria", "evaluation process", "proposal evaluation"];
+  const arabicEvalHeading = new RegExp(ARABIC_LABELS.evaluationCriteria.map(arabicPattern).join("|"));
   const lines = fullText.split('\n');
   let inEvalSection = false;
   let evalStartIdx = -1;
   
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i].toLowerCase();
-    if (evalKeywords.some(kw => line.includes(kw.toLowerCase()))) {
+    if (evalKeywords.some(kw => line.includes(kw.toLowerCase())) || arabicEvalHeading.test(line)) {
       inEvalSection = true;
       evalStartIdx = Math.max(0, i - 2);
     }
@@ -1106,6 +1866,7 @@ export async function extractTender({ filePath, tenderId, departmentName }) {
   console.log(`🤖 Using AI for complex fields (summary, requirements, evaluation)...`);
   
   let aiResult = blankObject();
+  let summaryMethod = "ai";
   try {
     // Get first 5000 chars (usually contains summary/intro) + last 5000 chars (usually contains requirements)
     const summarySection = fullText.substring(0, 5000);
@@ -1141,7 +1902,7 @@ Extract:
 }
 
 IMPORTANT - Evaluation Criteria Extraction:
-- Look for sections titled: "Evaluation Criteria", "Evaluation Method", "Scoring", "Assessment", "Selection Criteria"
+- Look for sections titled: "Evaluation Criteria", "Evaluation Method", "Scoring", "Assessment", "Selection Criteria" (in Arabic: "معايير التقييم", "آلية التقييم")
 - Extract ALL evaluation criteria mentioned, even if weights are not specified
 - Common criteria include: "Understanding of requirements", "Previous experience", "Cost competitiveness", "Quality of solution", "Technical approach", "Project management", "Team qualifications", "Implementation timeline", etc.
 - For each criterion, extract the exact name as stated in the document
@@ -1160,10 +1921,10 @@ Document sections:
 `.trim(),
     };
     
-    aiResult = await chatJson([systemMsg(), aiPrompt]);
+    aiResult = await chatJson([systemMsg(), aiPrompt], { signal });
     
-    // If evaluation_criteria is still empty, try dedicated extraction
-    if (!aiResult.evaluation?.evaluation_criteria || aiResult.evaluation.evaluation_criteria.length === 0) {
+    // If evaluation_criteria is still empty, try dedicated extraction (skipped when targeted fill is off)
+    if (opts.targetedFill && (!aiResult.evaluation?.evaluation_criteria || aiResult.evaluation.evaluation_criteria.length === 0)) {
       console.log(`🔍 Evaluation criteria not found, trying dedicated extraction...`);
       try {
         const evalPrompt = {
@@ -1191,7 +1952,7 @@ Evaluation section:
 `.trim(),
         };
         
-        const evalResult = await chatJson([systemMsg(), evalPrompt]);
+        const evalResult = await chatJson([systemMsg(), evalPrompt], { signal });
         if (evalResult?.evaluation_criteria && evalResult.evaluation_criteria.length > 0) {
           if (!aiResult.evaluation) aiResult.evaluation = {};
           aiResult.evaluation.evaluation_criteria = evalResult.evaluation_criteria;
@@ -1208,6 +1969,7 @@ Evaluation section:
     // Extract basic summary from first few lines as fallback
     const firstLines = fullText.split('\n').slice(0, 20).join(' ');
     if (firstLines.length > 50) {
+      summaryMethod = "regex";
       aiResult.tender_summary = {
         project_title: extractWithRegex(firstLines, [
           String.raw`(?:Project|Title)[\s]*[:]?[\s]*([^\n]{10,200})`,
@@ -1225,22 +1987,12 @@ Evaluation section:
   let merged = blankObject();
   
   // Ensure metadata is an object with all required fields
-  if (metadata && typeof metadata === 'object') {
-    merged.metadata = {
-      tender_reference_number: metadata.tender_reference_number || NOT_SPECIFIED,
-      document_title: metadata.document_title || NOT_SPECIFIED,
-      document_type: metadata.document_type || "RFP",
-      issue_date: metadata.issue_date || NOT_SPECIFIED,
-      issuer: metadata.issuer || departmentName || NOT_SPECIFIED,
-      country: metadata.country || "UAE",
-    };
-  } else {
-    merged.metadata = fastExtractMetadata(fullText, tenderId, departmentName);
-  }
+  merged.metadata = metadataFromAI ? aiMetadata(metadata, { tenderId, departmentName, provenance }) : metadata;
   
   merged.administration = administration;
   merged.contact_information = contact;
   merged.pricing = pricing;
+  merged.commercial_terms = commercialTerms;
   
   // Merge AI results
   if (aiResult?.tender_summary) {
@@ -1252,11 +2004,39 @@ Evaluation section:
   if (aiResult?.requirements) {
     merged.requirements = { ...merged.requirements, ...aiResult.requirements };
   }
+  for (const section of ["tender_summary", "evaluation", "requirements"]) {
+    const method = section === "tender_summary" ? summaryMethod : "ai";
+    for (const key of Object.keys(blankObject()[section])) {
+      provenance[`${section}.${key}`] = { method, confidence: METHOD_CONFIDENCE[method] };
+    }
+  }
   
-  // Step 4: Normalize and validate
+  return finishExtraction(merged, { doc, fullText, provenance, opts, progress, startTime, signal });
+}
+
+// Normalize, validate, settle provenance, render Arabic values in English and
+// cite the merged result
+async function finishExtraction(merged, { doc, fullText, provenance, opts, progress, startTime, signal }) {
+  progress("validating", { progress: 90 });
   merged = pruneToSchema(merged);
   merged = normalize(merged);
   validateOrThrow(merged);
+  settleProvenance(merged, provenance, fullText);
+  if (opts.nullDefaults) dropDefaults(merged, provenance);
+
+  const language = languageProfile(fullText, splitIntoSections(fullText, doc.headings));
+  console.log(`🌐 Language: ${language.document || "unknown"}`);
+  // Computed before citations, whose quotes are not values
+  const bilingual = await bilingualFields(merged, { skipKeys: ["unit", "per"], signal });
+
+  if (opts.citations) {
+    progress("citing_sources", { progress: 95 });
+    // Normalized units ("days", "week") are not quotes from the document
+    attachCitations(merged, createCitationIndex(doc), { primaryKeys: ["name"], skipKeys: ["unit", "per"] });
+  }
+  merged.provenance = provenance;
+  merged.language = language;
+  merged.bilingual = bilingual;
   
   const totalTime = Date.now() - startTime;
   console.log(`✅ Extraction complete in ${(totalTime / 1000).toFixed(2)} seconds`);
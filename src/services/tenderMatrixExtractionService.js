@@ -1,10 +1,10 @@
 import path from "path";
-import { readDocumentText } from "./documentService.js";
-import { OLLAMA_URL, OLLAMA_MODEL, OLLAMA_ENABLED } from "../config/ollamaConfig.js";
+import { ingestDocument, compactText } from "./documentService.js";
+import { createCitationIndex, attachCitations } from "./citationService.js";
+import { chat } from "./llmClient.js";
+import { resolveExtractionOptions } from "../config/extractionConfig.js";
 
 // -------------------- CONFIG --------------------
-const OLLAMA_BASE_URL = (process.env.OLLAMA_BASE_URL || OLLAMA_URL.replace(/\/api$/, "")).replace(/\/$/, "");
-const MODEL = process.env.OLLAMA_MODEL || OLLAMA_MODEL;
 const CHUNK_SIZE = 3000;
 const CHUNK_OVERLAP = 300;
 
@@ -337,58 +337,18 @@ function extractRelevantSections(text) {
   return combined;
 }
 
-// -------------------- OLLAMA API --------------------
-async function ollamaChat({ model, messages, temperature = 0, maxRetries = 2 }) {
-  if (!OLLAMA_ENABLED) {
-    throw new Error("Ollama is not enabled");
-  }
-
-  const url = `${OLLAMA_BASE_URL}/api/chat`;
-
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      const payload = {
-        model,
-        messages,
-        stream: false,
-        options: { temperature },
-      };
-      
-      // NOTE: NOT using format: "json" as it causes Ollama to return {} instead of actual content
-      // We'll extract JSON manually from the response text
-
-      const res = await fetch(url, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
-
-      if (!res.ok) {
-        const txt = await res.text().catch(() => "");
-        throw new Error(`Ollama chat error ${res.status}: ${txt}`);
-      }
-
-      const data = await res.json();
-      const content = data?.message?.content;
-
-      if (typeof content !== "string") {
-        console.error("❌ Invalid response structure:", JSON.stringify(data, null, 2).substring(0, 500));
-        throw new Error(`Chat response missing message.content. Response structure: ${JSON.stringify(data).substring(0, 200)}`);
-      }
+// -------------------- LLM --------------------
+// NOTE: not requesting JSON mode, it makes Ollama return {} instead of the
+// array. JSON is extracted from the response text by safeJsonParse().
+async function chatText(messages, { signal } = {}) {
+  const content = await chat(messages, { temperature: 0, signal });
 
-      // Log if response is suspiciously short
-      if (content.length < 10) {
-        console.warn(`⚠️  Very short response received: "${content}"`);
-      }
-
-      return content;
-    } catch (error) {
-      if (attempt === maxRetries - 1) {
-        throw error;
-      }
-      await new Promise((resolve) => setTimeout(resolve, 500 * (attempt + 1)));
-    }
+  // Log if response is suspiciously short
+  if (content.length < 10) {
+    console.warn(`⚠️  Very short response received: "${content}"`);
   }
+
+  return content;
 }
 
 // -------------------- OUTPUT SCHEMA --------------------
@@ -463,11 +423,16 @@ CRITICAL OUTPUT REQUIREMENTS:
 - DO NOT return an object {}, always return an array []`;
 
 // -------------------- MAIN EXTRACTION FUNCTION --------------------
-export async function extractTenderMatrix(filePath, tenderId = null, originalFileName = null) {
+export async function extractTenderMatrix(filePath, tenderId = null, originalFileName = null, { onProgress, options = {}, signal } = {}) {
+  const progress = typeof onProgress === "function" ? onProgress : () => {};
+  const opts = resolveExtractionOptions(options);
+
+  progress("reading_document", { progress: 5 });
   console.log(`📄 Reading document: ${path.basename(filePath)}`);
   
   // Step 1: Read document text
-  const fullText = await readDocumentText(filePath, originalFileName);
+  const doc = await ingestDocument({ filePath, filename: originalFileName, signal });
+  const fullText = compactText(doc);
   const normalizedText = normalizeWhitespace(fullText);
   
   if (normalizedText.length < 50) {
@@ -482,6 +447,7 @@ export async function extractTenderMatrix(filePath, tenderId = null, originalFil
   console.log(`✅ Extracted section length: ${relevantSection.length} characters`);
 
   // Step 3: Use AI to extract structured data
+  progress("extracting_matrix", { progress: 25 });
   console.log(`🤖 Extracting structured matrix data...`);
   console.log(`📊 Relevant section preview (first 500 chars): ${relevantSection.substring(0, 500)}`);
   console.log(`📊 Relevant section preview (last 500 chars): ${relevantSection.substring(Math.max(0, relevantSection.length - 500))}`);
@@ -540,18 +506,15 @@ Your response must be ONLY the JSON array, nothing else.`;
   let rawResponse;
   let result;
   let parseAttempts = 0;
-  const maxParseAttempts = 2;
+  // Quick mode gives up after the first response instead of retrying with more context
+  const maxParseAttempts = opts.mode === "quick" ? 1 : 2;
 
   while (parseAttempts < maxParseAttempts) {
     try {
-      rawResponse = await ollamaChat({
-        model: MODEL,
-        messages: [
-          { role: "system", content: SYSTEM_PROMPT },
-          { role: "user", content: userPrompt },
-        ],
-        temperature: 0,
-      });
+      rawResponse = await chatText([
+        { role: "system", content: SYSTEM_PROMPT },
+        { role: "user", content: userPrompt },
+      ], { signal });
       
       console.log(`📝 Raw AI response length: ${rawResponse.length} characters`);
       console.log(`📝 First 200 chars: ${rawResponse.substring(0, 200)}`);
@@ -611,14 +574,10 @@ INSTRUCTIONS:
 5. Use null for missing values
 
 Return ONLY the JSON array, starting with [ and ending with ].`;
-          rawResponse = await ollamaChat({
-            model: MODEL,
-            messages: [
-              { role: "system", content: "Extract evaluation matrix data. Return ONLY a valid JSON array. Start with [ and end with ]. Include ALL companies found." },
-              { role: "user", content: retryPrompt },
-            ],
-            temperature: 0,
-          });
+          rawResponse = await chatText([
+            { role: "system", content: "Extract evaluation matrix data. Return ONLY a valid JSON array. Start with [ and end with ]. Include ALL companies found." },
+            { role: "user", content: retryPrompt },
+          ], { signal });
           continue;
         }
       }
@@ -641,14 +600,10 @@ Example format:
 
 Return ONLY the JSON array, no other text.`;
         try {
-          rawResponse = await ollamaChat({
-            model: MODEL,
-            messages: [
-              { role: "system", content: "Return ONLY a valid JSON array starting with [ and ending with ]. No markdown, no explanations, no code blocks." },
-              { role: "user", content: retryPrompt },
-            ],
-            temperature: 0,
-          });
+          rawResponse = await chatText([
+            { role: "system", content: "Return ONLY a valid JSON array starting with [ and ending with ]. No markdown, no explanations, no code blocks." },
+            { role: "user", content: retryPrompt },
+          ], { signal });
           continue;
         } catch (retryError) {
           console.error("❌ Retry also failed:", retryError.message);
@@ -662,6 +617,7 @@ Return ONLY the JSON array, no other text.`;
   }
 
   // Step 4: Final validation
+  progress("validating", { progress: 90 });
   if (!result || !Array.isArray(result)) {
     console.error("❌ Final validation failed - result is not an array");
     console.error("❌ Result type:", typeof result);
@@ -736,6 +692,10 @@ Return ONLY the JSON array, no other text.`;
     return validatedItem;
   });
 
+  if (opts.citations) {
+    attachCitations(validated, createCitationIndex(doc), { primaryKeys: ["Company Name"] });
+  }
+
   console.log(`✅ Extraction complete. Found ${validated.length} companies.`);
   return validated;
 }
@@ -1,16 +1,16 @@
 import fs from "fs";
 import path from "path";
 import { z } from "zod";
-import { readDocumentText } from "./documentService.js";
-import { OLLAMA_URL, OLLAMA_MODEL } from "../config/ollamaConfig.js";
+import { ingestDocument, compactText } from "./documentService.js";
+import { createCitationIndex, attachCitations } from "./citationService.js";
+import { splitIntoSections } from "./outlineService.js";
+import { languageProfile, bilingualFields } from "./languageService.js";
+import { chat, ensureModel } from "./llmClient.js";
+import { LLM_MODEL } from "../config/llmConfig.js";
+import { resolveExtractionOptions } from "../config/extractionConfig.js";
 
 /* ----------------------------- Config ----------------------------- */
 
-const OLLAMA_BASE_URL = (process.env.OLLAMA_BASE_URL || OLLAMA_URL.replace(/\/api$/, "")).replace(/\/$/, "");
-const OLLAMA_PULL_URL = `${OLLAMA_BASE_URL}/api/pull`;
-const OLLAMA_CHAT_URL = `${OLLAMA_BASE_URL}/api/chat`;
-const MODEL = process.env.OLLAMA_MODEL || OLLAMA_MODEL;
-
 const NOT_SPECIFIED = "Not specified in the document.";
 
 /* ----------------------------- Schema Template ----------------------------- */
@@ -115,7 +115,7 @@ function getTenderTemplate() {
 /**
  * We validate types loosely to detect gross failures, but we always repair into template.
  */
-const TenderSchemaLoose = z.object({
+export const TenderSchemaLoose = z.object({
   tenderOverview: z.object({
     header: z.object({
       title: z.string().optional(),
@@ -563,53 +563,6 @@ function applyHardcodedDefaults(obj) {
   return result;
 }
 
-/* ----------------------------- Ollama Client ----------------------------- */
-
-async function ollamaPullModel() {
-  // Pull is idempotent. If model exists, it typically completes quickly.
-  const res = await fetch(OLLAMA_PULL_URL, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ name: MODEL }),
-  });
-
-  if (!res.ok) {
-    const t = await res.text().catch(() => "");
-    throw new Error(`Ollama /api/pull failed: ${res.status} ${res.statusText}\n${t}`);
-  }
-
-  // streaming logs possible; we just consume
-  await res.text().catch(() => "");
-}
-
-async function ollamaChat(messages, { temperature = 0.0 } = {}) {
-  const res = await fetch(OLLAMA_CHAT_URL, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      model: MODEL,
-      messages,
-      stream: false,
-      options: { temperature },
-      // Ensure we prefer JSON output behavior:
-      format: "json",
-    }),
-  });
-
-  if (!res.ok) {
-    const t = await res.text().catch(() => "");
-    throw new Error(`Ollama /api/chat failed: ${res.status} ${res.statusText}\n${t}`);
-  }
-
-  const data = await res.json();
-  // Ollama chat response commonly: { message: { role, content }, ... }
-  const content = data?.message?.content;
-  if (!content || typeof content !== "string") {
-    throw new Error("Ollama response missing message.content");
-  }
-  return content;
-}
-
 /* ----------------------------- Prompting Strategy ----------------------------- */
 /**
  * We use a two-pass approach:
@@ -630,6 +583,7 @@ ABSOLUTE RULES:
 - Output ONLY a single valid JSON object (no markdown, no commentary).
 - Preserve numeric details exactly (dates, times, percentages, points, fees, AED, years, months, days, SLAs).
 - Preserve disqualification / pass-fail triggers.
+- The document may be in Arabic or bilingual Arabic/English: read both languages and copy text values as the document writes them, without translating.
 - If something is missing, set it to exactly: "${NOT_SPECIFIED}"
 - Do NOT invent scores or compute any evaluation results. Only extract what document states.
 - DO NOT add any fields that are not in the template structure below.
@@ -730,12 +684,12 @@ function extractJsonFromString(s) {
   return JSON.parse(jsonStr);
 }
 
-async function forceStrictJsonRepair(rawModelOutput) {
+async function forceStrictJsonRepair(rawModelOutput, { signal } = {}) {
   const messages = [
     { role: "system", content: "You are a JSON repair tool. Return ONLY valid JSON. No extra text." },
     { role: "user", content: `Fix this into STRICT valid JSON object only:\n\n${rawModelOutput}` },
   ];
-  const repaired = await ollamaChat(messages, { temperature: 0.0 });
+  const repaired = await chat(messages, { temperature: 0.0, json: true, signal });
   return extractJsonFromString(repaired);
 }
 
@@ -748,9 +702,14 @@ async function forceStrictJsonRepair(rawModelOutput) {
  * @param {string} [options.departmentName] - Department name
  * @param {string} [options.rfpTitle] - RFP title/reference
  * @param {string} [options.originalFileName] - Original filename for logging
+ * @param {Object} [options.options] - Per-request extraction options (chunkMaxChars is used here)
+ * @param {Function} [options.onProgress] - Called as onProgress(stage, { progress, partial })
  * @returns {Promise<Object>} Tender overview JSON structure
  */
-export async function extractTenderOverview({ filePath, departmentName, rfpTitle, originalFileName }) {
+export async function extractTenderOverview({ filePath, departmentName, rfpTitle, originalFileName, options = {}, onProgress, signal }) {
+  const progress = typeof onProgress === "function" ? onProgress : () => {};
+  const opts = resolveExtractionOptions(options, { chunkMaxChars: 12000 });
+
   const absPath = path.resolve(filePath);
   if (!fs.existsSync(absPath)) {
     throw new Error(`File not found: ${absPath}`);
@@ -759,11 +718,14 @@ export async function extractTenderOverview({ filePath, departmentName, rfpTitle
   const dept = departmentName || NOT_SPECIFIED;
   const title = rfpTitle || NOT_SPECIFIED;
 
-  console.log(`1) Pulling model if needed: ${MODEL}`);
-  await ollamaPullModel();
+  progress("pulling_model", { progress: 5 });
+  console.log(`1) Pulling model if needed: ${LLM_MODEL}`);
+  await ensureModel(LLM_MODEL, { signal });
 
+  progress("reading_document", { progress: 10 });
   console.log("2) Extracting document text...");
-  const docText = await readDocumentText(absPath, originalFileName);
+  const doc = await ingestDocument({ filePath: absPath, filename: originalFileName, signal });
+  const docText = compactText(doc);
 
   if (!docText || docText.length < 50) {
     throw new Error("Extracted text is too short; document might be scanned image-only. Use OCR pipeline if needed.");
@@ -777,9 +739,10 @@ export async function extractTenderOverview({ filePath, departmentName, rfpTitle
     .trim();
 
   // If the document is very large, send in chunks as multiple user messages
-  const chunks = chunkText(cleaned, 12000);
+  const chunks = chunkText(cleaned, opts.chunkMaxChars);
 
-  console.log(`3) Calling Ollama for extraction (chunks: ${chunks.length})...`);
+  progress("extracting_overview", { progress: 25 });
+  console.log(`3) Calling LLM for extraction (chunks: ${chunks.length})...`);
 
   const messages = [
     { role: "system", content: buildSystemPrompt() },
@@ -792,17 +755,18 @@ export async function extractTenderOverview({ filePath, departmentName, rfpTitle
     { role: "user", content: "Now produce the final JSON output ONLY." },
   ];
 
-  let modelOutput = await ollamaChat(messages, { temperature: 0.0 });
+  let modelOutput = await chat(messages, { temperature: 0.0, json: true, signal });
 
   let parsed;
   try {
     parsed = extractJsonFromString(modelOutput);
   } catch (e) {
-    console.warn("⚠️ Initial JSON parse failed. Attempting repair with Ollama...");
-    parsed = await forceStrictJsonRepair(modelOutput);
+    console.warn("⚠️ Initial JSON parse failed. Attempting repair with the LLM...");
+    parsed = await forceStrictJsonRepair(modelOutput, { signal });
   }
 
   // Soft validate
+  progress("normalizing", { progress: 85 });
   const result = TenderSchemaLoose.safeParse(parsed);
   if (!result.success) {
     console.warn("⚠️ Output failed loose schema validation. Will still repair into template.");
@@ -838,5 +802,20 @@ export async function extractTenderOverview({ filePath, departmentName, rfpTitle
   // Final weight normalization after applying defaults
   const final = normalizeWeights(withDefaults);
 
+  const language = languageProfile(docText, splitIntoSections(docText, doc.headings));
+  console.log(`🌐 Language: ${language.document || "unknown"}`);
+  // Same fixed template text as citations skip; computed before citations, whose quotes are not values
+  const bilingual = await bilingualFields(final, { skipKeys: ["header", "label", "weightUnit"], signal });
+
+  if (opts.citations) {
+    // header and the requirement labels are fixed template text, not document content
+    attachCitations(final, createCitationIndex(doc), {
+      skipKeys: ["header", "label", "weightUnit"],
+      primaryKeys: ["value", "title", "category", "description"],
+    });
+  }
+  final.language = language;
+  final.bilingual = bilingual;
+
   return final;
 }
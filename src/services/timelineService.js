@@ -0,0 +1,407 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { findValues } from "./consistencyService.js";
+import { norm } from "../utils/textUtils.js";
+import { TIMELINE_MILESTONES, TIMEZONES } from "../config/timelineMilestones.js";
+
+/**
+ * Procurement timeline of a tender: the date, time and UTC offset of each
+ * milestone of config/timelineMilestones.js, as JSON or iCalendar.
+ *
+ * A time is in the timezone stated next to it, else the one the document
+ * states after its times ("12:00 noon UAE time"), else the caller's, else
+ * TENDER_TIMEZONE. Saved timelines are kept in TIMELINE_DIR, one JSON file
+ * per tender, and together make up the calendar feed.
+ */
+
+const TIMELINE_DIR = path.resolve(process.cwd(), process.env.TIMELINE_DIR || "timelines");
+
+// Timezone of documents that state none: an IANA name or an offset ("+04:00")
+export const DEFAULT_TIMEZONE = process.env.TENDER_TIMEZONE || "Asia/Dubai";
+
+// How far after a label its date may be, in characters; when the label ends
+// its line, the next lines of at most MAX_CELL_CHARS are read (table cells)
+const MAX_WINDOW_CHARS = 200;
+const MAX_CELL_CHARS = 40;
+const CELL_LINES = 2;
+// How far after a time the document may name its timezone
+const TIMEZONE_DISTANCE = 30;
+
+const MEETING_DURATION = "PT1H";
+const DEADLINE_REMINDER = "-P1D";
+const PRODID = "-//Tender Gap Analyzer//Procurement Timeline//EN";
+
+const OFFSET = String.raw`(?:GMT|UTC)\s*([+-])\s*(\d{1,2})(?::?(\d{2}))?(?!\d)`;
+const ID = /^[a-z0-9][a-z0-9-]*$/;
+
+const labelPattern = (labels) => labels.map((label) => `(?:${label})`).join("|");
+// Any milestone label: a window stops where the next milestone is named
+const ANY_LABEL = new RegExp(`(?<!\\w)(?:${labelPattern(TIMELINE_MILESTONES.flatMap((m) => m.labels))})(?!\\w)`, "i");
+
+const pad = (n) => String(n).padStart(2, "0");
+
+function timelineError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * UTC offset ("+04:00") of a timezone on `date` ("YYYY-MM-DD", default
+ * today), so daylight saving is applied. The timezone is an IANA name
+ * ("Asia/Dubai"), "UTC" or an offset ("+4", "GMT+04:00"); null when unknown.
+ */
+export function utcOffset(timezone, date = null) {
+  const tz = String(timezone ?? "").trim();
+  const offset = /^(?:(?:GMT|UTC)\s*)?([+-])\s*(\d{1,2})(?::?(\d{2}))?$/i.exec(tz);
+  if (offset) {
+    const [hours, minutes] = [Number(offset[2]), Number(offset[3] || 0)];
+    return hours <= 14 && minutes <= 59 ? `${offset[1]}${pad(hours)}:${pad(minutes)}` : null;
+  }
+  if (!tz) return null;
+  try {
+    const at = date ? new Date(`${date}T12:00:00Z`) : new Date();
+    const name = new Intl.DateTimeFormat("en-US", { timeZone: tz, timeZoneName: "longOffset" })
+      .formatToParts(at)
+      .find((part) => part.type === "timeZoneName").value;
+    return name === "GMT" ? "+00:00" : name.slice(3);
+  } catch {
+    return null;
+  }
+}
+
+// The first timezone `text` names: an offset ("GMT+4") or one of TIMEZONES
+function statedTimezone(text) {
+  const found = [];
+  for (const m of text.matchAll(new RegExp(OFFSET, "gi"))) {
+    found.push({ start: m.index, length: m[0].length, timezone: utcOffset(m[0]) });
+  }
+  for (const { timezone, abbreviations, names } of TIMEZONES) {
+    const patterns = [
+      ...abbreviations.map((abbreviation) => new RegExp(`\\b${abbreviation}\\b`, "g")),
+      ...names.map((name) => new RegExp(`\\b(?:${name})\\b`, "gi")),
+    ];
+    for (const pattern of patterns) {
+      for (const m of text.matchAll(pattern)) found.push({ start: m.index, length: m[0].length, timezone });
+    }
+  }
+  // At the same position the longer match wins ("GMT+4" over "GMT")
+  const [first] = found.filter((f) => f.timezone).sort((a, b) => a.start - b.start || b.length - a.length);
+  return first?.timezone ?? null;
+}
+
+// The timezone the document names right after one of its times
+function documentTimezone(text) {
+  for (const time of findValues(text, "time")) {
+    const timezone = statedTimezone(text.slice(time.end, time.end + TIMEZONE_DISTANCE));
+    if (timezone) return timezone;
+  }
+  return null;
+}
+
+function lineEnd(text, offset) {
+  const newline = text.indexOf("\n", offset);
+  return newline === -1 ? text.length : newline;
+}
+
+/**
+ * Text after a label that may state its date: the rest of the label's
+ * sentence or, when the label ends its line, the next short lines (table
+ * cells: date, then time). Cut where another milestone is named.
+ */
+function labelWindow(text, end) {
+  const rest = text.slice(end, lineEnd(text, end));
+  let window;
+  if (rest.replace(/[\s:–—|()-]/g, "")) {
+    // A sentence ends at ";" or a "." before a capital, but not at "a.m." / "p.m."
+    const stop = rest.search(/;|(?<![aApP]\.[mM])\.(?=\s+[A-Z(])/);
+    window = stop === -1 ? rest : rest.slice(0, stop);
+  } else {
+    const cells = [];
+    let at = lineEnd(text, end);
+    while (cells.length < CELL_LINES && at < text.length) {
+      const cell = text.slice(at + 1, lineEnd(text, at + 1));
+      if (cell.trim().length > MAX_CELL_CHARS || ANY_LABEL.test(cell)) break;
+      // The cell after the date is only read when it is the time
+      if (cells.length && !findValues(cell, "time").length) break;
+      if (cell.trim()) cells.push(cell);
+      at = lineEnd(text, at + 1);
+    }
+    window = ` ${cells.join(" ")}`;
+  }
+  window = window.slice(0, MAX_WINDOW_CHARS);
+  const next = window.search(ANY_LABEL);
+  return next > 0 ? window.slice(0, next) : window;
+}
+
+// Mentions of a milestone's labels in document order, with the text after each
+function mentions(text, labels) {
+  const pattern = new RegExp(`(?<!\\w)(?:${labelPattern(labels)})(?!\\w)`, "gi");
+  return [...text.matchAll(pattern)].map((m) => ({
+    label: m[0],
+    window: labelWindow(text, m.index + m[0].length),
+    line: text.slice(0, m.index).split("\n").length,
+  }));
+}
+
+const undated = ({ id, name, type }) => ({
+  id,
+  name,
+  type,
+  date: null,
+  time: null,
+  dateTime: null,
+  timezone: null,
+  utcOffset: null,
+  stated: null,
+  line: null,
+});
+
+// -------------------- PUBLIC API --------------------
+/**
+ * The procurement timeline of a document.
+ *
+ * @param {string} text - Document text
+ * @param {Object} [options]
+ * @param {string} [options.timezone] - Timezone of the times when the
+ *   document names none (default TENDER_TIMEZONE)
+ * @returns {{timezone: string, timezoneSource: "document"|"request"|"default", milestones: Array<Object>}}
+ *   One milestone per TIMELINE_MILESTONES entry, in that order: `date`
+ *   ("YYYY-MM-DD") and, when a time is stated, `time` ("HH:MM"), `dateTime`
+ *   (ISO 8601 with offset), `timezone` and `utcOffset`; `stated` is the
+ *   text the date was read from and `line` its line. Null when not found.
+ */
+export function extractTimeline(text, { timezone = null } = {}) {
+  const stated = documentTimezone(text);
+  const fallback = timezone || DEFAULT_TIMEZONE;
+
+  const milestones = TIMELINE_MILESTONES.map((milestone) => {
+    for (const mention of mentions(text, milestone.labels)) {
+      const [date] = findValues(mention.window, "date");
+      if (!date) continue;
+      let [time] = findValues(mention.window, "time");
+      let timeWindow = mention.window;
+      for (const other of time || !milestone.timeLabels ? [] : mentions(text, milestone.timeLabels)) {
+        [time] = findValues(other.window, "time");
+        timeWindow = other.window;
+        if (time) break;
+      }
+      const zone = time ? statedTimezone(timeWindow) || stated || fallback : null;
+      const offset = time ? utcOffset(zone, date.normalized) : null;
+      return {
+        ...undated(milestone),
+        date: date.normalized,
+        time: time?.normalized ?? null,
+        dateTime: time ? `${date.normalized}T${time.normalized}:00${offset}` : null,
+        timezone: zone,
+        utcOffset: offset,
+        stated: norm(mention.label + mention.window),
+        line: mention.line,
+      };
+    }
+    return undated(milestone);
+  });
+
+  return {
+    timezone: stated || fallback,
+    timezoneSource: stated ? "document" : timezone ? "request" : "default",
+    milestones,
+  };
+}
+
+function slugify(name) {
+  return (
+    String(name)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 80) || "tender"
+  );
+}
+
+// Readable slug plus a hash of what identifies the tender: slugs alone collide
+// (every "RFP.pdf", every Arabic title becomes "tender")
+function recordId(slugSource, key) {
+  const hash = crypto.createHash("sha256").update(String(key)).digest("hex").slice(0, 10);
+  return `${slugify(slugSource)}-${hash}`;
+}
+
+function recordPath(id) {
+  return path.join(TIMELINE_DIR, `${id}.json`);
+}
+
+function readRecord(id) {
+  if (!ID.test(id) || !fs.existsSync(recordPath(id))) throw timelineError(`Timeline not found: ${id}`, 404);
+  return JSON.parse(fs.readFileSync(recordPath(id), "utf8"));
+}
+
+/**
+ * Save a tender's timeline to the calendar feed. A tender is identified by
+ * its `tenderId`, else by the document text: posting the same `tenderId`
+ * again replaces its timeline, while documents without one never replace
+ * another tender's.
+ *
+ * @param {Object} input
+ * @param {string} [input.tenderId]
+ * @param {string} input.title
+ * @param {string} [input.filename]
+ * @param {string} input.text - Document text (identifies the tender without a tenderId)
+ * @param {Object} input.timeline - extractTimeline() of the text
+ * @returns {Object} The stored timeline: `id`, `tenderId`, `title`,
+ *   `filename`, the extractTimeline() fields, `createdAt`, `updatedAt` and
+ *   `revision` (1 for a new tender)
+ */
+export function saveTimeline({ tenderId = null, title, filename = null, text, timeline }) {
+  const id = tenderId ? recordId(tenderId, `tender:${tenderId}`) : recordId(title, `text:${text}`);
+  const previous = fs.existsSync(recordPath(id)) ? readRecord(id) : null;
+  if (previous) {
+    console.log(`🗓️  Timeline "${id}" replaces revision ${previous.revision} (${previous.filename || previous.title})`);
+  }
+  const now = new Date().toISOString();
+  const record = {
+    id,
+    tenderId,
+    title,
+    filename,
+    ...timeline,
+    createdAt: previous?.createdAt ?? now,
+    updatedAt: now,
+    revision: (previous?.revision ?? 0) + 1,
+  };
+  fs.mkdirSync(TIMELINE_DIR, { recursive: true });
+  // Written aside then renamed, so the feed never reads a half-written file
+  const tmp = `${recordPath(id)}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(record, null, 2));
+  fs.renameSync(tmp, recordPath(id));
+  console.log(`🗓️  Timeline "${id}" saved (revision ${record.revision})`);
+  return record;
+}
+
+/**
+ * Saved timelines, most recently updated first.
+ */
+export function listTimelines() {
+  if (!fs.existsSync(TIMELINE_DIR)) return [];
+  const records = [];
+  for (const file of fs.readdirSync(TIMELINE_DIR)) {
+    if (!file.endsWith(".json")) continue;
+    try {
+      records.push(readRecord(file.slice(0, -".json".length)));
+    } catch (error) {
+      console.warn(`⚠️  Skipping timeline ${file}: ${error.message}`);
+    }
+  }
+  return records.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export function getTimeline(id) {
+  return readRecord(id);
+}
+
+export function deleteTimeline(id) {
+  const record = readRecord(id);
+  fs.unlinkSync(recordPath(id));
+  console.log(`🗓️  Timeline "${id}" removed from the calendar feed`);
+  return record;
+}
+
+/**
+ * Listing view of a saved timeline: its milestones are reduced to the
+ * number found and the next one to come.
+ */
+export function summarizeTimeline(record, today = new Date().toISOString().slice(0, 10)) {
+  const dated = record.milestones.filter((m) => m.date);
+  const next = dated.filter((m) => m.date >= today).sort((a, b) => a.date.localeCompare(b.date))[0];
+  return {
+    id: record.id,
+    tenderId: record.tenderId,
+    title: record.title,
+    filename: record.filename,
+    timezone: record.timezone,
+    milestonesFound: dated.length,
+    nextMilestone: next ? { id: next.id, name: next.name, date: next.date, dateTime: next.dateTime } : null,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    revision: record.revision,
+  };
+}
+
+// -------------------- ICALENDAR --------------------
+// TEXT values escape backslashes, semicolons, commas and newlines (RFC 5545 3.3.11)
+const icsText = (value) =>
+  String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+// UTC date-time: "20250312T060000Z"
+const icsUtc = (iso) => new Date(iso).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Content lines longer than 75 octets are folded (RFC 5545 3.1)
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function milestoneEvent(record, milestone) {
+  const summary = `${milestone.name}: ${record.title}`;
+  const description = [
+    record.tenderId ? `Tender ${record.tenderId}` : null,
+    `"${milestone.stated}" (line ${milestone.line}${record.filename ? ` of ${record.filename}` : ""})`,
+  ].filter(Boolean);
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${record.id}-${milestone.id}@tender-gap-analyzer`,
+    `DTSTAMP:${icsUtc(record.updatedAt)}`,
+    `SEQUENCE:${record.revision - 1}`,
+    // Without a time the milestone is an all-day event
+    milestone.dateTime ? `DTSTART:${icsUtc(milestone.dateTime)}` : `DTSTART;VALUE=DATE:${milestone.date.replace(/-/g, "")}`,
+  ];
+  if (milestone.type === "meeting" && milestone.dateTime) lines.push(`DURATION:${MEETING_DURATION}`);
+  lines.push(
+    `SUMMARY:${icsText(summary)}`,
+    `DESCRIPTION:${icsText(description.join("\n"))}`,
+    `CATEGORIES:${icsText(milestone.type)}`,
+    `TRANSP:${milestone.type === "meeting" ? "OPAQUE" : "TRANSPARENT"}`
+  );
+  if (milestone.type === "deadline") {
+    lines.push("BEGIN:VALARM", "ACTION:DISPLAY", `DESCRIPTION:${icsText(summary)}`, `TRIGGER:${DEADLINE_REMINDER}`, "END:VALARM");
+  }
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * iCalendar (RFC 5545) calendar of saved timelines: one event per dated
+ * milestone. Event UIDs are stable per tender and milestone, so a subscribed
+ * calendar moves an event when a revised document changes its date.
+ *
+ * @param {Array<Object>} records - saveTimeline() records
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar name shown by calendar apps
+ * @returns {string}
+ */
+export function timelineCalendar(records, { name = "Tender timelines" } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsText(name)}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H",
+    ...records.flatMap((record) =>
+      record.milestones.filter((m) => m.date).flatMap((milestone) => milestoneEvent(record, milestone))
+    ),
+    "END:VCALENDAR",
+  ];
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
@@ -12,17 +12,3 @@ export const GAP_CATEGORIES = [
   "KPI & Performance",
 ];
 
-export const SECTION_HEADERS = [
-  "Introduction",
-  "Instructions to Vendor",
-  "Proposal Guidelines",
-  "Selection Process",
-  "Award of Contract",
-  "Termination of Contract",
-  "Scope of Work",
-  "Rules, Assumptions",
-  "System Landscape",
-  "Integration",
-  "Go-Live and Post-Implementation Support",
-];
-
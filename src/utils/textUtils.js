@@ -1,4 +1,4 @@
-import { SECTION_HEADERS } from "./constants.js";
+import RE2 from "re2";
 
 export function norm(s) {
   return (s || "").replace(/\s+/g, " ").trim();
@@ -11,36 +11,68 @@ export function rxFind(text, pattern, flags = "i") {
   return m[1] ?? m[0];
 }
 
-export function splitIntoSections(text) {
-  const headerRegex = new RegExp(
-    `^(${SECTION_HEADERS.map((h) =>
-      h.replace(/[.*+?^${}()|[\\]\\\\]/g, "\\\\$&")
-    ).join("|")})\\s*$`,
-    "gmi"
-  );
-
-  const matches = [...text.matchAll(headerRegex)];
-  if (!matches.length) return { FULL: text };
-
-  const sections = {};
-  for (let i = 0; i < matches.length; i++) {
-    const name = norm(matches[i][1]);
-    const start = matches[i].index ?? 0;
-    const end =
-      i + 1 < matches.length
-        ? matches[i + 1].index ?? text.length
-        : text.length;
-    sections[name] = text.slice(start, end).trim();
-  }
-  sections.FULL = text;
-  return sections;
+// Rule patterns can be written by any API user, so they run on RE2 (linear
+// time, no backtracking) instead of the native engine, where one pattern like
+// (a+)+$ would block the event loop. Throws on syntax RE2 lacks (lookarounds,
+// backreferences).
+export function ruleRegex(pattern, flags = "i") {
+  return new RE2(pattern, flags);
 }
 
 export function inText(text, patterns) {
-  return patterns.some((p) => new RegExp(p, "i").test(text));
+  return patterns.some((p) => ruleRegex(p).test(text));
 }
 
 export function missingTerms(text, requiredPatterns) {
-  return requiredPatterns.filter((p) => !new RegExp(p, "i").test(text));
+  return requiredPatterns.filter((p) => !ruleRegex(p).test(text));
+}
+
+
+const CONTEXT_CHARS = 80;
+
+// Text around [start, end) of `body`, kept within the line(s) of the match
+export function contextAround(body, start, end) {
+  const lineStart = body.lastIndexOf("\n", start - 1) + 1;
+  const newline = body.indexOf("\n", end);
+  const lineEnd = newline === -1 ? body.length : newline;
+  const from = Math.max(lineStart, start - CONTEXT_CHARS);
+  const to = Math.min(lineEnd, end + CONTEXT_CHARS);
+  let context = norm(body.slice(from, to));
+  if (from > lineStart) context = `…${context}`;
+  if (to < lineEnd) context = `${context}…`;
+  return context;
+}
+
+// Eastern Arabic (٠-٩) and Persian (۰-۹) digits, the Arabic decimal and
+// thousands separators and percent sign, as their ASCII equivalents. One
+// character for one, so offsets into the text stay valid.
+const ARABIC_DIGIT_MAP = { "٫": ".", "٬": ",", "٪": "%" };
+
+export function normalizeDigits(text) {
+  return (text || "").replace(/[٠-٩۰-۹٫٬٪]/g, (c) => {
+    const code = c.charCodeAt(0);
+    if (code >= 0x0660 && code <= 0x0669) return String(code - 0x0660);
+    if (code >= 0x06f0 && code <= 0x06f9) return String(code - 0x06f0);
+    return ARABIC_DIGIT_MAP[c];
+  });
+}
+
+export function hasArabic(text) {
+  return /[؀-ۿ]/.test(text || "");
 }
 
+// Arabic letters that documents write interchangeably (alef with or without
+// hamza, teh marbuta and heh, alef maqsura and yeh) folded to one form, and
+// tatweel removed, so "الإصدار" and "الاصدار" compare equal
+export function foldArabic(text) {
+  return (text || "")
+    .replace(/[أإآ]/g, "ا")
+    .replace(/ة/g, "ه")
+    .replace(/ى/g, "ي")
+    .replace(/ـ/g, "");
+}
+
+// Regular expression source matching an Arabic label in any of its foldArabic() spellings
+export function arabicPattern(label) {
+  return label.replace(/[اأإآ]/g, "[اأإآ]").replace(/[ةه]/g, "[ةه]").replace(/[يى]/g, "[يى]").replace(/ /g, String.raw`\s+`);
+}
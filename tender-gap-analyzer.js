@@ -20,6 +20,13 @@ app.listen(PORT, HOST, () => {
   console.log(`   Pre-Bid Queries endpoint: POST http://${HOST}:${PORT}/pre-bid-queries/analyze`);
   console.log(`   Categories endpoint: GET http://${HOST}:${PORT}/categories`);
   console.log(`   Keywords endpoint: GET http://${HOST}:${PORT}/keywords/:category`);
+  console.log(`   Rules endpoint: GET/POST http://${HOST}:${PORT}/rules`);
+  console.log(`   Profiles endpoint: GET http://${HOST}:${PORT}/profiles`);
+  console.log(`   Risk register endpoint: POST http://${HOST}:${PORT}/risk-register`);
+  console.log(`   Reports endpoint: GET http://${HOST}:${PORT}/reports/:jobId`);
+  console.log(`   Compare endpoint: POST http://${HOST}:${PORT}/compare`);
+  console.log(`   Timeline endpoint: POST http://${HOST}:${PORT}/timeline (calendar feed: GET /timeline/calendar.ics)`);
+  console.log(`   Job status endpoint: GET/DELETE http://${HOST}:${PORT}/jobs/:id`);
   console.log("");
 });
 
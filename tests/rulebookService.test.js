@@ -0,0 +1,35 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// RULEBOOK_DIR is read when the module loads; each run gets a fresh rulebook
+// seeded from the keywords workbook
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rulebook-"));
+process.env.RULEBOOK_DIR = dir;
+const { getRulebook, exportWorkbook, importWorkbook } = await import("../src/services/rulebookService.js");
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("an exported workbook imports back to the same rules", () => {
+  const before = getRulebook();
+  assert.ok(before.rules.length > 0);
+
+  const summary = importWorkbook(exportWorkbook(), "replace");
+  assert.deepEqual(
+    { added: summary.added, replaced: summary.replaced, removed: summary.removed },
+    { added: 0, replaced: before.rules.length, removed: 0 }
+  );
+
+  const after = getRulebook();
+  assert.equal(after.version, before.version + 1);
+  assert.deepEqual(after.rules, before.rules);
+});
+
+test("merging an exported workbook adds nothing", () => {
+  const before = getRulebook();
+  const summary = importWorkbook(exportWorkbook(), "merge");
+  assert.equal(summary.added, 0);
+  assert.equal(summary.ruleCount, before.rules.length);
+});